@@ -0,0 +1,58 @@
+const institute = require('./institute');
+
+// Token lifetimes, session limits, two-factor and email verification settings for login
+module.exports = {
+    // Short-lived JWT sent with every request
+    accessTokenExpire: process.env.JWT_ACCESS_EXPIRE || '15m',
+    // Refresh tokens are stored server-side and rotated on every use
+    refreshTokenExpire: process.env.JWT_REFRESH_EXPIRE || '30d',
+    // Oldest sessions are revoked once a user has more than this many (0 = no limit)
+    maxSessionsPerUser: Number(process.env.MAX_SESSIONS_PER_USER || 10),
+    mfa: {
+        // Name shown in authenticator apps
+        issuer: process.env.MFA_ISSUER || institute.name,
+        // Lifetime of the token between the password and code steps of login
+        tokenExpire: process.env.MFA_TOKEN_EXPIRE || '5m',
+        // Accepted clock drift, in 30-second steps either side
+        window: Number(process.env.MFA_WINDOW || 1),
+        backupCodeCount: Number(process.env.MFA_BACKUP_CODE_COUNT || 10),
+        // Roles that must use 2FA until an admin changes the policy
+        requiredRoles: (process.env.MFA_REQUIRED_ROLES || '')
+            .split(',')
+            .map(role => role.trim())
+            .filter(Boolean)
+    },
+    lockout: {
+        // Failed logins allowed per account within the window before it is locked
+        maxAttempts: Number(process.env.LOGIN_MAX_ATTEMPTS || 5),
+        windowMinutes: Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || 15),
+        lockMinutes: Number(process.env.LOGIN_LOCK_MINUTES || 30),
+        // Failed logins allowed from one IP within the window, across all accounts
+        ipMaxAttempts: Number(process.env.LOGIN_IP_MAX_ATTEMPTS || 20),
+        // Responses slow down after repeated failures: doubled per failure up to the maximum
+        delayBaseMs: Number(process.env.LOGIN_DELAY_BASE_MS || 250),
+        delayMaxMs: Number(process.env.LOGIN_DELAY_MAX_MS || 5000)
+    },
+    passwordReset: {
+        // Reset requests allowed per email and per IP within the window
+        maxPerEmail: Number(process.env.PASSWORD_RESET_MAX_PER_EMAIL || 3),
+        maxPerIp: Number(process.env.PASSWORD_RESET_MAX_PER_IP || 10),
+        windowMinutes: Number(process.env.PASSWORD_RESET_WINDOW_MINUTES || 60)
+    },
+    emailVerification: {
+        tokenExpire: process.env.EMAIL_VERIFICATION_EXPIRE || '24h',
+        // Unverified users cannot log in when enabled (admins can still verify them by hand)
+        requiredForLogin: process.env.EMAIL_VERIFICATION_REQUIRED_FOR_LOGIN === 'true',
+        // Password reset links are only mailed to verified addresses unless disabled
+        // (run src/scripts/migrateEmailVerification.js for accounts created before verification existed)
+        requiredForSensitiveEmails: process.env.EMAIL_VERIFICATION_REQUIRED_FOR_SENSITIVE_EMAILS !== 'false',
+        // Minimum gap between verification emails to one address
+        resendCooldownMinutes: Number(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_MINUTES || 2),
+        // Verification emails allowed per email and per IP within the window
+        maxPerEmail: Number(process.env.EMAIL_VERIFICATION_MAX_PER_EMAIL || 5),
+        maxPerIp: Number(process.env.EMAIL_VERIFICATION_MAX_PER_IP || 20),
+        windowMinutes: Number(process.env.EMAIL_VERIFICATION_WINDOW_MINUTES || 60)
+    },
+    // How long login and reset attempts are kept for review
+    attemptRetentionDays: Number(process.env.LOGIN_ATTEMPT_RETENTION_DAYS || 90)
+};
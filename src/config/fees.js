@@ -0,0 +1,13 @@
+// Fee collection policy: installment late fees and the overdue check schedule
+module.exports = {
+    lateFee: {
+        // 'fixed' adds a flat amount, 'percentage' a share of the installment amount
+        type: process.env.LATE_FEE_TYPE || 'fixed',
+        value: Number(process.env.LATE_FEE_VALUE || 0),
+        // Days after the due date before the late fee is charged
+        graceDays: Number(process.env.LATE_FEE_GRACE_DAYS || 0),
+        // Upper limit per installment (0 = no limit)
+        maxAmount: Number(process.env.LATE_FEE_MAX_AMOUNT || 0)
+    },
+    overdueCheckIntervalMinutes: Number(process.env.OVERDUE_CHECK_INTERVAL_MINUTES || 60)
+};
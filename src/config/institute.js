@@ -0,0 +1,12 @@
+// Institute letterhead used on receipts, certificates and other documents
+module.exports = {
+    name: process.env.INSTITUTE_NAME || process.env.APP_NAME || 'Edu Management System',
+    tagline: process.env.INSTITUTE_TAGLINE || '',
+    address: process.env.INSTITUTE_ADDRESS || '123 Education Street, Knowledge City',
+    phone: process.env.INSTITUTE_PHONE || '+91 9876543210',
+    email: process.env.INSTITUTE_EMAIL || 'info@edumanage.com',
+    website: process.env.INSTITUTE_WEBSITE || 'www.edumanage.com',
+    taxId: process.env.INSTITUTE_TAX_ID || '',
+    logoPath: process.env.INSTITUTE_LOGO_PATH || '',
+    signatory: process.env.INSTITUTE_SIGNATORY || 'Authorised Signatory'
+};
@@ -0,0 +1,129 @@
+const isPlainObject = (value) => Object.prototype.toString.call(value) === '[object Object]';
+
+// Objects are merged key by key; anything else (numbers, tier lists) is replaced
+const mergeRules = (defaults, overrides) => {
+    const merged = { ...defaults };
+
+    Object.entries(overrides).forEach(([key, value]) => {
+        merged[key] = isPlainObject(value) && isPlainObject(defaults[key])
+            ? mergeRules(defaults[key], value)
+            : value;
+    });
+
+    return merged;
+};
+
+// Scoring overrides from LEAD_SCORING_RULES; bad values are reported and ignored so the server still starts
+const readScoringOverrides = () => {
+    if (!process.env.LEAD_SCORING_RULES) return {};
+
+    try {
+        const rules = JSON.parse(process.env.LEAD_SCORING_RULES);
+        if (isPlainObject(rules)) return rules;
+        console.error('LEAD_SCORING_RULES must be a JSON object; using the default scoring rules');
+    } catch (error) {
+        console.error(`LEAD_SCORING_RULES is not valid JSON (${error.message}); using the default scoring rules`);
+    }
+
+    return {};
+};
+
+// Lead handling: automatic counselor assignment, lead scoring, public lead capture and follow-ups
+module.exports = {
+    assignment: {
+        // Assign new leads without a counselor automatically
+        enabled: process.env.LEAD_AUTO_ASSIGN !== 'false',
+        // Strategy when no assignment rule matches: 'round_robin' or 'lowest_workload'
+        defaultStrategy: process.env.LEAD_ASSIGNMENT_STRATEGY || 'round_robin'
+    },
+    // Points per factor; the total is capped at maxScore. Any part can be overridden
+    // with JSON in LEAD_SCORING_RULES, e.g. {"source":{"referral":30}} (tier lists are replaced whole)
+    scoring: mergeRules({
+        maxScore: 100,
+        // Leads in these statuses are not worked any more and score 0
+        closedStatuses: ['converted', 'lost', 'not_interested'],
+        source: {
+            referral: 20,
+            walk_in: 15,
+            website: 10,
+            campaign: 8,
+            social_media: 5,
+            other: 0
+        },
+        // First matching tier wins
+        budget: [
+            { min: 100000, points: 20 },
+            { min: 50000, points: 15 },
+            { min: 20000, points: 10 },
+            { min: 1, points: 5 }
+        ],
+        // Days until the lead expects to join
+        expectedJoining: [
+            { withinDays: 30, points: 20 },
+            { withinDays: 90, points: 10 },
+            { withinDays: 180, points: 5 }
+        ],
+        education: {
+            // Qualification given at all
+            qualification: 5,
+            percentage: [
+                { min: 75, points: 5 },
+                { min: 60, points: 3 }
+            ]
+        },
+        experience: [
+            { minYears: 5, points: 10 },
+            { minYears: 2, points: 7 },
+            { minYears: 1, points: 4 }
+        ],
+        // Points per communication by status; engagement is capped
+        communications: {
+            completed: 5,
+            maxEngagement: 15,
+            missed: -5,
+            cancelled: -2
+        },
+        // Days since the last completed communication
+        recency: {
+            tiers: [
+                { withinDays: 3, points: 15 },
+                { withinDays: 7, points: 10 },
+                { withinDays: 30, points: 5 }
+            ],
+            // Leads nobody has spoken to for this long lose points
+            staleAfterDays: 45,
+            stalePoints: -10
+        }
+    }, readScoringOverrides()),
+    // Scores depend on dates, so they are refreshed on a schedule too
+    scoreRefreshIntervalMinutes: Number(process.env.LEAD_SCORE_REFRESH_INTERVAL_MINUTES || 24 * 60),
+    // Website and campaign forms posting to /api/public/leads
+    capture: {
+        // Submissions allowed from one IP within the window (0 = no limit)
+        maxPerIp: Number(process.env.LEAD_CAPTURE_MAX_PER_IP || 5),
+        windowMinutes: Number(process.env.LEAD_CAPTURE_WINDOW_MINUTES || 60),
+        // Hidden form field that people leave empty and bots fill in
+        honeypotField: process.env.LEAD_CAPTURE_HONEYPOT_FIELD || 'website',
+        captcha: {
+            // 'recaptcha', 'hcaptcha' or 'turnstile'; empty turns captcha checks off
+            provider: process.env.LEAD_CAPTURE_CAPTCHA_PROVIDER || '',
+            secret: process.env.LEAD_CAPTURE_CAPTCHA_SECRET || '',
+            // reCAPTCHA v3 only: lowest score accepted as human
+            minScore: Number(process.env.LEAD_CAPTURE_CAPTCHA_MIN_SCORE || 0.5),
+            // Provider calls taking longer than this count as a failed check
+            timeoutMs: Number(process.env.LEAD_CAPTURE_CAPTCHA_TIMEOUT_MS || 5000)
+        },
+        // How long submissions are kept for review
+        submissionRetentionDays: Number(process.env.LEAD_CAPTURE_SUBMISSION_RETENTION_DAYS || 90)
+    },
+    // Scheduled communications: reminders, missed follow-ups and escalation of idle leads
+    followUps: {
+        checkIntervalMinutes: Number(process.env.LEAD_FOLLOW_UP_CHECK_INTERVAL_MINUTES || 15),
+        // The assigned counselor is emailed this long before a follow-up
+        reminderMinutes: Number(process.env.LEAD_FOLLOW_UP_REMINDER_MINUTES || 60),
+        // Follow-ups still scheduled this long after their time are marked missed
+        missedAfterMinutes: Number(process.env.LEAD_FOLLOW_UP_MISSED_AFTER_MINUTES || 120),
+        // Open leads nobody has touched for this many days go to the counselor's manager (0 = never)
+        escalateAfterDays: Number(process.env.LEAD_ESCALATE_AFTER_DAYS || 7)
+    }
+};
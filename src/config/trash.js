@@ -0,0 +1,6 @@
+// Soft-deleted records: how long they stay in the trash and how often the purge runs
+module.exports = {
+    // Days a trashed record can still be restored (0 = keep forever)
+    retentionDays: Number(process.env.TRASH_RETENTION_DAYS || 30),
+    purgeIntervalMinutes: Number(process.env.TRASH_PURGE_INTERVAL_MINUTES || 24 * 60)
+};
@@ -7,13 +7,21 @@ const Attendance = require('../models/Attendance');
 const User = require('../models/User');
 const Batch = require('../models/Batch');
 const { formatCurrency, calculatePercentage } = require('../utils/helpers');
+const { getBranchMatch } = require('../utils/dataScope');
+
+// Courses offered in the branch of a branch match ({} for all branches)
+const courseBranchMatch = (branchMatch) => (branchMatch.branch
+    ? { $or: [{ branches: branchMatch.branch }, { branches: { $size: 0 } }] }
+    : {});
 
 // @desc    Get dashboard statistics
 // @route   GET /api/analytics/dashboard
 // @access  Private
 const getDashboardStats = async (req, res) => {
     try {
-        const { range = 'month' } = req.query;
+        const { range = 'month', branch } = req.query;
+        const branchMatch = getBranchMatch(req.user, branch);
+        const courseMatch = courseBranchMatch(branchMatch);
         
         // Calculate date range
         const endDate = new Date();
@@ -49,16 +57,17 @@ const getDashboardStats = async (req, res) => {
             totalEmployees,
             activeEmployees
         ] = await Promise.all([
-            Student.countDocuments(),
-            Student.countDocuments({ status: 'active' }),
-            Course.countDocuments(),
-            Course.countDocuments({ status: 'active' }),
-            Batch.countDocuments(),
-            Batch.countDocuments({ status: 'ongoing' }),
-            Lead.countDocuments(),
-            Lead.countDocuments({ convertedToStudent: true }),
-            User.countDocuments({ role: { $in: ['admin', 'employee', 'counselor', 'trainer'] } }),
+            Student.countDocuments(branchMatch),
+            Student.countDocuments({ ...branchMatch, status: 'active' }),
+            Course.countDocuments(courseMatch),
+            Course.countDocuments({ ...courseMatch, status: 'active' }),
+            Batch.countDocuments(branchMatch),
+            Batch.countDocuments({ ...branchMatch, status: 'ongoing' }),
+            Lead.countDocuments(branchMatch),
+            Lead.countDocuments({ ...branchMatch, convertedToStudent: true }),
+            User.countDocuments({ ...branchMatch, role: { $in: ['admin', 'employee', 'counselor', 'trainer'] } }),
             User.countDocuments({ 
+                ...branchMatch,
                 role: { $in: ['admin', 'employee', 'counselor', 'trainer'] },
                 status: 'active'
             })
@@ -68,6 +77,7 @@ const getDashboardStats = async (req, res) => {
         const revenueData = await Payment.aggregate([
             {
                 $match: {
+                    ...branchMatch,
                     status: 'completed',
                     paymentDate: { $gte: startDate, $lte: endDate }
                 }
@@ -89,6 +99,7 @@ const getDashboardStats = async (req, res) => {
         const enrollmentData = await Enrollment.aggregate([
             {
                 $match: {
+                    ...branchMatch,
                     enrollmentDate: { $gte: startDate, $lte: endDate }
                 }
             },
@@ -106,6 +117,7 @@ const getDashboardStats = async (req, res) => {
 
         // Get course enrollment distribution
         const courseEnrollment = await Course.aggregate([
+            { $match: courseMatch },
             {
                 $project: {
                     name: 1,
@@ -123,13 +135,13 @@ const getDashboardStats = async (req, res) => {
         ]);
 
         // Get recent activities
-        const recentPayments = await Payment.find({ status: 'completed' })
+        const recentPayments = await Payment.find({ ...branchMatch, status: 'completed' })
             .populate('student', 'studentId personalDetails.fullName')
             .sort({ paymentDate: -1 })
             .limit(5)
             .lean();
 
-        const recentEnrollments = await Enrollment.find()
+        const recentEnrollments = await Enrollment.find(branchMatch)
             .populate('student', 'studentId personalDetails.fullName')
             .populate('course', 'name courseCode')
             .sort({ enrollmentDate: -1 })
@@ -159,7 +171,7 @@ const getDashboardStats = async (req, res) => {
 
         // Calculate KPIs
         const totalRevenueResult = await Payment.aggregate([
-            { $match: { status: 'completed', paymentDate: { $gte: startDate } } },
+            { $match: { ...branchMatch, status: 'completed', paymentDate: { $gte: startDate } } },
             { $group: { _id: null, total: { $sum: '$amount' } } }
         ]);
 
@@ -208,7 +220,8 @@ const getDashboardStats = async (req, res) => {
                     start: startDate,
                     end: endDate,
                     label: range
-                }
+                },
+                branch: branchMatch.branch || null
             }
         });
     } catch (error) {
@@ -225,7 +238,8 @@ const getDashboardStats = async (req, res) => {
 // @access  Private (Admin/Employee)
 const getRevenueAnalytics = async (req, res) => {
     try {
-        const { startDate, endDate, groupBy = 'month' } = req.query;
+        const { startDate, endDate, groupBy = 'month', branch } = req.query;
+        const branchMatch = getBranchMatch(req.user, branch);
         
         const dateFilter = {};
         if (startDate || endDate) {
@@ -234,6 +248,9 @@ const getRevenueAnalytics = async (req, res) => {
             if (endDate) dateFilter.paymentDate.$lte = new Date(endDate);
         }
 
+        // Limit to the selected branch
+        Object.assign(dateFilter, branchMatch);
+
         // Group by time period
         let groupStage;
         switch(groupBy) {
@@ -310,6 +327,7 @@ const getRevenueAnalytics = async (req, res) => {
         const revenueByCourse = await Enrollment.aggregate([
             {
                 $match: {
+                    ...branchMatch,
                     'fees.paid': { $gt: 0 }
                 }
             },
@@ -368,7 +386,8 @@ const getRevenueAnalytics = async (req, res) => {
                 filters: {
                     startDate,
                     endDate,
-                    groupBy
+                    groupBy,
+                    branch: branchMatch.branch || null
                 }
             }
         });
@@ -386,7 +405,8 @@ const getRevenueAnalytics = async (req, res) => {
 // @access  Private
 const getStudentAnalytics = async (req, res) => {
     try {
-        const { startDate, endDate } = req.query;
+        const { startDate, endDate, branch } = req.query;
+        const branchMatch = getBranchMatch(req.user, branch);
         
         const dateFilter = {};
         if (startDate || endDate) {
@@ -395,6 +415,9 @@ const getStudentAnalytics = async (req, res) => {
             if (endDate) dateFilter['admissionDetails.admissionDate'].$lte = new Date(endDate);
         }
 
+        // Limit to the selected branch
+        Object.assign(dateFilter, branchMatch);
+
         // Students by status
         const studentsByStatus = await Student.aggregate([
             { $match: dateFilter },
@@ -429,7 +452,7 @@ const getStudentAnalytics = async (req, res) => {
 
         // Age distribution
         const ageDistribution = await Student.aggregate([
-            { $match: { 'personalDetails.dateOfBirth': { $exists: true, $ne: null } } },
+            { $match: { ...branchMatch, 'personalDetails.dateOfBirth': { $exists: true, $ne: null } } },
             {
                 $project: {
                     age: {
@@ -456,7 +479,7 @@ const getStudentAnalytics = async (req, res) => {
 
         // Gender distribution
         const genderDistribution = await Student.aggregate([
-            { $match: { 'personalDetails.gender': { $exists: true, $ne: null } } },
+            { $match: { ...branchMatch, 'personalDetails.gender': { $exists: true, $ne: null } } },
             { $group: {
                 _id: '$personalDetails.gender',
                 count: { $sum: 1 }
@@ -500,7 +523,8 @@ const getStudentAnalytics = async (req, res) => {
                 },
                 filters: {
                     startDate,
-                    endDate
+                    endDate,
+                    branch: branchMatch.branch || null
                 }
             }
         });
@@ -518,8 +542,12 @@ const getStudentAnalytics = async (req, res) => {
 // @access  Private
 const getCourseAnalytics = async (req, res) => {
     try {
+        const branchMatch = getBranchMatch(req.user, req.query.branch);
+        const courseMatch = courseBranchMatch(branchMatch);
+        
         // Course popularity by enrollment
         const coursePopularity = await Course.aggregate([
+            { $match: courseMatch },
             {
                 $project: {
                     name: 1,
@@ -552,6 +580,7 @@ const getCourseAnalytics = async (req, res) => {
 
         // Courses by category
         const coursesByCategory = await Course.aggregate([
+            { $match: courseMatch },
             { $group: {
                 _id: '$category',
                 count: { $sum: 1 },
@@ -568,7 +597,7 @@ const getCourseAnalytics = async (req, res) => {
         // Course completion statistics
         const completionStats = await Enrollment.aggregate([
             {
-                $match: { status: { $in: ['completed', 'dropped', 'active'] } }
+                $match: { ...branchMatch, status: { $in: ['completed', 'dropped', 'active'] } }
             },
             {
                 $lookup: {
@@ -622,7 +651,7 @@ const getCourseAnalytics = async (req, res) => {
         // Revenue by course
         const revenueByCourse = await Enrollment.aggregate([
             {
-                $match: { 'fees.paid': { $gt: 0 } }
+                $match: { ...branchMatch, 'fees.paid': { $gt: 0 } }
             },
             {
                 $lookup: {
@@ -660,6 +689,7 @@ const getCourseAnalytics = async (req, res) => {
 
         // Batch statistics
         const batchStats = await Batch.aggregate([
+            { $match: branchMatch },
             { $group: {
                 _id: '$status',
                 count: { $sum: 1 },
@@ -685,10 +715,10 @@ const getCourseAnalytics = async (req, res) => {
                     return acc;
                 }, {}),
                 summary: {
-                    totalCourses: await Course.countDocuments(),
-                    activeCourses: await Course.countDocuments({ status: 'active' }),
-                    totalBatches: await Batch.countDocuments(),
-                    ongoingBatches: await Batch.countDocuments({ status: 'ongoing' })
+                    totalCourses: await Course.countDocuments(courseMatch),
+                    activeCourses: await Course.countDocuments({ ...courseMatch, status: 'active' }),
+                    totalBatches: await Batch.countDocuments(branchMatch),
+                    ongoingBatches: await Batch.countDocuments({ ...branchMatch, status: 'ongoing' })
                 }
             }
         });
@@ -706,7 +736,8 @@ const getCourseAnalytics = async (req, res) => {
 // @access  Private
 const getEnrollmentAnalytics = async (req, res) => {
     try {
-        const { startDate, endDate } = req.query;
+        const { startDate, endDate, branch } = req.query;
+        const branchMatch = getBranchMatch(req.user, branch);
         
         const dateFilter = {};
         if (startDate || endDate) {
@@ -715,6 +746,9 @@ const getEnrollmentAnalytics = async (req, res) => {
             if (endDate) dateFilter.enrollmentDate.$lte = new Date(endDate);
         }
 
+        // Limit to the selected branch
+        Object.assign(dateFilter, branchMatch);
+
         // Enrollments by month
         const enrollmentsByMonth = await Enrollment.aggregate([
             { $match: dateFilter },
@@ -834,7 +868,8 @@ const getEnrollmentAnalytics = async (req, res) => {
                 },
                 filters: {
                     startDate,
-                    endDate
+                    endDate,
+                    branch: branchMatch.branch || null
                 }
             }
         });
@@ -852,7 +887,8 @@ const getEnrollmentAnalytics = async (req, res) => {
 // @access  Private (Admin/Counselor)
 const getLeadAnalytics = async (req, res) => {
     try {
-        const { startDate, endDate } = req.query;
+        const { startDate, endDate, branch } = req.query;
+        const branchMatch = getBranchMatch(req.user, branch);
         
         const dateFilter = {};
         if (startDate || endDate) {
@@ -861,6 +897,9 @@ const getLeadAnalytics = async (req, res) => {
             if (endDate) dateFilter['meta.createdAt'].$lte = new Date(endDate);
         }
 
+        // Limit to the selected branch
+        Object.assign(dateFilter, branchMatch);
+
         // Leads by status
         const leadsByStatus = await Lead.aggregate([
             { $match: dateFilter },
@@ -934,6 +973,7 @@ const getLeadAnalytics = async (req, res) => {
         // Conversion time analysis
         const conversionTimeStats = await Lead.aggregate([
             { $match: { 
+                ...branchMatch,
                 convertedToStudent: true,
                 convertedDate: { $exists: true },
                 'meta.createdAt': { $exists: true }
@@ -1000,7 +1040,8 @@ const getLeadAnalytics = async (req, res) => {
                 conversionTime: conversionTimeStats.length > 0 ? conversionTimeStats[0] : null,
                 filters: {
                     startDate,
-                    endDate
+                    endDate,
+                    branch: branchMatch.branch || null
                 }
             }
         });
@@ -1018,7 +1059,8 @@ const getLeadAnalytics = async (req, res) => {
 // @access  Private (Admin/Employee)
 const getPaymentAnalytics = async (req, res) => {
     try {
-        const { startDate, endDate } = req.query;
+        const { startDate, endDate, branch } = req.query;
+        const branchMatch = getBranchMatch(req.user, branch);
         
         const dateFilter = {};
         if (startDate || endDate) {
@@ -1027,6 +1069,9 @@ const getPaymentAnalytics = async (req, res) => {
             if (endDate) dateFilter.paymentDate.$lte = new Date(endDate);
         }
 
+        // Limit to the selected branch
+        Object.assign(dateFilter, branchMatch);
+
         // Payments by status
         const paymentsByStatus = await Payment.aggregate([
             { $match: dateFilter },
@@ -1086,6 +1131,7 @@ const getPaymentAnalytics = async (req, res) => {
 
         // Collection efficiency
         const collectionStats = await Enrollment.aggregate([
+            { $match: branchMatch },
             {
                 $group: {
                     _id: null,
@@ -1157,7 +1203,8 @@ const getPaymentAnalytics = async (req, res) => {
                 } : null,
                 filters: {
                     startDate,
-                    endDate
+                    endDate,
+                    branch: branchMatch.branch || null
                 }
             }
         });
@@ -1175,7 +1222,8 @@ const getPaymentAnalytics = async (req, res) => {
 // @access  Private (Admin/Trainer)
 const getAttendanceAnalytics = async (req, res) => {
     try {
-        const { startDate, endDate, batch } = req.query;
+        const { startDate, endDate, batch, branch } = req.query;
+        const branchMatch = getBranchMatch(req.user, branch);
         
         const dateFilter = {};
         if (startDate || endDate) {
@@ -1188,6 +1236,14 @@ const getAttendanceAnalytics = async (req, res) => {
             dateFilter.batch = batch;
         }
 
+        // Attendance has no branch of its own; limit it to the branch's batches
+        if (branchMatch.branch) {
+            const branchBatches = await Batch.distinct('_id', branchMatch);
+            dateFilter.batch = batch
+                ? { $in: branchBatches.filter(id => id.toString() === batch) }
+                : { $in: branchBatches };
+        }
+
         // Overall attendance statistics
         const attendanceStats = await Attendance.aggregate([
             { $match: dateFilter },
@@ -1333,7 +1389,8 @@ const getAttendanceAnalytics = async (req, res) => {
                 filters: {
                     startDate,
                     endDate,
-                    batch
+                    batch,
+                    branch: branchMatch.branch || null
                 }
             }
         });
@@ -1351,9 +1408,9 @@ const getAttendanceAnalytics = async (req, res) => {
 // @access  Private (Admin/Trainer)
 const getPerformanceAnalytics = async (req, res) => {
     try {
-        const { course, batch } = req.query;
+        const { course, batch, branch } = req.query;
         
-        const filter = {};
+        const filter = { ...getBranchMatch(req.user, branch) };
         if (course) filter.course = course;
         if (batch) filter.batch = batch;
 
@@ -1530,7 +1587,8 @@ const getPerformanceAnalytics = async (req, res) => {
                 },
                 filters: {
                     course,
-                    batch
+                    batch,
+                    branch: filter.branch || null
                 }
             }
         });
@@ -0,0 +1,194 @@
+const AssignmentRule = require('../models/AssignmentRule');
+const { getAvailableCounselors, getOpenWorkload } = require('../utils/leadAssignment');
+
+const RULE_FIELDS = ['name', 'description', 'priority', 'active', 'conditions', 'strategy', 'counselors'];
+
+// @desc    Get lead assignment rules
+// @route   GET /api/assignment-rules
+// @access  Private (Admin only)
+const getAssignmentRules = async (req, res) => {
+    try {
+        const rules = await AssignmentRule.find()
+            .populate('conditions.courses', 'name courseCode')
+            .populate('conditions.branches', 'name code')
+            .populate('counselors', 'username profile.firstName profile.lastName status')
+            .sort({ priority: 1, createdAt: 1 })
+            .lean();
+        
+        res.json({
+            success: true,
+            count: rules.length,
+            data: rules
+        });
+    } catch (error) {
+        console.error('Get assignment rules error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get counselors available for new leads with their open workload
+// @route   GET /api/assignment-rules/counselors
+// @access  Private (Admin only)
+const getCounselorWorkload = async (req, res) => {
+    try {
+        const counselors = await getAvailableCounselors({ branch: req.query.branch });
+        const workload = await getOpenWorkload(counselors.map(counselor => counselor._id));
+        
+        res.json({
+            success: true,
+            count: counselors.length,
+            data: counselors.map(counselor => ({
+                ...counselor,
+                openLeads: workload.get(counselor._id.toString()) || 0
+            }))
+        });
+    } catch (error) {
+        console.error('Get counselor workload error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Create lead assignment rule
+// @route   POST /api/assignment-rules
+// @access  Private (Admin only)
+const createAssignmentRule = async (req, res) => {
+    try {
+        const ruleData = RULE_FIELDS.reduce((data, key) => (
+            req.body[key] !== undefined ? { ...data, [key]: req.body[key] } : data
+        ), {});
+        
+        const rule = await AssignmentRule.create({
+            ...ruleData,
+            meta: {
+                createdBy: req.user.id,
+                updatedBy: req.user.id
+            }
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: 'Assignment rule created successfully',
+            data: rule
+        });
+    } catch (error) {
+        console.error('Create assignment rule error:', error);
+        
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Assignment rule name already exists'
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Update lead assignment rule
+// @route   PUT /api/assignment-rules/:id
+// @access  Private (Admin only)
+const updateAssignmentRule = async (req, res) => {
+    try {
+        const rule = await AssignmentRule.findById(req.params.id);
+        
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assignment rule not found'
+            });
+        }
+        
+        RULE_FIELDS.forEach(key => {
+            if (req.body[key] !== undefined) {
+                rule[key] = req.body[key];
+            }
+        });
+        
+        rule.meta.updatedBy = req.user.id;
+        rule.meta.updatedAt = new Date();
+        
+        await rule.save();
+        
+        res.json({
+            success: true,
+            message: 'Assignment rule updated successfully',
+            data: rule
+        });
+    } catch (error) {
+        console.error('Update assignment rule error:', error);
+        
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Assignment rule name already exists'
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Delete lead assignment rule
+// @route   DELETE /api/assignment-rules/:id
+// @access  Private (Admin only)
+const deleteAssignmentRule = async (req, res) => {
+    try {
+        const rule = await AssignmentRule.findById(req.params.id);
+        
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assignment rule not found'
+            });
+        }
+        
+        await rule.deleteOne();
+        
+        res.json({
+            success: true,
+            message: 'Assignment rule deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete assignment rule error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    getAssignmentRules,
+    getCounselorWorkload,
+    createAssignmentRule,
+    updateAssignmentRule,
+    deleteAssignmentRule
+};
@@ -4,6 +4,13 @@ const Batch = require('../models/Batch');
 const Enrollment = require('../models/Enrollment');
 const Session = require('../models/Session');
 const { ATTENDANCE_STATUS } = require('../utils/constants');
+const { toDateKey } = require('../utils/scheduleHelpers');
+const { SOFT_DELETE_FIELDS } = require('../utils/softDelete');
+const {
+    buildAttendanceMatrix,
+    writeAttendanceCsv,
+    writeAttendanceXlsx
+} = require('../utils/spreadsheetGenerator');
 
 // @desc    Get all attendance records
 // @route   GET /api/attendance
@@ -186,7 +193,7 @@ const markAttendance = async (req, res) => {
         
         // Update enrollment attendance
         if (batch) {
-            await Enrollment.findOneAndUpdate(
+            await Enrollment.auditedUpdateOne(
                 { student, batch },
                 {
                     $push: {
@@ -253,7 +260,7 @@ const updateAttendance = async (req, res) => {
         
         // Update fields
         Object.keys(req.body).forEach(key => {
-            if (key !== 'meta' && key !== '_id') {
+            if (key !== 'meta' && key !== '_id' && !SOFT_DELETE_FIELDS.includes(key)) {
                 attendance[key] = req.body[key];
             }
         });
@@ -265,7 +272,7 @@ const updateAttendance = async (req, res) => {
         
         // Update enrollment attendance if batch exists
         if (attendance.batch) {
-            await Enrollment.findOneAndUpdate(
+            await Enrollment.auditedUpdateOne(
                 { 
                     student: attendance.student, 
                     batch: attendance.batch,
@@ -318,7 +325,7 @@ const deleteAttendance = async (req, res) => {
         
         // Remove from enrollment attendance if batch exists
         if (attendance.batch) {
-            await Enrollment.findOneAndUpdate(
+            await Enrollment.auditedUpdateOne(
                 { student: attendance.student, batch: attendance.batch },
                 {
                     $pull: {
@@ -935,18 +942,56 @@ const generateAttendanceReport = async (req, res) => {
         }
         
         // Return in requested format
-        if (format === 'csv') {
-            // TODO: Implement CSV generation
-            res.setHeader('Content-Type', 'text/csv');
-            res.setHeader('Content-Disposition', `attachment; filename=attendance_report_${Date.now()}.csv`);
-            // Generate CSV content
-            return res.send('CSV generation not implemented in this example');
-        } else if (format === 'pdf') {
-            // TODO: Implement PDF generation
-            res.setHeader('Content-Type', 'application/pdf');
-            res.setHeader('Content-Disposition', `attachment; filename=attendance_report_${Date.now()}.pdf`);
-            // Generate PDF content
-            return res.send('PDF generation not implemented in this example');
+        if (format === 'csv' || format === 'xlsx') {
+            if (reportData.type === 'overall_report') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A batch or student is required for file exports'
+                });
+            }
+            
+            const details = [
+                ['Period', `${toDateKey(startDate)} to ${toDateKey(endDate)}`],
+                ['Generated At', reportData.generatedAt.toISOString()]
+            ];
+            let title;
+            let fileName;
+            
+            if (reportData.type === 'batch_report') {
+                const batchData = reportData.batch;
+                title = 'Batch Attendance Report';
+                fileName = `attendance_${batchData?.batchId || batch}`;
+                details.unshift(
+                    ['Batch', batchData ? `${batchData.name} (${batchData.batchId})` : batch],
+                    ['Course', batchData?.course ? `${batchData.course.name} (${batchData.course.courseCode})` : ''],
+                    ['Instructor', batchData?.instructor?.fullName || batchData?.instructor?.username || '']
+                );
+                details.push(['Average Attendance %', reportData.summary.averageAttendance]);
+            } else {
+                const studentData = reportData.student;
+                title = 'Student Attendance Report';
+                fileName = `attendance_${studentData?.studentId || student}`;
+                details.unshift(
+                    ['Student', studentData ? `${studentData.personalDetails.fullName} (${studentData.studentId})` : student]
+                );
+                details.push(['Attendance %', reportData.summary.attendancePercentage]);
+            }
+            
+            const report = {
+                title,
+                details,
+                matrix: buildAttendanceMatrix(attendanceRecords)
+            };
+            
+            if (format === 'csv') {
+                res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                res.setHeader('Content-Disposition', `attachment; filename=${fileName}_${Date.now()}.csv`);
+                return writeAttendanceCsv(res, report);
+            }
+            
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.setHeader('Content-Disposition', `attachment; filename=${fileName}_${Date.now()}.xlsx`);
+            return await writeAttendanceXlsx(res, report);
         }
         
         // Default to JSON
@@ -957,6 +1002,7 @@ const generateAttendanceReport = async (req, res) => {
         });
     } catch (error) {
         console.error('Generate attendance report error:', error);
+        if (res.headersSent) return res.end();
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -0,0 +1,108 @@
+const AuditLog = require('../models/AuditLog');
+
+// Escape a value for use inside a RegExp
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Entity names are matched case-insensitively (lead, Lead, LEAD)
+const entityFilter = (entity) => ({ $regex: `^${escapeRegex(entity)}$`, $options: 'i' });
+
+// Build the audit log query from request filters
+const buildAuditQuery = ({ actor, entity, entityId, action, event, field, route, startDate, endDate }) => {
+    const query = {};
+    
+    if (actor) query.actor = actor;
+    if (entity) query.entity = entityFilter(entity);
+    if (entityId) query.entityId = entityId;
+    if (action) query.action = action;
+    if (event) query.event = event;
+    if (field) query['changes.field'] = { $regex: `^${escapeRegex(field)}` };
+    if (route) query.route = route;
+    
+    if (startDate || endDate) {
+        query.createdAt = {};
+        if (startDate) query.createdAt.$gte = new Date(startDate);
+        if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+    
+    return query;
+};
+
+// @desc    Get audit log entries
+// @route   GET /api/audit
+// @access  Private (Admin only)
+const getAuditLogs = async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        
+        const query = buildAuditQuery(req.query);
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        
+        const [logs, total] = await Promise.all([
+            AuditLog.find(query)
+                .populate('actor', 'username profile.firstName profile.lastName')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            AuditLog.countDocuments(query)
+        ]);
+        
+        res.json({
+            success: true,
+            count: logs.length,
+            total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            data: logs
+        });
+    } catch (error) {
+        console.error('Get audit logs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get the change history of one record
+// @route   GET /api/audit/:entity/:entityId
+// @access  Private (Admin only)
+const getRecordHistory = async (req, res) => {
+    try {
+        const { entity, entityId } = req.params;
+        
+        const history = await AuditLog.find({ entity: entityFilter(entity), entityId })
+            .populate('actor', 'username profile.firstName profile.lastName')
+            .sort({ createdAt: -1 })
+            .lean();
+        
+        if (!history.length) {
+            return res.status(404).json({
+                success: false,
+                message: 'No history found for this record'
+            });
+        }
+        
+        res.json({
+            success: true,
+            count: history.length,
+            data: {
+                entity: history[0].entity,
+                entityId,
+                entityLabel: history.find(entry => entry.entityLabel)?.entityLabel,
+                history
+            }
+        });
+    } catch (error) {
+        console.error('Get record history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    getAuditLogs,
+    getRecordHistory
+};
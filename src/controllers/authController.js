@@ -1,14 +1,41 @@
+const crypto = require('crypto');
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
-const { getPermissionsByRole } = require('../utils/permissions');
+const Student = require('../models/Student');
+const UserSession = require('../models/UserSession');
+const SecuritySetting = require('../models/SecuritySetting');
+const { resolvePermissions } = require('../utils/permissions');
 const { hashPassword } = require('../utils/helpers');
-
-// Generate JWT Token
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRE
-    });
-};
+const {
+    generateAccessToken,
+    generateMfaToken,
+    createSession,
+    rotateSession,
+    revokeSessions,
+    setAccessCookie,
+    setAuthCookies,
+    clearAuthCookies,
+    formatSession
+} = require('../utils/sessionService');
+const {
+    sleep,
+    recordAttempt,
+    countRecentAttempts,
+    countIpFailures,
+    getProgressiveDelay,
+    getLockMinutesRemaining,
+    registerFailedLogin,
+    resetFailedLogins,
+    unlockAccount,
+    sendThrottled
+} = require('../utils/loginProtection');
+const {
+    decodeVerificationToken,
+    sendVerificationEmail,
+    isVerificationRequiredForLogin,
+    canReceiveSensitiveEmails,
+    setEmailVerified
+} = require('../utils/emailVerification');
+const authConfig = require('../config/auth');
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -30,7 +57,7 @@ const register = async (req, res) => {
         }
         
         // Get permissions based on role
-        const permissions = getPermissionsByRole(role || 'employee');
+        const permissions = await resolvePermissions({ role: role || 'employee' });
         
         // Create user
         const user = await User.create({
@@ -45,12 +72,26 @@ const register = async (req, res) => {
             }
         });
         
-        const token = generateToken(user._id);
+        sendVerificationEmail(user).catch(error => console.error('Verification email error:', error));
+        
+        // Logging in has to wait for the email to be verified
+        if (isVerificationRequiredForLogin(user)) {
+            return res.status(201).json({
+                success: true,
+                message: 'User registered successfully. Check your email to verify your address before logging in.',
+                emailVerificationRequired: true,
+                user: user.getDashboardData()
+            });
+        }
+        
+        const { accessToken, refreshToken, expiresIn } = await createSession(user, req);
         
         res.status(201).json({
             success: true,
-            message: 'User registered successfully',
-            token,
+            message: 'User registered successfully. Check your email to verify your address.',
+            token: accessToken,
+            refreshToken,
+            expiresIn,
             user: user.getDashboardData()
         });
     } catch (error) {
@@ -87,52 +128,141 @@ const login = async (req, res) => {
             });
         }
         
+        const identifier = String(email).toLowerCase().trim();
+        const attempt = { type: 'login', identifier };
+        const { ipMaxAttempts, windowMinutes } = authConfig.lockout;
+        
+        // Too many failures from this IP, whatever the account
+        const ipFailures = await countIpFailures(req, ['login', 'mfa'], windowMinutes);
+        if (ipMaxAttempts > 0 && ipFailures >= ipMaxAttempts) {
+            await recordAttempt(req, { ...attempt, reason: 'ip-throttled' });
+            return sendThrottled(res, 'Too many failed login attempts from this IP. Please try again later.', windowMinutes);
+        }
+        
         // Check for user
-        const user = await User.findOne({ email }).select('+password');
+        const user = await User.findOne({ email: identifier }).select('+password');
         
         if (!user) {
+            await recordAttempt(req, { ...attempt, reason: 'unknown-user' });
+            await sleep(getProgressiveDelay(ipFailures + 1));
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
         
+        attempt.user = user._id;
+        
+        // Check if the account is temporarily locked
+        if (user.isLocked()) {
+            await recordAttempt(req, { ...attempt, reason: 'account-locked' });
+            return res.status(423).json({
+                success: false,
+                message: `Account is temporarily locked. Try again in ${getLockMinutesRemaining(user)} minute(s) or contact administrator.`
+            });
+        }
+        
         // Check if user is active
         if (user.status !== 'active') {
+            await recordAttempt(req, { ...attempt, reason: 'account-inactive' });
             return res.status(401).json({
                 success: false,
                 message: 'Account is deactivated. Please contact administrator.'
             });
         }
         
+        // Slow down repeated guesses before checking the password
+        await sleep(getProgressiveDelay(Math.max(user.lockout?.failedAttempts || 0, ipFailures)));
+        
         // Check password
         const isPasswordMatch = await user.comparePassword(password);
         
+        if (isPasswordMatch && isVerificationRequiredForLogin(user)) {
+            await recordAttempt(req, { ...attempt, reason: 'email-unverified' });
+            return res.status(403).json({
+                success: false,
+                message: 'Please verify your email address before logging in.',
+                emailVerificationRequired: true
+            });
+        }
+        
         if (!isPasswordMatch) {
+            await recordAttempt(req, { ...attempt, reason: 'invalid-credentials' });
+            const { locked } = await registerFailedLogin(user, req);
+            
+            if (locked) {
+                return res.status(423).json({
+                    success: false,
+                    message: `Too many failed attempts. Account is locked for ${authConfig.lockout.lockMinutes} minutes.`
+                });
+            }
+            
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
         
+        // Student accounts must be linked to an active student record
+        let studentIds;
+        if (user.role === 'student') {
+            const students = await Student.find({
+                'loginCredentials.user': user._id,
+                'loginCredentials.isActive': { $ne: false }
+            }).select('_id');
+            
+            if (students.length === 0) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'No active student record is linked to this account. Please contact administrator.'
+                });
+            }
+            
+            studentIds = students.map(student => student._id);
+            await Student.updateMany(
+                { _id: { $in: studentIds } },
+                { $set: { 'loginCredentials.lastLogin': new Date() } }
+            );
+        }
+        
+        // Second step: enter a 2FA code, or enrol first when the role requires it
+        const mfaRequired = await SecuritySetting.isMfaRequired(user.role);
+        if (user.mfa?.enabled || mfaRequired) {
+            const setupRequired = !user.mfa?.enabled;
+            await recordAttempt(req, { ...attempt, success: true, reason: 'mfa-pending' });
+            
+            return res.json({
+                success: true,
+                message: setupRequired
+                    ? 'Two-factor authentication must be set up to continue'
+                    : 'Enter the code from your authenticator app',
+                mfaRequired: true,
+                mfaSetupRequired: setupRequired,
+                mfaToken: generateMfaToken(user._id, setupRequired ? 'mfa-setup' : 'mfa')
+            });
+        }
+        
         // Update last login
         user.lastLogin = new Date();
+        resetFailedLogins(user);
         await user.save();
+        await recordAttempt(req, { ...attempt, success: true, reason: 'success' });
         
-        const token = generateToken(user._id);
+        const tokens = await createSession(user, req);
         
-        // Set cookie for token
-        res.cookie('token', token, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-        });
+        // Set cookies for the access and refresh tokens
+        setAuthCookies(res, tokens);
         
         res.json({
             success: true,
             message: 'Login successful',
-            token,
-            user: user.getDashboardData()
+            token: tokens.accessToken,
+            refreshToken: tokens.refreshToken,
+            expiresIn: tokens.expiresIn,
+            user: {
+                ...user.getDashboardData(),
+                studentIds
+            }
         });
     } catch (error) {
         console.error('Login error:', error);
@@ -245,9 +375,19 @@ const changePassword = async (req, res) => {
         user.passwordChangedAt = Date.now();
         await user.save();
         
+        // Sign out every other device; this one gets a token issued after the change
+        const sessionsRevoked = await revokeSessions(
+            { user: user._id, _id: { $ne: req.sessionId } },
+            { reason: 'password-change', revokedBy: user._id }
+        );
+        const token = req.sessionId ? generateAccessToken(user._id, req.sessionId) : undefined;
+        if (token) setAccessCookie(res, token);
+        
         res.json({
             success: true,
-            message: 'Password changed successfully'
+            message: 'Password changed successfully',
+            token,
+            sessionsRevoked
         });
     } catch (error) {
         console.error('Change password error:', error);
@@ -263,8 +403,12 @@ const changePassword = async (req, res) => {
 // @access  Private
 const logout = async (req, res) => {
     try {
-        // Clear cookie
-        res.clearCookie('token');
+        // End this device's session so its refresh token stops working
+        if (req.sessionId) {
+            await revokeSessions({ _id: req.sessionId }, { reason: 'logout', revokedBy: req.user._id });
+        }
+        
+        clearAuthCookies(res);
         
         res.json({
             success: true,
@@ -293,26 +437,65 @@ const forgotPassword = async (req, res) => {
             });
         }
         
-        const user = await User.findOne({ email });
+        const identifier = String(email).toLowerCase().trim();
+        const attempt = { type: 'password-reset-request', identifier };
+        const { maxPerEmail, maxPerIp, windowMinutes } = authConfig.passwordReset;
+        
+        // Limit reset requests per IP and per email address (rejected requests do not count)
+        const counted = { type: attempt.type, reason: { $nin: ['ip-throttled', 'email-throttled'] } };
+        const [ipRequests, emailRequests] = await Promise.all([
+            countRecentAttempts({ ...counted, ip: req.ip }, windowMinutes),
+            countRecentAttempts({ ...counted, identifier }, windowMinutes)
+        ]);
+        
+        if (maxPerIp > 0 && ipRequests >= maxPerIp) {
+            await recordAttempt(req, { ...attempt, reason: 'ip-throttled' });
+            return sendThrottled(res, 'Too many password reset requests from this IP. Please try again later.', windowMinutes);
+        }
+        
+        if (maxPerEmail > 0 && emailRequests >= maxPerEmail) {
+            await recordAttempt(req, { ...attempt, reason: 'email-throttled' });
+            return sendThrottled(res, 'Too many password reset requests for this email. Please try again later.', windowMinutes);
+        }
+        
+        const user = await User.findOne({ email: identifier });
         
         if (!user) {
+            await recordAttempt(req, { ...attempt, reason: 'unknown-user' });
             return res.status(404).json({
                 success: false,
                 message: 'User not found with this email'
             });
         }
         
+        // Reset links only go to addresses the user has proved they own. The answer is the
+        // same as for a sent link so it does not tell who has verified their address.
+        if (!canReceiveSensitiveEmails(user)) {
+            await recordAttempt(req, { ...attempt, user: user._id, reason: 'email-unverified' });
+            return res.json({
+                success: true,
+                message: 'Password reset link sent to your email'
+            });
+        }
+        
+        await recordAttempt(req, { ...attempt, user: user._id, success: true, reason: 'success' });
+        
         // Generate reset token
         const resetToken = user.createPasswordResetToken();
         await user.save({ validateBeforeSave: false });
         
-        // TODO: Send email with reset token
+        const emailService = require('../utils/emailService');
+        const emailResult = await emailService.sendPasswordResetEmail(user, resetToken);
+        if (!emailResult.success) {
+            console.error('Password reset email error:', emailResult.error);
+        }
+        
         const resetUrl = `${req.protocol}://${req.get('host')}/api/auth/reset-password/${resetToken}`;
         
-        // For now, just return the token (in production, send email)
+        // The token itself is only returned in development
         res.json({
             success: true,
-            message: 'Password reset token generated',
+            message: 'Password reset link sent to your email',
             resetToken: process.env.NODE_ENV === 'development' ? resetToken : undefined,
             resetUrl: process.env.NODE_ENV === 'development' ? resetUrl : undefined
         });
@@ -348,6 +531,15 @@ const resetPassword = async (req, res) => {
             });
         }
         
+        const { maxPerIp, windowMinutes } = authConfig.passwordReset;
+        
+        // Stop token guessing from one IP
+        const ipFailures = await countIpFailures(req, ['password-reset'], windowMinutes);
+        if (maxPerIp > 0 && ipFailures >= maxPerIp) {
+            await recordAttempt(req, { type: 'password-reset', reason: 'ip-throttled' });
+            return sendThrottled(res, 'Too many invalid reset attempts from this IP. Please try again later.', windowMinutes);
+        }
+        
         // Hash token
         const hashedToken = crypto
             .createHash('sha256')
@@ -361,12 +553,25 @@ const resetPassword = async (req, res) => {
         });
         
         if (!user) {
+            await recordAttempt(req, { type: 'password-reset', reason: 'invalid-token' });
+            await sleep(getProgressiveDelay(ipFailures + 1));
             return res.status(400).json({
                 success: false,
                 message: 'Token is invalid or has expired'
             });
         }
         
+        // Proving ownership of the email also lifts a lockout and verifies the address
+        unlockAccount(user);
+        if (!user.isEmailVerified) setEmailVerified(user, true);
+        await recordAttempt(req, {
+            type: 'password-reset',
+            identifier: user.email,
+            user: user._id,
+            success: true,
+            reason: 'success'
+        });
+        
         // Update password
         user.password = password;
         user.passwordResetToken = undefined;
@@ -375,13 +580,18 @@ const resetPassword = async (req, res) => {
         
         await user.save();
         
-        // Generate new token
-        const newToken = generateToken(user._id);
+        // Whoever knew the old password is signed out everywhere
+        await revokeSessions({ user: user._id }, { reason: 'password-change', revokedBy: user._id });
+        
+        const tokens = await createSession(user, req);
+        setAuthCookies(res, tokens);
         
         res.json({
             success: true,
             message: 'Password reset successful',
-            token: newToken,
+            token: tokens.accessToken,
+            refreshToken: tokens.refreshToken,
+            expiresIn: tokens.expiresIn,
             user: user.getDashboardData()
         });
     } catch (error) {
@@ -393,6 +603,257 @@ const resetPassword = async (req, res) => {
     }
 };
 
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+const verifyEmail = async (req, res) => {
+    try {
+        const attempt = { type: 'email-verification' };
+        const decoded = decodeVerificationToken(req.params.token);
+        const user = decoded && await User.findById(decoded.id);
+        
+        // Links sent before an email change no longer match the account
+        if (!user || user.email !== decoded.email) {
+            await recordAttempt(req, { ...attempt, reason: 'invalid-token' });
+            return res.status(400).json({
+                success: false,
+                message: 'Verification link is invalid or has expired'
+            });
+        }
+        
+        attempt.identifier = user.email;
+        attempt.user = user._id;
+        
+        if (user.isEmailVerified) {
+            await recordAttempt(req, { ...attempt, success: true, reason: 'already-verified' });
+            return res.json({
+                success: true,
+                message: 'Email address is already verified'
+            });
+        }
+        
+        setEmailVerified(user, true);
+        await user.save({ validateBeforeSave: false });
+        await recordAttempt(req, { ...attempt, success: true, reason: 'success' });
+        
+        res.json({
+            success: true,
+            message: 'Email address verified successfully'
+        });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Resend the email verification link
+// @route   POST /api/auth/verify-email/resend
+// @access  Public
+const resendVerificationEmail = async (req, res) => {
+    try {
+        const identifier = String(req.body.email).toLowerCase().trim();
+        const attempt = { type: 'email-verification-request', identifier };
+        const { resendCooldownMinutes, maxPerEmail, maxPerIp, windowMinutes } = authConfig.emailVerification;
+        
+        // Limit verification emails per IP and per address (rejected requests do not count)
+        const counted = { type: attempt.type, reason: { $nin: ['ip-throttled', 'email-throttled'] } };
+        const [ipRequests, emailRequests, recentEmailRequests] = await Promise.all([
+            countRecentAttempts({ ...counted, ip: req.ip }, windowMinutes),
+            countRecentAttempts({ ...counted, identifier }, windowMinutes),
+            countRecentAttempts({ ...counted, identifier }, resendCooldownMinutes)
+        ]);
+        
+        if (maxPerIp > 0 && ipRequests >= maxPerIp) {
+            await recordAttempt(req, { ...attempt, reason: 'ip-throttled' });
+            return sendThrottled(res, 'Too many verification requests from this IP. Please try again later.', windowMinutes);
+        }
+        
+        if (resendCooldownMinutes > 0 && recentEmailRequests > 0) {
+            await recordAttempt(req, { ...attempt, reason: 'email-throttled' });
+            return sendThrottled(res, `Please wait ${resendCooldownMinutes} minute(s) before requesting another verification email.`, resendCooldownMinutes);
+        }
+        
+        if (maxPerEmail > 0 && emailRequests >= maxPerEmail) {
+            await recordAttempt(req, { ...attempt, reason: 'email-throttled' });
+            return sendThrottled(res, 'Too many verification emails for this address. Please try again later.', windowMinutes);
+        }
+        
+        const user = await User.findOne({ email: identifier });
+        
+        // Same answer whether or not the account exists or is already verified
+        const response = {
+            success: true,
+            message: 'If an unverified account exists for this email, a verification link has been sent'
+        };
+        
+        if (!user || user.isEmailVerified || user.status !== 'active') {
+            await recordAttempt(req, {
+                ...attempt,
+                user: user?._id,
+                reason: !user ? 'unknown-user' : user.isEmailVerified ? 'already-verified' : 'account-inactive'
+            });
+            return res.json(response);
+        }
+        
+        await recordAttempt(req, { ...attempt, user: user._id, success: true, reason: 'success' });
+        
+        const emailResult = await sendVerificationEmail(user);
+        if (!emailResult.success) {
+            console.error('Verification email error:', emailResult.error);
+        }
+        
+        res.json(response);
+    } catch (error) {
+        console.error('Resend verification email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Exchange a refresh token for a new access token
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshToken = async (req, res) => {
+    try {
+        const token = req.body.refreshToken || req.cookies?.refreshToken;
+        
+        if (!token) {
+            return res.status(401).json({
+                success: false,
+                message: 'Refresh token is required'
+            });
+        }
+        
+        const result = await rotateSession(token, req);
+        
+        if (result.error) {
+            if (result.error === 'reused') {
+                console.warn(`Refresh token reuse detected for session ${result.session._id}, session revoked`);
+            }
+            
+            clearAuthCookies(res);
+            return res.status(401).json({
+                success: false,
+                message: result.error === 'reused'
+                    ? 'Refresh token has already been used. Please login again.'
+                    : 'Session has expired or been revoked. Please login again.'
+            });
+        }
+        
+        const user = await User.findById(result.session.user);
+        
+        if (!user || user.status !== 'active') {
+            await revokeSessions({ _id: result.session._id }, { reason: 'account-status' });
+            clearAuthCookies(res);
+            return res.status(401).json({
+                success: false,
+                message: 'Account is deactivated. Please contact administrator.'
+            });
+        }
+        
+        setAuthCookies(res, result);
+        
+        res.json({
+            success: true,
+            token: result.accessToken,
+            refreshToken: result.refreshToken,
+            expiresIn: result.expiresIn
+        });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get my active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+    try {
+        const sessions = await UserSession.find({
+            user: req.user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastUsedAt: -1 });
+        
+        res.json({
+            success: true,
+            count: sessions.length,
+            data: sessions.map(session => formatSession(session, req.sessionId))
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Revoke one of my sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = async (req, res) => {
+    try {
+        const revoked = await revokeSessions(
+            { _id: req.params.id, user: req.user._id },
+            { reason: 'user', revokedBy: req.user._id }
+        );
+        
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+        
+        if (req.params.id === String(req.sessionId)) clearAuthCookies(res);
+        
+        res.json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Revoke all my other sessions
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeOtherSessions = async (req, res) => {
+    try {
+        const revoked = await revokeSessions(
+            { user: req.user._id, _id: { $ne: req.sessionId } },
+            { reason: 'user', revokedBy: req.user._id }
+        );
+        
+        res.json({
+            success: true,
+            message: `${revoked} session(s) revoked`,
+            data: { revoked }
+        });
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 module.exports = {
     register,
     login,
@@ -401,5 +862,11 @@ module.exports = {
     changePassword,
     logout,
     forgotPassword,
-    resetPassword
+    resetPassword,
+    verifyEmail,
+    resendVerificationEmail,
+    refreshToken,
+    getSessions,
+    revokeSession,
+    revokeOtherSessions
 };
\ No newline at end of file
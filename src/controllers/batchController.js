@@ -3,6 +3,14 @@ const Course = require('../models/Course');
 const Student = require('../models/Student');
 const User = require('../models/User');
 const { BATCH_STATUS, ATTENDANCE_STATUS } = require('../utils/constants');
+const { findBatchConflicts, findSessionConflicts } = require('../utils/scheduleConflicts');
+const { getBranchScope, applyScope, resolveRecordBranch } = require('../utils/dataScope');
+
+// Batch by route ID, limited to the caller's branch
+const findScopedBatch = (req) => Batch.findOne(applyScope({ _id: req.params.id }, getBranchScope(req.user)));
+
+// Only admins may knowingly double-book (pass ?force=true)
+const canOverrideConflicts = (req) => req.query.force === 'true' && req.user.role === 'admin';
 
 // @desc    Get all batches
 // @route   GET /api/batches
@@ -53,9 +61,10 @@ const getBatches = async (req, res) => {
         
         // Pagination
         const skip = (parseInt(page) - 1) * parseInt(limit);
+        const scopedQuery = applyScope(query, getBranchScope(req.user));
         
         const [batches, total] = await Promise.all([
-            Batch.find(query)
+            Batch.find(scopedQuery)
                 .populate('course', 'name courseCode')
                 .populate('instructor', 'username profile.firstName profile.lastName profile.designation')
                 .populate('assistantInstructors', 'username profile.firstName profile.lastName')
@@ -63,7 +72,7 @@ const getBatches = async (req, res) => {
                 .skip(skip)
                 .limit(parseInt(limit))
                 .lean(),
-            Batch.countDocuments(query)
+            Batch.countDocuments(scopedQuery)
         ]);
         
         // Add virtual fields
@@ -107,7 +116,7 @@ const calculateBatchProgress = (batch) => {
 // @access  Private
 const getBatchById = async (req, res) => {
     try {
-        const batch = await Batch.findById(req.params.id)
+        const batch = await findScopedBatch(req)
             .populate('course', 'name courseCode description duration fees')
             .populate('instructor', 'username profile.firstName profile.lastName profile.designation profile.email profile.phone')
             .populate('assistantInstructors', 'username profile.firstName profile.lastName profile.designation')
@@ -145,16 +154,27 @@ const createBatch = async (req, res) => {
     try {
         const batchData = {
             ...req.body,
+            branch: resolveRecordBranch(req.user, req.body.branch),
             meta: {
                 createdBy: req.user.id,
                 updatedBy: req.user.id
             }
         };
         
+        // Check instructor/classroom availability
+        const conflicts = await findBatchConflicts(batchData);
+        if (conflicts.length && !canOverrideConflicts(req)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Schedule conflicts detected',
+                conflicts
+            });
+        }
+        
         const batch = await Batch.create(batchData);
         
         // Add batch to course
-        await Course.findByIdAndUpdate(batch.course, {
+        await Course.auditedUpdateOne({ _id: batch.course }, {
             $push: { batches: batch._id }
         });
         
@@ -166,7 +186,8 @@ const createBatch = async (req, res) => {
         res.status(201).json({
             success: true,
             message: 'Batch created successfully',
-            data: populatedBatch
+            data: populatedBatch,
+            warnings: conflicts.length ? conflicts : undefined
         });
     } catch (error) {
         console.error('Create batch error:', error);
@@ -198,7 +219,7 @@ const createBatch = async (req, res) => {
 // @access  Private (Admin/Trainer)
 const updateBatch = async (req, res) => {
     try {
-        const batch = await Batch.findById(req.params.id);
+        const batch = await findScopedBatch(req);
         
         if (!batch) {
             return res.status(404).json({
@@ -217,11 +238,31 @@ const updateBatch = async (req, res) => {
         
         // Update fields
         Object.keys(req.body).forEach(key => {
-            if (key !== 'meta' && key !== '_id' && key !== 'batchId') {
+            if (key !== 'meta' && key !== '_id' && key !== 'batchId' && key !== 'branch') {
                 batch[key] = req.body[key];
             }
         });
         
+        // Only admins move batches between branches
+        if (req.body.branch && req.user.role === 'admin') {
+            batch.branch = req.body.branch;
+        }
+        
+        // Re-check availability when anything affecting the timetable changed
+        let conflicts = [];
+        const scheduleFields = ['schedule', 'startDate', 'endDate', 'instructor', 'assistantInstructors', 'status'];
+        if (scheduleFields.some(field => batch.isModified(field)) &&
+            ['upcoming', 'ongoing'].includes(batch.status)) {
+            conflicts = await findBatchConflicts(batch);
+            if (conflicts.length && !canOverrideConflicts(req)) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Schedule conflicts detected',
+                    conflicts
+                });
+            }
+        }
+        
         batch.meta.updatedBy = req.user.id;
         batch.meta.updatedAt = new Date();
         
@@ -230,7 +271,8 @@ const updateBatch = async (req, res) => {
         res.json({
             success: true,
             message: 'Batch updated successfully',
-            data: batch
+            data: batch,
+            warnings: conflicts.length ? conflicts : undefined
         });
     } catch (error) {
         console.error('Update batch error:', error);
@@ -246,7 +288,7 @@ const updateBatch = async (req, res) => {
 // @access  Private (Admin only)
 const deleteBatch = async (req, res) => {
     try {
-        const batch = await Batch.findById(req.params.id);
+        const batch = await findScopedBatch(req);
         
         if (!batch) {
             return res.status(404).json({
@@ -264,7 +306,7 @@ const deleteBatch = async (req, res) => {
         }
         
         // Remove batch from course
-        await Course.findByIdAndUpdate(batch.course, {
+        await Course.auditedUpdateOne({ _id: batch.course }, {
             $pull: { batches: batch._id }
         });
         
@@ -290,7 +332,7 @@ const addStudentToBatch = async (req, res) => {
     try {
         const { studentId } = req.body;
         
-        const batch = await Batch.findById(req.params.id);
+        const batch = await findScopedBatch(req);
         const student = await Student.findById(studentId);
         
         if (!batch) {
@@ -365,7 +407,7 @@ const addStudentToBatch = async (req, res) => {
 // @access  Private (Admin/Trainer)
 const removeStudentFromBatch = async (req, res) => {
     try {
-        const batch = await Batch.findById(req.params.id);
+        const batch = await findScopedBatch(req);
         
         if (!batch) {
             return res.status(404).json({
@@ -412,7 +454,7 @@ const removeStudentFromBatch = async (req, res) => {
 // @access  Private (Admin/Trainer)
 const addSession = async (req, res) => {
     try {
-        const batch = await Batch.findById(req.params.id);
+        const batch = await findScopedBatch(req);
         
         if (!batch) {
             return res.status(404).json({
@@ -427,6 +469,19 @@ const addSession = async (req, res) => {
             status: 'scheduled'
         };
         
+        // Check instructor/classroom availability (the batch's own timetable is not a conflict)
+        const conflicts = await findSessionConflicts(
+            { ...sessionData, classroom: batch.schedule?.classroom },
+            { excludeBatchSchedule: batch._id }
+        );
+        if (conflicts.length && !canOverrideConflicts(req)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Schedule conflicts detected',
+                conflicts
+            });
+        }
+        
         batch.sessions.push(sessionData);
         batch.meta.updatedBy = req.user.id;
         batch.meta.updatedAt = new Date();
@@ -436,7 +491,8 @@ const addSession = async (req, res) => {
         res.json({
             success: true,
             message: 'Session added successfully',
-            data: batch.sessions
+            data: batch.sessions,
+            warnings: conflicts.length ? conflicts : undefined
         });
     } catch (error) {
         console.error('Add session error:', error);
@@ -452,7 +508,7 @@ const addSession = async (req, res) => {
 // @access  Private (Admin/Trainer)
 const markAttendance = async (req, res) => {
     try {
-        const batch = await Batch.findById(req.params.id);
+        const batch = await findScopedBatch(req);
         const sessionIndex = parseInt(req.params.sessionIndex);
         
         if (!batch) {
@@ -531,7 +587,11 @@ const markAttendance = async (req, res) => {
 // @access  Private (Admin/Trainer)
 const getBatchStats = async (req, res) => {
     try {
+        const scope = getBranchScope(req.user);
+        const scopeMatch = { $match: scope || {} };
+        
         const stats = await Batch.aggregate([
+            scopeMatch,
             {
                 $group: {
                     _id: '$status',
@@ -542,17 +602,18 @@ const getBatchStats = async (req, res) => {
             }
         ]);
         
-        const totalBatches = await Batch.countDocuments();
+        const totalBatches = await Batch.countDocuments(scope || {});
         const totalStudents = await Batch.aggregate([
+            scopeMatch,
             { $group: { _id: null, total: { $sum: '$currentStudents' } } }
         ]);
         
-        const upcomingBatches = await Batch.countDocuments({ 
+        const upcomingBatches = await Batch.countDocuments(applyScope({ 
             status: 'upcoming',
             startDate: { $gte: new Date() }
-        });
+        }, scope));
         
-        const ongoingBatches = await Batch.countDocuments({ status: 'ongoing' });
+        const ongoingBatches = await Batch.countDocuments(applyScope({ status: 'ongoing' }, scope));
         
         res.json({
             success: true,
@@ -588,7 +649,7 @@ const getBatchStats = async (req, res) => {
 // @access  Private
 const getBatchStudents = async (req, res) => {
     try {
-        const batch = await Batch.findById(req.params.id)
+        const batch = await findScopedBatch(req)
             .populate('students.student', 'studentId personalDetails.fullName personalDetails.email personalDetails.phone')
             .select('students batchId name');
         
@@ -623,10 +684,10 @@ const getBatchStudents = async (req, res) => {
 // @access  Private
 const getUpcomingBatches = async (req, res) => {
     try {
-        const upcomingBatches = await Batch.find({
+        const upcomingBatches = await Batch.find(applyScope({
             status: 'upcoming',
             startDate: { $gte: new Date() }
-        })
+        }, getBranchScope(req.user)))
         .populate('course', 'name courseCode fees.regular')
         .populate('instructor', 'username profile.firstName profile.lastName')
         .sort({ startDate: 1 })
@@ -0,0 +1,307 @@
+const Branch = require('../models/Branch');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Lead = require('../models/Lead');
+const Batch = require('../models/Batch');
+const Enrollment = require('../models/Enrollment');
+const Payment = require('../models/Payment');
+const { getActiveBranch } = require('../utils/dataScope');
+
+// Records that tie a branch down; a branch in use can only be deactivated
+const countBranchRecords = async (branchId) => {
+    const [users, students, leads, batches, enrollments, payments] = await Promise.all([
+        User.countDocuments({ $or: [{ branch: branchId }, { activeBranch: branchId }] }),
+        Student.countDocuments({ branch: branchId }),
+        Lead.countDocuments({ branch: branchId }),
+        Batch.countDocuments({ branch: branchId }),
+        Enrollment.countDocuments({ branch: branchId }),
+        Payment.countDocuments({ branch: branchId })
+    ]);
+    
+    return { users, students, leads, batches, enrollments, payments };
+};
+
+// @desc    Get all branches
+// @route   GET /api/branches
+// @access  Private
+const getBranches = async (req, res) => {
+    try {
+        const { status, search } = req.query;
+        
+        const query = {};
+        
+        // Only admins see inactive branches
+        if (req.user.role !== 'admin') {
+            query.status = 'active';
+        } else if (status) {
+            query.status = status;
+        }
+        
+        if (search) {
+            const searchRegex = new RegExp(search, 'i');
+            query.$or = [
+                { name: searchRegex },
+                { code: searchRegex },
+                { 'address.city': searchRegex }
+            ];
+        }
+        
+        const branches = await Branch.find(query)
+            .populate('manager', 'username profile.firstName profile.lastName')
+            .sort({ name: 1 })
+            .lean();
+        
+        res.json({
+            success: true,
+            count: branches.length,
+            activeBranch: getActiveBranch(req.user),
+            data: branches
+        });
+    } catch (error) {
+        console.error('Get branches error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get single branch
+// @route   GET /api/branches/:id
+// @access  Private
+const getBranchById = async (req, res) => {
+    try {
+        const branch = await Branch.findById(req.params.id)
+            .populate('manager', 'username email profile.firstName profile.lastName profile.phone')
+            .populate('meta.createdBy', 'username')
+            .populate('meta.updatedBy', 'username')
+            .lean();
+        
+        if (!branch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Branch not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                ...branch,
+                stats: await countBranchRecords(branch._id)
+            }
+        });
+    } catch (error) {
+        console.error('Get branch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Create branch
+// @route   POST /api/branches
+// @access  Private (Admin only)
+const createBranch = async (req, res) => {
+    try {
+        const { name, code, address, phone, email, manager, status } = req.body;
+        
+        const existingBranch = await Branch.findOne({
+            $or: [{ name: String(name).trim() }, { code: String(code).toUpperCase().trim() }]
+        });
+        
+        if (existingBranch) {
+            return res.status(400).json({
+                success: false,
+                message: 'Branch already exists with this name or code'
+            });
+        }
+        
+        const branch = await Branch.create({
+            name,
+            code,
+            address,
+            phone,
+            email,
+            manager,
+            status,
+            meta: {
+                createdBy: req.user.id,
+                updatedBy: req.user.id
+            }
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: 'Branch created successfully',
+            data: branch
+        });
+    } catch (error) {
+        console.error('Create branch error:', error);
+        
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Branch name or code already exists'
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Update branch
+// @route   PUT /api/branches/:id
+// @access  Private (Admin only)
+const updateBranch = async (req, res) => {
+    try {
+        const branch = await Branch.findById(req.params.id);
+        
+        if (!branch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Branch not found'
+            });
+        }
+        
+        // IDs and receipt numbers already issued carry the code
+        if (req.body.code && String(req.body.code).toUpperCase().trim() !== branch.code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Branch code cannot be changed'
+            });
+        }
+        
+        ['name', 'address', 'phone', 'email', 'manager', 'status'].forEach(key => {
+            if (req.body[key] !== undefined) {
+                branch[key] = req.body[key];
+            }
+        });
+        
+        branch.meta.updatedBy = req.user.id;
+        branch.meta.updatedAt = new Date();
+        
+        await branch.save();
+        
+        res.json({
+            success: true,
+            message: 'Branch updated successfully',
+            data: branch
+        });
+    } catch (error) {
+        console.error('Update branch error:', error);
+        
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Branch name already exists'
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Delete branch
+// @route   DELETE /api/branches/:id
+// @access  Private (Admin only)
+const deleteBranch = async (req, res) => {
+    try {
+        const branch = await Branch.findById(req.params.id);
+        
+        if (!branch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Branch not found'
+            });
+        }
+        
+        const records = await countBranchRecords(branch._id);
+        const inUse = Object.values(records).reduce((sum, count) => sum + count, 0);
+        
+        if (inUse > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot delete a branch that has records. Deactivate it instead.',
+                data: records
+            });
+        }
+        
+        await branch.deleteOne();
+        
+        res.json({
+            success: true,
+            message: 'Branch deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete branch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Switch the branch an admin works in (null for all branches)
+// @route   PUT /api/branches/active
+// @access  Private (Admin only)
+const switchBranch = async (req, res) => {
+    try {
+        const { branch: branchId } = req.body;
+        
+        const branch = branchId ? await Branch.findById(branchId).select('name code status').lean() : null;
+        
+        if (branchId && !branch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Branch not found'
+            });
+        }
+        
+        await User.updateOne({ _id: req.user._id }, { $set: { activeBranch: branch ? branch._id : null } });
+        
+        res.json({
+            success: true,
+            message: branch ? `Now working in ${branch.name}` : 'Now working across all branches',
+            data: { activeBranch: branch }
+        });
+    } catch (error) {
+        console.error('Switch branch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    getBranches,
+    getBranchById,
+    createBranch,
+    updateBranch,
+    deleteBranch,
+    switchBranch
+};
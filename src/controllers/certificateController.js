@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const Enrollment = require('../models/Enrollment');
+const { generateVerificationCode } = require('../utils/helpers');
+
+// @desc    Verify a certificate
+// @route   GET /api/certificates/verify/:certificateId
+// @access  Public
+const verifyCertificate = async (req, res) => {
+    try {
+        const { certificateId } = req.params;
+        const { code } = req.query;
+        
+        const enrollment = await Enrollment.findOne({
+            'certificate.certificateId': certificateId,
+            'certificate.issued': true
+        })
+            .populate('student', 'personalDetails.fullName')
+            .populate('course', 'name courseCode');
+        
+        if (!enrollment) {
+            return res.status(404).json({
+                success: false,
+                valid: false,
+                message: 'Certificate not found'
+            });
+        }
+        
+        // Optional verification code printed on the certificate
+        if (code) {
+            const expected = enrollment.certificate.verificationCode ||
+                generateVerificationCode(certificateId);
+            const given = String(code).trim().toUpperCase();
+            
+            const matches = given.length === expected.length &&
+                crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+            
+            if (!matches) {
+                return res.status(400).json({
+                    success: false,
+                    valid: false,
+                    message: 'Verification code does not match this certificate'
+                });
+            }
+        }
+        
+        res.json({
+            success: true,
+            valid: true,
+            data: {
+                certificateId,
+                studentName: enrollment.student?.personalDetails?.fullName,
+                course: {
+                    name: enrollment.course?.name,
+                    code: enrollment.course?.courseCode
+                },
+                grade: enrollment.grades?.grade,
+                issuedDate: enrollment.certificate.issuedDate,
+                codeVerified: Boolean(code)
+            }
+        });
+    } catch (error) {
+        console.error('Verify certificate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    verifyCertificate
+};
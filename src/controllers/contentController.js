@@ -5,6 +5,7 @@ const Enrollment = require('../models/Enrollment');
 const User = require('../models/User');
 const fs = require('fs');
 const path = require('path');
+const { SOFT_DELETE_FIELDS, TRASH_FILTER, getPurgeDate } = require('../utils/softDelete');
 
 // @desc    Get all content
 // @route   GET /api/content
@@ -104,7 +105,7 @@ const getContentById = async (req, res) => {
         }
         
         // Check access
-        if (!content.canAccess(req.user.id)) {
+        if (!content.canAccess(req.user.id, req.user.studentIds)) {
             return res.status(403).json({
                 success: false,
                 message: 'You do not have permission to access this content'
@@ -115,9 +116,18 @@ const getContentById = async (req, res) => {
         content.stats.views += 1;
         await content.save();
         
+        const data = content.toObject();
+        
+        // Students only see their own submissions
+        if (req.user.role === 'student') {
+            const ownIds = (req.user.studentIds || []).map(id => id.toString());
+            data.submissions = (data.submissions || [])
+                .filter(submission => ownIds.includes((submission.student?._id || submission.student)?.toString()));
+        }
+        
         res.json({
             success: true,
-            data: content
+            data
         });
     } catch (error) {
         console.error('Get content error:', error);
@@ -182,7 +192,7 @@ const updateContent = async (req, res) => {
         
         // Update fields
         Object.keys(req.body).forEach(key => {
-            if (key !== 'meta' && key !== '_id') {
+            if (key !== 'meta' && key !== '_id' && !SOFT_DELETE_FIELDS.includes(key)) {
                 content[key] = req.body[key];
             }
         });
@@ -220,22 +230,71 @@ const deleteContent = async (req, res) => {
             });
         }
         
-        // Delete associated file if exists
-        if (content.file && content.file.path) {
-            const filePath = path.join(__dirname, '../../', content.file.path);
-            if (fs.existsSync(filePath)) {
-                fs.unlinkSync(filePath);
-            }
+        // The uploaded file is kept until the content is purged from the trash
+        await content.softDelete(req.user.id);
+        
+        res.json({
+            success: true,
+            message: 'Content moved to trash'
+        });
+    } catch (error) {
+        console.error('Delete content error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get trashed content
+// @route   GET /api/content/trash
+// @access  Private (Admin/Trainer)
+const getContentTrash = async (req, res) => {
+    try {
+        const content = await Content.find({ ...TRASH_FILTER })
+            .select('-submissions')
+            .populate('course', 'name courseCode')
+            .populate('deletedBy', 'username profile.firstName profile.lastName')
+            .sort({ deletedAt: -1 })
+            .lean();
+        
+        res.json({
+            success: true,
+            count: content.length,
+            data: content.map(item => ({ ...item, purgeAt: getPurgeDate(item.deletedAt) }))
+        });
+    } catch (error) {
+        console.error('Get content trash error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Restore content from trash
+// @route   PUT /api/content/:id/restore
+// @access  Private (Admin/Trainer)
+const restoreContent = async (req, res) => {
+    try {
+        const content = await Content.findOne({ _id: req.params.id, ...TRASH_FILTER });
+        
+        if (!content) {
+            return res.status(404).json({
+                success: false,
+                message: 'Content not found in trash'
+            });
         }
         
-        await content.deleteOne();
+        await content.restore();
         
         res.json({
             success: true,
-            message: 'Content deleted successfully'
+            message: 'Content restored successfully',
+            data: content
         });
     } catch (error) {
-        console.error('Delete content error:', error);
+        console.error('Restore content error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -489,7 +548,7 @@ const downloadContent = async (req, res) => {
         }
         
         // Check access
-        if (!content.canAccess(req.user.id)) {
+        if (!content.canAccess(req.user.id, req.user.studentIds)) {
             return res.status(403).json({
                 success: false,
                 message: 'You do not have permission to download this content'
@@ -532,6 +591,8 @@ module.exports = {
     createContent,
     updateContent,
     deleteContent,
+    getContentTrash,
+    restoreContent,
     uploadFile,
     shareContent,
     getCourseContent,
@@ -3,6 +3,7 @@ const Enrollment = require('../models/Enrollment');
 const Batch = require('../models/Batch');
 const User = require('../models/User');
 const { COURSE_CATEGORY } = require('../utils/constants');
+const { getBranchScope, getCourseScope, applyScope } = require('../utils/dataScope');
 
 // @desc    Get all courses
 // @route   GET /api/courses
@@ -53,15 +54,16 @@ const getCourses = async (req, res) => {
         
         // Pagination
         const skip = (parseInt(page) - 1) * parseInt(limit);
+        const scopedQuery = applyScope(query, getCourseScope(req.user));
         
         const [courses, total] = await Promise.all([
-            Course.find(query)
+            Course.find(scopedQuery)
                 .populate('instructors', 'username profile.firstName profile.lastName profile.designation')
                 .sort(sort)
                 .skip(skip)
                 .limit(parseInt(limit))
                 .lean(),
-            Course.countDocuments(query)
+            Course.countDocuments(scopedQuery)
         ]);
         
         // Add virtual fields
@@ -124,14 +126,15 @@ const getCourseById = async (req, res) => {
             .filter(batch => batch.status === 'upcoming' && batch.startDate)
             .sort((a, b) => a.startDate - b.startDate)[0]?.startDate || null;
         
-        // Get enrolled students count
-        const enrolledStudents = await Enrollment.countDocuments({
+        // Get enrolled students count (in the caller's branch)
+        const branchScope = getBranchScope(req.user);
+        const enrolledStudents = await Enrollment.countDocuments(applyScope({
             course: course._id,
             status: 'active'
-        });
+        }, branchScope));
         
         // Get recent enrollments
-        const recentEnrollments = await Enrollment.find({ course: course._id })
+        const recentEnrollments = await Enrollment.find(applyScope({ course: course._id }, branchScope))
             .populate('student', 'studentId personalDetails.fullName')
             .sort({ enrollmentDate: -1 })
             .limit(5)
@@ -373,10 +376,9 @@ const updateBatch = async (req, res) => {
         
         // Update separate Batch document if exists
         const batchId = course.batches[batchIndex].batchId;
-        await Batch.findOneAndUpdate(
+        await Batch.auditedUpdateOne(
             { batchId },
-            req.body,
-            { new: true }
+            req.body
         );
         
         res.json({
@@ -629,7 +631,7 @@ const getCourseEnrollments = async (req, res) => {
 // @access  Private
 const getActiveCourses = async (req, res) => {
     try {
-        const activeCourses = await Course.find({ status: 'active' })
+        const activeCourses = await Course.find(applyScope({ status: 'active' }, getCourseScope(req.user)))
             .populate('instructors', 'username profile.firstName profile.lastName')
             .select('name courseCode description shortDescription duration fees category enrollmentStats rating')
             .sort({ 'enrollmentStats.totalEnrolled': -1 })
@@ -638,10 +640,10 @@ const getActiveCourses = async (req, res) => {
         // Add batch information
         const coursesWithBatches = await Promise.all(
             activeCourses.map(async (course) => {
-                const batches = await Batch.find({
+                const batches = await Batch.find(applyScope({
                     course: course._id,
                     status: { $in: ['upcoming', 'ongoing'] }
-                })
+                }, getBranchScope(req.user)))
                 .select('batchId name startDate endDate schedule maxStudents currentStudents status')
                 .sort({ startDate: 1 })
                 .lean();
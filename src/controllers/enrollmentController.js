@@ -3,7 +3,51 @@ const Student = require('../models/Student');
 const Course = require('../models/Course');
 const Batch = require('../models/Batch');
 const Content = require('../models/Content');
+const QRCode = require('qrcode');
 const { ENROLLMENT_STATUS, ATTENDANCE_STATUS } = require('../utils/constants');
+const { generateVerificationCode } = require('../utils/helpers');
+const { createCertificatePdf } = require('../utils/pdfGenerator');
+const { resolveExportColumns, streamExport } = require('../utils/spreadsheetGenerator');
+const { ENROLLMENT_EXPORT_COLUMNS } = require('../utils/exportColumns');
+const { calculateNetFee, buildInstallmentSchedule } = require('../utils/installmentHelpers');
+const { syncStudentFees } = require('../utils/paymentAllocation');
+const { getBranchScope, applyScope } = require('../utils/dataScope');
+const { annotateAudit } = require('../utils/auditTrail');
+const { SOFT_DELETE_FIELDS, TRASH_FILTER, getPurgeDate } = require('../utils/softDelete');
+
+// Fee totals derived from payments (syncStudentFees) and installment late fees (overdue job)
+const DERIVED_FEE_FIELDS = ['paid', 'pending', 'lateFees'];
+
+// Enrollment by route ID, limited to the caller's branch
+const findScopedEnrollment = (req) => Enrollment.findOne(applyScope({ _id: req.params.id }, getBranchScope(req.user)));
+
+// Build the enrollment list query from request filters
+const buildEnrollmentQuery = ({ status, course, student, batch, startDate, endDate, search }) => {
+    const query = {};
+    
+    if (status) query.status = status;
+    if (course) query.course = course;
+    if (student) query.student = student;
+    if (batch) query.batch = batch;
+    
+    // Date range filter
+    if (startDate || endDate) {
+        query.enrollmentDate = {};
+        if (startDate) query.enrollmentDate.$gte = new Date(startDate);
+        if (endDate) query.enrollmentDate.$lte = new Date(endDate);
+    }
+    
+    // Search filter
+    if (search) {
+        const searchRegex = new RegExp(search, 'i');
+        query.$or = [
+            { enrollmentId: searchRegex },
+            { 'grades.remarks': searchRegex }
+        ];
+    }
+    
+    return query;
+};
 
 // @desc    Get all enrollments
 // @route   GET /api/enrollments
@@ -11,13 +55,6 @@ const { ENROLLMENT_STATUS, ATTENDANCE_STATUS } = require('../utils/constants');
 const getEnrollments = async (req, res) => {
     try {
         const {
-            status,
-            course,
-            student,
-            batch,
-            startDate,
-            endDate,
-            search,
             page = 1,
             limit = 10,
             sortBy = 'enrollmentDate',
@@ -25,28 +62,7 @@ const getEnrollments = async (req, res) => {
         } = req.query;
         
         // Build query
-        const query = {};
-        
-        if (status) query.status = status;
-        if (course) query.course = course;
-        if (student) query.student = student;
-        if (batch) query.batch = batch;
-        
-        // Date range filter
-        if (startDate || endDate) {
-            query.enrollmentDate = {};
-            if (startDate) query.enrollmentDate.$gte = new Date(startDate);
-            if (endDate) query.enrollmentDate.$lte = new Date(endDate);
-        }
-        
-        // Search filter
-        if (search) {
-            const searchRegex = new RegExp(search, 'i');
-            query.$or = [
-                { enrollmentId: searchRegex },
-                { 'grades.remarks': searchRegex }
-            ];
-        }
+        const query = applyScope(buildEnrollmentQuery(req.query), getBranchScope(req.user));
         
         // Sort
         const sort = {};
@@ -89,6 +105,57 @@ const getEnrollments = async (req, res) => {
     }
 };
 
+// @desc    Export enrollments as CSV/XLSX
+// @route   GET /api/enrollments/export
+// @access  Private
+const exportEnrollments = async (req, res) => {
+    try {
+        const {
+            format = 'csv',
+            columns: requestedColumns,
+            sortBy = 'enrollmentDate',
+            sortOrder = 'desc'
+        } = req.query;
+        
+        const { columns, invalid } = resolveExportColumns(ENROLLMENT_EXPORT_COLUMNS, requestedColumns);
+        
+        if (invalid.length || !columns.length) {
+            return res.status(400).json({
+                success: false,
+                message: invalid.length
+                    ? `Unknown export columns: ${invalid.join(', ')}`
+                    : 'At least one export column is required',
+                availableColumns: ENROLLMENT_EXPORT_COLUMNS.map(column => column.key)
+            });
+        }
+        
+        const cursor = Enrollment.find(applyScope(buildEnrollmentQuery(req.query), getBranchScope(req.user)))
+            .select('-attendance -progress.completedModules -progress.assignments -progress.assessments')
+            .populate('student', 'studentId personalDetails.fullName personalDetails.phone')
+            .populate('course', 'name courseCode')
+            .populate('batch', 'batchId name')
+            .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
+            .lean()
+            .cursor();
+        
+        await streamExport({
+            res,
+            cursor,
+            columns,
+            format,
+            fileName: 'enrollments',
+            sheetName: 'Enrollments'
+        });
+    } catch (error) {
+        console.error('Export enrollments error:', error);
+        if (res.headersSent) return res.end();
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 // Helper function to calculate attendance percentage
 const calculateAttendancePercentage = (attendance) => {
     if (!attendance || attendance.length === 0) return 0;
@@ -105,7 +172,7 @@ const calculateAttendancePercentage = (attendance) => {
 // @access  Private
 const getEnrollmentById = async (req, res) => {
     try {
-        const enrollment = await Enrollment.findById(req.params.id)
+        const enrollment = await findScopedEnrollment(req)
             .populate('student', 'studentId personalDetails.fullName personalDetails.email personalDetails.phone')
             .populate('course', 'name courseCode description curriculum')
             .populate('batch', 'batchId name schedule instructor')
@@ -163,6 +230,20 @@ const createEnrollment = async (req, res) => {
             });
         }
         
+        // One enrollment per student and course, trashed ones included
+        const trashedEnrollment = await Enrollment.exists({
+            student: enrollmentData.student,
+            course: enrollmentData.course,
+            deletedAt: { $ne: null }
+        });
+        
+        if (trashedEnrollment) {
+            return res.status(400).json({
+                success: false,
+                message: 'Student has a trashed enrollment for this course. Restore it instead.'
+            });
+        }
+        
         // If batch is provided, check availability
         if (enrollmentData.batch) {
             const batch = await Batch.findById(enrollmentData.batch);
@@ -177,13 +258,13 @@ const createEnrollment = async (req, res) => {
         const enrollment = await Enrollment.create(enrollmentData);
         
         // Update student's enrollments
-        await Student.findByIdAndUpdate(enrollmentData.student, {
+        await Student.auditedUpdateOne({ _id: enrollmentData.student }, {
             $push: { enrollments: enrollment._id }
         });
         
         // Update batch student count if batch is provided
         if (enrollmentData.batch) {
-            await Batch.findByIdAndUpdate(enrollmentData.batch, {
+            await Batch.auditedUpdateOne({ _id: enrollmentData.batch }, {
                 $inc: { currentStudents: 1 }
             });
         }
@@ -254,7 +335,7 @@ const updateCourseEnrollmentStats = async (courseId) => {
         if (stat._id === 'dropped') enrollmentStats.dropout = stat.count;
     });
     
-    await Course.findByIdAndUpdate(courseId, {
+    await Course.auditedUpdateOne({ _id: courseId }, {
         enrollmentStats
     });
 };
@@ -264,7 +345,7 @@ const updateCourseEnrollmentStats = async (courseId) => {
 // @access  Private
 const updateEnrollment = async (req, res) => {
     try {
-        const enrollment = await Enrollment.findById(req.params.id);
+        const enrollment = await findScopedEnrollment(req);
         
         if (!enrollment) {
             return res.status(404).json({
@@ -276,9 +357,18 @@ const updateEnrollment = async (req, res) => {
         // Store old batch for updating counts
         const oldBatch = enrollment.batch;
         
-        // Update fields
+        // Update fields (the branch is taken from the batch or student when the enrollment is created).
+        // Paid, pending and late fees and the installments come from payments and the
+        // installment endpoint, so only the agreed fee terms can be edited here.
         Object.keys(req.body).forEach(key => {
-            if (key !== 'meta' && key !== '_id' && key !== 'enrollmentId') {
+            if (key === 'fees') {
+                Object.keys(req.body.fees || {}).forEach(field => {
+                    if (!DERIVED_FEE_FIELDS.includes(field)) {
+                        enrollment.fees[field] = req.body.fees[field];
+                    }
+                });
+            } else if (key !== 'meta' && key !== '_id' && key !== 'enrollmentId' && key !== 'branch' &&
+                key !== 'paymentPlan' && !SOFT_DELETE_FIELDS.includes(key)) {
                 enrollment[key] = req.body[key];
             }
         });
@@ -291,12 +381,12 @@ const updateEnrollment = async (req, res) => {
         // Update batch counts if batch changed
         if (oldBatch && enrollment.batch && !oldBatch.equals(enrollment.batch)) {
             // Decrement old batch
-            await Batch.findByIdAndUpdate(oldBatch, {
+            await Batch.auditedUpdateOne({ _id: oldBatch }, {
                 $inc: { currentStudents: -1 }
             });
             
             // Increment new batch
-            await Batch.findByIdAndUpdate(enrollment.batch, {
+            await Batch.auditedUpdateOne({ _id: enrollment.batch }, {
                 $inc: { currentStudents: 1 }
             });
         }
@@ -325,7 +415,7 @@ const updateEnrollment = async (req, res) => {
 // @access  Private (Admin only)
 const deleteEnrollment = async (req, res) => {
     try {
-        const enrollment = await Enrollment.findById(req.params.id);
+        const enrollment = await findScopedEnrollment(req);
         
         if (!enrollment) {
             return res.status(404).json({
@@ -335,25 +425,28 @@ const deleteEnrollment = async (req, res) => {
         }
         
         // Remove from student's enrollments
-        await Student.findByIdAndUpdate(enrollment.student, {
+        await Student.auditedUpdateOne({ _id: enrollment.student }, {
             $pull: { enrollments: enrollment._id }
         });
         
         // Update batch student count
         if (enrollment.batch) {
-            await Batch.findByIdAndUpdate(enrollment.batch, {
+            await Batch.auditedUpdateOne({ _id: enrollment.batch }, {
                 $inc: { currentStudents: -1 }
             });
         }
         
-        // Update course stats
-        await updateCourseEnrollmentStats(enrollment.course);
+        await enrollment.softDelete(req.user.id);
+        
+        // Its payments went to the trash with it, so the student's totals change
+        await syncStudentFees(enrollment.student);
         
-        await enrollment.deleteOne();
+        // Update course stats (trashed enrollments no longer count)
+        await updateCourseEnrollmentStats(enrollment.course);
         
         res.json({
             success: true,
-            message: 'Enrollment deleted successfully'
+            message: 'Enrollment moved to trash'
         });
     } catch (error) {
         console.error('Delete enrollment error:', error);
@@ -364,6 +457,88 @@ const deleteEnrollment = async (req, res) => {
     }
 };
 
+// @desc    Get trashed enrollments
+// @route   GET /api/enrollments/trash
+// @access  Private (Admin only)
+const getEnrollmentTrash = async (req, res) => {
+    try {
+        const enrollments = await Enrollment.find(applyScope({ ...TRASH_FILTER }, getBranchScope(req.user)))
+            .populate('student', 'studentId personalDetails.fullName')
+            .populate('course', 'name courseCode')
+            .populate('batch', 'batchId name')
+            .populate('deletedBy', 'username profile.firstName profile.lastName')
+            .sort({ deletedAt: -1 })
+            .lean();
+        
+        res.json({
+            success: true,
+            count: enrollments.length,
+            data: enrollments.map(enrollment => ({ ...enrollment, purgeAt: getPurgeDate(enrollment.deletedAt) }))
+        });
+    } catch (error) {
+        console.error('Get enrollment trash error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Restore enrollment from trash
+// @route   PUT /api/enrollments/:id/restore
+// @access  Private (Admin only)
+const restoreEnrollment = async (req, res) => {
+    try {
+        const enrollment = await Enrollment.findOne(
+            applyScope({ _id: req.params.id, ...TRASH_FILTER }, getBranchScope(req.user))
+        );
+        
+        if (!enrollment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Enrollment not found in trash'
+            });
+        }
+        
+        if (!await Student.exists({ _id: enrollment.student })) {
+            return res.status(400).json({
+                success: false,
+                message: 'The student of this enrollment is in the trash. Restore the student first.'
+            });
+        }
+        
+        await enrollment.restore();
+        
+        // Its payments are back, so they count towards the student's totals again
+        await syncStudentFees(enrollment.student);
+        
+        // Undo the bookkeeping done when it was trashed
+        await Student.auditedUpdateOne({ _id: enrollment.student }, {
+            $addToSet: { enrollments: enrollment._id }
+        });
+        
+        if (enrollment.batch) {
+            await Batch.auditedUpdateOne({ _id: enrollment.batch }, {
+                $inc: { currentStudents: 1 }
+            });
+        }
+        
+        await updateCourseEnrollmentStats(enrollment.course);
+        
+        res.json({
+            success: true,
+            message: 'Enrollment restored successfully',
+            data: enrollment
+        });
+    } catch (error) {
+        console.error('Restore enrollment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 // @desc    Get enrollments for specific student
 // @route   GET /api/enrollments/student/:studentId
 // @access  Private
@@ -380,7 +555,7 @@ const getStudentEnrollments = async (req, res) => {
             });
         }
         
-        const enrollments = await Enrollment.find({ student: studentId })
+        const enrollments = await Enrollment.find(applyScope({ student: studentId }, getBranchScope(req.user)))
             .populate('course', 'name courseCode description duration')
             .populate('batch', 'batchId name schedule')
             .sort({ enrollmentDate: -1 })
@@ -436,7 +611,7 @@ const getCourseEnrollments = async (req, res) => {
             });
         }
         
-        const enrollments = await Enrollment.find({ course: courseId })
+        const enrollments = await Enrollment.find(applyScope({ course: courseId }, getBranchScope(req.user)))
             .populate('student', 'studentId personalDetails.fullName personalDetails.email personalDetails.phone')
             .populate('batch', 'batchId name')
             .sort({ enrollmentDate: -1 })
@@ -480,7 +655,7 @@ const updateProgress = async (req, res) => {
     try {
         const { moduleId, score } = req.body;
         
-        const enrollment = await Enrollment.findById(req.params.id);
+        const enrollment = await findScopedEnrollment(req);
         
         if (!enrollment) {
             return res.status(404).json({
@@ -515,7 +690,7 @@ const markAttendance = async (req, res) => {
     try {
         const { date, session, status, remarks } = req.body;
         
-        const enrollment = await Enrollment.findById(req.params.id);
+        const enrollment = await findScopedEnrollment(req);
         
         if (!enrollment) {
             return res.status(404).json({
@@ -551,7 +726,7 @@ const submitAssignment = async (req, res) => {
         const { assignmentId } = req.params;
         const { submission } = req.body;
         
-        const enrollment = await Enrollment.findById(req.params.id);
+        const enrollment = await findScopedEnrollment(req);
         const content = await Content.findById(assignmentId);
         
         if (!enrollment) {
@@ -617,7 +792,7 @@ const gradeAssignment = async (req, res) => {
         const { assignmentId } = req.params;
         const { marks, feedback } = req.body;
         
-        const enrollment = await Enrollment.findById(req.params.id);
+        const enrollment = await findScopedEnrollment(req);
         const content = await Content.findById(assignmentId);
         
         if (!enrollment) {
@@ -647,6 +822,7 @@ const gradeAssignment = async (req, res) => {
         }
         
         // Grade submission via content model
+        annotateAudit(content, 'enrollment.grade', req.body.reason);
         await content.gradeSubmission(submission._id, marks, feedback, req.user.id);
         
         // Update enrollment progress
@@ -659,6 +835,7 @@ const gradeAssignment = async (req, res) => {
             assignmentProgress.status = 'graded';
         }
         
+        annotateAudit(enrollment, 'enrollment.grade', req.body.reason);
         await enrollment.save();
         
         res.json({
@@ -684,7 +861,7 @@ const gradeAssignment = async (req, res) => {
 // @access  Private (Admin/Trainer)
 const generateCertificate = async (req, res) => {
     try {
-        const enrollment = await Enrollment.findById(req.params.id)
+        const enrollment = await findScopedEnrollment(req)
             .populate('student', 'studentId personalDetails.fullName')
             .populate('course', 'name courseCode duration');
         
@@ -718,6 +895,7 @@ const generateCertificate = async (req, res) => {
         enrollment.certificate = {
             issued: true,
             certificateId,
+            verificationCode: generateVerificationCode(certificateId),
             issuedDate: new Date(),
             issuedBy: req.user.id,
             downloadUrl: `/api/enrollments/${enrollment._id}/certificate/download`
@@ -730,7 +908,8 @@ const generateCertificate = async (req, res) => {
             message: 'Certificate generated successfully',
             data: {
                 certificateId,
-                issuedDate: new Date(),
+                verificationCode: enrollment.certificate.verificationCode,
+                issuedDate: enrollment.certificate.issuedDate,
                 student: {
                     name: enrollment.student.personalDetails.fullName,
                     id: enrollment.student.studentId
@@ -751,6 +930,204 @@ const generateCertificate = async (req, res) => {
     }
 };
 
+// @desc    Download certificate PDF
+// @route   GET /api/enrollments/:id/certificate/download
+// @access  Private
+const downloadCertificate = async (req, res) => {
+    try {
+        const enrollment = await findScopedEnrollment(req)
+            .populate('student', 'studentId personalDetails.fullName')
+            .populate('course', 'name courseCode duration');
+        
+        if (!enrollment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Enrollment not found'
+            });
+        }
+        
+        if (!enrollment.certificate?.issued) {
+            return res.status(404).json({
+                success: false,
+                message: 'Certificate has not been issued for this enrollment'
+            });
+        }
+        
+        const { certificateId } = enrollment.certificate;
+        const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+        const verificationCode = enrollment.certificate.verificationCode ||
+            generateVerificationCode(certificateId);
+        const verificationUrl = `${baseUrl}/api/certificates/verify/${encodeURIComponent(certificateId)}?code=${verificationCode}`;
+        
+        const qrImage = await QRCode.toBuffer(verificationUrl, { margin: 1, width: 200 });
+        
+        const duration = enrollment.course.duration;
+        const doc = createCertificatePdf({
+            certificateId,
+            verificationCode,
+            verificationUrl,
+            qrImage,
+            studentName: enrollment.student.personalDetails.fullName,
+            studentId: enrollment.student.studentId,
+            courseName: enrollment.course.name,
+            courseDuration: duration?.value ? `${duration.value} ${duration.unit}` : null,
+            grade: enrollment.grades?.grade,
+            issuedDate: enrollment.certificate.issuedDate
+        });
+        
+        const disposition = req.query.download === 'false' ? 'inline' : 'attachment';
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `${disposition}; filename="${certificateId}.pdf"`);
+        
+        doc.pipe(res);
+        doc.end();
+    } catch (error) {
+        console.error('Download certificate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Generate installment plan for enrollment
+// @route   POST /api/enrollments/:id/installments
+// @access  Private
+const generateInstallments = async (req, res) => {
+    try {
+        const {
+            numberOfInstallments,
+            startDate,
+            intervalMonths = 1,
+            discount,
+            scholarship,
+            regenerate = false,
+            dryRun = false
+        } = req.body;
+        
+        const enrollment = await findScopedEnrollment(req)
+            .populate('course', 'name courseCode fees');
+        
+        if (!enrollment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Enrollment not found'
+            });
+        }
+        
+        if (['dropped', 'transferred'].includes(enrollment.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot generate installments for a ${enrollment.status} enrollment`
+            });
+        }
+        
+        if (enrollment.paymentPlan.length && !regenerate) {
+            return res.status(400).json({
+                success: false,
+                message: 'Installment plan already exists, set regenerate to replace it'
+            });
+        }
+        
+        const hasPaidInstallments = enrollment.paymentPlan.some(installment =>
+            installment.paidAmount > 0 || ['paid', 'partial', 'waived'].includes(installment.status)
+        );
+        
+        if (hasPaidInstallments) {
+            return res.status(400).json({
+                success: false,
+                message: 'Installment plan cannot be regenerated once installments have been paid'
+            });
+        }
+        
+        const courseFees = enrollment.course.fees;
+        const base = courseFees.installment || courseFees.regular;
+        
+        // Body values win, then what is already on the enrollment, then the course default discount
+        const hasValue = reduction => Boolean(reduction && (reduction.amount || reduction.percentage));
+        const discountInput = discount
+            || (hasValue(enrollment.fees.discount) ? enrollment.fees.discount.toObject() : null)
+            || (courseFees.discount ? { percentage: courseFees.discount } : null);
+        const scholarshipInput = scholarship
+            || (hasValue(enrollment.fees.scholarship) ? enrollment.fees.scholarship.toObject() : null);
+        
+        if (hasValue(scholarshipInput) && !courseFees.scholarshipAvailable) {
+            return res.status(400).json({
+                success: false,
+                message: 'Scholarships are not available for this course'
+            });
+        }
+        
+        const fee = calculateNetFee({
+            base,
+            discount: discountInput,
+            scholarship: scholarshipInput
+        });
+        
+        const paymentPlan = buildInstallmentSchedule({
+            total: fee.net,
+            numberOfInstallments,
+            startDate: new Date(startDate),
+            intervalMonths: parseInt(intervalMonths)
+        });
+        
+        const feeSummary = {
+            courseFee: fee.base,
+            discount: fee.discountAmount,
+            scholarship: fee.scholarshipAmount,
+            total: fee.net,
+            paid: enrollment.fees.paid
+        };
+        
+        if (dryRun) {
+            return res.json({
+                success: true,
+                message: 'Installment plan preview',
+                data: {
+                    fees: feeSummary,
+                    paymentPlan
+                }
+            });
+        }
+        
+        enrollment.fees.total = fee.net;
+        enrollment.fees.discount = {
+            amount: fee.discountAmount,
+            percentage: discountInput?.percentage,
+            reason: discountInput?.reason
+        };
+        enrollment.fees.scholarship = {
+            amount: fee.scholarshipAmount,
+            percentage: scholarshipInput?.percentage,
+            type: scholarshipInput?.type
+        };
+        enrollment.paymentPlan = paymentPlan;
+        enrollment.meta.updatedBy = req.user.id;
+        enrollment.meta.updatedAt = new Date();
+        
+        await enrollment.save();
+        
+        // Apply payments already made against the new installments
+        await syncStudentFees(enrollment.student);
+        const updated = await Enrollment.findById(enrollment._id).select('fees paymentPlan');
+        
+        res.status(201).json({
+            success: true,
+            message: `${paymentPlan.length} installments generated successfully`,
+            data: {
+                fees: feeSummary,
+                paymentPlan: updated.paymentPlan
+            }
+        });
+    } catch (error) {
+        console.error('Generate installments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 // @desc    Get enrollment statistics
 // @route   GET /api/enrollments/stats
 // @access  Private (Admin/Trainer)
@@ -766,12 +1143,15 @@ const getEnrollmentStats = async (req, res) => {
             if (endDate) dateFilter.enrollmentDate.$lte = new Date(endDate);
         }
         
+        const scope = getBranchScope(req.user);
+        const scopedFilter = applyScope(dateFilter, scope);
+        
         // Get total enrollments
-        const totalEnrollments = await Enrollment.countDocuments(dateFilter);
+        const totalEnrollments = await Enrollment.countDocuments(scopedFilter);
         
         // Get enrollments by status
         const enrollmentsByStatus = await Enrollment.aggregate([
-            { $match: dateFilter },
+            { $match: scopedFilter },
             { $group: {
                 _id: '$status',
                 count: { $sum: 1 }
@@ -784,10 +1164,10 @@ const getEnrollmentStats = async (req, res) => {
         
         const enrollmentsByMonth = await Enrollment.aggregate([
             {
-                $match: {
+                $match: applyScope({
                     ...dateFilter,
                     enrollmentDate: { $gte: sixMonthsAgo }
-                }
+                }, scope)
             },
             {
                 $group: {
@@ -818,9 +1198,9 @@ const getEnrollmentStats = async (req, res) => {
         const tomorrow = new Date(today);
         tomorrow.setDate(tomorrow.getDate() + 1);
         
-        const todaysEnrollments = await Enrollment.countDocuments({
+        const todaysEnrollments = await Enrollment.countDocuments(applyScope({
             enrollmentDate: { $gte: today, $lt: tomorrow }
-        });
+        }, scope));
         
         res.json({
             success: true,
@@ -845,10 +1225,13 @@ const getEnrollmentStats = async (req, res) => {
 
 module.exports = {
     getEnrollments,
+    exportEnrollments,
     getEnrollmentById,
     createEnrollment,
     updateEnrollment,
     deleteEnrollment,
+    getEnrollmentTrash,
+    restoreEnrollment,
     getStudentEnrollments,
     getCourseEnrollments,
     updateProgress,
@@ -856,5 +1239,7 @@ module.exports = {
     submitAssignment,
     gradeAssignment,
     generateCertificate,
+    downloadCertificate,
+    generateInstallments,
     getEnrollmentStats
 };
\ No newline at end of file
@@ -0,0 +1,152 @@
+const Holiday = require('../models/Holiday');
+
+// @desc    Get holidays
+// @route   GET /api/holidays
+// @access  Private
+const getHolidays = async (req, res) => {
+    try {
+        const { year, type } = req.query;
+
+        const query = {};
+        if (type) query.type = type;
+
+        if (year) {
+            query.$or = [
+                {
+                    date: {
+                        $gte: new Date(`${year}-01-01T00:00:00.000Z`),
+                        $lte: new Date(`${year}-12-31T23:59:59.999Z`)
+                    }
+                },
+                { recurring: true }
+            ];
+        }
+
+        const holidays = await Holiday.find(query)
+            .sort({ date: 1 })
+            .lean();
+
+        res.json({
+            success: true,
+            count: holidays.length,
+            data: holidays
+        });
+    } catch (error) {
+        console.error('Get holidays error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Create holiday
+// @route   POST /api/holidays
+// @access  Private (Admin)
+const createHoliday = async (req, res) => {
+    try {
+        const holiday = await Holiday.create({
+            ...req.body,
+            meta: {
+                createdBy: req.user.id,
+                updatedBy: req.user.id
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Holiday created successfully',
+            data: holiday
+        });
+    } catch (error) {
+        console.error('Create holiday error:', error);
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Update holiday
+// @route   PUT /api/holidays/:id
+// @access  Private (Admin)
+const updateHoliday = async (req, res) => {
+    try {
+        const holiday = await Holiday.findById(req.params.id);
+
+        if (!holiday) {
+            return res.status(404).json({
+                success: false,
+                message: 'Holiday not found'
+            });
+        }
+
+        Object.keys(req.body).forEach(key => {
+            if (key !== 'meta' && key !== '_id') {
+                holiday[key] = req.body[key];
+            }
+        });
+
+        holiday.meta.updatedBy = req.user.id;
+        holiday.meta.updatedAt = new Date();
+
+        await holiday.save();
+
+        res.json({
+            success: true,
+            message: 'Holiday updated successfully',
+            data: holiday
+        });
+    } catch (error) {
+        console.error('Update holiday error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Delete holiday
+// @route   DELETE /api/holidays/:id
+// @access  Private (Admin)
+const deleteHoliday = async (req, res) => {
+    try {
+        const holiday = await Holiday.findById(req.params.id);
+
+        if (!holiday) {
+            return res.status(404).json({
+                success: false,
+                message: 'Holiday not found'
+            });
+        }
+
+        await holiday.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Holiday deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete holiday error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    getHolidays,
+    createHoliday,
+    updateHoliday,
+    deleteHoliday
+};
@@ -1,8 +1,55 @@
 const Lead = require('../models/Lead');
 const Student = require('../models/Student');
 const User = require('../models/User');
-const { LEAD_STATUS, LEAD_SOURCE } = require('../utils/constants');
+const { ROLES, LEAD_STATUS, LEAD_SOURCE } = require('../utils/constants');
 const { calculatePercentage } = require('../utils/helpers');
+const { resolveExportColumns, streamExport } = require('../utils/spreadsheetGenerator');
+const { LEAD_EXPORT_COLUMNS } = require('../utils/exportColumns');
+const { getLeadScope, getStudentScope, applyScope, resolveRecordBranch } = require('../utils/dataScope');
+const { SOFT_DELETE_FIELDS, TRASH_FILTER, getPurgeDate } = require('../utils/softDelete');
+const { assignLead, autoAssignLead, findAssignableUser } = require('../utils/leadAssignment');
+const { findDuplicates, hasPhoneDuplicate } = require('../utils/duplicateDetection');
+const { mergeLeads } = require('../utils/leadMerge');
+
+// Fields returned for each possible duplicate
+const DUPLICATE_LEAD_FIELDS = 'leadId fullName phone email status assignedTo';
+const DUPLICATE_STUDENT_FIELDS = 'studentId personalDetails.fullName personalDetails.phone personalDetails.email status';
+
+// Find a lead by ID within the user's scope
+const findScopedLead = (req) => Lead.findOne(applyScope({ _id: req.params.id }, getLeadScope(req.user)));
+
+// Build the lead list query from request filters
+const buildLeadQuery = ({ status, source, campaign, assignedTo, minScore, startDate, endDate, search }) => {
+    const query = {};
+    
+    if (status) query.status = status;
+    if (source) query.source = source;
+    if (campaign) query['utm.campaign'] = campaign;
+    if (assignedTo) query.assignedTo = assignedTo;
+    if (minScore) query.score = { $gte: Number(minScore) };
+    
+    // Date range filter
+    if (startDate || endDate) {
+        query['meta.createdAt'] = {};
+        if (startDate) query['meta.createdAt'].$gte = new Date(startDate);
+        if (endDate) query['meta.createdAt'].$lte = new Date(endDate);
+    }
+    
+    // Search filter
+    if (search) {
+        const searchRegex = new RegExp(search, 'i');
+        query.$or = [
+            { fullName: searchRegex },
+            { email: searchRegex },
+            { phone: searchRegex },
+            { leadId: searchRegex },
+            { 'education.qualification': searchRegex },
+            { notes: searchRegex }
+        ];
+    }
+    
+    return query;
+};
 
 // @desc    Get all leads
 // @route   GET /api/leads
@@ -10,48 +57,19 @@ const { calculatePercentage } = require('../utils/helpers');
 const getLeads = async (req, res) => {
     try {
         const {
-            status,
-            source,
-            assignedTo,
-            startDate,
-            endDate,
-            search,
             page = 1,
             limit = 10,
             sortBy = 'meta.createdAt',
             sortOrder = 'desc'
         } = req.query;
         
-        // Build query
-        const query = {};
-        
-        if (status) query.status = status;
-        if (source) query.source = source;
-        if (assignedTo) query.assignedTo = assignedTo;
-        
-        // Date range filter
-        if (startDate || endDate) {
-            query['meta.createdAt'] = {};
-            if (startDate) query['meta.createdAt'].$gte = new Date(startDate);
-            if (endDate) query['meta.createdAt'].$lte = new Date(endDate);
-        }
-        
-        // Search filter
-        if (search) {
-            const searchRegex = new RegExp(search, 'i');
-            query.$or = [
-                { fullName: searchRegex },
-                { email: searchRegex },
-                { phone: searchRegex },
-                { leadId: searchRegex },
-                { 'education.qualification': searchRegex },
-                { notes: searchRegex }
-            ];
-        }
+        // Build query (counselors only see their own leads)
+        const query = applyScope(buildLeadQuery(req.query), getLeadScope(req.user));
         
-        // Sort
+        // Sort (sortBy=score puts the hottest leads first; newer leads win ties)
         const sort = {};
         sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+        if (sortBy === 'score') sort['meta.createdAt'] = -1;
         
         // Pagination
         const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -94,18 +112,72 @@ const getLeads = async (req, res) => {
     }
 };
 
+// @desc    Export leads as CSV/XLSX
+// @route   GET /api/leads/export
+// @access  Private
+const exportLeads = async (req, res) => {
+    try {
+        const {
+            format = 'csv',
+            columns: requestedColumns,
+            sortBy = 'meta.createdAt',
+            sortOrder = 'desc'
+        } = req.query;
+        
+        const { columns, invalid } = resolveExportColumns(LEAD_EXPORT_COLUMNS, requestedColumns);
+        
+        if (invalid.length || !columns.length) {
+            return res.status(400).json({
+                success: false,
+                message: invalid.length
+                    ? `Unknown export columns: ${invalid.join(', ')}`
+                    : 'At least one export column is required',
+                availableColumns: LEAD_EXPORT_COLUMNS.map(column => column.key)
+            });
+        }
+        
+        const cursor = Lead.find(applyScope(buildLeadQuery(req.query), getLeadScope(req.user)))
+            .populate('assignedTo', 'username profile.firstName profile.lastName')
+            .populate('interestedCourses', 'name')
+            .populate('primaryCourse', 'name')
+            .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
+            .lean()
+            .cursor();
+        
+        await streamExport({
+            res,
+            cursor,
+            columns,
+            format,
+            fileName: 'leads',
+            sheetName: 'Leads'
+        });
+    } catch (error) {
+        console.error('Export leads error:', error);
+        if (res.headersSent) return res.end();
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 // @desc    Get single lead
 // @route   GET /api/leads/:id
 // @access  Private
 const getLeadById = async (req, res) => {
     try {
-        const lead = await Lead.findById(req.params.id)
+        const lead = await findScopedLead(req)
             .populate('assignedTo', 'username profile.firstName profile.lastName profile.designation email profile.phone')
             .populate('interestedCourses', 'name courseCode duration fees.regular')
             .populate('primaryCourse', 'name courseCode duration fees.regular')
             .populate('convertedStudentId', 'studentId personalDetails.fullName personalDetails.phone')
             .populate('meta.createdBy', 'username profile.firstName')
-            .populate('communications.createdBy', 'username profile.firstName');
+            .populate('communications.createdBy', 'username profile.firstName')
+            .populate('assignmentHistory.from', 'username profile.firstName profile.lastName')
+            .populate('assignmentHistory.to', 'username profile.firstName profile.lastName')
+            .populate('assignmentHistory.assignedBy', 'username profile.firstName')
+            .populate('assignmentHistory.rule', 'name');
         
         if (!lead) {
             return res.status(404).json({
@@ -137,8 +209,11 @@ const getLeadById = async (req, res) => {
 // @access  Private
 const createLead = async (req, res) => {
     try {
+        const { assignedTo, assignmentHistory, allowDuplicate, ...fields } = req.body;
+        
         const leadData = {
-            ...req.body,
+            ...fields,
+            branch: resolveRecordBranch(req.user, req.body.branch),
             meta: {
                 createdBy: req.user.id,
                 updatedBy: req.user.id
@@ -147,21 +222,57 @@ const createLead = async (req, res) => {
         
         // If phone is provided, check for duplicates
         if (leadData.phone) {
-            const existingLead = await Lead.findOne({ phone: leadData.phone });
+            const existingLead = await Lead.findOne({ phone: leadData.phone }).withDeleted();
             if (existingLead) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Lead with this phone number already exists'
+                    message: existingLead.deletedAt
+                        ? 'Lead with this phone number is in the trash. Restore it instead.'
+                        : 'Lead with this phone number already exists'
+                });
+            }
+        }
+        
+        // Look for the same person entered with a different spelling or format. Only
+        // matches the user may see are returned; the phone check covers every lead.
+        const duplicates = await findDuplicates(
+            Lead,
+            { phone: leadData.phone, email: leadData.email, name: leadData.fullName },
+            { scope: getLeadScope(req.user), select: DUPLICATE_LEAD_FIELDS }
+        );
+        
+        if (allowDuplicate !== true && await hasPhoneDuplicate(Lead, leadData.phone)) {
+            return res.status(409).json({
+                success: false,
+                message: 'A lead with this phone number may already exist. Review the matches or set allowDuplicate to create it anyway.',
+                duplicates
+            });
+        }
+        
+        const lead = new Lead(leadData);
+        
+        // A named counselor, the counselor creating the lead, or the assignment rules
+        if (assignedTo) {
+            if (!await findAssignableUser(assignedTo)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Leads can only be assigned to active staff members'
                 });
             }
+            assignLead(lead, assignedTo, { assignedBy: req.user.id });
+        } else if (req.user.role === ROLES.COUNSELOR) {
+            assignLead(lead, req.user._id, { reason: 'Created by counselor', assignedBy: req.user.id });
+        } else {
+            await autoAssignLead(lead, { assignedBy: req.user.id });
         }
         
-        const lead = await Lead.create(leadData);
+        await lead.save();
         
         res.status(201).json({
             success: true,
             message: 'Lead created successfully',
-            data: lead
+            data: lead,
+            duplicates
         });
     } catch (error) {
         console.error('Create lead error:', error);
@@ -193,7 +304,7 @@ const createLead = async (req, res) => {
 // @access  Private
 const updateLead = async (req, res) => {
     try {
-        const lead = await Lead.findById(req.params.id);
+        const lead = await findScopedLead(req);
         
         if (!lead) {
             return res.status(404).json({
@@ -204,7 +315,7 @@ const updateLead = async (req, res) => {
         
         // Check if phone is being updated and if it already exists
         if (req.body.phone && req.body.phone !== lead.phone) {
-            const existingLead = await Lead.findOne({ phone: req.body.phone });
+            const existingLead = await Lead.findOne({ phone: req.body.phone }).withDeleted();
             if (existingLead && existingLead._id.toString() !== req.params.id) {
                 return res.status(400).json({
                     success: false,
@@ -213,13 +324,36 @@ const updateLead = async (req, res) => {
             }
         }
         
-        // Update lead
+        // Reassignments are checked and kept in the assignment history
+        const reassigned = req.body.assignedTo && req.body.assignedTo !== lead.assignedTo?.toString();
+        
+        if (reassigned && !await findAssignableUser(req.body.assignedTo)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Leads can only be assigned to active staff members'
+            });
+        }
+        
+        // Update lead (merge links and dedupe keys are kept by mergeLeads and the model)
+        const protectedFields = [
+            'meta', 'communications', 'branch', 'assignedTo', 'assignmentHistory',
+            'mergedInto', 'mergedFrom', 'dedupeKeys', ...SOFT_DELETE_FIELDS
+        ];
         Object.keys(req.body).forEach(key => {
-            if (key !== 'meta' && key !== 'communications') {
+            if (!protectedFields.includes(key)) {
                 lead[key] = req.body[key];
             }
         });
         
+        if (reassigned) {
+            assignLead(lead, req.body.assignedTo, { reason: req.body.assignmentReason, assignedBy: req.user.id });
+        }
+        
+        // Only admins move leads between branches
+        if (req.body.branch && req.user.role === 'admin') {
+            lead.branch = req.body.branch;
+        }
+        
         lead.meta.updatedBy = req.user.id;
         lead.meta.updatedAt = new Date();
         
@@ -252,7 +386,7 @@ const updateLead = async (req, res) => {
 // @access  Private
 const deleteLead = async (req, res) => {
     try {
-        const lead = await Lead.findById(req.params.id);
+        const lead = await findScopedLead(req);
         
         if (!lead) {
             return res.status(404).json({
@@ -269,11 +403,11 @@ const deleteLead = async (req, res) => {
             });
         }
         
-        await lead.deleteOne();
+        await lead.softDelete(req.user.id);
         
         res.json({
             success: true,
-            message: 'Lead deleted successfully'
+            message: 'Lead moved to trash'
         });
     } catch (error) {
         console.error('Delete lead error:', error);
@@ -284,12 +418,236 @@ const deleteLead = async (req, res) => {
     }
 };
 
+// @desc    Reassign lead to a counselor, or let the assignment rules pick one
+// @route   PUT /api/leads/:id/assign
+// @access  Private (Admin/Employee)
+const reassignLead = async (req, res) => {
+    try {
+        const { assignedTo, reason } = req.body;
+        
+        const lead = await findScopedLead(req);
+        
+        if (!lead) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lead not found'
+            });
+        }
+        
+        if (assignedTo) {
+            if (assignedTo === lead.assignedTo?.toString()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Lead is already assigned to this user'
+                });
+            }
+            
+            if (!await findAssignableUser(assignedTo)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Leads can only be assigned to active staff members'
+                });
+            }
+            
+            assignLead(lead, assignedTo, { reason, assignedBy: req.user.id });
+        } else {
+            // Someone other than the current counselor
+            const counselor = await autoAssignLead(lead, {
+                assignedBy: req.user.id,
+                reason,
+                exclude: lead.assignedTo ? [lead.assignedTo] : []
+            });
+            
+            if (!counselor) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No counselor is available for this lead'
+                });
+            }
+        }
+        
+        lead.meta.updatedBy = req.user.id;
+        lead.meta.updatedAt = new Date();
+        
+        await lead.save();
+        await lead.populate('assignedTo', 'username profile.firstName profile.lastName');
+        
+        res.json({
+            success: true,
+            message: 'Lead reassigned successfully',
+            data: lead
+        });
+    } catch (error) {
+        console.error('Reassign lead error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get trashed leads
+// @route   GET /api/leads/trash
+// @access  Private
+const getLeadTrash = async (req, res) => {
+    try {
+        const leads = await Lead.find(applyScope({ ...TRASH_FILTER }, getLeadScope(req.user)))
+            .populate('assignedTo', 'username profile.firstName profile.lastName')
+            .populate('deletedBy', 'username profile.firstName profile.lastName')
+            .sort({ deletedAt: -1 })
+            .lean();
+        
+        res.json({
+            success: true,
+            count: leads.length,
+            data: leads.map(lead => ({ ...lead, purgeAt: getPurgeDate(lead.deletedAt) }))
+        });
+    } catch (error) {
+        console.error('Get lead trash error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Restore lead from trash
+// @route   PUT /api/leads/:id/restore
+// @access  Private
+const restoreLead = async (req, res) => {
+    try {
+        const lead = await Lead.findOne(applyScope({ _id: req.params.id, ...TRASH_FILTER }, getLeadScope(req.user)));
+        
+        if (!lead) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lead not found in trash'
+            });
+        }
+        
+        // Its communications and details now live on the lead it was merged into
+        if (lead.mergedInto) {
+            const master = await Lead.findById(lead.mergedInto).withDeleted().select('leadId').lean();
+            return res.status(400).json({
+                success: false,
+                message: `This lead was merged into ${master?.leadId || 'another lead'} and cannot be restored. Work on that lead instead.`
+            });
+        }
+        
+        await lead.restore();
+        
+        res.json({
+            success: true,
+            message: 'Lead restored successfully',
+            data: lead
+        });
+    } catch (error) {
+        console.error('Restore lead error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get possible duplicates of a lead
+// @route   GET /api/leads/:id/duplicates
+// @access  Private
+const getLeadDuplicates = async (req, res) => {
+    try {
+        const lead = await findScopedLead(req);
+        
+        if (!lead) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lead not found'
+            });
+        }
+        
+        const duplicates = await findDuplicates(
+            Lead,
+            { phone: lead.phone, email: lead.email, name: lead.fullName },
+            { exclude: [lead._id], scope: getLeadScope(req.user), select: DUPLICATE_LEAD_FIELDS }
+        );
+        
+        res.json({
+            success: true,
+            count: duplicates.length,
+            data: duplicates
+        });
+    } catch (error) {
+        console.error('Get lead duplicates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Merge duplicate leads into this lead
+// @route   POST /api/leads/:id/merge
+// @access  Private (Admin/Employee)
+const mergeLead = async (req, res) => {
+    try {
+        const { duplicateIds, reason } = req.body;
+        
+        if (duplicateIds.includes(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A lead cannot be merged into itself'
+            });
+        }
+        
+        const lead = await findScopedLead(req);
+        
+        if (!lead) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lead not found'
+            });
+        }
+        
+        const ids = [...new Set(duplicateIds)];
+        const duplicates = await Lead.find(applyScope({ _id: { $in: ids } }, getLeadScope(req.user)));
+        
+        if (duplicates.length !== ids.length) {
+            return res.status(404).json({
+                success: false,
+                message: 'One or more duplicate leads not found'
+            });
+        }
+        
+        // A converted lead carries the link to its student, so it has to be the one kept
+        const converted = duplicates.find(duplicate => duplicate.convertedToStudent);
+        if (converted) {
+            return res.status(400).json({
+                success: false,
+                message: `Lead ${converted.leadId} is converted to a student. Merge the other leads into it instead.`
+            });
+        }
+        
+        await mergeLeads(lead, duplicates, { userId: req.user.id, reason });
+        
+        res.json({
+            success: true,
+            message: `${duplicates.length} lead(s) merged into ${lead.leadId}`,
+            data: lead
+        });
+    } catch (error) {
+        console.error('Merge lead error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 // @desc    Add communication to lead
 // @route   POST /api/leads/:id/communications
 // @access  Private
 const addCommunication = async (req, res) => {
     try {
-        const lead = await Lead.findById(req.params.id);
+        const lead = await findScopedLead(req);
         
         if (!lead) {
             return res.status(404).json({
@@ -313,7 +671,8 @@ const addCommunication = async (req, res) => {
         res.json({
             success: true,
             message: 'Communication added successfully',
-            data: lead.communications
+            data: lead.communications,
+            score: lead.score
         });
     } catch (error) {
         console.error('Add communication error:', error);
@@ -324,12 +683,131 @@ const addCommunication = async (req, res) => {
     }
 };
 
+// @desc    Update a communication (complete, cancel or reschedule a follow-up)
+// @route   PUT /api/leads/:id/communications/:communicationId
+// @access  Private
+const updateCommunication = async (req, res) => {
+    try {
+        const lead = await findScopedLead(req);
+        const communication = lead?.communications.id(req.params.communicationId);
+        
+        if (!communication) {
+            return res.status(404).json({
+                success: false,
+                message: lead ? 'Communication not found' : 'Lead not found'
+            });
+        }
+        
+        ['subject', 'message', 'outcome', 'notes', 'status', 'completedAt'].forEach(key => {
+            if (req.body[key] !== undefined) {
+                communication[key] = req.body[key];
+            }
+        });
+        
+        // A new time needs a new reminder, and brings a missed follow-up back on the agenda
+        if (req.body.scheduledAt !== undefined) {
+            communication.scheduledAt = req.body.scheduledAt;
+            communication.reminderSentAt = undefined;
+            if (req.body.status === undefined && communication.status === 'missed') {
+                communication.status = 'scheduled';
+            }
+        }
+        
+        if (communication.status === 'completed' && !communication.completedAt) {
+            communication.completedAt = new Date();
+        }
+        
+        lead.meta.updatedBy = req.user.id;
+        lead.meta.updatedAt = new Date();
+        
+        await lead.save();
+        
+        res.json({
+            success: true,
+            message: 'Communication updated successfully',
+            data: communication,
+            score: lead.score
+        });
+    } catch (error) {
+        console.error('Update communication error:', error);
+        
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get my follow-ups for a day (today by default)
+// @route   GET /api/leads/my-follow-ups
+// @access  Private
+const getMyFollowUps = async (req, res) => {
+    try {
+        // Days run midnight to midnight in server time
+        const start = req.query.date ? new Date(`${req.query.date.slice(0, 10)}T00:00:00`) : new Date();
+        start.setHours(0, 0, 0, 0);
+        const end = new Date(start);
+        end.setDate(end.getDate() + 1);
+        
+        const onDay = { $gte: start, $lt: end };
+        
+        const followUps = await Lead.aggregate([
+            { $match: { assignedTo: req.user._id, 'communications.scheduledAt': onDay } },
+            { $unwind: '$communications' },
+            { $match: { 'communications.scheduledAt': onDay } },
+            { $sort: { 'communications.scheduledAt': 1 } },
+            {
+                $project: {
+                    _id: 0,
+                    lead: {
+                        _id: '$_id',
+                        leadId: '$leadId',
+                        fullName: '$fullName',
+                        phone: '$phone',
+                        email: '$email',
+                        status: '$status',
+                        score: '$score'
+                    },
+                    communication: '$communications'
+                }
+            }
+        ]);
+        
+        const summary = followUps.reduce((counts, { communication }) => {
+            counts[communication.status] = (counts[communication.status] || 0) + 1;
+            return counts;
+        }, { scheduled: 0, completed: 0, missed: 0, cancelled: 0 });
+        
+        res.json({
+            success: true,
+            date: start,
+            count: followUps.length,
+            summary,
+            data: followUps
+        });
+    } catch (error) {
+        console.error('Get my follow-ups error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 // @desc    Convert lead to student
 // @route   POST /api/leads/:id/convert
 // @access  Private
 const convertToStudent = async (req, res) => {
     try {
-        const lead = await Lead.findById(req.params.id);
+        const lead = await findScopedLead(req);
         
         if (!lead) {
             return res.status(404).json({
@@ -345,8 +823,24 @@ const convertToStudent = async (req, res) => {
             });
         }
         
+        // The lead may already be a student under another record (only matches the user may see are returned)
+        const duplicates = await findDuplicates(
+            Student,
+            { phone: lead.phone, email: lead.email, name: lead.fullName },
+            { scope: await getStudentScope(req.user), select: DUPLICATE_STUDENT_FIELDS }
+        );
+        
+        if (req.body.allowDuplicate !== true && await hasPhoneDuplicate(Student, lead.phone)) {
+            return res.status(409).json({
+                success: false,
+                message: 'A student with this phone number may already exist. Review the matches or set allowDuplicate to convert anyway.',
+                duplicates
+            });
+        }
+        
         // Create student from lead
         const studentData = {
+            branch: lead.branch,
             personalDetails: {
                 fullName: lead.fullName,
                 phone: lead.phone,
@@ -413,14 +907,19 @@ const convertToStudent = async (req, res) => {
 // @access  Private
 const getLeadStats = async (req, res) => {
     try {
+        // Only count leads the user may see
+        const scope = getLeadScope(req.user);
+        const scopeMatch = { $match: scope || {} };
+        
         // Get total leads count
-        const totalLeads = await Lead.countDocuments();
+        const totalLeads = await Lead.countDocuments(applyScope({}, scope));
         
         // Get converted leads count
-        const convertedLeads = await Lead.countDocuments({ convertedToStudent: true });
+        const convertedLeads = await Lead.countDocuments(applyScope({ convertedToStudent: true }, scope));
         
         // Get leads by status
         const leadsByStatus = await Lead.aggregate([
+            scopeMatch,
             {
                 $group: {
                     _id: '$status',
@@ -431,6 +930,7 @@ const getLeadStats = async (req, res) => {
         
         // Get leads by source
         const leadsBySource = await Lead.aggregate([
+            scopeMatch,
             {
                 $group: {
                     _id: '$source',
@@ -444,6 +944,7 @@ const getLeadStats = async (req, res) => {
         sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
         
         const leadsByMonth = await Lead.aggregate([
+            scopeMatch,
             {
                 $match: {
                     'meta.createdAt': { $gte: sixMonthsAgo }
@@ -512,11 +1013,19 @@ const getLeadStats = async (req, res) => {
 
 module.exports = {
     getLeads,
+    exportLeads,
     getLeadById,
     createLead,
     updateLead,
     deleteLead,
+    reassignLead,
+    getLeadTrash,
+    restoreLead,
+    getLeadDuplicates,
+    mergeLead,
     addCommunication,
+    updateCommunication,
+    getMyFollowUps,
     convertToStudent,
     getLeadStats
 };
\ No newline at end of file
@@ -0,0 +1,242 @@
+const LeadForm = require('../models/LeadForm');
+const LeadSubmission = require('../models/LeadSubmission');
+
+const FORM_FIELDS = ['name', 'description', 'active', 'source', 'branch', 'course', 'allowedOrigins', 'requireCaptcha'];
+
+// @desc    Get lead capture forms
+// @route   GET /api/lead-forms
+// @access  Private (Admin only)
+const getLeadForms = async (req, res) => {
+    try {
+        const forms = await LeadForm.find()
+            .populate('branch', 'name code')
+            .populate('course', 'name courseCode')
+            .sort({ name: 1 })
+            .lean();
+        
+        res.json({
+            success: true,
+            count: forms.length,
+            data: forms
+        });
+    } catch (error) {
+        console.error('Get lead forms error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Create lead capture form
+// @route   POST /api/lead-forms
+// @access  Private (Admin only)
+const createLeadForm = async (req, res) => {
+    try {
+        const formData = FORM_FIELDS.reduce((data, key) => (
+            req.body[key] !== undefined ? { ...data, [key]: req.body[key] } : data
+        ), {});
+        
+        const form = await LeadForm.create({
+            ...formData,
+            meta: {
+                createdBy: req.user.id,
+                updatedBy: req.user.id
+            }
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: 'Lead form created successfully',
+            data: form
+        });
+    } catch (error) {
+        console.error('Create lead form error:', error);
+        
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Lead form name already exists'
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Update lead capture form
+// @route   PUT /api/lead-forms/:id
+// @access  Private (Admin only)
+const updateLeadForm = async (req, res) => {
+    try {
+        const form = await LeadForm.findById(req.params.id);
+        
+        if (!form) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lead form not found'
+            });
+        }
+        
+        FORM_FIELDS.forEach(key => {
+            if (req.body[key] !== undefined) {
+                form[key] = req.body[key];
+            }
+        });
+        
+        form.meta.updatedBy = req.user.id;
+        form.meta.updatedAt = new Date();
+        
+        await form.save();
+        
+        res.json({
+            success: true,
+            message: 'Lead form updated successfully',
+            data: form
+        });
+    } catch (error) {
+        console.error('Update lead form error:', error);
+        
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Lead form name already exists'
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Issue a new key for a lead capture form (the old key stops working)
+// @route   PUT /api/lead-forms/:id/key
+// @access  Private (Admin only)
+const regenerateLeadFormKey = async (req, res) => {
+    try {
+        const form = await LeadForm.findById(req.params.id);
+        
+        if (!form) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lead form not found'
+            });
+        }
+        
+        form.generateKey();
+        form.meta.updatedBy = req.user.id;
+        form.meta.updatedAt = new Date();
+        
+        await form.save();
+        
+        res.json({
+            success: true,
+            message: 'Lead form key regenerated successfully',
+            data: form
+        });
+    } catch (error) {
+        console.error('Regenerate lead form key error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get recent submissions of a lead capture form
+// @route   GET /api/lead-forms/:id/submissions
+// @access  Private (Admin only)
+const getLeadFormSubmissions = async (req, res) => {
+    try {
+        const { outcome, page = 1, limit = 20 } = req.query;
+        
+        const query = { form: req.params.id };
+        if (outcome) query.outcome = outcome;
+        
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        
+        const [submissions, total] = await Promise.all([
+            LeadSubmission.find(query)
+                .populate('lead', 'leadId fullName status')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            LeadSubmission.countDocuments(query)
+        ]);
+        
+        res.json({
+            success: true,
+            count: submissions.length,
+            total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            data: submissions
+        });
+    } catch (error) {
+        console.error('Get lead form submissions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Delete lead capture form
+// @route   DELETE /api/lead-forms/:id
+// @access  Private (Admin only)
+const deleteLeadForm = async (req, res) => {
+    try {
+        const form = await LeadForm.findById(req.params.id);
+        
+        if (!form) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lead form not found'
+            });
+        }
+        
+        await form.deleteOne();
+        
+        res.json({
+            success: true,
+            message: 'Lead form deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete lead form error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    getLeadForms,
+    createLeadForm,
+    updateLeadForm,
+    regenerateLeadFormKey,
+    getLeadFormSubmissions,
+    deleteLeadForm
+};
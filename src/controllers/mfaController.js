@@ -0,0 +1,413 @@
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const SecuritySetting = require('../models/SecuritySetting');
+const authConfig = require('../config/auth');
+const {
+    generateSecret,
+    verifyTotp,
+    buildProvisioningUri,
+    generateBackupCodes,
+    hashBackupCode,
+    encryptSecret,
+    decryptSecret
+} = require('../utils/totp');
+const { createSession, setAuthCookies } = require('../utils/sessionService');
+const {
+    recordAttempt,
+    getLockMinutesRemaining,
+    registerFailedLogin,
+    resetFailedLogins
+} = require('../utils/loginProtection');
+
+const MFA_FIELDS = '+mfa.secret +mfa.pendingSecret +mfa.backupCodes';
+
+// Check a TOTP code or an unused backup code; marks what was used on the user
+const checkSecondFactor = (user, { code, backupCode }) => {
+    if (code && user.mfa?.secret) {
+        const counter = verifyTotp(decryptSecret(user.mfa.secret), code, {
+            window: authConfig.mfa.window,
+            lastCounter: user.mfa.lastUsedCounter ?? -1
+        });
+        if (counter === null) return null;
+        
+        user.mfa.lastUsedCounter = counter;
+        return 'totp';
+    }
+    
+    if (backupCode) {
+        const codeHash = hashBackupCode(backupCode);
+        const entry = (user.mfa?.backupCodes || []).find(c => c.codeHash === codeHash && !c.usedAt);
+        if (!entry) return null;
+        
+        entry.usedAt = new Date();
+        return 'backup-code';
+    }
+    
+    return null;
+};
+
+// Replace the user's backup codes, returning the plain codes to show once
+const issueBackupCodes = (user) => {
+    const codes = generateBackupCodes(authConfig.mfa.backupCodeCount);
+    user.mfa.backupCodes = codes.map(code => ({ codeHash: hashBackupCode(code) }));
+    return codes;
+};
+
+const remainingBackupCodes = (user) => (user.mfa?.backupCodes || []).filter(c => !c.usedAt).length;
+
+// @desc    Get my two-factor status
+// @route   GET /api/auth/mfa
+// @access  Private
+const getMfaStatus = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select(MFA_FIELDS);
+        
+        res.json({
+            success: true,
+            data: {
+                enabled: !!user.mfa?.enabled,
+                enabledAt: user.mfa?.enabledAt,
+                required: await SecuritySetting.isMfaRequired(user.role),
+                setupPending: !!user.mfa?.pendingSecret,
+                backupCodesRemaining: remainingBackupCodes(user)
+            }
+        });
+    } catch (error) {
+        console.error('Get MFA status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Start two-factor setup
+// @route   POST /api/auth/mfa/setup (or /api/auth/mfa/enroll during login)
+// @access  Private
+const setupMfa = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select(MFA_FIELDS);
+        
+        if (user.mfa?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+        
+        const secret = generateSecret();
+        const otpauthUrl = buildProvisioningUri({
+            secret,
+            account: user.email,
+            issuer: authConfig.mfa.issuer
+        });
+        
+        user.mfa = user.mfa || {};
+        user.mfa.pendingSecret = encryptSecret(secret);
+        await user.save();
+        
+        res.json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app, then confirm with a code',
+            data: {
+                secret,
+                otpauthUrl,
+                qrCode: await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 200 })
+            }
+        });
+    } catch (error) {
+        console.error('Setup MFA error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Confirm two-factor setup with a code
+// @route   POST /api/auth/mfa/enable (or /api/auth/mfa/enroll/confirm during login)
+// @access  Private
+const enableMfa = async (req, res) => {
+    try {
+        const { code } = req.body;
+        
+        const user = await User.findById(req.user.id).select(MFA_FIELDS);
+        
+        if (user.mfa?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+        
+        if (!user.mfa?.pendingSecret) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start two-factor setup first'
+            });
+        }
+        
+        const counter = verifyTotp(decryptSecret(user.mfa.pendingSecret), code, {
+            window: authConfig.mfa.window
+        });
+        
+        if (counter === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid verification code'
+            });
+        }
+        
+        user.mfa.secret = user.mfa.pendingSecret;
+        user.mfa.pendingSecret = undefined;
+        user.mfa.enabled = true;
+        user.mfa.enabledAt = new Date();
+        user.mfa.lastUsedCounter = counter;
+        const backupCodes = issueBackupCodes(user);
+        
+        // Enrolling during login completes the login
+        let tokens;
+        if (req.mfaPurpose === 'mfa-setup') {
+            user.lastLogin = new Date();
+            tokens = await createSession(user, req);
+            setAuthCookies(res, tokens);
+        }
+        
+        await user.save();
+        
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store the backup codes somewhere safe.',
+            token: tokens?.accessToken,
+            refreshToken: tokens?.refreshToken,
+            expiresIn: tokens?.expiresIn,
+            user: tokens ? user.getDashboardData() : undefined,
+            data: {
+                backupCodes
+            }
+        });
+    } catch (error) {
+        console.error('Enable MFA error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Complete login with a two-factor code
+// @route   POST /api/auth/mfa/verify
+// @access  Public (MFA token)
+const verifyMfaLogin = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select(MFA_FIELDS);
+        const attempt = { type: 'mfa', identifier: user.email, user: user._id };
+        
+        if (user.isLocked()) {
+            await recordAttempt(req, { ...attempt, reason: 'account-locked' });
+            return res.status(423).json({
+                success: false,
+                message: `Account is temporarily locked. Try again in ${getLockMinutesRemaining(user)} minute(s) or contact administrator.`
+            });
+        }
+        
+        const method = checkSecondFactor(user, req.body);
+        
+        if (!method) {
+            await recordAttempt(req, { ...attempt, reason: 'invalid-code' });
+            const { locked } = await registerFailedLogin(user, req);
+            return res.status(locked ? 423 : 401).json({
+                success: false,
+                message: locked
+                    ? `Too many failed attempts. Account is locked for ${authConfig.lockout.lockMinutes} minutes.`
+                    : 'Invalid verification code'
+            });
+        }
+        
+        resetFailedLogins(user);
+        user.lastLogin = new Date();
+        await user.save();
+        await recordAttempt(req, { ...attempt, success: true, reason: 'success' });
+        
+        const tokens = await createSession(user, req);
+        setAuthCookies(res, tokens);
+        
+        res.json({
+            success: true,
+            message: 'Login successful',
+            token: tokens.accessToken,
+            refreshToken: tokens.refreshToken,
+            expiresIn: tokens.expiresIn,
+            user: user.getDashboardData(),
+            mfa: {
+                method,
+                backupCodesRemaining: remainingBackupCodes(user)
+            }
+        });
+    } catch (error) {
+        console.error('Verify MFA error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Turn off two-factor authentication
+// @route   POST /api/auth/mfa/disable
+// @access  Private
+const disableMfa = async (req, res) => {
+    try {
+        const { password } = req.body;
+        
+        const user = await User.findById(req.user.id).select(`+password ${MFA_FIELDS}`);
+        
+        if (!user.mfa?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+        
+        if (await SecuritySetting.isMfaRequired(user.role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Two-factor authentication is required for the ${user.role} role`
+            });
+        }
+        
+        if (!(await user.comparePassword(password)) || !checkSecondFactor(user, req.body)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid password or verification code'
+            });
+        }
+        
+        user.mfa = { enabled: false };
+        await user.save();
+        
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        console.error('Disable MFA error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Generate new backup codes
+// @route   POST /api/auth/mfa/backup-codes
+// @access  Private
+const regenerateBackupCodes = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select(MFA_FIELDS);
+        
+        if (!user.mfa?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+        
+        if (!checkSecondFactor(user, { code: req.body.code })) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid verification code'
+            });
+        }
+        
+        const backupCodes = issueBackupCodes(user);
+        await user.save();
+        
+        res.json({
+            success: true,
+            message: 'New backup codes generated. Previous codes no longer work.',
+            data: {
+                backupCodes
+            }
+        });
+    } catch (error) {
+        console.error('Regenerate backup codes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get the two-factor policy
+// @route   GET /api/auth/mfa/policy
+// @access  Private (Admin only)
+const getMfaPolicy = async (req, res) => {
+    try {
+        const settings = await SecuritySetting.getSettings();
+        
+        res.json({
+            success: true,
+            data: {
+                requiredRoles: settings.mfaRequiredRoles,
+                updatedAt: settings.meta?.updatedAt
+            }
+        });
+    } catch (error) {
+        console.error('Get MFA policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Set which roles must use two-factor authentication
+// @route   PUT /api/auth/mfa/policy
+// @access  Private (Admin only)
+const updateMfaPolicy = async (req, res) => {
+    try {
+        const requiredRoles = [...new Set(req.body.requiredRoles)];
+        
+        const settings = await SecuritySetting.getSettings();
+        settings.mfaRequiredRoles = requiredRoles;
+        settings.meta = {
+            updatedBy: req.user.id,
+            updatedAt: new Date()
+        };
+        await settings.save();
+        
+        // Users who still have to enrol are asked to at their next login
+        const pendingEnrollment = await User.countDocuments({
+            role: { $in: requiredRoles },
+            status: 'active',
+            'mfa.enabled': { $ne: true }
+        });
+        
+        res.json({
+            success: true,
+            message: 'Two-factor policy updated',
+            data: {
+                requiredRoles: settings.mfaRequiredRoles,
+                usersPendingEnrollment: pendingEnrollment
+            }
+        });
+    } catch (error) {
+        console.error('Update MFA policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    getMfaStatus,
+    setupMfa,
+    enableMfa,
+    verifyMfaLogin,
+    disableMfa,
+    regenerateBackupCodes,
+    getMfaPolicy,
+    updateMfaPolicy
+};
@@ -1,9 +1,60 @@
 const Payment = require('../models/Payment');
+const Branch = require('../models/Branch');
 const Student = require('../models/Student');
 const Enrollment = require('../models/Enrollment');
 const User = require('../models/User');
 const { PAYMENT_STATUS, PAYMENT_MODE } = require('../utils/constants');
-const { formatCurrency } = require('../utils/helpers');
+const { formatCurrency, amountToWords } = require('../utils/helpers');
+const { createReceiptPdf } = require('../utils/pdfGenerator');
+const { resolveExportColumns, streamExport } = require('../utils/spreadsheetGenerator');
+const { PAYMENT_EXPORT_COLUMNS } = require('../utils/exportColumns');
+const { getOutstandingAmount, getDaysOverdue } = require('../utils/installmentHelpers');
+const { markOverdueInstallments } = require('../jobs/overdueInstallments');
+const { syncStudentFees } = require('../utils/paymentAllocation');
+const { getStudentScope, getPaymentScope, applyScope } = require('../utils/dataScope');
+const { annotateAudit } = require('../utils/auditTrail');
+const { SOFT_DELETE_FIELDS, TRASH_FILTER, getPurgeDate } = require('../utils/softDelete');
+
+// Find a payment by ID within the user's scope
+const findScopedPayment = async (req) => {
+    return Payment.findOne(applyScope({ _id: req.params.id }, await getPaymentScope(req.user)));
+};
+
+// Build the payment list query from request filters
+const buildPaymentQuery = ({ status, paymentMode, student, startDate, endDate, minAmount, maxAmount, search }) => {
+    const query = {};
+    
+    if (status) query.status = status;
+    if (paymentMode) query.paymentMode = paymentMode;
+    if (student) query.student = student;
+    
+    // Date range filter
+    if (startDate || endDate) {
+        query.paymentDate = {};
+        if (startDate) query.paymentDate.$gte = new Date(startDate);
+        if (endDate) query.paymentDate.$lte = new Date(endDate);
+    }
+    
+    // Amount range filter
+    if (minAmount || maxAmount) {
+        query.amount = {};
+        if (minAmount) query.amount.$gte = Number(minAmount);
+        if (maxAmount) query.amount.$lte = Number(maxAmount);
+    }
+    
+    // Search filter
+    if (search) {
+        const searchRegex = new RegExp(search, 'i');
+        query.$or = [
+            { paymentId: searchRegex },
+            { receiptNumber: searchRegex },
+            { 'transactionDetails.transactionId': searchRegex },
+            { 'transactionDetails.chequeNumber': searchRegex }
+        ];
+    }
+    
+    return query;
+};
 
 // @desc    Get all payments
 // @route   GET /api/payments
@@ -11,51 +62,14 @@ const { formatCurrency } = require('../utils/helpers');
 const getPayments = async (req, res) => {
     try {
         const {
-            status,
-            paymentMode,
-            student,
-            startDate,
-            endDate,
-            minAmount,
-            maxAmount,
-            search,
             page = 1,
             limit = 20,
             sortBy = 'paymentDate',
             sortOrder = 'desc'
         } = req.query;
         
-        // Build query
-        const query = {};
-        
-        if (status) query.status = status;
-        if (paymentMode) query.paymentMode = paymentMode;
-        if (student) query.student = student;
-        
-        // Date range filter
-        if (startDate || endDate) {
-            query.paymentDate = {};
-            if (startDate) query.paymentDate.$gte = new Date(startDate);
-            if (endDate) query.paymentDate.$lte = new Date(endDate);
-        }
-        
-        // Amount range filter
-        if (minAmount || maxAmount) {
-            query.amount = {};
-            if (minAmount) query.amount.$gte = Number(minAmount);
-            if (maxAmount) query.amount.$lte = Number(maxAmount);
-        }
-        
-        // Search filter
-        if (search) {
-            const searchRegex = new RegExp(search, 'i');
-            query.$or = [
-                { paymentId: searchRegex },
-                { receiptNumber: searchRegex },
-                { 'transactionDetails.transactionId': searchRegex },
-                { 'transactionDetails.chequeNumber': searchRegex }
-            ];
-        }
+        // Build query (counselors and trainers only see their students' payments)
+        const query = applyScope(buildPaymentQuery(req.query), await getPaymentScope(req.user));
         
         // Sort
         const sort = {};
@@ -101,12 +115,268 @@ const getPayments = async (req, res) => {
     }
 };
 
+// @desc    Export payments as CSV/XLSX
+// @route   GET /api/payments/export
+// @access  Private
+const exportPayments = async (req, res) => {
+    try {
+        const {
+            format = 'csv',
+            columns: requestedColumns,
+            sortBy = 'paymentDate',
+            sortOrder = 'desc'
+        } = req.query;
+        
+        const { columns, invalid } = resolveExportColumns(PAYMENT_EXPORT_COLUMNS, requestedColumns);
+        
+        if (invalid.length || !columns.length) {
+            return res.status(400).json({
+                success: false,
+                message: invalid.length
+                    ? `Unknown export columns: ${invalid.join(', ')}`
+                    : 'At least one export column is required',
+                availableColumns: PAYMENT_EXPORT_COLUMNS.map(column => column.key)
+            });
+        }
+        
+        const query = applyScope(buildPaymentQuery(req.query), await getPaymentScope(req.user));
+        
+        const cursor = Payment.find(query)
+            .populate('student', 'studentId personalDetails.fullName')
+            .populate('enrollment', 'enrollmentId')
+            .populate('receivedBy', 'username profile.firstName profile.lastName')
+            .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
+            .lean()
+            .cursor();
+        
+        await streamExport({
+            res,
+            cursor,
+            columns,
+            format,
+            fileName: 'payments',
+            sheetName: 'Payments'
+        });
+    } catch (error) {
+        console.error('Export payments error:', error);
+        if (res.headersSent) return res.end();
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// Ageing bucket for an overdue installment
+const getAgeingBucket = (daysOverdue) => {
+    if (daysOverdue <= 30) return '1-30';
+    if (daysOverdue <= 60) return '31-60';
+    if (daysOverdue <= 90) return '61-90';
+    return '90+';
+};
+
+// @desc    Get overdue installment ledger
+// @route   GET /api/payments/overdue
+// @access  Private
+const getOverdueLedger = async (req, res) => {
+    try {
+        const {
+            course,
+            batch,
+            student,
+            minDaysOverdue = 0,
+            page = 1,
+            limit = 20
+        } = req.query;
+        
+        const now = new Date();
+        const enrollmentQuery = { 'paymentPlan.status': 'overdue' };
+        if (course) enrollmentQuery.course = course;
+        if (batch) enrollmentQuery.batch = batch;
+        if (student) enrollmentQuery.student = student;
+        
+        // Student-level schedules have no course or batch
+        const includeStudentSchedules = !course && !batch;
+        const studentQuery = { 'paymentPlan.paymentSchedule.status': 'overdue' };
+        if (student) studentQuery._id = student;
+        
+        // Only students the user may see
+        const studentScope = await getStudentScope(req.user);
+        const enrollmentScope = await getPaymentScope(req.user);
+        
+        const [enrollments, students] = await Promise.all([
+            Enrollment.find(applyScope(enrollmentQuery, enrollmentScope))
+                .select('enrollmentId student course batch paymentPlan')
+                .populate('student', 'studentId personalDetails.fullName personalDetails.phone personalDetails.email')
+                .populate('course', 'name courseCode')
+                .populate('batch', 'batchId name')
+                .lean(),
+            includeStudentSchedules
+                ? Student.find(applyScope(studentQuery, studentScope))
+                    .select('studentId personalDetails.fullName personalDetails.phone personalDetails.email paymentPlan.paymentSchedule')
+                    .lean()
+                : []
+        ]);
+        
+        const toEntry = (installment, details) => {
+            const outstanding = getOutstandingAmount(installment);
+            const daysOverdue = getDaysOverdue(installment, now);
+            
+            return {
+                ...details,
+                installmentNumber: installment.installmentNumber,
+                dueDate: installment.dueDate,
+                amount: installment.amount,
+                paidAmount: installment.paidAmount || 0,
+                outstanding,
+                lateFee: installment.lateFee || 0,
+                totalDue: outstanding + (installment.lateFee || 0),
+                daysOverdue,
+                ageing: getAgeingBucket(daysOverdue)
+            };
+        };
+        
+        const studentDetails = (s) => s ? {
+            _id: s._id,
+            studentId: s.studentId,
+            name: s.personalDetails?.fullName,
+            phone: s.personalDetails?.phone,
+            email: s.personalDetails?.email
+        } : null;
+        
+        let ledger = [];
+        
+        enrollments.forEach(enrollment => {
+            enrollment.paymentPlan
+                .filter(installment => installment.status === 'overdue')
+                .forEach(installment => ledger.push(toEntry(installment, {
+                    source: 'enrollment',
+                    enrollment: { _id: enrollment._id, enrollmentId: enrollment.enrollmentId },
+                    student: studentDetails(enrollment.student),
+                    course: enrollment.course,
+                    batch: enrollment.batch
+                })));
+        });
+        
+        students.forEach(s => {
+            (s.paymentPlan?.paymentSchedule || [])
+                .filter(installment => installment.status === 'overdue')
+                .forEach(installment => ledger.push(toEntry(installment, {
+                    source: 'student',
+                    student: studentDetails(s)
+                })));
+        });
+        
+        ledger = ledger
+            .filter(entry => entry.daysOverdue >= Number(minDaysOverdue))
+            .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+        
+        const summary = {
+            installments: ledger.length,
+            students: new Set(ledger.map(entry => entry.student?._id?.toString())).size,
+            totalOutstanding: ledger.reduce((sum, entry) => sum + entry.outstanding, 0),
+            totalLateFees: ledger.reduce((sum, entry) => sum + entry.lateFee, 0),
+            ageing: ledger.reduce((acc, entry) => {
+                acc[entry.ageing] = (acc[entry.ageing] || 0) + entry.totalDue;
+                return acc;
+            }, { '1-30': 0, '31-60': 0, '61-90': 0, '90+': 0 })
+        };
+        
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const data = ledger.slice(skip, skip + parseInt(limit));
+        
+        res.json({
+            success: true,
+            count: data.length,
+            total: ledger.length,
+            totalPages: Math.ceil(ledger.length / limit),
+            currentPage: parseInt(page),
+            summary,
+            data
+        });
+    } catch (error) {
+        console.error('Get overdue ledger error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Run the overdue installment check now
+// @route   POST /api/payments/overdue/run
+// @access  Private (Admin only)
+const runOverdueCheck = async (req, res) => {
+    try {
+        const summary = await markOverdueInstallments();
+        
+        res.json({
+            success: true,
+            message: 'Overdue check completed',
+            data: summary
+        });
+    } catch (error) {
+        console.error('Run overdue check error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Reconcile student and enrollment fee totals with the Payment collection
+// @route   POST /api/payments/reconcile
+// @access  Private (Admin only)
+const reconcileFees = async (req, res) => {
+    try {
+        const { student, apply = false } = req.body;
+        
+        const studentQuery = student ? { _id: student } : {};
+        const cursor = Student.find(studentQuery).select('_id').lean().cursor();
+        
+        const drift = [];
+        let checked = 0;
+        
+        for await (const { _id } of cursor) {
+            const report = await syncStudentFees(_id, { apply });
+            checked++;
+            if (report?.hasDrift) drift.push(report);
+        }
+        
+        res.json({
+            success: true,
+            message: apply
+                ? `Reconciled ${drift.length} of ${checked} students`
+                : `Found drift on ${drift.length} of ${checked} students (not applied)`,
+            data: {
+                applied: apply,
+                summary: {
+                    studentsChecked: checked,
+                    studentsWithDrift: drift.length,
+                    enrollmentsWithDrift: drift.reduce((sum, report) => sum + report.enrollments.length, 0),
+                    installmentsChanged: drift.reduce((sum, report) => sum + report.installmentsChanged, 0),
+                    paidAmountDrift: drift.reduce((sum, report) =>
+                        sum + (report.paidAmount.expected - report.paidAmount.stored), 0)
+                },
+                drift
+            }
+        });
+    } catch (error) {
+        console.error('Reconcile fees error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 // @desc    Get single payment
 // @route   GET /api/payments/:id
 // @access  Private
 const getPaymentById = async (req, res) => {
     try {
-        const payment = await Payment.findById(req.params.id)
+        const scope = await getPaymentScope(req.user);
+        const payment = await Payment.findOne(applyScope({ _id: req.params.id }, scope))
             .populate('student', 'studentId personalDetails.fullName personalDetails.email personalDetails.phone')
             .populate('enrollment', 'enrollmentId')
             .populate('receivedBy', 'username profile.firstName profile.lastName profile.designation')
@@ -189,7 +459,7 @@ const createPayment = async (req, res) => {
 // @access  Private
 const updatePayment = async (req, res) => {
     try {
-        const payment = await Payment.findById(req.params.id);
+        const payment = await findScopedPayment(req);
         
         if (!payment) {
             return res.status(404).json({
@@ -208,7 +478,8 @@ const updatePayment = async (req, res) => {
         
         // Update fields
         Object.keys(req.body).forEach(key => {
-            if (key !== 'meta' && key !== '_id' && key !== 'paymentId' && key !== 'receiptNumber') {
+            if (key !== 'meta' && key !== '_id' && key !== 'paymentId' && key !== 'receiptNumber' &&
+                !SOFT_DELETE_FIELDS.includes(key)) {
                 payment[key] = req.body[key];
             }
         });
@@ -237,7 +508,7 @@ const updatePayment = async (req, res) => {
 // @access  Private (Admin only)
 const deletePayment = async (req, res) => {
     try {
-        const payment = await Payment.findById(req.params.id);
+        const payment = await findScopedPayment(req);
         
         if (!payment) {
             return res.status(404).json({
@@ -254,11 +525,11 @@ const deletePayment = async (req, res) => {
             });
         }
         
-        await payment.deleteOne();
+        await payment.softDelete(req.user.id);
         
         res.json({
             success: true,
-            message: 'Payment deleted successfully'
+            message: 'Payment moved to trash'
         });
     } catch (error) {
         console.error('Delete payment error:', error);
@@ -269,12 +540,77 @@ const deletePayment = async (req, res) => {
     }
 };
 
+// @desc    Get trashed payments
+// @route   GET /api/payments/trash
+// @access  Private (Admin only)
+const getPaymentTrash = async (req, res) => {
+    try {
+        const payments = await Payment.find(applyScope({ ...TRASH_FILTER }, await getPaymentScope(req.user)))
+            .populate('student', 'studentId personalDetails.fullName')
+            .populate('deletedBy', 'username profile.firstName profile.lastName')
+            .sort({ deletedAt: -1 })
+            .lean();
+        
+        res.json({
+            success: true,
+            count: payments.length,
+            data: payments.map(payment => ({ ...payment, purgeAt: getPurgeDate(payment.deletedAt) }))
+        });
+    } catch (error) {
+        console.error('Get payment trash error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Restore payment from trash
+// @route   PUT /api/payments/:id/restore
+// @access  Private (Admin only)
+const restorePayment = async (req, res) => {
+    try {
+        const payment = await Payment.findOne(
+            applyScope({ _id: req.params.id, ...TRASH_FILTER }, await getPaymentScope(req.user))
+        );
+        
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found in trash'
+            });
+        }
+        
+        if (!await Student.exists({ _id: payment.student })) {
+            return res.status(400).json({
+                success: false,
+                message: 'The student of this payment is in the trash. Restore the student first.'
+            });
+        }
+        
+        // Fee totals are re-synced by the payment save hook
+        await payment.restore();
+        
+        res.json({
+            success: true,
+            message: 'Payment restored successfully',
+            data: payment
+        });
+    } catch (error) {
+        console.error('Restore payment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 // @desc    Verify payment
 // @route   PUT /api/payments/:id/verify
 // @access  Private (Admin/Employee)
 const verifyPayment = async (req, res) => {
     try {
-        const payment = await Payment.findById(req.params.id);
+        const payment = await findScopedPayment(req);
         
         if (!payment) {
             return res.status(404).json({
@@ -319,7 +655,7 @@ const refundPayment = async (req, res) => {
     try {
         const { amount, reason } = req.body;
         
-        const payment = await Payment.findById(req.params.id);
+        const payment = await findScopedPayment(req);
         
         if (!payment) {
             return res.status(404).json({
@@ -353,6 +689,7 @@ const refundPayment = async (req, res) => {
         payment.meta.updatedBy = req.user.id;
         payment.meta.updatedAt = new Date();
         
+        annotateAudit(payment, 'payment.refund', reason);
         await payment.save();
         
         res.json({
@@ -369,15 +706,12 @@ const refundPayment = async (req, res) => {
     }
 };
 
-// @desc    Generate receipt for payment
+// @desc    Generate receipt for payment (PDF, or JSON with ?format=json)
 // @route   GET /api/payments/:id/receipt
 // @access  Private
 const generateReceipt = async (req, res) => {
     try {
-        const payment = await Payment.findById(req.params.id)
-            .populate('student', 'studentId personalDetails.fullName personalDetails.email personalDetails.phone')
-            .populate('receivedBy', 'username profile.firstName profile.lastName')
-            .populate('verifiedBy', 'username profile.firstName profile.lastName');
+        const payment = await findScopedPayment(req);
         
         if (!payment) {
             return res.status(404).json({
@@ -388,24 +722,40 @@ const generateReceipt = async (req, res) => {
         
         const receiptData = await payment.getReceiptData();
         
-        // Generate PDF receipt (simplified version - in production use PDF library)
-        const receipt = {
-            ...receiptData,
-            company: {
-                name: process.env.APP_NAME || 'Edu Management System',
-                address: '123 Education Street, Knowledge City',
-                phone: '+91 9876543210',
-                email: 'info@edumanage.com',
-                website: 'www.edumanage.com'
-            },
-            generatedAt: new Date().toISOString()
-        };
+        // Receipts carry the contact details of the branch that took the payment
+        const letterhead = await Branch.getLetterhead(payment.branch);
+        
+        if (req.query.format === 'json') {
+            const receipt = {
+                ...receiptData,
+                amountInWords: amountToWords(receiptData.amount),
+                company: {
+                    name: letterhead.name,
+                    address: letterhead.address,
+                    phone: letterhead.phone,
+                    email: letterhead.email,
+                    website: letterhead.website
+                },
+                generatedAt: new Date().toISOString()
+            };
+            
+            return res.json({
+                success: true,
+                message: 'Receipt generated successfully',
+                data: receipt
+            });
+        }
         
-        res.json({
-            success: true,
-            message: 'Receipt generated successfully',
-            data: receipt
-        });
+        const doc = createReceiptPdf(receiptData, letterhead);
+        
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader(
+            'Content-Disposition',
+            `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename=receipt_${receiptData.receiptNumber}.pdf`
+        );
+        
+        doc.pipe(res);
+        doc.end();
     } catch (error) {
         console.error('Generate receipt error:', error);
         res.status(500).json({
@@ -430,25 +780,29 @@ const getPaymentStats = async (req, res) => {
             if (endDate) dateFilter.paymentDate.$lte = new Date(endDate);
         }
         
+        // Only count payments the user may see
+        const scope = await getPaymentScope(req.user);
+        const scopedFilter = applyScope(dateFilter, scope);
+        
         // Get total payments
-        const totalPayments = await Payment.countDocuments(dateFilter);
+        const totalPayments = await Payment.countDocuments(scopedFilter);
         
         // Get total amount
         const totalAmountResult = await Payment.aggregate([
-            { $match: dateFilter },
+            { $match: scopedFilter },
             { $group: { _id: null, total: { $sum: '$amount' } } }
         ]);
         const totalAmount = totalAmountResult.length > 0 ? totalAmountResult[0].total : 0;
         
         // Get payments by status
         const paymentsByStatus = await Payment.aggregate([
-            { $match: dateFilter },
+            { $match: scopedFilter },
             { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$amount' } } }
         ]);
         
         // Get payments by mode
         const paymentsByMode = await Payment.aggregate([
-            { $match: dateFilter },
+            { $match: scopedFilter },
             { $group: { _id: '$paymentMode', count: { $sum: 1 }, amount: { $sum: '$amount' } } }
         ]);
         
@@ -458,10 +812,10 @@ const getPaymentStats = async (req, res) => {
         
         const monthlyTrend = await Payment.aggregate([
             {
-                $match: {
+                $match: applyScope({
                     ...dateFilter,
                     paymentDate: { $gte: sixMonthsAgo }
-                }
+                }, scope)
             },
             {
                 $group: {
@@ -494,15 +848,15 @@ const getPaymentStats = async (req, res) => {
         const tomorrow = new Date(today);
         tomorrow.setDate(tomorrow.getDate() + 1);
         
-        const todaysPayments = await Payment.countDocuments({
+        const todaysPayments = await Payment.countDocuments(applyScope({
             paymentDate: { $gte: today, $lt: tomorrow }
-        });
+        }, scope));
         
         const todaysAmountResult = await Payment.aggregate([
             {
-                $match: {
+                $match: applyScope({
                     paymentDate: { $gte: today, $lt: tomorrow }
-                }
+                }, scope)
             },
             { $group: { _id: null, total: { $sum: '$amount' } } }
         ]);
@@ -542,8 +896,8 @@ const getStudentPayments = async (req, res) => {
     try {
         const studentId = req.params.studentId;
         
-        // Verify student exists
-        const student = await Student.findById(studentId);
+        // Verify student exists and is in the user's scope
+        const student = await Student.findOne(applyScope({ _id: studentId }, await getStudentScope(req.user)));
         if (!student) {
             return res.status(404).json({
                 success: false,
@@ -592,10 +946,16 @@ const getStudentPayments = async (req, res) => {
 
 module.exports = {
     getPayments,
+    exportPayments,
+    getOverdueLedger,
+    runOverdueCheck,
+    reconcileFees,
     getPaymentById,
     createPayment,
     updatePayment,
     deletePayment,
+    getPaymentTrash,
+    restorePayment,
     verifyPayment,
     refundPayment,
     generateReceipt,
@@ -0,0 +1,167 @@
+const Lead = require('../models/Lead');
+const LeadForm = require('../models/LeadForm');
+const Course = require('../models/Course');
+const leadsConfig = require('../config/leads');
+const { findDuplicates } = require('../utils/duplicateDetection');
+const { autoAssignLead } = require('../utils/leadAssignment');
+const { sendThrottled } = require('../utils/loginProtection');
+const {
+    isCaptchaRequired,
+    verifyCaptcha,
+    isOriginAllowed,
+    extractUtm,
+    recordSubmission,
+    countRecentSubmissions
+} = require('../utils/leadCapture');
+
+// Same answer for new, repeated and spam submissions so the form reveals nothing about existing leads
+const THANK_YOU = {
+    success: true,
+    message: 'Thank you! Our team will get in touch with you shortly.'
+};
+
+// Existing lead for the same phone or email (in the trash too)
+const findExistingLead = async ({ phone, email, fullName }) => {
+    const samePhone = await Lead.findOne({ phone }).withDeleted().select('_id');
+    if (samePhone) return samePhone;
+    
+    const duplicates = await findDuplicates(Lead, { phone, email, name: fullName }, { select: '_id' });
+    const match = duplicates.find(duplicate => duplicate.matchedOn.some(key => key !== 'name'));
+    
+    return match ? match.record : null;
+};
+
+// Note a repeated enquiry on the lead the visitor already has
+const recordRepeatEnquiry = async (leadId, form, { message, course }) => {
+    const lead = await Lead.findById(leadId);
+    if (!lead) return;
+    
+    const entry = `[${form.name} form, ${new Date().toISOString().slice(0, 10)}] Submitted again` +
+        (message ? `: ${message}` : '');
+    lead.notes = lead.notes ? `${lead.notes}\n\n${entry}` : entry;
+    
+    if (course && !lead.interestedCourses.some(id => id.toString() === course.toString())) {
+        lead.interestedCourses.push(course);
+    }
+    
+    lead.meta.updatedAt = new Date();
+    await lead.save();
+};
+
+// Keep the form's submission counter for the admin list
+const countFormSubmission = (form) => LeadForm.updateOne(
+    { _id: form._id },
+    { $inc: { submissionCount: 1 }, $set: { lastSubmissionAt: new Date() } }
+);
+
+// @desc    Submit a lead from a website or campaign form
+// @route   POST /api/public/leads
+// @access  Public (form key)
+const submitLead = async (req, res) => {
+    try {
+        const form = await LeadForm.findOne({ key: req.get('x-form-key') || req.body.formKey, active: true });
+        
+        if (!form) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lead form not found or inactive'
+            });
+        }
+        
+        const { maxPerIp, windowMinutes, honeypotField } = leadsConfig.capture;
+        
+        if (maxPerIp > 0 && await countRecentSubmissions(req) >= maxPerIp) {
+            await recordSubmission(req, { form, outcome: 'ip-throttled' });
+            return sendThrottled(res, 'Too many submissions from this IP. Please try again later.', windowMinutes);
+        }
+        
+        if (!isOriginAllowed(form, req.get('origin'))) {
+            await recordSubmission(req, { form, outcome: 'origin-rejected' });
+            return res.status(403).json({
+                success: false,
+                message: 'This form cannot be submitted from this site'
+            });
+        }
+        
+        // Bots fill in every field; pretend it worked so they do not adapt
+        if (req.body[honeypotField]) {
+            await recordSubmission(req, { form, outcome: 'honeypot' });
+            return res.status(201).json(THANK_YOU);
+        }
+        
+        if (isCaptchaRequired(form) && !await verifyCaptcha(req.body.captchaToken, req.ip)) {
+            await recordSubmission(req, { form, outcome: 'captcha-failed' });
+            return res.status(400).json({
+                success: false,
+                message: 'Captcha verification failed. Please try again.'
+            });
+        }
+        
+        const { fullName, phone, email, message } = req.body;
+        let course = form.course;
+        
+        if (req.body.course) {
+            if (!await Course.exists({ _id: req.body.course })) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Course not found'
+                });
+            }
+            course = req.body.course;
+        }
+        
+        const existing = await findExistingLead({ phone, email, fullName });
+        
+        if (existing) {
+            await recordRepeatEnquiry(existing._id, form, { message, course });
+            await countFormSubmission(form);
+            await recordSubmission(req, { form, outcome: 'duplicate', lead: existing });
+            return res.status(201).json(THANK_YOU);
+        }
+        
+        const lead = new Lead({
+            fullName,
+            phone,
+            email,
+            source: form.source,
+            branch: form.branch,
+            primaryCourse: course,
+            interestedCourses: course ? [course] : [],
+            notes: message,
+            captureForm: form._id,
+            utm: extractUtm(req)
+        });
+        
+        await autoAssignLead(lead);
+        await lead.save();
+        
+        await countFormSubmission(form);
+        await recordSubmission(req, { form, outcome: 'created', lead });
+        
+        res.status(201).json(THANK_YOU);
+    } catch (error) {
+        console.error('Submit public lead error:', error);
+        
+        // Same phone submitted twice at the same moment
+        if (error.code === 11000) {
+            return res.status(201).json(THANK_YOU);
+        }
+        
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    submitLead
+};
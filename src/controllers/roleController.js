@@ -0,0 +1,290 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { PERMISSION_MODULE, PERMISSION_ACTION } = require('../utils/constants');
+const {
+    getRoleTemplate,
+    normalizePermissions,
+    clearRoleCache,
+    resyncRoleUsers
+} = require('../utils/permissions');
+
+// Users that take their permissions from a role
+const roleUserFilter = (role) => (role.isSystem
+    ? { role: role.name, customRole: null }
+    : { customRole: role._id });
+
+// @desc    Get all roles
+// @route   GET /api/roles
+// @access  Private (Admin only)
+const getRoles = async (req, res) => {
+    try {
+        const roles = await Role.find().sort({ isSystem: -1, name: 1 }).lean();
+        
+        const userCounts = await Promise.all(roles.map(role => User.countDocuments(roleUserFilter(role))));
+        
+        res.json({
+            success: true,
+            count: roles.length,
+            data: roles.map((role, index) => ({ ...role, userCount: userCounts[index] }))
+        });
+    } catch (error) {
+        console.error('Get roles error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get permission modules and actions
+// @route   GET /api/roles/modules
+// @access  Private (Admin only)
+const getPermissionModules = async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                modules: Object.values(PERMISSION_MODULE),
+                actions: Object.values(PERMISSION_ACTION)
+            }
+        });
+    } catch (error) {
+        console.error('Get permission modules error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get single role
+// @route   GET /api/roles/:id
+// @access  Private (Admin only)
+const getRoleById = async (req, res) => {
+    try {
+        const role = await Role.findById(req.params.id)
+            .populate('meta.createdBy', 'username')
+            .populate('meta.updatedBy', 'username')
+            .lean();
+        
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                ...role,
+                userCount: await User.countDocuments(roleUserFilter(role))
+            }
+        });
+    } catch (error) {
+        console.error('Get role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Create custom role
+// @route   POST /api/roles
+// @access  Private (Admin only)
+const createRole = async (req, res) => {
+    try {
+        const { name, displayName, description, baseRole, permissions } = req.body;
+        
+        const existingRole = await Role.findOne({ name: String(name).toLowerCase().trim() });
+        
+        if (existingRole) {
+            return res.status(400).json({
+                success: false,
+                message: 'Role already exists with this name'
+            });
+        }
+        
+        // Start from the base role's template unless grants are given
+        const role = await Role.create({
+            name,
+            displayName,
+            description,
+            baseRole,
+            isSystem: false,
+            permissions: normalizePermissions(permissions || await getRoleTemplate({ role: baseRole })),
+            meta: {
+                createdBy: req.user.id,
+                updatedBy: req.user.id
+            }
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: 'Role created successfully',
+            data: role
+        });
+    } catch (error) {
+        console.error('Create role error:', error);
+        
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Update role and re-sync its users
+// @route   PUT /api/roles/:id
+// @access  Private (Admin only)
+const updateRole = async (req, res) => {
+    try {
+        const { displayName, description, baseRole, permissions } = req.body;
+        
+        const role = await Role.findById(req.params.id);
+        
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+        
+        if (baseRole && role.isSystem && baseRole !== role.baseRole) {
+            return res.status(400).json({
+                success: false,
+                message: 'The base role of a built-in role cannot be changed'
+            });
+        }
+        
+        if (displayName !== undefined) role.displayName = displayName;
+        if (description !== undefined) role.description = description;
+        if (baseRole) role.baseRole = baseRole;
+        if (permissions) role.permissions = normalizePermissions(permissions);
+        
+        role.meta.updatedBy = req.user.id;
+        role.meta.updatedAt = new Date();
+        
+        await role.save();
+        
+        // Users keep their overrides; everything else follows the new template
+        const usersUpdated = await resyncRoleUsers(role);
+        
+        res.json({
+            success: true,
+            message: 'Role updated successfully',
+            data: role,
+            usersUpdated
+        });
+    } catch (error) {
+        console.error('Update role error:', error);
+        
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Delete custom role
+// @route   DELETE /api/roles/:id
+// @access  Private (Admin only)
+const deleteRole = async (req, res) => {
+    try {
+        const role = await Role.findById(req.params.id);
+        
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+        
+        if (role.isSystem) {
+            return res.status(400).json({
+                success: false,
+                message: 'Built-in roles cannot be deleted'
+            });
+        }
+        
+        const userCount = await User.countDocuments(roleUserFilter(role));
+        
+        if (userCount > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot delete role assigned to ${userCount} user(s). Reassign them first.`
+            });
+        }
+        
+        await role.deleteOne();
+        clearRoleCache();
+        
+        res.json({
+            success: true,
+            message: 'Role deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Re-sync the stored permissions of a role's users
+// @route   POST /api/roles/:id/resync
+// @access  Private (Admin only)
+const resyncRole = async (req, res) => {
+    try {
+        const role = await Role.findById(req.params.id);
+        
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+        
+        const usersUpdated = await resyncRoleUsers(role);
+        
+        res.json({
+            success: true,
+            message: `Permissions re-synced for ${usersUpdated} user(s)`,
+            data: { usersUpdated }
+        });
+    } catch (error) {
+        console.error('Resync role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    getRoles,
+    getPermissionModules,
+    getRoleById,
+    createRole,
+    updateRole,
+    deleteRole,
+    resyncRole
+};
@@ -0,0 +1,912 @@
+const Session = require('../models/Session');
+const Batch = require('../models/Batch');
+const Attendance = require('../models/Attendance');
+const Holiday = require('../models/Holiday');
+const { resolveScheduleTimes, expandWeeklySchedule, toDateKey, parseTime } = require('../utils/scheduleHelpers');
+const { findSessionConflicts, findGeneratedSessionConflicts, findFreeSlots } = require('../utils/scheduleConflicts');
+
+// Only admins may knowingly double-book (pass ?force=true)
+const canOverrideConflicts = (req) => req.query.force === 'true' && req.user.role === 'admin';
+
+// @desc    Get all sessions
+// @route   GET /api/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+    try {
+        const {
+            batch,
+            course,
+            instructor,
+            status,
+            startDate,
+            endDate,
+            search,
+            page = 1,
+            limit = 20,
+            sortBy = 'date',
+            sortOrder = 'asc'
+        } = req.query;
+
+        // Build query
+        const query = {};
+
+        if (batch) query.batch = batch;
+        if (course) query.course = course;
+        if (status) query.status = status;
+
+        // Instructor filter (lead or assistant)
+        if (instructor) {
+            query.$or = [
+                { instructor },
+                { assistantInstructors: instructor }
+            ];
+        }
+
+        // Date range filter
+        if (startDate || endDate) {
+            query.date = {};
+            if (startDate) query.date.$gte = new Date(startDate);
+            if (endDate) query.date.$lte = new Date(endDate);
+        }
+
+        // Search filter
+        if (search) {
+            const searchRegex = new RegExp(search, 'i');
+            const searchConditions = [
+                { sessionId: searchRegex },
+                { topic: searchRegex },
+                { description: searchRegex },
+                { classroom: searchRegex }
+            ];
+
+            if (query.$or) {
+                query.$and = [{ $or: query.$or }, { $or: searchConditions }];
+                delete query.$or;
+            } else {
+                query.$or = searchConditions;
+            }
+        }
+
+        // Sort
+        const sort = {};
+        sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+        if (sortBy === 'date') sort.startTime = sort.date;
+
+        // Pagination
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [sessions, total] = await Promise.all([
+            Session.find(query)
+                .populate('batch', 'batchId name')
+                .populate('course', 'name courseCode')
+                .populate('instructor', 'username profile.firstName profile.lastName')
+                .sort(sort)
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            Session.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            count: sessions.length,
+            total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            data: sessions
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get single session
+// @route   GET /api/sessions/:id
+// @access  Private
+const getSessionById = async (req, res) => {
+    try {
+        const session = await Session.findById(req.params.id)
+            .populate('batch', 'batchId name schedule')
+            .populate('course', 'name courseCode')
+            .populate('instructor', 'username profile.firstName profile.lastName profile.designation')
+            .populate('assistantInstructors', 'username profile.firstName profile.lastName')
+            .populate('resources.uploadedBy', 'username profile.firstName profile.lastName');
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: session
+        });
+    } catch (error) {
+        console.error('Get session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Create new session
+// @route   POST /api/sessions
+// @access  Private (Admin/Trainer)
+const createSession = async (req, res) => {
+    try {
+        const batch = await Batch.findById(req.body.batch);
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Batch not found'
+            });
+        }
+
+        if (batch.status === 'completed' || batch.status === 'cancelled') {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot add sessions to a ${batch.status} batch`
+            });
+        }
+
+        const sessionData = {
+            ...req.body,
+            course: batch.course,
+            instructor: req.body.instructor || batch.instructor || req.user.id,
+            assistantInstructors: req.body.assistantInstructors || batch.assistantInstructors,
+            classroom: req.body.classroom || batch.schedule?.classroom,
+            status: 'scheduled',
+            meta: {
+                createdBy: req.user.id,
+                updatedBy: req.user.id
+            }
+        };
+
+        // Never accept these from the client
+        delete sessionData.sessionId;
+        delete sessionData.attendanceTaken;
+        delete sessionData.attendanceSummary;
+
+        if (parseTime(sessionData.endTime) <= parseTime(sessionData.startTime)) {
+            return res.status(400).json({
+                success: false,
+                message: 'End time must be after start time'
+            });
+        }
+
+        // Check instructor/classroom availability (the batch's own timetable is not a conflict)
+        const conflicts = await findSessionConflicts(sessionData, { excludeBatchSchedule: batch._id });
+        if (conflicts.length && !canOverrideConflicts(req)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Schedule conflicts detected',
+                conflicts
+            });
+        }
+
+        const session = await Session.create(sessionData);
+
+        // Populate for response
+        const populatedSession = await Session.findById(session._id)
+            .populate('batch', 'batchId name')
+            .populate('course', 'name courseCode')
+            .populate('instructor', 'username profile.firstName profile.lastName');
+
+        res.status(201).json({
+            success: true,
+            message: 'Session created successfully',
+            data: populatedSession,
+            warnings: conflicts.length ? conflicts : undefined
+        });
+    } catch (error) {
+        console.error('Create session error:', error);
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Session ID already exists'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Update session
+// @route   PUT /api/sessions/:id
+// @access  Private (Admin/Trainer)
+const updateSession = async (req, res) => {
+    try {
+        const session = await Session.findById(req.params.id);
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        // Cannot update completed session unless admin
+        if (session.status === 'completed' && req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Cannot update completed session'
+            });
+        }
+
+        // Update fields
+        const protectedFields = [
+            'meta', '_id', 'sessionId', 'batch', 'course',
+            'attendanceTaken', 'attendanceSummary', 'recording'
+        ];
+        Object.keys(req.body).forEach(key => {
+            if (!protectedFields.includes(key)) {
+                session[key] = req.body[key];
+            }
+        });
+
+        if (parseTime(session.endTime) <= parseTime(session.startTime)) {
+            return res.status(400).json({
+                success: false,
+                message: 'End time must be after start time'
+            });
+        }
+
+        // Re-check availability when anything affecting the timetable changed
+        let conflicts = [];
+        const scheduleFields = ['date', 'startTime', 'endTime', 'instructor', 'assistantInstructors', 'classroom', 'status'];
+        if (scheduleFields.some(field => session.isModified(field)) && session.status !== 'cancelled') {
+            conflicts = await findSessionConflicts(session, {
+                excludeSession: session._id,
+                excludeBatchSchedule: session.batch
+            });
+            if (conflicts.length && !canOverrideConflicts(req)) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Schedule conflicts detected',
+                    conflicts
+                });
+            }
+        }
+
+        session.meta.updatedBy = req.user.id;
+        session.meta.updatedAt = new Date();
+
+        await session.save();
+
+        res.json({
+            success: true,
+            message: 'Session updated successfully',
+            data: session,
+            warnings: conflicts.length ? conflicts : undefined
+        });
+    } catch (error) {
+        console.error('Update session error:', error);
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Delete session
+// @route   DELETE /api/sessions/:id
+// @access  Private (Admin only)
+const deleteSession = async (req, res) => {
+    try {
+        const session = await Session.findById(req.params.id);
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        // Cannot delete if attendance has been recorded against it
+        const attendanceCount = await Attendance.countDocuments({ session: session._id });
+        if (attendanceCount > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot delete session with attendance records. Cancel it instead.'
+            });
+        }
+
+        await session.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Session deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Mark session as completed
+// @route   PUT /api/sessions/:id/complete
+// @access  Private (Admin/Trainer)
+const completeSession = async (req, res) => {
+    try {
+        const session = await Session.findById(req.params.id);
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        if (session.status === 'cancelled') {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot complete a cancelled session'
+            });
+        }
+
+        if (req.body.notes) {
+            session.notes = req.body.notes;
+        }
+        session.meta.updatedBy = req.user.id;
+
+        await session.markAsCompleted();
+
+        res.json({
+            success: true,
+            message: 'Session marked as completed',
+            data: session
+        });
+    } catch (error) {
+        console.error('Complete session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Add resource to session
+// @route   POST /api/sessions/:id/resources
+// @access  Private (Admin/Trainer)
+const addSessionResource = async (req, res) => {
+    try {
+        const session = await Session.findById(req.params.id);
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        const { type = 'other', title, url, description } = req.body;
+
+        // Either an uploaded file or an external URL is required
+        const resourceUrl = req.file ? `/uploads/sessions/${req.file.filename}` : url;
+
+        if (!resourceUrl) {
+            return res.status(400).json({
+                success: false,
+                message: 'Either a file or a resource URL is required'
+            });
+        }
+
+        session.meta.updatedBy = req.user.id;
+        session.meta.updatedAt = new Date();
+
+        await session.addResource({
+            type,
+            title: title || req.file?.originalname,
+            url: resourceUrl,
+            description
+        }, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            message: 'Resource added successfully',
+            data: session.resources[session.resources.length - 1]
+        });
+    } catch (error) {
+        console.error('Add session resource error:', error);
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Remove resource from session
+// @route   DELETE /api/sessions/:id/resources/:resourceId
+// @access  Private (Admin/Trainer)
+const removeSessionResource = async (req, res) => {
+    try {
+        const session = await Session.findById(req.params.id);
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        const resource = session.resources.id(req.params.resourceId);
+
+        if (!resource) {
+            return res.status(404).json({
+                success: false,
+                message: 'Resource not found in this session'
+            });
+        }
+
+        resource.deleteOne();
+        session.meta.updatedBy = req.user.id;
+        session.meta.updatedAt = new Date();
+
+        await session.save();
+
+        res.json({
+            success: true,
+            message: 'Resource removed successfully'
+        });
+    } catch (error) {
+        console.error('Remove session resource error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Add assignment to session
+// @route   POST /api/sessions/:id/assignments
+// @access  Private (Admin/Trainer)
+const addSessionAssignment = async (req, res) => {
+    try {
+        const session = await Session.findById(req.params.id);
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        session.meta.updatedBy = req.user.id;
+        session.meta.updatedAt = new Date();
+
+        await session.addAssignment(req.body);
+
+        res.status(201).json({
+            success: true,
+            message: 'Assignment added successfully',
+            data: session.assignments[session.assignments.length - 1]
+        });
+    } catch (error) {
+        console.error('Add session assignment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Upload or link session recording
+// @route   POST /api/sessions/:id/recording
+// @access  Private (Admin/Trainer)
+const uploadRecording = async (req, res) => {
+    try {
+        const session = await Session.findById(req.params.id);
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        const recordingUrl = req.file ? `/uploads/sessions/${req.file.filename}` : req.body.url;
+
+        if (!recordingUrl) {
+            return res.status(400).json({
+                success: false,
+                message: 'Either a recording file or a recording URL is required'
+            });
+        }
+
+        session.recording = {
+            url: recordingUrl,
+            duration: req.body.duration ? parseInt(req.body.duration) : session.duration,
+            uploadedAt: new Date(),
+            uploadedBy: req.user.id
+        };
+        session.meta.updatedBy = req.user.id;
+        session.meta.updatedAt = new Date();
+
+        await session.save();
+
+        res.json({
+            success: true,
+            message: 'Recording uploaded successfully',
+            data: session.recording
+        });
+    } catch (error) {
+        console.error('Upload recording error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Recalculate attendance summary from attendance records
+// @route   PUT /api/sessions/:id/attendance-summary
+// @access  Private (Admin/Trainer)
+const refreshAttendanceSummary = async (req, res) => {
+    try {
+        const session = await Session.findById(req.params.id);
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        await session.updateAttendanceSummary();
+
+        res.json({
+            success: true,
+            message: 'Attendance summary updated successfully',
+            data: {
+                sessionId: session.sessionId,
+                attendanceTaken: session.attendanceTaken,
+                attendanceSummary: session.attendanceSummary
+            }
+        });
+    } catch (error) {
+        console.error('Refresh attendance summary error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Generate sessions from a batch's weekly schedule
+// @route   POST /api/sessions/generate
+// @access  Private (Admin/Trainer)
+const generateSessions = async (req, res) => {
+    try {
+        const {
+            batch: batchId,
+            from,
+            to,
+            topic,
+            skipDates = [],
+            regenerate = false,
+            dryRun = false
+        } = req.body;
+
+        const batch = await Batch.findById(batchId);
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Batch not found'
+            });
+        }
+
+        if (batch.status === 'completed' || batch.status === 'cancelled') {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot generate sessions for a ${batch.status} batch`
+            });
+        }
+
+        if (!batch.schedule?.days?.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Batch schedule has no days configured'
+            });
+        }
+
+        const times = resolveScheduleTimes(batch.schedule.time, batch.schedule.duration);
+        if (!times) {
+            return res.status(400).json({
+                success: false,
+                message: 'Batch schedule time/duration could not be parsed (e.g. "10:00 AM - 2:00 PM" or "18:00" with "2 hours")'
+            });
+        }
+
+        // Resolve the date range; regeneration never touches past dates
+        let rangeStart = new Date(from || batch.startDate);
+        if (rangeStart < batch.startDate) rangeStart = new Date(batch.startDate);
+        if (regenerate) {
+            const today = new Date(`${toDateKey(new Date())}T00:00:00.000Z`);
+            if (rangeStart < today) rangeStart = today;
+        }
+
+        const rangeEnd = new Date(to || batch.endDate);
+        if (!to && !batch.endDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'Batch has no end date; provide "to" to bound the schedule'
+            });
+        }
+        if (batch.endDate && rangeEnd > batch.endDate) {
+            rangeEnd.setTime(batch.endDate.getTime());
+        }
+
+        if (rangeEnd < rangeStart) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nothing to generate: date range is empty'
+            });
+        }
+
+        const holidayKeys = await Holiday.getDateKeys(rangeStart, rangeEnd);
+        skipDates.forEach(date => holidayKeys.add(toDateKey(date)));
+
+        // Existing sessions in the range
+        const existingSessions = await Session.find({
+            batch: batch._id,
+            date: {
+                $gte: new Date(`${toDateKey(rangeStart)}T00:00:00.000Z`),
+                $lte: new Date(`${toDateKey(rangeEnd)}T23:59:59.999Z`)
+            }
+        });
+
+        // Sessions with attendance (flag or actual records) are never removed
+        const sessionsWithAttendance = new Set(
+            (await Attendance.distinct('session', {
+                session: { $in: existingSessions.map(s => s._id) }
+            })).map(id => id.toString())
+        );
+        const isLocked = (session) =>
+            session.attendanceTaken ||
+            session.status !== 'scheduled' ||
+            sessionsWithAttendance.has(session._id.toString());
+
+        const toRemove = regenerate ? existingSessions.filter(s => !isLocked(s)) : [];
+        const kept = existingSessions.filter(s => !toRemove.includes(s));
+        const occupiedKeys = new Set(kept.map(s => toDateKey(s.date)));
+
+        const dates = expandWeeklySchedule({
+            days: batch.schedule.days,
+            from: rangeStart,
+            to: rangeEnd,
+            isSkipped: (date) => holidayKeys.has(toDateKey(date)) || occupiedKeys.has(toDateKey(date))
+        });
+
+        const skippedHolidays = expandWeeklySchedule({
+            days: batch.schedule.days,
+            from: rangeStart,
+            to: rangeEnd,
+            isSkipped: (date) => !holidayKeys.has(toDateKey(date))
+        }).map(toDateKey);
+
+        const plan = {
+            batch: {
+                id: batch.batchId,
+                name: batch.name
+            },
+            range: {
+                from: toDateKey(rangeStart),
+                to: toDateKey(rangeEnd)
+            },
+            time: times,
+            toCreate: dates.map(toDateKey),
+            toRemove: toRemove.map(s => s.sessionId),
+            kept: kept.map(s => s.sessionId),
+            skippedHolidays,
+            // Instructor/classroom double-bookings with other batches
+            conflicts: await findGeneratedSessionConflicts(batch, dates, times)
+        };
+
+        if (dryRun) {
+            return res.json({
+                success: true,
+                message: 'Dry run: no sessions were changed',
+                data: plan
+            });
+        }
+
+        if (plan.conflicts.length && !canOverrideConflicts(req)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Schedule conflicts detected',
+                conflicts: plan.conflicts
+            });
+        }
+
+        const sequenceStart = await Session.countDocuments({
+            batch: batch._id,
+            date: { $lt: rangeStart }
+        });
+
+        // Create one by one so each session gets its own sessionId. New sessions are
+        // created before old ones are removed, and undone if any fails, so a failed
+        // regeneration leaves the schedule as it was.
+        const created = [];
+        try {
+            for (const [index, date] of dates.entries()) {
+                created.push(await Session.create({
+                    batch: batch._id,
+                    course: batch.course,
+                    date,
+                    startTime: times.startTime,
+                    endTime: times.endTime,
+                    topic: topic || `${batch.name} - Class ${sequenceStart + index + 1}`,
+                    instructor: batch.instructor,
+                    assistantInstructors: batch.assistantInstructors,
+                    classroom: batch.schedule.classroom,
+                    status: 'scheduled',
+                    meta: {
+                        createdBy: req.user.id,
+                        updatedBy: req.user.id
+                    }
+                }));
+            }
+        } catch (error) {
+            await Session.auditedDeleteMany(
+                { _id: { $in: created.map(s => s._id) } },
+                { event: 'session.regenerate', reason: 'Session generation failed' }
+            );
+            throw error;
+        }
+
+        if (toRemove.length) {
+            await Session.auditedDeleteMany(
+                { _id: { $in: toRemove.map(s => s._id) } },
+                { event: 'session.regenerate', reason: 'Replaced by regenerated sessions' }
+            );
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `${created.length} sessions generated, ${toRemove.length} removed`,
+            data: {
+                ...plan,
+                created: created.map(s => ({
+                    _id: s._id,
+                    sessionId: s.sessionId,
+                    date: s.date,
+                    startTime: s.startTime,
+                    endTime: s.endTime,
+                    topic: s.topic
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Generate sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get free time slots for an instructor or classroom
+// @route   GET /api/sessions/availability
+// @access  Private
+const getAvailability = async (req, res) => {
+    try {
+        const {
+            instructor,
+            classroom,
+            startDate,
+            endDate,
+            dayStart = '08:00',
+            dayEnd = '20:00',
+            minDuration = 60
+        } = req.query;
+
+        if (!instructor && !classroom) {
+            return res.status(400).json({
+                success: false,
+                message: 'Provide an instructor or a classroom'
+            });
+        }
+
+        const from = new Date(startDate);
+        const to = new Date(endDate);
+        const maxDays = 92;
+
+        if (to < from || (to - from) / (1000 * 60 * 60 * 24) > maxDays) {
+            return res.status(400).json({
+                success: false,
+                message: `Date range must be positive and at most ${maxDays} days`
+            });
+        }
+
+        if (parseTime(dayStart) === null || parseTime(dayEnd) === null || parseTime(dayEnd) <= parseTime(dayStart)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid working day start/end'
+            });
+        }
+
+        const days = await findFreeSlots({
+            instructor,
+            classroom,
+            from,
+            to,
+            dayStart,
+            dayEnd,
+            minDuration: parseInt(minDuration)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                instructor,
+                classroom,
+                workingHours: { start: dayStart, end: dayEnd },
+                days
+            }
+        });
+    } catch (error) {
+        console.error('Get availability error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    getSessions,
+    getSessionById,
+    createSession,
+    updateSession,
+    deleteSession,
+    completeSession,
+    addSessionResource,
+    removeSessionResource,
+    addSessionAssignment,
+    uploadRecording,
+    refreshAttendanceSummary,
+    generateSessions,
+    getAvailability
+};
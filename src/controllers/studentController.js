@@ -6,6 +6,66 @@ const Lead = require('../models/Lead');
 const User = require('../models/User');
 const { STUDENT_STATUS } = require('../utils/constants');
 const { formatCurrency, calculatePercentage } = require('../utils/helpers');
+const { resolvePermissions } = require('../utils/permissions');
+const {
+    MAX_IMPORT_ROWS,
+    readSpreadsheetRows,
+    validateImportRow,
+    toStudentData
+} = require('../utils/studentImport');
+const { resolveExportColumns, streamExport } = require('../utils/spreadsheetGenerator');
+const { STUDENT_EXPORT_COLUMNS } = require('../utils/exportColumns');
+const { getStudentScope, applyScope, resolveRecordBranch } = require('../utils/dataScope');
+const { SOFT_DELETE_FIELDS, TRASH_FILTER, getPurgeDate } = require('../utils/softDelete');
+const { findDuplicates, hasPhoneDuplicate } = require('../utils/duplicateDetection');
+
+// Fields returned for each possible duplicate
+const DUPLICATE_STUDENT_FIELDS = 'studentId personalDetails.fullName personalDetails.phone personalDetails.email status';
+
+// Find a student by ID within the user's scope
+const findScopedStudent = async (req) => {
+    return Student.findOne(applyScope({ _id: req.params.id }, await getStudentScope(req.user)));
+};
+
+// Build the student list query from request filters
+// Returns null when a batch/course filter matches no students
+const buildStudentQuery = async ({ status, admissionType, batch, course, search }) => {
+    const query = {};
+    
+    if (status) query.status = status;
+    if (admissionType) query['admissionDetails.admissionType'] = admissionType;
+    
+    // Search filter
+    if (search) {
+        const searchRegex = new RegExp(search, 'i');
+        query.$or = [
+            { studentId: searchRegex },
+            { 'personalDetails.fullName': searchRegex },
+            { 'personalDetails.email': searchRegex },
+            { 'personalDetails.phone': searchRegex },
+            { 'personalDetails.address.city': searchRegex },
+            { 'personalDetails.guardianDetails.name': searchRegex }
+        ];
+    }
+    
+    // If batch or course filter is provided, need to check enrollments
+    if (batch || course) {
+        const enrollmentQuery = {};
+        if (batch) enrollmentQuery.batch = batch;
+        if (course) enrollmentQuery.course = course;
+        
+        const enrollments = await Enrollment.find(enrollmentQuery).select('student');
+        const studentIds = enrollments.map(e => e.student);
+        
+        if (studentIds.length === 0) {
+            return null;
+        }
+        
+        query._id = { $in: studentIds };
+    }
+    
+    return query;
+};
 
 // @desc    Get all students
 // @route   GET /api/students
@@ -13,59 +73,26 @@ const { formatCurrency, calculatePercentage } = require('../utils/helpers');
 const getStudents = async (req, res) => {
     try {
         const {
-            status,
-            admissionType,
-            batch,
-            course,
-            search,
             page = 1,
             limit = 10,
             sortBy = 'meta.createdAt',
             sortOrder = 'desc'
         } = req.query;
         
-        // Build query
-        const query = {};
-        
-        if (status) query.status = status;
-        if (admissionType) query['admissionDetails.admissionType'] = admissionType;
-        
-        // Search filter
-        if (search) {
-            const searchRegex = new RegExp(search, 'i');
-            query.$or = [
-                { studentId: searchRegex },
-                { 'personalDetails.fullName': searchRegex },
-                { 'personalDetails.email': searchRegex },
-                { 'personalDetails.phone': searchRegex },
-                { 'personalDetails.address.city': searchRegex },
-                { 'personalDetails.guardianDetails.name': searchRegex }
-            ];
-        }
-        
-        // If batch or course filter is provided, need to check enrollments
-        let studentIds = null;
-        if (batch || course) {
-            const enrollmentQuery = {};
-            if (batch) enrollmentQuery.batch = batch;
-            if (course) enrollmentQuery.course = course;
-            
-            const enrollments = await Enrollment.find(enrollmentQuery).select('student');
-            studentIds = enrollments.map(e => e.student);
-            
-            if (studentIds.length === 0) {
-                // No students match the filter
-                return res.json({
-                    success: true,
-                    count: 0,
-                    total: 0,
-                    totalPages: 0,
-                    currentPage: parseInt(page),
-                    data: []
-                });
-            }
-            
-            query._id = { $in: studentIds };
+        // Build query (counselors and trainers only see their own students)
+        const filters = await buildStudentQuery(req.query);
+        const query = filters && applyScope(filters, await getStudentScope(req.user));
+        
+        if (!query) {
+            // No students match the filter
+            return res.json({
+                success: true,
+                count: 0,
+                total: 0,
+                totalPages: 0,
+                currentPage: parseInt(page),
+                data: []
+            });
         }
         
         // Sort
@@ -130,6 +157,57 @@ const getStudents = async (req, res) => {
     }
 };
 
+// @desc    Export students as CSV/XLSX
+// @route   GET /api/students/export
+// @access  Private
+const exportStudents = async (req, res) => {
+    try {
+        const {
+            format = 'csv',
+            columns: requestedColumns,
+            sortBy = 'meta.createdAt',
+            sortOrder = 'desc'
+        } = req.query;
+        
+        const { columns, invalid } = resolveExportColumns(STUDENT_EXPORT_COLUMNS, requestedColumns);
+        
+        if (invalid.length || !columns.length) {
+            return res.status(400).json({
+                success: false,
+                message: invalid.length
+                    ? `Unknown export columns: ${invalid.join(', ')}`
+                    : 'At least one export column is required',
+                availableColumns: STUDENT_EXPORT_COLUMNS.map(column => column.key)
+            });
+        }
+        
+        const filters = await buildStudentQuery(req.query);
+        const query = filters && applyScope(filters, await getStudentScope(req.user));
+        
+        const cursor = Student.find(query || { _id: { $in: [] } })
+            .populate('admissionDetails.admissionCounselor', 'username profile.firstName profile.lastName')
+            .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
+            .lean()
+            .cursor();
+        
+        await streamExport({
+            res,
+            cursor,
+            columns,
+            format,
+            fileName: 'students',
+            sheetName: 'Students'
+        });
+    } catch (error) {
+        console.error('Export students error:', error);
+        if (res.headersSent) return res.end();
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 // Helper function to calculate age
 const calculateAge = (dob) => {
     if (!dob) return null;
@@ -148,7 +226,8 @@ const calculateAge = (dob) => {
 // @access  Private
 const getStudentById = async (req, res) => {
     try {
-        const student = await Student.findById(req.params.id)
+        const scope = await getStudentScope(req.user);
+        const student = await Student.findOne(applyScope({ _id: req.params.id }, scope))
             .populate('admissionDetails.admissionCounselor', 'username profile.firstName profile.lastName profile.designation')
             .populate('admissionDetails.leadSource', 'leadId fullName phone email')
             .populate('admissionDetails.referralStudent', 'studentId personalDetails.fullName')
@@ -245,8 +324,11 @@ const getStudentById = async (req, res) => {
 // @access  Private
 const createStudent = async (req, res) => {
     try {
+        const { allowDuplicate, ...fields } = req.body;
+        
         const studentData = {
-            ...req.body,
+            ...fields,
+            branch: resolveRecordBranch(req.user, req.body.branch),
             meta: {
                 createdBy: req.user.id,
                 updatedBy: req.user.id
@@ -257,22 +339,42 @@ const createStudent = async (req, res) => {
         if (studentData.personalDetails?.phone) {
             const existingStudent = await Student.findOne({
                 'personalDetails.phone': studentData.personalDetails.phone
-            });
+            }).withDeleted();
             
             if (existingStudent) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Student with this phone number already exists'
+                    message: existingStudent.deletedAt
+                        ? 'Student with this phone number is in the trash. Restore it instead.'
+                        : 'Student with this phone number already exists'
                 });
             }
         }
         
+        // Look for the same person entered with a different spelling or format. Only
+        // matches the user may see are returned; the phone check covers every student.
+        const { fullName, phone, email } = studentData.personalDetails || {};
+        const duplicates = await findDuplicates(
+            Student,
+            { phone, email, name: fullName },
+            { scope: await getStudentScope(req.user), select: DUPLICATE_STUDENT_FIELDS }
+        );
+        
+        if (allowDuplicate !== true && await hasPhoneDuplicate(Student, phone)) {
+            return res.status(409).json({
+                success: false,
+                message: 'A student with this phone number may already exist. Review the matches or set allowDuplicate to create it anyway.',
+                duplicates
+            });
+        }
+        
         const student = await Student.create(studentData);
         
         res.status(201).json({
             success: true,
             message: 'Student created successfully',
-            data: student
+            data: student,
+            duplicates
         });
     } catch (error) {
         console.error('Create student error:', error);
@@ -299,12 +401,171 @@ const createStudent = async (req, res) => {
     }
 };
 
+// @desc    Bulk import students from an XLSX/CSV file
+// @route   POST /api/students/import
+// @access  Private
+const importStudents = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please upload an XLSX or CSV file'
+            });
+        }
+        
+        // Dry run unless explicitly committing
+        const dryRun = String(req.body.dryRun) !== 'false';
+        
+        const { headers, unknownHeaders, rows } = await readSpreadsheetRows(req.file);
+        
+        if (!rows.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'The file has no data rows'
+            });
+        }
+        
+        if (rows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({
+                success: false,
+                message: `A maximum of ${MAX_IMPORT_ROWS} rows can be imported at once`
+            });
+        }
+        
+        const results = rows.map(({ rowNumber, values }) => ({
+            row: rowNumber,
+            ...validateImportRow(values)
+        }));
+        
+        // Uniqueness within the file
+        const seen = { phone: {}, email: {} };
+        results.forEach(result => {
+            if (!result.isValid) return;
+            const { phone, email } = result.value.student.personalDetails;
+            
+            [['phone', phone], ['email', email]].forEach(([field, value]) => {
+                if (!value) return;
+                if (seen[field][value]) {
+                    result.errors.push({
+                        field: `personalDetails.${field}`,
+                        message: `Duplicate ${field} in file (same as row ${seen[field][value]})`
+                    });
+                } else {
+                    seen[field][value] = result.row;
+                }
+            });
+        });
+        
+        // Uniqueness against existing students
+        const phones = Object.keys(seen.phone);
+        const emails = Object.keys(seen.email);
+        const existing = await Student.find({
+            $or: [
+                { 'personalDetails.phone': { $in: phones } },
+                { 'personalDetails.email': { $in: emails } }
+            ]
+        }).withDeleted().select('studentId personalDetails.phone personalDetails.email').lean();
+        
+        const existingPhones = new Map(existing.map(s => [s.personalDetails.phone, s.studentId]));
+        const existingEmails = new Map(existing
+            .filter(s => s.personalDetails.email)
+            .map(s => [s.personalDetails.email, s.studentId]));
+        
+        results.forEach(result => {
+            if (!result.isValid) return;
+            const { phone, email } = result.value.student.personalDetails;
+            
+            if (existingPhones.has(phone)) {
+                result.errors.push({
+                    field: 'personalDetails.phone',
+                    message: `Phone already belongs to student ${existingPhones.get(phone)}`
+                });
+            }
+            if (email && existingEmails.has(email)) {
+                result.errors.push({
+                    field: 'personalDetails.email',
+                    message: `Email already belongs to student ${existingEmails.get(email)}`
+                });
+            }
+            result.isValid = result.errors.length === 0;
+        });
+        
+        const validRows = results.filter(result => result.isValid);
+        const errors = results
+            .filter(result => !result.isValid)
+            .map(({ row, errors }) => ({ row, errors }));
+        
+        const imported = [];
+        
+        if (!dryRun) {
+            // Created one at a time so the studentId hook runs for each row
+            for (const result of validRows) {
+                try {
+                    const student = await Student.create({
+                        ...toStudentData(result.value),
+                        branch: resolveRecordBranch(req.user, req.body.branch),
+                        meta: {
+                            createdBy: req.user.id,
+                            updatedBy: req.user.id
+                        }
+                    });
+                    
+                    imported.push({
+                        row: result.row,
+                        _id: student._id,
+                        studentId: student.studentId,
+                        fullName: student.personalDetails.fullName
+                    });
+                } catch (error) {
+                    errors.push({
+                        row: result.row,
+                        errors: [{
+                            field: error.code === 11000 ? 'personalDetails' : 'student',
+                            message: error.code === 11000
+                                ? 'Student with this phone or email already exists'
+                                : error.message
+                        }]
+                    });
+                }
+            }
+            
+            errors.sort((a, b) => a.row - b.row);
+        }
+        
+        res.status(dryRun ? 200 : 201).json({
+            success: true,
+            message: dryRun
+                ? 'Import validated (dry run), no students were created'
+                : `${imported.length} students imported successfully`,
+            data: {
+                dryRun,
+                summary: {
+                    totalRows: rows.length,
+                    validRows: validRows.length,
+                    invalidRows: results.length - validRows.length,
+                    imported: imported.length
+                },
+                headers,
+                ignoredColumns: unknownHeaders,
+                imported,
+                errors
+            }
+        });
+    } catch (error) {
+        console.error('Import students error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 // @desc    Update student
 // @route   PUT /api/students/:id
 // @access  Private
 const updateStudent = async (req, res) => {
     try {
-        const student = await Student.findById(req.params.id);
+        const student = await findScopedStudent(req);
         
         if (!student) {
             return res.status(404).json({
@@ -319,7 +580,7 @@ const updateStudent = async (req, res) => {
             
             const existingStudent = await Student.findOne({
                 'personalDetails.phone': req.body.personalDetails.phone
-            });
+            }).withDeleted();
             
             if (existingStudent && existingStudent._id.toString() !== req.params.id) {
                 return res.status(400).json({
@@ -346,11 +607,17 @@ const updateStudent = async (req, res) => {
                     ...student.paymentPlan, 
                     ...req.body.paymentPlan 
                 };
-            } else if (key !== 'meta' && key !== '_id' && key !== 'studentId') {
+            } else if (key !== 'meta' && key !== '_id' && key !== 'studentId' && key !== 'branch' &&
+                key !== 'dedupeKeys' && !SOFT_DELETE_FIELDS.includes(key)) {
                 student[key] = req.body[key];
             }
         });
         
+        // Only admins move students between branches
+        if (req.body.branch && req.user.role === 'admin') {
+            student.branch = req.body.branch;
+        }
+        
         student.meta.updatedBy = req.user.id;
         student.meta.updatedAt = new Date();
         
@@ -383,7 +650,7 @@ const updateStudent = async (req, res) => {
 // @access  Private (Admin only)
 const deleteStudent = async (req, res) => {
     try {
-        const student = await Student.findById(req.params.id);
+        const student = await findScopedStudent(req);
         
         if (!student) {
             return res.status(404).json({
@@ -405,16 +672,12 @@ const deleteStudent = async (req, res) => {
             });
         }
         
-        // Delete related records
-        await Enrollment.deleteMany({ student: student._id });
-        await Payment.deleteMany({ student: student._id });
-        await Attendance.deleteMany({ student: student._id });
-        
-        await student.deleteOne();
+        // Enrollments, payments and attendance go to the trash with the student
+        await student.softDelete(req.user.id);
         
         res.json({
             success: true,
-            message: 'Student deleted successfully'
+            message: 'Student moved to trash'
         });
     } catch (error) {
         console.error('Delete student error:', error);
@@ -425,13 +688,114 @@ const deleteStudent = async (req, res) => {
     }
 };
 
+// @desc    Get trashed students
+// @route   GET /api/students/trash
+// @access  Private
+const getStudentTrash = async (req, res) => {
+    try {
+        const students = await Student.find(applyScope({ ...TRASH_FILTER }, await getStudentScope(req.user)))
+            .select('studentId personalDetails.fullName personalDetails.phone personalDetails.email status branch deletedAt deletedBy')
+            .populate('deletedBy', 'username profile.firstName profile.lastName')
+            .sort({ deletedAt: -1 })
+            .lean();
+        
+        res.json({
+            success: true,
+            count: students.length,
+            data: students.map(student => ({ ...student, purgeAt: getPurgeDate(student.deletedAt) }))
+        });
+    } catch (error) {
+        console.error('Get student trash error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Restore student (with its enrollments, payments and attendance) from trash
+// @route   PUT /api/students/:id/restore
+// @access  Private
+const restoreStudent = async (req, res) => {
+    try {
+        const student = await Student.findOne(
+            applyScope({ _id: req.params.id, ...TRASH_FILTER }, await getStudentScope(req.user))
+        );
+        
+        if (!student) {
+            return res.status(404).json({
+                success: false,
+                message: 'Student not found in trash'
+            });
+        }
+        
+        await student.restore();
+        
+        res.json({
+            success: true,
+            message: 'Student restored successfully',
+            data: student
+        });
+    } catch (error) {
+        console.error('Restore student error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get possible duplicates of a student
+// @route   GET /api/students/:id/duplicates
+// @access  Private
+const getStudentDuplicates = async (req, res) => {
+    try {
+        const student = await findScopedStudent(req);
+        
+        if (!student) {
+            return res.status(404).json({
+                success: false,
+                message: 'Student not found'
+            });
+        }
+        
+        const { fullName, phone, email } = student.personalDetails;
+        const duplicates = await findDuplicates(
+            Student,
+            { phone, email, name: fullName },
+            {
+                exclude: [student._id],
+                scope: await getStudentScope(req.user),
+                select: DUPLICATE_STUDENT_FIELDS
+            }
+        );
+        
+        res.json({
+            success: true,
+            count: duplicates.length,
+            data: duplicates
+        });
+    } catch (error) {
+        console.error('Get student duplicates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 // @desc    Get student statistics
 // @route   GET /api/students/stats
 // @access  Private
 const getStudentStats = async (req, res) => {
     try {
+        // Only count students the user may see
+        const scope = await getStudentScope(req.user);
+        const scopeMatch = { $match: scope || {} };
+        
         // Students by status
         const studentsByStatus = await Student.aggregate([
+            scopeMatch,
             { $group: {
                 _id: '$status',
                 count: { $sum: 1 }
@@ -440,6 +804,7 @@ const getStudentStats = async (req, res) => {
         
         // Students by admission type
         const studentsByAdmissionType = await Student.aggregate([
+            scopeMatch,
             { $group: {
                 _id: '$admissionDetails.admissionType',
                 count: { $sum: 1 }
@@ -451,6 +816,7 @@ const getStudentStats = async (req, res) => {
         sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
         
         const studentsByMonth = await Student.aggregate([
+            scopeMatch,
             {
                 $match: {
                     'admissionDetails.admissionDate': { $gte: sixMonthsAgo }
@@ -475,6 +841,7 @@ const getStudentStats = async (req, res) => {
         
         // Gender distribution
         const genderDistribution = await Student.aggregate([
+            scopeMatch,
             { $match: { 'personalDetails.gender': { $exists: true, $ne: null } } },
             { $group: {
                 _id: '$personalDetails.gender',
@@ -484,6 +851,7 @@ const getStudentStats = async (req, res) => {
         
         // Age distribution
         const ageDistribution = await Student.aggregate([
+            scopeMatch,
             { $match: { 'personalDetails.dateOfBirth': { $exists: true, $ne: null } } },
             {
                 $project: {
@@ -510,8 +878,8 @@ const getStudentStats = async (req, res) => {
         ]);
         
         // Total students
-        const totalStudents = await Student.countDocuments();
-        const activeStudents = await Student.countDocuments({ status: 'active' });
+        const totalStudents = await Student.countDocuments(applyScope({}, scope));
+        const activeStudents = await Student.countDocuments(applyScope({ status: 'active' }, scope));
         
         // Format monthly data
         const monthlyData = studentsByMonth.map(item => ({
@@ -562,7 +930,7 @@ const enrollStudent = async (req, res) => {
     try {
         const { course, batch, enrollmentType, fees } = req.body;
         
-        const student = await Student.findById(req.params.id);
+        const student = await findScopedStudent(req);
         
         if (!student) {
             return res.status(404).json({
@@ -585,6 +953,14 @@ const enrollStudent = async (req, res) => {
             });
         }
         
+        // One enrollment per student and course, trashed ones included
+        if (await Enrollment.exists({ student: student._id, course, deletedAt: { $ne: null } })) {
+            return res.status(400).json({
+                success: false,
+                message: 'Student has a trashed enrollment for this course. Restore it instead.'
+            });
+        }
+        
         // Create enrollment
         const enrollmentData = {
             student: student._id,
@@ -648,7 +1024,7 @@ const updatePayment = async (req, res) => {
     try {
         const { amount, paymentMode, installmentNumber, remarks } = req.body;
         
-        const student = await Student.findById(req.params.id);
+        const student = await findScopedStudent(req);
         
         if (!student) {
             return res.status(404).json({
@@ -657,14 +1033,12 @@ const updatePayment = async (req, res) => {
             });
         }
         
-        // Update student payment
-        await student.updatePayment(amount, installmentNumber);
-        
-        // Create payment record
+        // Create payment record; fee totals and installments are updated by the payment's post-save sync
         const paymentData = {
             student: student._id,
             amount,
             paymentMode,
+            installmentNumber,
             status: 'completed',
             paymentDate: new Date(),
             receivedBy: req.user.id,
@@ -680,6 +1054,7 @@ const updatePayment = async (req, res) => {
         };
         
         const payment = await Payment.create(paymentData);
+        const updatedStudent = await Student.findById(student._id);
         
         res.json({
             success: true,
@@ -689,7 +1064,7 @@ const updatePayment = async (req, res) => {
                 student: {
                     id: student.studentId,
                     name: student.personalDetails.fullName,
-                    feeSummary: student.getFeeSummary()
+                    feeSummary: updatedStudent.getFeeSummary()
                 }
             }
         });
@@ -707,7 +1082,7 @@ const updatePayment = async (req, res) => {
 // @access  Private
 const getFeeSummary = async (req, res) => {
     try {
-        const student = await Student.findById(req.params.id);
+        const student = await findScopedStudent(req);
         
         if (!student) {
             return res.status(404).json({
@@ -752,7 +1127,7 @@ const markAttendance = async (req, res) => {
     try {
         const { batch, session, date, status, remarks } = req.body;
         
-        const student = await Student.findById(req.params.id);
+        const student = await findScopedStudent(req);
         
         if (!student) {
             return res.status(404).json({
@@ -816,7 +1191,7 @@ const uploadDocument = async (req, res) => {
     try {
         const { name, type, url, verified } = req.body;
         
-        const student = await Student.findById(req.params.id);
+        const student = await findScopedStudent(req);
         
         if (!student) {
             return res.status(404).json({
@@ -857,16 +1232,202 @@ const uploadDocument = async (req, res) => {
     }
 };
 
+// @desc    Create or link the student's portal account
+// @route   POST /api/students/:id/portal-account
+// @access  Private (Admin only)
+const linkPortalAccount = async (req, res) => {
+    try {
+        const { userId, username, email, password } = req.body;
+        
+        const student = await findScopedStudent(req);
+        
+        if (!student) {
+            return res.status(404).json({
+                success: false,
+                message: 'Student not found'
+            });
+        }
+        
+        if (student.loginCredentials?.user && await User.exists({ _id: student.loginCredentials.user })) {
+            return res.status(400).json({
+                success: false,
+                message: 'Student already has a portal account'
+            });
+        }
+        
+        let user;
+        
+        if (userId) {
+            // Link an existing student account
+            user = await User.findById(userId);
+            
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+            
+            if (user.role !== 'student') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Only users with the student role can be linked to a student record'
+                });
+            }
+        } else {
+            const accountEmail = email || student.personalDetails.email;
+            const accountUsername = username || student.studentId.toLowerCase();
+            
+            if (!accountEmail) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Email is required as the student has no email on record'
+                });
+            }
+            
+            const existingUser = await User.findOne({
+                $or: [{ email: accountEmail.toLowerCase() }, { username: accountUsername }]
+            });
+            
+            if (existingUser) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'User already exists with this email or username'
+                });
+            }
+            
+            const [firstName, ...lastName] = student.personalDetails.fullName.split(' ');
+            
+            user = await User.create({
+                username: accountUsername,
+                email: accountEmail,
+                password,
+                role: 'student',
+                profile: {
+                    firstName,
+                    lastName: lastName.join(' ') || undefined,
+                    phone: student.personalDetails.phone
+                },
+                permissions: await resolvePermissions({ role: 'student' }),
+                meta: {
+                    createdBy: req.user.id
+                }
+            });
+        }
+        
+        student.loginCredentials = {
+            ...(student.loginCredentials?.toObject?.() || {}),
+            user: user._id,
+            username: user.username,
+            isActive: true
+        };
+        student.meta.updatedBy = req.user.id;
+        student.meta.updatedAt = new Date();
+        
+        await student.save();
+        
+        res.status(201).json({
+            success: true,
+            message: userId ? 'Portal account linked successfully' : 'Portal account created successfully',
+            data: {
+                student: {
+                    id: student.studentId,
+                    name: student.personalDetails.fullName
+                },
+                user: user.getDashboardData()
+            }
+        });
+    } catch (error) {
+        console.error('Link portal account error:', error);
+        
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Unlink the student's portal account
+// @route   DELETE /api/students/:id/portal-account
+// @access  Private (Admin only)
+const unlinkPortalAccount = async (req, res) => {
+    try {
+        const student = await findScopedStudent(req);
+        
+        if (!student) {
+            return res.status(404).json({
+                success: false,
+                message: 'Student not found'
+            });
+        }
+        
+        const userId = student.loginCredentials?.user;
+        
+        if (!userId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Student has no portal account'
+            });
+        }
+        
+        student.loginCredentials.user = undefined;
+        student.loginCredentials.isActive = false;
+        student.meta.updatedBy = req.user.id;
+        student.meta.updatedAt = new Date();
+        
+        await student.save();
+        
+        // Deactivate the account once it no longer represents any student
+        const stillLinked = await Student.exists({ 'loginCredentials.user': userId });
+        if (!stillLinked) {
+            await User.auditedUpdateOne(
+                { _id: userId },
+                { status: 'inactive' },
+                { event: 'user.deactivate', reason: 'Portal account unlinked from its last student' }
+            );
+        }
+        
+        res.json({
+            success: true,
+            message: 'Portal account unlinked successfully',
+            data: {
+                userDeactivated: !stillLinked
+            }
+        });
+    } catch (error) {
+        console.error('Unlink portal account error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 module.exports = {
     getStudents,
     getStudentById,
     createStudent,
     updateStudent,
     deleteStudent,
+    getStudentTrash,
+    restoreStudent,
+    getStudentDuplicates,
     getStudentStats,
     enrollStudent,
     updatePayment,
     getFeeSummary,
     markAttendance,
-    uploadDocument
+    uploadDocument,
+    importStudents,
+    exportStudents,
+    linkPortalAccount,
+    unlinkPortalAccount
 };
\ No newline at end of file
@@ -0,0 +1,481 @@
+const Student = require('../models/Student');
+const Enrollment = require('../models/Enrollment');
+const Payment = require('../models/Payment');
+const Branch = require('../models/Branch');
+const Attendance = require('../models/Attendance');
+const Content = require('../models/Content');
+const { createReceiptPdf } = require('../utils/pdfGenerator');
+const { getOutstandingAmount, getDaysOverdue } = require('../utils/installmentHelpers');
+
+// Every query in this controller is limited to req.user.studentIds, the
+// student records linked to the logged-in account (set by protect)
+
+const notLinked = (res) => res.status(404).json({
+    success: false,
+    message: 'No student record is linked to this account'
+});
+
+const RECEIPT_STATUSES = ['completed', 'refunded'];
+
+// @desc    Get the logged-in student's profile
+// @route   GET /api/me/student
+// @access  Private (Student)
+const getMyProfile = async (req, res) => {
+    try {
+        const studentIds = req.user.studentIds || [];
+        if (studentIds.length === 0) return notLinked(res);
+        
+        const students = await Student.find({ _id: { $in: studentIds } })
+            .select('studentId personalDetails academicBackground admissionDetails.admissionDate status enrollments')
+            .populate('enrollments.course', 'name courseCode')
+            .populate('enrollments.batch', 'batchId name')
+            .lean();
+        
+        res.json({
+            success: true,
+            data: students
+        });
+    } catch (error) {
+        console.error('Get my profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get the logged-in student's enrollments
+// @route   GET /api/me/student/enrollments
+// @access  Private (Student)
+const getMyEnrollments = async (req, res) => {
+    try {
+        const studentIds = req.user.studentIds || [];
+        if (studentIds.length === 0) return notLinked(res);
+        
+        const { status } = req.query;
+        
+        const query = { student: { $in: studentIds } };
+        if (status) query.status = status;
+        
+        const enrollments = await Enrollment.find(query)
+            .select('-attendance -meta -certificate.issuedBy')
+            .populate('course', 'name courseCode duration')
+            .populate('batch', 'batchId name startDate endDate schedule')
+            .sort({ enrollmentDate: -1 })
+            .lean();
+        
+        res.json({
+            success: true,
+            count: enrollments.length,
+            data: enrollments
+        });
+    } catch (error) {
+        console.error('Get my enrollments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get the logged-in student's fee summary
+// @route   GET /api/me/student/fees
+// @access  Private (Student)
+const getMyFeeSummary = async (req, res) => {
+    try {
+        const studentIds = req.user.studentIds || [];
+        if (studentIds.length === 0) return notLinked(res);
+        
+        const [students, enrollments, recentPayments] = await Promise.all([
+            Student.find({ _id: { $in: studentIds } }),
+            Enrollment.find({ student: { $in: studentIds } })
+                .select('enrollmentId course status fees paymentPlan')
+                .populate('course', 'name courseCode')
+                .lean(),
+            Payment.find({ student: { $in: studentIds }, status: { $in: RECEIPT_STATUSES } })
+                .select('paymentId receiptNumber paymentDate amount paymentMode status')
+                .sort({ paymentDate: -1 })
+                .limit(5)
+                .lean()
+        ]);
+        
+        // The next installment still owed across all plans
+        const upcoming = enrollments
+            .flatMap(enrollment => (enrollment.paymentPlan || []).map(installment => ({
+                enrollmentId: enrollment.enrollmentId,
+                course: enrollment.course?.name,
+                installmentNumber: installment.installmentNumber,
+                dueDate: installment.dueDate,
+                amount: installment.amount,
+                outstanding: getOutstandingAmount(installment) + (installment.lateFee || 0),
+                status: installment.status
+            })))
+            .filter(installment => ['pending', 'partial', 'overdue'].includes(installment.status))
+            .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+        
+        res.json({
+            success: true,
+            data: {
+                students: students.map(student => {
+                    const { installments, ...summary } = student.getFeeSummary();
+                    return {
+                        id: student.studentId,
+                        name: student.personalDetails.fullName,
+                        ...summary
+                    };
+                }),
+                enrollments: enrollments.map(enrollment => ({
+                    enrollmentId: enrollment.enrollmentId,
+                    course: enrollment.course,
+                    status: enrollment.status,
+                    total: enrollment.fees.total,
+                    paid: enrollment.fees.paid,
+                    pending: enrollment.fees.pending,
+                    lateFees: enrollment.fees.lateFees || 0
+                })),
+                nextDue: upcoming[0] || null,
+                overdueCount: upcoming.filter(installment => installment.status === 'overdue').length,
+                recentPayments
+            }
+        });
+    } catch (error) {
+        console.error('Get my fee summary error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get the logged-in student's installments
+// @route   GET /api/me/student/installments
+// @access  Private (Student)
+const getMyInstallments = async (req, res) => {
+    try {
+        const studentIds = req.user.studentIds || [];
+        if (studentIds.length === 0) return notLinked(res);
+        
+        const { status } = req.query;
+        const now = new Date();
+        
+        const [students, enrollments] = await Promise.all([
+            Student.find({ _id: { $in: studentIds } })
+                .select('studentId paymentPlan.paymentSchedule')
+                .lean(),
+            Enrollment.find({ student: { $in: studentIds } })
+                .select('enrollmentId course paymentPlan')
+                .populate('course', 'name courseCode')
+                .lean()
+        ]);
+        
+        const toInstallment = (installment, source) => ({
+            ...source,
+            installmentNumber: installment.installmentNumber,
+            dueDate: installment.dueDate,
+            amount: installment.amount,
+            paidAmount: installment.paidAmount || 0,
+            paidDate: installment.paidDate,
+            lateFee: installment.lateFee || 0,
+            outstanding: getOutstandingAmount(installment),
+            status: installment.status,
+            daysOverdue: installment.status === 'overdue' ? getDaysOverdue(installment, now) : 0
+        });
+        
+        let installments = [
+            ...enrollments.flatMap(enrollment => (enrollment.paymentPlan || []).map(installment =>
+                toInstallment(installment, {
+                    enrollmentId: enrollment.enrollmentId,
+                    course: enrollment.course
+                })
+            )),
+            ...students.flatMap(student => (student.paymentPlan?.paymentSchedule || []).map(installment =>
+                toInstallment(installment, { studentId: student.studentId })
+            ))
+        ];
+        
+        if (status) installments = installments.filter(installment => installment.status === status);
+        
+        installments.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+        
+        res.json({
+            success: true,
+            count: installments.length,
+            data: {
+                installments,
+                summary: {
+                    total: installments.reduce((sum, installment) => sum + (installment.amount || 0), 0),
+                    paid: installments.reduce((sum, installment) => sum + installment.paidAmount, 0),
+                    outstanding: installments.reduce((sum, installment) => sum + installment.outstanding, 0),
+                    lateFees: installments.reduce((sum, installment) => sum + installment.lateFee, 0),
+                    overdue: installments.filter(installment => installment.status === 'overdue').length
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get my installments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get the logged-in student's payment receipts
+// @route   GET /api/me/student/receipts
+// @access  Private (Student)
+const getMyReceipts = async (req, res) => {
+    try {
+        const studentIds = req.user.studentIds || [];
+        if (studentIds.length === 0) return notLinked(res);
+        
+        const { page = 1, limit = 10 } = req.query;
+        
+        const query = {
+            student: { $in: studentIds },
+            status: { $in: RECEIPT_STATUSES }
+        };
+        
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        
+        const [payments, total] = await Promise.all([
+            Payment.find(query)
+                .select('paymentId receiptNumber paymentDate amount paymentMode paymentFor installmentNumber status refundDetails.amount enrollment')
+                .populate('enrollment', 'enrollmentId')
+                .sort({ paymentDate: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            Payment.countDocuments(query)
+        ]);
+        
+        res.json({
+            success: true,
+            count: payments.length,
+            total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            data: payments.map(payment => ({
+                ...payment,
+                receiptUrl: `/api/me/student/receipts/${payment._id}`
+            }))
+        });
+    } catch (error) {
+        console.error('Get my receipts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Download one of the logged-in student's receipts
+// @route   GET /api/me/student/receipts/:paymentId
+// @access  Private (Student)
+const downloadMyReceipt = async (req, res) => {
+    try {
+        const studentIds = req.user.studentIds || [];
+        if (studentIds.length === 0) return notLinked(res);
+        
+        // Payments of other students are reported as not found
+        const payment = await Payment.findOne({
+            _id: req.params.paymentId,
+            student: { $in: studentIds },
+            status: { $in: RECEIPT_STATUSES }
+        });
+        
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Receipt not found'
+            });
+        }
+        
+        const receiptData = await payment.getReceiptData();
+        const doc = createReceiptPdf(receiptData, await Branch.getLetterhead(payment.branch));
+        
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader(
+            'Content-Disposition',
+            `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename=receipt_${receiptData.receiptNumber}.pdf`
+        );
+        
+        doc.pipe(res);
+        doc.end();
+    } catch (error) {
+        console.error('Download my receipt error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get the logged-in student's attendance
+// @route   GET /api/me/student/attendance
+// @access  Private (Student)
+const getMyAttendance = async (req, res) => {
+    try {
+        const studentIds = req.user.studentIds || [];
+        if (studentIds.length === 0) return notLinked(res);
+        
+        const { batch, startDate, endDate } = req.query;
+        
+        const query = { student: { $in: studentIds } };
+        if (batch) query.batch = batch;
+        
+        if (startDate || endDate) {
+            query.date = {};
+            if (startDate) query.date.$gte = new Date(startDate);
+            if (endDate) query.date.$lte = new Date(endDate);
+        }
+        
+        const records = await Attendance.find(query)
+            .select('batch session date status checkInTime checkOutTime remarks')
+            .populate('batch', 'batchId name')
+            .populate('session', 'topic date')
+            .sort({ date: -1 })
+            .lean();
+        
+        const emptySummary = () => ({ total: 0, present: 0, absent: 0, late: 0, leave: 0 });
+        const withPercentage = (summary) => ({
+            ...summary,
+            attendancePercentage: summary.total > 0
+                ? Math.round(((summary.present + summary.late) / summary.total) * 100)
+                : 0
+        });
+        
+        const summary = emptySummary();
+        const byBatch = {};
+        
+        records.forEach(record => {
+            const batchKey = record.batch?._id?.toString() || 'none';
+            if (!byBatch[batchKey]) {
+                byBatch[batchKey] = { batch: record.batch || null, summary: emptySummary() };
+            }
+            
+            [summary, byBatch[batchKey].summary].forEach(target => {
+                target.total++;
+                if (target[record.status] !== undefined) target[record.status]++;
+            });
+        });
+        
+        res.json({
+            success: true,
+            data: {
+                summary: withPercentage(summary),
+                byBatch: Object.values(byBatch).map(entry => ({
+                    batch: entry.batch,
+                    summary: withPercentage(entry.summary)
+                })),
+                records,
+                filters: {
+                    batch,
+                    startDate,
+                    endDate
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get my attendance error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get content available to the logged-in student
+// @route   GET /api/me/student/content
+// @access  Private (Student)
+const getMyContent = async (req, res) => {
+    try {
+        const studentIds = req.user.studentIds || [];
+        if (studentIds.length === 0) return notLinked(res);
+        
+        const { type, course } = req.query;
+        
+        const enrollments = await Enrollment.find({
+            student: { $in: studentIds },
+            status: 'active'
+        })
+            .select('course batch')
+            .populate('course', 'name courseCode')
+            .lean();
+        
+        let courseIds = enrollments.map(e => e.course?._id).filter(Boolean);
+        const batchIds = enrollments.map(e => e.batch).filter(Boolean);
+        
+        if (course) {
+            courseIds = courseIds.filter(id => id.toString() === course);
+        }
+        
+        const query = {
+            course: { $in: courseIds },
+            status: 'published',
+            $and: [
+                // Batch-specific content is only shown to that batch
+                { $or: [{ batch: { $exists: false } }, { batch: null }, { batch: { $in: batchIds } }] },
+                {
+                    $or: [
+                        { 'access.type': 'public' },
+                        { 'access.allowedUsers': req.user._id },
+                        { 'access.allowedStudents': { $in: studentIds } },
+                        { 'access.allowedBatches': { $in: batchIds } }
+                    ]
+                }
+            ]
+        };
+        if (type) query.type = type;
+        
+        // Submissions hold other students' work, so they are never returned here
+        const content = await Content.find(query)
+            .select('-submissions -access')
+            .populate('course', 'name courseCode')
+            .populate('batch', 'batchId name')
+            .sort({ 'meta.createdAt': -1 })
+            .lean();
+        
+        const contentByCourse = {};
+        content.forEach(item => {
+            const courseName = item.course.name;
+            if (!contentByCourse[courseName]) {
+                contentByCourse[courseName] = [];
+            }
+            contentByCourse[courseName].push(item);
+        });
+        
+        res.json({
+            success: true,
+            data: {
+                enrolledCourses: enrollments
+                    .filter(e => e.course)
+                    .map(e => ({
+                        id: e.course.courseCode,
+                        name: e.course.name
+                    })),
+                contentByCourse,
+                stats: {
+                    totalContent: content.length,
+                    coursesWithContent: Object.keys(contentByCourse).length
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get my content error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    getMyProfile,
+    getMyEnrollments,
+    getMyFeeSummary,
+    getMyInstallments,
+    getMyReceipts,
+    downloadMyReceipt,
+    getMyAttendance,
+    getMyContent
+};
@@ -1,7 +1,20 @@
 const User = require('../models/User');
 const Student = require('../models/Student');
-const { getPermissionsByRole } = require('../utils/permissions');
+const {
+    getRoleTemplate,
+    resolvePermissions,
+    diffPermissions,
+    syncUserPermissions,
+    findAssignableRole
+} = require('../utils/permissions');
 const { hashPassword } = require('../utils/helpers');
+const UserSession = require('../models/UserSession');
+const { revokeSessions, formatSession } = require('../utils/sessionService');
+const LoginAttempt = require('../models/LoginAttempt');
+const { unlockAccount } = require('../utils/loginProtection');
+const { sendVerificationEmail, setEmailVerified } = require('../utils/emailVerification');
+const { getBranchScope, applyScope, resolveRecordBranch } = require('../utils/dataScope');
+const { annotateAudit } = require('../utils/auditTrail');
 
 // @desc    Get all users
 // @route   GET /api/users
@@ -50,16 +63,17 @@ const getUsers = async (req, res) => {
         
         // Pagination
         const skip = (parseInt(page) - 1) * parseInt(limit);
+        const scopedQuery = applyScope(query, getBranchScope(req.user));
         
         const [users, total] = await Promise.all([
-            User.find(query)
+            User.find(scopedQuery)
                 .select('-password -passwordResetToken -passwordResetExpires')
                 .populate('employeeDetails.reportingManager', 'username profile.firstName profile.lastName')
                 .sort(sort)
                 .skip(skip)
                 .limit(parseInt(limit))
                 .lean(),
-            User.countDocuments(query)
+            User.countDocuments(scopedQuery)
         ]);
         
         res.json({
@@ -84,8 +98,9 @@ const getUsers = async (req, res) => {
 // @access  Private (Admin/Employee)
 const getUserById = async (req, res) => {
     try {
-        const user = await User.findById(req.params.id)
+        const user = await User.findOne(applyScope({ _id: req.params.id }, getBranchScope(req.user)))
             .select('-password -passwordResetToken -passwordResetExpires')
+            .populate('branch', 'name code')
             .populate('employeeDetails.reportingManager', 'username profile.firstName profile.lastName profile.designation')
             .populate('meta.createdBy', 'username profile.firstName profile.lastName')
             .populate('meta.updatedBy', 'username profile.firstName profile.lastName');
@@ -125,7 +140,7 @@ const getUserById = async (req, res) => {
 // @access  Private (Admin only)
 const createUser = async (req, res) => {
     try {
-        const { username, email, password, role, profile, employeeDetails } = req.body;
+        const { username, email, password, role, profile, employeeDetails, isEmailVerified, branch } = req.body;
         
         // Check if user exists
         const existingUser = await User.findOne({ 
@@ -139,24 +154,43 @@ const createUser = async (req, res) => {
             });
         }
         
+        // Built-in or custom role
+        const assigned = await findAssignableRole(role);
+        
+        if (!assigned) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid role'
+            });
+        }
+        
         // Get permissions based on role
-        const permissions = getPermissionsByRole(role);
+        const permissions = await resolvePermissions(assigned);
         
         // Create user
         const user = await User.create({
             username,
             email,
             password,
-            role,
+            role: assigned.role,
+            customRole: assigned.customRole,
+            branch: resolveRecordBranch(req.user, branch),
             profile,
             permissions,
-            employeeDetails: role === 'student' ? undefined : employeeDetails,
+            employeeDetails: assigned.role === 'student' ? undefined : employeeDetails,
+            isEmailVerified: isEmailVerified === true,
+            emailVerifiedAt: isEmailVerified === true ? new Date() : undefined,
             meta: {
                 createdBy: req.user.id,
                 updatedBy: req.user.id
             }
         });
         
+        // Admins can vouch for an address; otherwise the user confirms it
+        if (!user.isEmailVerified) {
+            sendVerificationEmail(user).catch(error => console.error('Verification email error:', error));
+        }
+        
         res.status(201).json({
             success: true,
             message: 'User created successfully',
@@ -222,18 +256,33 @@ const updateUser = async (req, res) => {
             }
         }
         
+        const emailChanged = !!req.body.email && req.body.email !== user.email;
+        
         // Update fields
         Object.keys(req.body).forEach(key => {
-            if (key !== 'meta' && key !== '_id' && key !== 'password') {
+            // Role and permissions have their own endpoints
+            if (![
+                'meta', '_id', 'password', 'isEmailVerified', 'emailVerifiedAt',
+                'role', 'customRole', 'permissions', 'permissionOverrides', 'activeBranch'
+            ].includes(key)) {
                 user[key] = req.body[key];
             }
         });
         
+        // A new address has to be verified again unless the admin vouches for it
+        if (emailChanged || (req.body.isEmailVerified !== undefined && !!req.body.isEmailVerified !== user.isEmailVerified)) {
+            setEmailVerified(user, req.body.isEmailVerified === true);
+        }
+        
         user.meta.updatedBy = req.user.id;
         user.meta.updatedAt = new Date();
         
         await user.save();
         
+        if (emailChanged && !user.isEmailVerified) {
+            sendVerificationEmail(user).catch(error => console.error('Verification email error:', error));
+        }
+        
         res.json({
             success: true,
             message: 'User updated successfully',
@@ -279,6 +328,7 @@ const deleteUser = async (req, res) => {
         }
         
         await user.deleteOne();
+        await revokeSessions({ user: user._id }, { reason: 'admin', revokedBy: req.user._id });
         
         res.json({
             success: true,
@@ -298,7 +348,7 @@ const deleteUser = async (req, res) => {
 // @access  Private (Admin only)
 const updateUserPermissions = async (req, res) => {
     try {
-        const { permissions } = req.body;
+        const { permissions, overrides } = req.body;
         
         const user = await User.findById(req.params.id);
         
@@ -309,16 +359,22 @@ const updateUserPermissions = async (req, res) => {
             });
         }
         
-        user.permissions = permissions;
+        // Either explicit overrides, or the full grant list the user should end up with
+        user.permissionOverrides = overrides
+            ? overrides
+            : diffPermissions(await getRoleTemplate(user), permissions);
+        await syncUserPermissions(user);
         user.meta.updatedBy = req.user.id;
         user.meta.updatedAt = new Date();
         
+        annotateAudit(user, 'user.permissions-change', req.body.reason);
         await user.save();
         
         res.json({
             success: true,
             message: 'User permissions updated successfully',
-            data: user.permissions
+            data: user.permissions,
+            overrides: user.permissionOverrides
         });
     } catch (error) {
         console.error('Update user permissions error:', error);
@@ -329,6 +385,41 @@ const updateUserPermissions = async (req, res) => {
     }
 };
 
+// @desc    Remove a user's permission overrides so the role template applies again
+// @route   DELETE /api/users/:id/permissions
+// @access  Private (Admin only)
+const resetUserPermissions = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        
+        user.permissionOverrides = [];
+        await syncUserPermissions(user);
+        user.meta.updatedBy = req.user.id;
+        user.meta.updatedAt = new Date();
+        
+        await user.save();
+        
+        res.json({
+            success: true,
+            message: 'User permissions reset to the role template',
+            data: user.permissions
+        });
+    } catch (error) {
+        console.error('Reset user permissions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 // @desc    Update user status
 // @route   PUT /api/users/:id/status
 // @access  Private (Admin only)
@@ -359,6 +450,11 @@ const updateUserStatus = async (req, res) => {
         
         await user.save();
         
+        // Deactivated accounts lose their sessions straight away
+        if (status !== 'active') {
+            await revokeSessions({ user: user._id }, { reason: 'account-status', revokedBy: req.user._id });
+        }
+        
         res.json({
             success: true,
             message: `User status updated to ${status}`,
@@ -448,8 +544,12 @@ const updateMyProfile = async (req, res) => {
 // @access  Private (Admin only)
 const getUserStats = async (req, res) => {
     try {
+        const scope = getBranchScope(req.user);
+        const scopeMatch = { $match: scope || {} };
+        
         // Get users by role
         const usersByRole = await User.aggregate([
+            scopeMatch,
             {
                 $group: {
                     _id: '$role',
@@ -463,7 +563,7 @@ const getUserStats = async (req, res) => {
         
         // Get users by department
         const usersByDepartment = await User.aggregate([
-            { $match: { 'profile.department': { $exists: true, $ne: '' } } },
+            { $match: applyScope({ 'profile.department': { $exists: true, $ne: '' } }, scope) },
             {
                 $group: {
                     _id: '$profile.department',
@@ -474,6 +574,7 @@ const getUserStats = async (req, res) => {
         
         // Get users by status
         const usersByStatus = await User.aggregate([
+            scopeMatch,
             {
                 $group: {
                     _id: '$status',
@@ -483,15 +584,15 @@ const getUserStats = async (req, res) => {
         ]);
         
         // Get total users
-        const totalUsers = await User.countDocuments();
+        const totalUsers = await User.countDocuments(scope || {});
         
         // Get recent users (last 30 days)
         const thirtyDaysAgo = new Date();
         thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
         
-        const recentUsers = await User.countDocuments({
+        const recentUsers = await User.countDocuments(applyScope({
             'meta.createdAt': { $gte: thirtyDaysAgo }
-        });
+        }, scope));
         
         res.json({
             success: true,
@@ -541,26 +642,41 @@ const changeUserRole = async (req, res) => {
             });
         }
         
+        // Built-in or custom role
+        const assigned = await findAssignableRole(role);
+        
+        if (!assigned) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid role'
+            });
+        }
+        
         // Cannot change own role from admin
-        if (user._id.toString() === req.user.id && user.role === 'admin' && role !== 'admin') {
+        if (user._id.toString() === req.user.id && user.role === 'admin' && assigned.role !== 'admin') {
             return res.status(400).json({
                 success: false,
                 message: 'Cannot change your own role from admin'
             });
         }
         
-        user.role = role;
-        user.permissions = getPermissionsByRole(role);
+        // A new role starts from its own template
+        user.role = assigned.role;
+        user.customRole = assigned.customRole;
+        user.permissionOverrides = [];
+        await syncUserPermissions(user);
         user.meta.updatedBy = req.user.id;
         user.meta.updatedAt = new Date();
         
+        annotateAudit(user, 'user.role-change', req.body.reason);
         await user.save();
         
         res.json({
             success: true,
-            message: `User role changed to ${role}`,
+            message: `User role changed to ${assigned.name}`,
             data: {
                 role: user.role,
+                customRole: assigned.customRole ? assigned.name : undefined,
                 permissions: user.permissions
             }
         });
@@ -595,6 +711,7 @@ const resetUserPassword = async (req, res) => {
         user.meta.updatedAt = new Date();
         
         await user.save();
+        await revokeSessions({ user: user._id }, { reason: 'password-change', revokedBy: req.user._id });
         
         res.json({
             success: true,
@@ -609,6 +726,211 @@ const resetUserPassword = async (req, res) => {
     }
 };
 
+// @desc    Get a user's active sessions
+// @route   GET /api/users/:id/sessions
+// @access  Private (Admin only)
+const getUserSessions = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select('username email');
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        
+        const sessions = await UserSession.find({
+            user: user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastUsedAt: -1 });
+        
+        res.json({
+            success: true,
+            count: sessions.length,
+            data: sessions.map(session => formatSession(session, req.sessionId))
+        });
+    } catch (error) {
+        console.error('Get user sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Force-logout a user from every device
+// @route   POST /api/users/:id/force-logout
+// @access  Private (Admin only)
+const forceLogoutUser = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        
+        const revoked = await revokeSessions({ user: user._id }, { reason: 'admin', revokedBy: req.user._id });
+        
+        // Also rejects access tokens that were not issued for a session
+        user.sessionsRevokedAt = new Date();
+        user.meta.updatedBy = req.user.id;
+        user.meta.updatedAt = new Date();
+        
+        await user.save();
+        
+        res.json({
+            success: true,
+            message: `User ${user.username} has been logged out of all devices`,
+            data: { sessionsRevoked: revoked }
+        });
+    } catch (error) {
+        console.error('Force logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Reset a user's two-factor authentication (lost device)
+// @route   DELETE /api/users/:id/mfa
+// @access  Private (Admin only)
+const resetUserMfa = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        
+        user.mfa = { enabled: false };
+        user.meta.updatedBy = req.user.id;
+        user.meta.updatedAt = new Date();
+        
+        await user.save();
+        await revokeSessions({ user: user._id }, { reason: 'admin', revokedBy: req.user._id });
+        
+        res.json({
+            success: true,
+            message: 'Two-factor authentication reset. The user will be asked to set it up again if their role requires it.'
+        });
+    } catch (error) {
+        console.error('Reset user MFA error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Unlock an account locked by failed logins
+// @route   POST /api/users/:id/unlock
+// @access  Private (Admin only)
+const unlockUser = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        
+        const wasLocked = user.isLocked();
+        
+        unlockAccount(user);
+        user.meta.updatedBy = req.user.id;
+        user.meta.updatedAt = new Date();
+        
+        await user.save();
+        
+        res.json({
+            success: true,
+            message: wasLocked
+                ? `User ${user.username} has been unlocked`
+                : `User ${user.username} was not locked; failed attempts cleared`
+        });
+    } catch (error) {
+        console.error('Unlock user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Review login, 2FA and password reset attempts
+// @route   GET /api/users/login-attempts
+// @access  Private (Admin only)
+const getLoginAttempts = async (req, res) => {
+    try {
+        const {
+            user,
+            email,
+            ip,
+            type,
+            success,
+            reason,
+            startDate,
+            endDate,
+            page = 1,
+            limit = 50
+        } = req.query;
+        
+        // Build query
+        const query = {};
+        
+        if (user) query.user = user;
+        if (email) query.identifier = String(email).toLowerCase().trim();
+        if (ip) query.ip = ip;
+        if (type) query.type = type;
+        if (reason) query.reason = reason;
+        if (success !== undefined) query.success = success === 'true';
+        
+        if (startDate || endDate) {
+            query.createdAt = {};
+            if (startDate) query.createdAt.$gte = new Date(startDate);
+            if (endDate) query.createdAt.$lte = new Date(endDate);
+        }
+        
+        // Pagination
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        
+        const [attempts, total] = await Promise.all([
+            LoginAttempt.find(query)
+                .populate('user', 'username email role')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            LoginAttempt.countDocuments(query)
+        ]);
+        
+        res.json({
+            success: true,
+            count: attempts.length,
+            total,
+            totalPages: Math.ceil(total / parseInt(limit)),
+            currentPage: parseInt(page),
+            data: attempts
+        });
+    } catch (error) {
+        console.error('Get login attempts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 module.exports = {
     getUsers,
     getUserById,
@@ -616,10 +938,16 @@ module.exports = {
     updateUser,
     deleteUser,
     updateUserPermissions,
+    resetUserPermissions,
     updateUserStatus,
     getMyProfile,
     updateMyProfile,
     getUserStats,
     changeUserRole,
-    resetUserPassword
+    resetUserPassword,
+    getUserSessions,
+    forceLogoutUser,
+    resetUserMfa,
+    unlockUser,
+    getLoginAttempts
 };
\ No newline at end of file
@@ -0,0 +1,72 @@
+const feesConfig = require('../config/fees');
+const trashConfig = require('../config/trash');
+const leadsConfig = require('../config/leads');
+const { markOverdueInstallments } = require('./overdueInstallments');
+const { purgeTrash } = require('./purgeTrash');
+const { rescoreLeads } = require('./rescoreLeads');
+const { processLeadFollowUps } = require('./leadFollowUps');
+const { auditContext } = require('../utils/auditTrail');
+
+// Background jobs run in-process on a fixed interval
+const jobs = [
+    {
+        name: 'overdue-installments',
+        intervalMinutes: feesConfig.overdueCheckIntervalMinutes,
+        run: markOverdueInstallments
+    },
+    {
+        name: 'purge-trash',
+        intervalMinutes: trashConfig.purgeIntervalMinutes,
+        run: purgeTrash
+    },
+    {
+        name: 'rescore-leads',
+        intervalMinutes: leadsConfig.scoreRefreshIntervalMinutes,
+        run: rescoreLeads
+    },
+    {
+        name: 'lead-follow-ups',
+        intervalMinutes: leadsConfig.followUps.checkIntervalMinutes,
+        run: processLeadFollowUps
+    }
+];
+
+/**
+ * Run a job, skipping the tick if the previous run is still going
+ * @param {Object} job - Job definition
+ */
+const runJob = async (job) => {
+    if (job.running) return;
+    job.running = true;
+    
+    try {
+        // Changes made by the job show up in the audit log as job:<name>
+        const result = await auditContext.run({ source: `job:${job.name}` }, () => job.run());
+        job.lastRunAt = new Date();
+        job.lastResult = result;
+    } catch (error) {
+        console.error(`Job ${job.name} error:`, error);
+    } finally {
+        job.running = false;
+    }
+};
+
+/**
+ * Start all background jobs
+ * Timers are unref'd so they never keep the process alive on shutdown.
+ */
+const startJobs = () => {
+    jobs.forEach(job => {
+        if (!job.intervalMinutes || job.intervalMinutes <= 0) return;
+        
+        // First run shortly after startup, once the database connection is up
+        setTimeout(() => runJob(job), 30 * 1000).unref();
+        setInterval(() => runJob(job), job.intervalMinutes * 60 * 1000).unref();
+    });
+};
+
+module.exports = {
+    jobs,
+    runJob,
+    startJobs
+};
@@ -0,0 +1,162 @@
+const Lead = require('../models/Lead');
+const User = require('../models/User');
+const leadsConfig = require('../config/leads');
+const { annotateAudit } = require('../utils/auditTrail');
+const { OPEN_LEAD_STATUSES } = require('../utils/leadAssignment');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Email assigned counselors about follow-ups coming up within the reminder window
+ * Each follow-up is reminded once; failed emails are retried on the next run.
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} Reminders sent
+ */
+const sendFollowUpReminders = async (now) => {
+    // Loaded here so importing the job has no SMTP side effects
+    const emailService = require('../utils/emailService');
+    const until = new Date(now.getTime() + leadsConfig.followUps.reminderMinutes * MINUTE_MS);
+    const isDue = (communication) => communication.status === 'scheduled' &&
+        !communication.reminderSentAt &&
+        communication.scheduledAt > now &&
+        communication.scheduledAt <= until;
+    let sent = 0;
+    
+    const leads = Lead.find({
+        assignedTo: { $ne: null },
+        communications: {
+            $elemMatch: { status: 'scheduled', reminderSentAt: null, scheduledAt: { $gt: now, $lte: until } }
+        }
+    })
+        .select('leadId fullName phone assignedTo communications')
+        .populate('assignedTo', 'username email profile.firstName status')
+        .lean()
+        .cursor();
+    
+    for await (const lead of leads) {
+        const counselor = lead.assignedTo;
+        if (!counselor?.email || counselor.status !== 'active') continue;
+        
+        for (const communication of lead.communications.filter(isDue)) {
+            const result = await emailService.sendLeadFollowUpEmail(lead, counselor, {
+                date: new Date(communication.scheduledAt).toLocaleString(),
+                notes: communication.subject || communication.notes || `Scheduled ${communication.type}`
+            });
+            if (!result?.success) continue;
+            
+            // Bookkeeping only, so it skips the lead's save hooks and audit trail
+            await Lead.updateOne(
+                { _id: lead._id, 'communications._id': communication._id },
+                { $set: { 'communications.$.reminderSentAt': now } }
+            );
+            sent++;
+        }
+    }
+    
+    return sent;
+};
+
+/**
+ * Flag follow-ups still scheduled well after their time as missed
+ * Leads are saved so their score picks up the missed follow-ups.
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} Follow-ups marked missed
+ */
+const markMissedFollowUps = async (now) => {
+    const cutoff = new Date(now.getTime() - leadsConfig.followUps.missedAfterMinutes * MINUTE_MS);
+    let marked = 0;
+    
+    const leads = Lead.find({
+        communications: { $elemMatch: { status: 'scheduled', scheduledAt: { $lte: cutoff } } }
+    }).cursor();
+    
+    for await (const lead of leads) {
+        const overdue = lead.communications.filter(communication =>
+            communication.status === 'scheduled' && communication.scheduledAt && communication.scheduledAt <= cutoff
+        );
+        if (!overdue.length) continue;
+        
+        overdue.forEach(communication => {
+            communication.status = 'missed';
+        });
+        
+        annotateAudit(lead, 'lead.follow-up-missed', `${overdue.length} follow-up(s) not completed in time`);
+        await lead.save();
+        marked += overdue.length;
+    }
+    
+    return marked;
+};
+
+/**
+ * Escalate open leads nobody has touched for escalateAfterDays to the counselor's manager
+ * Leads with a follow-up still ahead are left alone. An escalated lead that stays
+ * untouched is escalated again after another escalateAfterDays.
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { escalated, withoutManager }
+ */
+const escalateIdleLeads = async (now) => {
+    const result = { escalated: 0, withoutManager: 0 };
+    const { escalateAfterDays } = leadsConfig.followUps;
+    if (!escalateAfterDays || escalateAfterDays <= 0) return result;
+    
+    const emailService = require('../utils/emailService');
+    const cutoff = new Date(now.getTime() - escalateAfterDays * DAY_MS);
+    
+    const leads = Lead.find({
+        status: { $in: OPEN_LEAD_STATUSES },
+        assignedTo: { $ne: null },
+        'meta.updatedAt': { $lte: cutoff },
+        communications: { $not: { $elemMatch: { status: 'scheduled', scheduledAt: { $gt: now } } } },
+        $or: [
+            { 'escalation.escalatedAt': null },
+            { 'escalation.escalatedAt': { $lte: cutoff } }
+        ]
+    })
+        .populate('assignedTo', 'username email profile.firstName profile.lastName employeeDetails.reportingManager')
+        .cursor();
+    
+    for await (const lead of leads) {
+        const counselor = lead.assignedTo;
+        const manager = counselor?.employeeDetails?.reportingManager
+            ? await User.findOne({ _id: counselor.employeeDetails.reportingManager, status: 'active' })
+                .select('username email profile.firstName')
+                .lean()
+            : null;
+        
+        if (!manager?.email) {
+            result.withoutManager++;
+            continue;
+        }
+        
+        const idleDays = Math.floor((now - lead.meta.updatedAt) / DAY_MS);
+        const sent = await emailService.sendLeadEscalationEmail(lead, manager, counselor, idleDays);
+        if (!sent?.success) continue;
+        
+        lead.escalation = { escalatedAt: now, escalatedTo: manager._id, idleDays };
+        annotateAudit(lead, 'lead.escalate', `No activity for ${idleDays} days`);
+        await lead.save();
+        result.escalated++;
+    }
+    
+    return result;
+};
+
+/**
+ * Send follow-up reminders, flag missed follow-ups and escalate idle leads
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now] - Reference time (defaults to now)
+ * @returns {Promise<Object>} { runAt, remindersSent, markedMissed, escalated, withoutManager }
+ */
+const processLeadFollowUps = async ({ now = new Date() } = {}) => {
+    const remindersSent = await sendFollowUpReminders(now);
+    const markedMissed = await markMissedFollowUps(now);
+    const { escalated, withoutManager } = await escalateIdleLeads(now);
+    
+    return { runAt: now, remindersSent, markedMissed, escalated, withoutManager };
+};
+
+module.exports = {
+    processLeadFollowUps
+};
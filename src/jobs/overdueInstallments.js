@@ -0,0 +1,115 @@
+const Enrollment = require('../models/Enrollment');
+const Student = require('../models/Student');
+const feesConfig = require('../config/fees');
+const {
+    getOutstandingAmount,
+    getDaysOverdue,
+    calculateLateFee
+} = require('../utils/installmentHelpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Flip past-due installments of one schedule to overdue and charge late fees
+ * @param {Array} schedule - Installments (mutated in place)
+ * @param {Object} policy - Late fee policy
+ * @param {Date} now - Reference time
+ * @returns {Object} { markedOverdue, lateFees }
+ */
+const processSchedule = (schedule, policy, now) => {
+    let markedOverdue = 0;
+    let lateFees = 0;
+    
+    schedule.forEach(installment => {
+        if (!['pending', 'partial', 'overdue'].includes(installment.status)) return;
+        if (getDaysOverdue(installment, now) < 1) return;
+        if (getOutstandingAmount(installment) <= 0) return;
+        
+        if (installment.status !== 'overdue') {
+            installment.status = 'overdue';
+            installment.overdueSince = now;
+            markedOverdue++;
+        }
+        
+        if (!installment.lateFeeAppliedAt && getDaysOverdue(installment, now) > policy.graceDays) {
+            const fee = calculateLateFee(installment, policy);
+            if (fee > 0) {
+                installment.lateFee = fee;
+                installment.lateFeeAppliedAt = now;
+                lateFees += fee;
+            }
+        }
+    });
+    
+    return { markedOverdue, lateFees };
+};
+
+/**
+ * Build the $elemMatch for installments that still need processing
+ * @param {Object} policy - Late fee policy
+ * @param {Date} now - Reference time
+ * @returns {Object} Installment match
+ */
+const pendingInstallmentMatch = (policy, now) => {
+    const statuses = [{ status: { $in: ['pending', 'partial'] } }];
+    if (policy.value) {
+        statuses.push({ status: 'overdue', lateFeeAppliedAt: null });
+    }
+    
+    return {
+        dueDate: { $lte: new Date(now.getTime() - DAY_MS) },
+        $or: statuses
+    };
+};
+
+/**
+ * Mark past-due installments as overdue and apply late fees
+ * Covers both enrollment payment plans and student payment schedules.
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now] - Reference time (defaults to now)
+ * @param {Object} [options.policy] - Late fee policy (defaults to config/fees)
+ * @returns {Promise<Object>} Summary of changes
+ */
+const markOverdueInstallments = async ({ now = new Date(), policy = feesConfig.lateFee } = {}) => {
+    const summary = {
+        runAt: now,
+        enrollments: { updated: 0, markedOverdue: 0, lateFeesCharged: 0 },
+        students: { updated: 0, markedOverdue: 0, lateFeesCharged: 0 }
+    };
+    
+    const match = pendingInstallmentMatch(policy, now);
+    
+    const enrollments = Enrollment.find({ paymentPlan: { $elemMatch: match } }).cursor();
+    for await (const enrollment of enrollments) {
+        const { markedOverdue, lateFees } = processSchedule(enrollment.paymentPlan, policy, now);
+        if (!markedOverdue && !lateFees) continue;
+        
+        enrollment.fees.lateFees = (enrollment.fees.lateFees || 0) + lateFees;
+        enrollment.meta.updatedAt = now;
+        await enrollment.save();
+        
+        summary.enrollments.updated++;
+        summary.enrollments.markedOverdue += markedOverdue;
+        summary.enrollments.lateFeesCharged += lateFees;
+    }
+    
+    const students = Student.find({ 'paymentPlan.paymentSchedule': { $elemMatch: match } }).cursor();
+    for await (const student of students) {
+        const { markedOverdue, lateFees } = processSchedule(student.paymentPlan.paymentSchedule, policy, now);
+        if (!markedOverdue && !lateFees) continue;
+        
+        student.paymentPlan.lateFees = (student.paymentPlan.lateFees || 0) + lateFees;
+        student.meta.updatedAt = now;
+        await student.save();
+        
+        summary.students.updated++;
+        summary.students.markedOverdue += markedOverdue;
+        summary.students.lateFeesCharged += lateFees;
+    }
+    
+    return summary;
+};
+
+module.exports = {
+    markOverdueInstallments
+};
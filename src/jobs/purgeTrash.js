@@ -0,0 +1,45 @@
+const Lead = require('../models/Lead');
+const Student = require('../models/Student');
+const Enrollment = require('../models/Enrollment');
+const Payment = require('../models/Payment');
+const Content = require('../models/Content');
+const trashConfig = require('../config/trash');
+const { TRASH_FILTER } = require('../utils/softDelete');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Models with a trash; students first so their dependents go with them
+const TRASH_MODELS = [Student, Enrollment, Payment, Lead, Content];
+
+/**
+ * Delete records that have been in the trash longer than the retention period
+ * Each record is purged with its dependents (a student's enrollments, payments
+ * and attendance) so nothing is left pointing at a removed record.
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now] - Reference time (defaults to now)
+ * @param {number} [options.retentionDays] - Days to keep (defaults to config/trash)
+ * @returns {Promise<Object>} Records purged per model
+ */
+const purgeTrash = async ({ now = new Date(), retentionDays = trashConfig.retentionDays } = {}) => {
+    const summary = { runAt: now, purged: {}, dependents: 0 };
+    
+    if (!retentionDays || retentionDays <= 0) return summary;
+    
+    const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+    
+    for (const Model of TRASH_MODELS) {
+        summary.purged[Model.modelName] = 0;
+        
+        const expired = Model.find({ ...TRASH_FILTER, deletedAt: { $ne: null, $lte: cutoff } }).cursor();
+        for await (const record of expired) {
+            summary.dependents += await record.purge();
+            summary.purged[Model.modelName]++;
+        }
+    }
+    
+    return summary;
+};
+
+module.exports = {
+    purgeTrash
+};
@@ -0,0 +1,39 @@
+const Lead = require('../models/Lead');
+const { calculateLeadScore } = require('../utils/leadScoring');
+const { OPEN_LEAD_STATUSES } = require('../utils/leadAssignment');
+
+/**
+ * Refresh the scores of open leads
+ * Scores depend on dates (expected joining, last contact), so they drift even when
+ * a lead is not edited. Only changed scores are written; lead history is untouched.
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now] - Reference time (defaults to now)
+ * @returns {Promise<Object>} { runAt, checked, updated }
+ */
+const rescoreLeads = async ({ now = new Date() } = {}) => {
+    const summary = { runAt: now, checked: 0, updated: 0 };
+    
+    const leads = Lead.find({ status: { $in: OPEN_LEAD_STATUSES } })
+        .select('status source budget expectedJoining education experience communications score meta.createdAt createdAt')
+        .lean()
+        .cursor();
+    
+    for await (const lead of leads) {
+        summary.checked++;
+        
+        const { score, breakdown } = calculateLeadScore(lead, { now });
+        if (score === lead.score) continue;
+        
+        await Lead.updateOne(
+            { _id: lead._id },
+            { $set: { score, scoreBreakdown: breakdown, scoredAt: now } }
+        );
+        summary.updated++;
+    }
+    
+    return summary;
+};
+
+module.exports = {
+    rescoreLeads
+};
@@ -0,0 +1,8 @@
+const { auditContext } = require('../utils/auditTrail');
+
+// Make the request (actor, IP, route, reason) available to the audit hooks of every record it changes
+const auditRequest = (req, res, next) => {
+    auditContext.run({ req }, next);
+};
+
+module.exports = { auditRequest };
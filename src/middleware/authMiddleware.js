@@ -1,5 +1,16 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Student = require('../models/Student');
+const UserSession = require('../models/UserSession');
+const { resolvePermissions, can } = require('../utils/permissions');
+
+// Student records a portal account may act for
+const getLinkedStudentIds = (userId) => {
+    return Student.distinct('_id', {
+        'loginCredentials.user': userId,
+        'loginCredentials.isActive': { $ne: false }
+    });
+};
 
 const protect = async (req, res, next) => {
     try {
@@ -27,6 +38,14 @@ const protect = async (req, res, next) => {
             // Verify token
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
             
+            // Tokens for the 2FA step of login are not access tokens
+            if (decoded.purpose) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Not authorized to access this route'
+                });
+            }
+            
             // Get user from database
             req.user = await User.findById(decoded.id).select('-password');
             
@@ -53,10 +72,37 @@ const protect = async (req, res, next) => {
                 });
             }
             
+            // Check if the session or all of the user's sessions were revoked
+            if (req.user.sessionsRevokedAfter(decoded.iat)) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Session has been revoked. Please login again.'
+                });
+            }
+            
+            if (decoded.sid) {
+                const session = await UserSession.findById(decoded.sid).select('user revokedAt expiresAt');
+                
+                if (!session || session.revokedAt || session.expiresAt <= new Date() ||
+                    session.user.toString() !== req.user._id.toString()) {
+                    return res.status(401).json({
+                        success: false,
+                        message: 'Session has been revoked. Please login again.'
+                    });
+                }
+                
+                req.sessionId = session._id;
+            }
+            
             // Update last login
             req.user.lastLogin = new Date();
             await req.user.save();
             
+            // Students only ever see the records linked to their account
+            if (req.user.role === 'student') {
+                req.user.studentIds = await getLinkedStudentIds(req.user._id);
+            }
+            
             next();
         } catch (error) {
             console.error('Token verification error:', error);
@@ -74,6 +120,54 @@ const protect = async (req, res, next) => {
     }
 };
 
+// Accept the token issued between the password and 2FA steps of login
+const protectMfaPending = (...purposes) => {
+    return async (req, res, next) => {
+        try {
+            const token = req.body.mfaToken || req.headers['x-mfa-token'];
+            
+            if (!token) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'MFA token is required'
+                });
+            }
+            
+            let decoded;
+            try {
+                decoded = jwt.verify(token, process.env.JWT_SECRET);
+            } catch (error) {
+                decoded = null;
+            }
+            
+            if (!decoded || !purposes.includes(decoded.purpose)) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'MFA token is invalid or has expired. Please login again.'
+                });
+            }
+            
+            req.user = await User.findById(decoded.id);
+            
+            if (!req.user || req.user.status !== 'active') {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Account is deactivated. Please contact administrator.'
+                });
+            }
+            
+            req.mfaPurpose = decoded.purpose;
+            next();
+        } catch (error) {
+            console.error('MFA middleware error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error'
+            });
+        }
+    };
+};
+
 const authorize = (...roles) => {
     return (req, res, next) => {
         if (!req.user) {
@@ -94,9 +188,9 @@ const authorize = (...roles) => {
     };
 };
 
-// Check specific permission
+// Check specific permission (role template plus the user's overrides)
 const hasPermission = (module, action) => {
-    return (req, res, next) => {
+    return async (req, res, next) => {
         if (!req.user) {
             return res.status(401).json({
                 success: false,
@@ -109,12 +203,48 @@ const hasPermission = (module, action) => {
             return next();
         }
         
-        const permission = req.user.permissions?.find(p => p.module === module);
+        try {
+            const permissions = await resolvePermissions(req.user);
+            
+            if (!can(permissions, module, action)) {
+                return res.status(403).json({
+                    success: false,
+                    message: `You don't have permission to ${action} ${module}`
+                });
+            }
+            
+            next();
+        } catch (error) {
+            console.error('Permission check error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error'
+            });
+        }
+    };
+};
+
+// Stop student accounts from reading records of other students
+const ownStudentOnly = (param = 'studentId') => {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authenticated'
+            });
+        }
+        
+        if (req.user.role !== 'student') {
+            return next();
+        }
+        
+        const ownsStudent = (req.user.studentIds || [])
+            .some(id => id.toString() === String(req.params[param]));
         
-        if (!permission || !permission[action]) {
+        if (!ownsStudent) {
             return res.status(403).json({
                 success: false,
-                message: `You don't have permission to ${action} ${module}`
+                message: 'You can only access your own student record'
             });
         }
         
@@ -122,4 +252,4 @@ const hasPermission = (module, action) => {
     };
 };
 
-module.exports = { protect, authorize, hasPermission };
\ No newline at end of file
+module.exports = { protect, protectMfaPending, authorize, hasPermission, ownStudentOnly, getLinkedStudentIds };
\ No newline at end of file
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { LEAD_SOURCE, LEAD_ASSIGNMENT_STRATEGY } = require('../utils/constants');
+const { auditPlugin } = require('../utils/auditTrail');
+
+// Who gets new leads; rules are tried by priority and the first match wins
+const assignmentRuleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    description: String,
+    // Lower numbers are tried first
+    priority: {
+        type: Number,
+        default: 100
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    // Empty lists match any lead
+    conditions: {
+        sources: [{
+            type: String,
+            enum: Object.values(LEAD_SOURCE)
+        }],
+        courses: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Course'
+        }],
+        branches: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Branch'
+        }]
+    },
+    strategy: {
+        type: String,
+        enum: Object.values(LEAD_ASSIGNMENT_STRATEGY),
+        default: LEAD_ASSIGNMENT_STRATEGY.ROUND_ROBIN
+    },
+    // Counselors in the pool; empty means every counselor of the lead's branch
+    counselors: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    meta: {
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        },
+        updatedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+assignmentRuleSchema.index({ active: 1, priority: 1 });
+
+// Audit trail of every create, update and delete
+assignmentRuleSchema.plugin(auditPlugin, { entity: 'AssignmentRule', label: 'name' });
+
+module.exports = mongoose.model('AssignmentRule', assignmentRuleSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const { ATTENDANCE_STATUS } = require('../utils/constants');
+const { auditPlugin } = require('../utils/auditTrail');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 const attendanceSchema = new mongoose.Schema({
     student: {
@@ -125,4 +127,10 @@ attendanceSchema.index({ date: 1 });
 attendanceSchema.index({ status: 1 });
 attendanceSchema.index({ student: 1, batch: 1, date: 1 }, { unique: true });
 
+// Soft deletion (trash, restore and retention purge)
+attendanceSchema.plugin(softDeletePlugin);
+
+// Audit trail of every create, update and delete
+attendanceSchema.plugin(auditPlugin, { entity: 'Attendance' });
+
 module.exports = mongoose.model('Attendance', attendanceSchema);
\ No newline at end of file
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One create, update or delete of a record, with the fields that changed
+const auditLogSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['create', 'update', 'delete'],
+        required: true
+    },
+    // What happened in business terms, e.g. payment.refund (defaults to entity.action)
+    event: {
+        type: String,
+        required: true
+    },
+    entity: {
+        type: String,
+        required: true
+    },
+    // Stored as a string so records with non-ObjectId keys (settings) fit too
+    entityId: {
+        type: String,
+        required: true
+    },
+    // Human readable ID of the record (studentId, paymentId, username, ...)
+    entityLabel: String,
+    changes: [{
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+    }],
+    reason: String,
+    // Empty for changes made by background jobs and scripts
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    actorRole: String,
+    ip: String,
+    userAgent: String,
+    method: String,
+    // Route pattern (e.g. /api/payments/:id/refund), or job:<name> for background jobs
+    route: String,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ event: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
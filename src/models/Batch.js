@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/auditTrail');
 
 const batchSchema = new mongoose.Schema({
     batchId: {
@@ -41,6 +42,10 @@ const batchSchema = new mongoose.Schema({
         default: 0,
         min: 0
     },
+    branch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch'
+    },
     instructor: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -255,6 +260,7 @@ batchSchema.methods.markAttendance = function(sessionIndex, attendanceRecords) {
 };
 
 // Indexes
+batchSchema.index({ branch: 1 });
 batchSchema.index({ batchId: 1 }, { unique: true });
 batchSchema.index({ course: 1 });
 batchSchema.index({ instructor: 1 });
@@ -262,4 +268,7 @@ batchSchema.index({ status: 1 });
 batchSchema.index({ startDate: 1 });
 batchSchema.index({ 'students.student': 1 });
 
+// Audit trail of every create, update and delete
+batchSchema.plugin(auditPlugin, { entity: 'Batch', label: 'batchId' });
+
 module.exports = mongoose.model('Batch', batchSchema);
\ No newline at end of file
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const institute = require('../config/institute');
+require('./Counter');
+const { auditPlugin } = require('../utils/auditTrail');
+
+// Centre / campus; users, batches, leads, students and payments belong to one
+const branchSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    // Short code used in per-branch IDs and receipt numbers, so it cannot change
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true,
+        immutable: true,
+        match: [/^[A-Z0-9]{2,6}$/, 'Branch code must be 2-6 letters or digits']
+    },
+    address: {
+        street: String,
+        city: String,
+        state: String,
+        zipCode: String,
+        country: String
+    },
+    phone: String,
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    manager: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    status: {
+        type: String,
+        enum: ['active', 'inactive'],
+        default: 'active'
+    },
+    meta: {
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        },
+        updatedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }
+}, {
+    timestamps: true
+});
+
+// Next value of a counter kept separately per branch; records without a branch use the shared counter
+branchSchema.statics.nextSequence = async function(branchId, counterName) {
+    const branch = branchId ? await this.findById(branchId).select('code').lean() : null;
+    
+    const Counter = mongoose.model('Counter');
+    const counter = await Counter.findByIdAndUpdate(
+        branch ? `${counterName}_${branch.code}` : counterName,
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+    
+    return { seq: counter.seq, code: branch?.code };
+};
+
+// Institute letterhead with the branch's own contact details
+branchSchema.statics.getLetterhead = async function(branchId) {
+    const branch = branchId ? await this.findById(branchId).lean() : null;
+    if (!branch) return institute;
+    
+    const address = [branch.address?.street, branch.address?.city, branch.address?.state, branch.address?.zipCode]
+        .filter(Boolean).join(', ');
+    
+    return {
+        ...institute,
+        tagline: institute.tagline ? `${institute.tagline} - ${branch.name}` : branch.name,
+        address: address || institute.address,
+        phone: branch.phone || institute.phone,
+        email: branch.email || institute.email
+    };
+};
+
+// Indexes
+branchSchema.index({ status: 1 });
+
+// Audit trail of every create, update and delete
+branchSchema.plugin(auditPlugin, { entity: 'Branch', label: 'code' });
+
+module.exports = mongoose.model('Branch', branchSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const fs = require('fs');
+const path = require('path');
+const { auditPlugin } = require('../utils/auditTrail');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 const contentSchema = new mongoose.Schema({
     title: {
@@ -175,10 +179,14 @@ contentSchema.virtual('downloadUrl').get(function() {
 });
 
 // Method to check if user can access content
-contentSchema.methods.canAccess = function(userId, studentId = null) {
+contentSchema.methods.canAccess = function(userId, studentIds = []) {
     // Admin and trainers can access all content
     // This check will be done at route level
     
+    // Accepts a single student ID or the IDs linked to a student account
+    const isAllowedStudent = [].concat(studentIds || [])
+        .some(studentId => this.access.allowedStudents.includes(studentId));
+    
     // Check access type
     if (this.access.type === 'public') {
         return true;
@@ -191,7 +199,7 @@ contentSchema.methods.canAccess = function(userId, studentId = null) {
         }
         
         // Check if student is in allowed students
-        if (studentId && this.access.allowedStudents.includes(studentId)) {
+        if (isAllowedStudent) {
             return true;
         }
         
@@ -203,7 +211,7 @@ contentSchema.methods.canAccess = function(userId, studentId = null) {
         return true;
     }
     
-    if (studentId && this.access.allowedStudents.includes(studentId)) {
+    if (isAllowedStudent) {
         return true;
     }
     
@@ -268,6 +276,16 @@ contentSchema.methods.gradeSubmission = function(submissionId, marks, feedback,
     return this.save();
 };
 
+// Remove the uploaded file once the content is deleted for good (trashed content keeps it)
+contentSchema.post('deleteOne', { document: true, query: false }, function(doc) {
+    if (!doc.file || !doc.file.path) return;
+    
+    const filePath = path.join(__dirname, '../../', doc.file.path);
+    if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+    }
+});
+
 // Indexes
 contentSchema.index({ title: 1 });
 contentSchema.index({ course: 1 });
@@ -276,4 +294,10 @@ contentSchema.index({ status: 1 });
 contentSchema.index({ 'access.allowedStudents': 1 });
 contentSchema.index({ 'meta.createdAt': -1 });
 
+// Soft deletion (trash, restore and retention purge)
+contentSchema.plugin(softDeletePlugin);
+
+// Audit trail of every create, update and delete
+contentSchema.plugin(auditPlugin, { entity: 'Content', label: 'title' });
+
 module.exports = mongoose.model('Content', contentSchema);
\ No newline at end of file
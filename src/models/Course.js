@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/auditTrail');
 
 const courseSchema = new mongoose.Schema({
     courseCode: {
@@ -80,6 +81,11 @@ const courseSchema = new mongoose.Schema({
     prerequisites: [String],
     learningOutcomes: [String],
     targetAudience: [String],
+    // Branches offering the course; empty means every branch
+    branches: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch'
+    }],
     instructors: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
@@ -263,10 +269,14 @@ courseSchema.methods.updateEnrollmentStats = function() {
 };
 
 // Indexes
+courseSchema.index({ branches: 1 });
 courseSchema.index({ courseCode: 1 }, { unique: true });
 courseSchema.index({ name: 1 });
 courseSchema.index({ category: 1 });
 courseSchema.index({ status: 1 });
 courseSchema.index({ 'fees.regular': 1 });
 
+// Audit trail of every create, update and delete
+courseSchema.plugin(auditPlugin, { entity: 'Course', label: 'courseCode' });
+
 module.exports = mongoose.model('Course', courseSchema);
\ No newline at end of file
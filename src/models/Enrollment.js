@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+require('./Branch');
+const { auditPlugin } = require('../utils/auditTrail');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 const enrollmentSchema = new mongoose.Schema({
     enrollmentId: {
@@ -20,6 +23,11 @@ const enrollmentSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Batch'
     },
+    // Taken from the batch, or the student when there is no batch
+    branch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch'
+    },
     enrollmentDate: {
         type: Date,
         default: Date.now
@@ -61,7 +69,12 @@ const enrollmentSchema = new mongoose.Schema({
         scholarship: {
             amount: Number,
             percentage: Number,
-            type: String
+            type: { type: String }
+        },
+        lateFees: {
+            type: Number,
+            default: 0,
+            min: 0
         }
     },
     paymentPlan: [{
@@ -70,12 +83,18 @@ const enrollmentSchema = new mongoose.Schema({
         amount: Number,
         status: {
             type: String,
-            enum: ['pending', 'paid', 'overdue', 'waived'],
+            enum: ['pending', 'paid', 'overdue', 'waived', 'partial'],
             default: 'pending'
         },
         paidAmount: Number,
         paidDate: Date,
-        receipt: String
+        receipt: String,
+        overdueSince: Date,
+        lateFee: {
+            type: Number,
+            default: 0
+        },
+        lateFeeAppliedAt: Date
     }],
     progress: {
         percentage: {
@@ -129,7 +148,8 @@ const enrollmentSchema = new mongoose.Schema({
         certificateId: String,
         issuedDate: Date,
         issuedBy: mongoose.Schema.Types.ObjectId,
-        downloadUrl: String
+        downloadUrl: String,
+        verificationCode: String
     },
     meta: {
         createdBy: {
@@ -155,18 +175,24 @@ const enrollmentSchema = new mongoose.Schema({
 
 // Generate enrollment ID before save
 enrollmentSchema.pre('save', async function(next) {
+    if (this.isNew && !this.branch) {
+        const Batch = mongoose.model('Batch');
+        const Student = mongoose.model('Student');
+        const batch = this.batch ? await Batch.findById(this.batch).select('branch').lean() : null;
+        const student = batch?.branch ? null : await Student.findById(this.student).select('branch').lean();
+        this.branch = batch?.branch || student?.branch;
+    }
+    
     if (!this.enrollmentId) {
-        const Counter = mongoose.model('Counter');
-        const counter = await Counter.findByIdAndUpdate(
-            'enrollmentId',
-            { $inc: { seq: 1 } },
-            { new: true, upsert: true }
-        );
-        this.enrollmentId = `ENR${String(counter.seq).padStart(8, '0')}`;
+        const Branch = mongoose.model('Branch');
+        const { seq, code } = await Branch.nextSequence(this.branch, 'enrollmentId');
+        this.enrollmentId = code
+            ? `ENR-${code}-${String(seq).padStart(8, '0')}`
+            : `ENR${String(seq).padStart(8, '0')}`;
     }
     
-    // Calculate pending fees
-    this.fees.pending = this.fees.total - this.fees.paid;
+    // Calculate pending fees (late fees are owed on top of the course fee)
+    this.fees.pending = Math.max(0, this.fees.total + (this.fees.lateFees || 0) - this.fees.paid);
     
     // Calculate progress percentage
     if (this.progress && this.progress.completedModules) {
@@ -219,21 +245,6 @@ enrollmentSchema.methods.markAttendance = function(date, sessionId, status, rema
     return this.save();
 };
 
-// Method to update payment
-enrollmentSchema.methods.updatePayment = function(amount, installmentNumber = null) {
-    this.fees.paid += amount;
-    this.fees.pending = this.fees.total - this.fees.paid;
-    
-    if (installmentNumber !== null && this.paymentPlan[installmentNumber]) {
-        const installment = this.paymentPlan[installmentNumber];
-        installment.status = 'paid';
-        installment.paidAmount = amount;
-        installment.paidDate = new Date();
-    }
-    
-    return this.save();
-};
-
 // Method to complete module
 enrollmentSchema.methods.completeModule = function(moduleId, score = null) {
     const moduleCompletion = {
@@ -258,6 +269,7 @@ enrollmentSchema.methods.completeModule = function(moduleId, score = null) {
 };
 
 // Indexes
+enrollmentSchema.index({ branch: 1 });
 enrollmentSchema.index({ enrollmentId: 1 }, { unique: true });
 enrollmentSchema.index({ student: 1 });
 enrollmentSchema.index({ course: 1 });
@@ -265,5 +277,16 @@ enrollmentSchema.index({ batch: 1 });
 enrollmentSchema.index({ status: 1 });
 enrollmentSchema.index({ enrollmentDate: -1 });
 enrollmentSchema.index({ student: 1, course: 1 }, { unique: true });
+enrollmentSchema.index({ 'certificate.certificateId': 1 }, { sparse: true });
+
+// Soft deletion (trash, restore and retention purge); payments go with the enrollment
+enrollmentSchema.plugin(softDeletePlugin, {
+    cascade: [
+        { model: 'Payment', field: 'enrollment' }
+    ]
+});
+
+// Audit trail of every create, update and delete
+enrollmentSchema.plugin(auditPlugin, { entity: 'Enrollment', label: 'enrollmentId' });
 
 module.exports = mongoose.model('Enrollment', enrollmentSchema);
\ No newline at end of file
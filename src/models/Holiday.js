@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/auditTrail');
+
+const holidaySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    date: {
+        type: Date,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['public', 'institute', 'other'],
+        default: 'public'
+    },
+    recurring: {
+        type: Boolean,
+        default: false
+    },
+    description: String,
+    meta: {
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        },
+        updatedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }
+}, {
+    timestamps: true
+});
+
+// Static to build a set of holiday date keys (YYYY-MM-DD) for a range
+holidaySchema.statics.getDateKeys = async function(from, to) {
+    const holidays = await this.find({
+        $or: [
+            { date: { $gte: from, $lte: to } },
+            { recurring: true }
+        ]
+    }).lean();
+
+    const keys = new Set();
+    const startYear = new Date(from).getUTCFullYear();
+    const endYear = new Date(to).getUTCFullYear();
+
+    holidays.forEach(holiday => {
+        const monthDay = holiday.date.toISOString().slice(5, 10);
+
+        if (holiday.recurring) {
+            for (let year = startYear; year <= endYear; year++) {
+                keys.add(`${year}-${monthDay}`);
+            }
+        } else {
+            keys.add(holiday.date.toISOString().split('T')[0]);
+        }
+    });
+
+    return keys;
+};
+
+// Indexes
+holidaySchema.index({ date: 1 });
+holidaySchema.index({ recurring: 1 });
+
+// Audit trail of every create, update and delete
+holidaySchema.plugin(auditPlugin, { entity: 'Holiday', label: 'name' });
+
+module.exports = mongoose.model('Holiday', holidaySchema);
@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const { LEAD_ASSIGNMENT_STRATEGY } = require('../utils/constants');
+const { applyLeadScore } = require('../utils/leadScoring');
+const { buildDedupeKeys } = require('../utils/duplicateDetection');
+require('./Branch');
+const { auditPlugin } = require('../utils/auditTrail');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 const leadSchema = new mongoose.Schema({
     leadId: {
@@ -28,15 +34,60 @@ const leadSchema = new mongoose.Schema({
         enum: ['website', 'referral', 'walk_in', 'social_media', 'campaign', 'other'],
         default: 'website'
     },
+    // Form and campaign parameters of leads from the public lead capture endpoint
+    captureForm: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LeadForm'
+    },
+    utm: {
+        source: String,
+        medium: String,
+        campaign: String,
+        term: String,
+        content: String
+    },
     status: {
         type: String,
         enum: ['new', 'contacted', 'follow_up', 'qualified', 'converted', 'lost', 'not_interested'],
         default: 'new'
     },
+    branch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch'
+    },
     assignedTo: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     },
+    // Every change of counselor, newest last
+    assignmentHistory: [{
+        from: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        to: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        method: {
+            type: String,
+            enum: ['manual', ...Object.values(LEAD_ASSIGNMENT_STRATEGY)],
+            default: 'manual'
+        },
+        rule: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'AssignmentRule'
+        },
+        reason: String,
+        assignedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        assignedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     interestedCourses: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Course'
@@ -78,6 +129,8 @@ const leadSchema = new mongoose.Schema({
         },
         outcome: String,
         notes: String,
+        // Set once the counselor has been reminded of a scheduled follow-up
+        reminderSentAt: Date,
         createdBy: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User'
@@ -88,6 +141,43 @@ const leadSchema = new mongoose.Schema({
         }
     }],
     notes: String,
+    // Last time the lead was escalated to the counselor's manager for being left untouched
+    escalation: {
+        escalatedAt: Date,
+        escalatedTo: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        idleDays: Number
+    },
+    // Normalized phone, email and name for duplicate lookups (utils/duplicateDetection)
+    dedupeKeys: {
+        phone: String,
+        email: String,
+        name: String,
+        nameTokens: [String]
+    },
+    // Set when this lead was merged into another one
+    mergedInto: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lead'
+    },
+    mergedFrom: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lead'
+    }],
+    // Lead score (0-100) from profile and engagement, see utils/leadScoring
+    score: {
+        type: Number,
+        default: 0
+    },
+    scoreBreakdown: [{
+        _id: false,
+        factor: String,
+        points: Number,
+        detail: String
+    }],
+    scoredAt: Date,
     convertedToStudent: {
         type: Boolean,
         default: false
@@ -122,13 +212,25 @@ const leadSchema = new mongoose.Schema({
 // Generate lead ID before save
 leadSchema.pre('save', async function(next) {
     if (!this.leadId) {
-        const Counter = mongoose.model('Counter');
-        const counter = await Counter.findByIdAndUpdate(
-            'leadId',
-            { $inc: { seq: 1 } },
-            { new: true, upsert: true }
-        );
-        this.leadId = `LEAD${String(counter.seq).padStart(6, '0')}`;
+        const Branch = mongoose.model('Branch');
+        const { seq, code } = await Branch.nextSequence(this.branch, 'leadId');
+        this.leadId = code
+            ? `LEAD-${code}-${String(seq).padStart(6, '0')}`
+            : `LEAD${String(seq).padStart(6, '0')}`;
+    }
+    next();
+});
+
+// Keep the score current; it depends on the profile fields and communications
+leadSchema.pre('save', function(next) {
+    applyLeadScore(this);
+    next();
+});
+
+// Keep the duplicate lookup keys in step with the contact details
+leadSchema.pre('save', function(next) {
+    if (this.isNew || this.isModified(['phone', 'email', 'fullName'])) {
+        this.dedupeKeys = buildDedupeKeys({ phone: this.phone, email: this.email, name: this.fullName });
     }
     next();
 });
@@ -154,11 +256,28 @@ leadSchema.methods.convertToStudent = function(studentId) {
 };
 
 // Indexes
+leadSchema.index({ branch: 1 });
 leadSchema.index({ phone: 1 }, { unique: true });
 leadSchema.index({ email: 1 });
 leadSchema.index({ status: 1 });
 leadSchema.index({ assignedTo: 1 });
 leadSchema.index({ source: 1 });
+leadSchema.index({ 'utm.campaign': 1 });
 leadSchema.index({ 'meta.createdAt': -1 });
+leadSchema.index({ score: -1 });
+leadSchema.index({ 'communications.status': 1, 'communications.scheduledAt': 1 });
+leadSchema.index({ 'dedupeKeys.phone': 1 });
+leadSchema.index({ 'dedupeKeys.email': 1 });
+leadSchema.index({ 'dedupeKeys.nameTokens': 1 });
+
+// Soft deletion (trash, restore and retention purge)
+leadSchema.plugin(softDeletePlugin);
+
+// Audit trail of every create, update and delete
+leadSchema.plugin(auditPlugin, {
+    entity: 'Lead',
+    label: 'leadId',
+    ignore: ['score', 'scoreBreakdown', 'scoredAt', 'dedupeKeys']
+});
 
 module.exports = mongoose.model('Lead', leadSchema);
\ No newline at end of file
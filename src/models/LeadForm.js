@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { LEAD_SOURCE } = require('../utils/constants');
+const { auditPlugin } = require('../utils/auditTrail');
+
+// A website or campaign form allowed to post leads to /api/public/leads with its key
+const leadFormSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    description: String,
+    // Public key sent by the form; identifies it, not a secret
+    key: {
+        type: String,
+        unique: true
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    // Defaults given to every lead from this form
+    source: {
+        type: String,
+        enum: Object.values(LEAD_SOURCE),
+        default: LEAD_SOURCE.WEBSITE
+    },
+    branch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch'
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+    },
+    // Sites the form may be posted from (checked against the Origin header); empty allows any
+    allowedOrigins: [{
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
+    // Ask for a captcha token when a captcha provider is configured
+    requireCaptcha: {
+        type: Boolean,
+        default: true
+    },
+    submissionCount: {
+        type: Number,
+        default: 0
+    },
+    lastSubmissionAt: Date,
+    meta: {
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        },
+        updatedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }
+}, {
+    timestamps: true
+});
+
+// Generate form key before validation
+leadFormSchema.pre('validate', function(next) {
+    if (!this.key) {
+        this.generateKey();
+    }
+    next();
+});
+
+// Method to replace the form key (the old one stops working)
+leadFormSchema.methods.generateKey = function() {
+    this.key = `lf_${crypto.randomBytes(20).toString('hex')}`;
+    return this.key;
+};
+
+// Audit trail of every create, update and delete
+leadFormSchema.plugin(auditPlugin, {
+    entity: 'LeadForm',
+    label: 'name',
+    ignore: ['submissionCount', 'lastSubmissionAt']
+});
+
+module.exports = mongoose.model('LeadForm', leadFormSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const leadsConfig = require('../config/leads');
+
+// Record of a public lead form submission, used for per-IP throttling and kept for admin review
+const leadSubmissionSchema = new mongoose.Schema({
+    form: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LeadForm'
+    },
+    // What happened to the submission
+    outcome: {
+        type: String,
+        enum: [
+            'created',
+            'duplicate',
+            'honeypot',
+            'captcha-failed',
+            'origin-rejected',
+            'ip-throttled'
+        ],
+        required: true
+    },
+    // Lead created, or the existing lead the submission was matched to
+    lead: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lead'
+    },
+    ip: String,
+    userAgent: String,
+    origin: String,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes
+leadSubmissionSchema.index({ ip: 1, createdAt: -1 });
+leadSubmissionSchema.index({ form: 1, createdAt: -1 });
+leadSubmissionSchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: leadsConfig.capture.submissionRetentionDays * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('LeadSubmission', leadSubmissionSchema);
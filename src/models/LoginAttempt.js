@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const authConfig = require('../config/auth');
+
+// Record of a login, 2FA, password reset or email verification attempt, kept for admin review
+const loginAttemptSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: [
+            'login',
+            'mfa',
+            'password-reset-request',
+            'password-reset',
+            'email-verification-request',
+            'email-verification'
+        ],
+        required: true
+    },
+    // Email the attempt was made for (empty for unknown tokens)
+    identifier: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    ip: String,
+    userAgent: String,
+    success: {
+        type: Boolean,
+        default: false
+    },
+    reason: {
+        type: String,
+        enum: [
+            'success',
+            'mfa-pending',
+            'invalid-credentials',
+            'unknown-user',
+            'account-locked',
+            'account-inactive',
+            'email-unverified',
+            'already-verified',
+            'invalid-code',
+            'invalid-token',
+            'ip-throttled',
+            'email-throttled'
+        ]
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes
+loginAttemptSchema.index({ ip: 1, type: 1, success: 1, createdAt: -1 });
+loginAttemptSchema.index({ identifier: 1, type: 1, createdAt: -1 });
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: authConfig.attemptRetentionDays * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
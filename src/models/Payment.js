@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+require('./Branch');
+const { syncStudentFees } = require('../utils/paymentAllocation');
+const { auditPlugin } = require('../utils/auditTrail');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 const paymentSchema = new mongoose.Schema({
     paymentId: {
@@ -15,6 +19,11 @@ const paymentSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Enrollment'
     },
+    // Taken from the student when not set
+    branch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch'
+    },
     amount: {
         type: Number,
         required: true,
@@ -48,6 +57,12 @@ const paymentSchema = new mongoose.Schema({
         unique: true
     },
     installmentNumber: Number,
+    // How the payment was applied to installments (maintained by utils/paymentAllocation)
+    allocations: [{
+        _id: false,
+        installmentNumber: Number,
+        amount: Number
+    }],
     paymentFor: {
         type: String,
         enum: ['tuition', 'registration', 'exam', 'certificate', 'library', 'other'],
@@ -92,56 +107,70 @@ const paymentSchema = new mongoose.Schema({
     timestamps: true
 });
 
-// Generate payment ID and receipt number before save
+// Generate payment ID and receipt number before save (numbered per branch)
 paymentSchema.pre('save', async function(next) {
+    if (this.isNew && !this.branch && this.student) {
+        const Student = mongoose.model('Student');
+        const student = await Student.findById(this.student).select('branch').lean();
+        this.branch = student?.branch;
+    }
+    
+    const Branch = mongoose.model('Branch');
+    
     if (!this.paymentId) {
-        const Counter = mongoose.model('Counter');
-        const counter = await Counter.findByIdAndUpdate(
-            'paymentId',
-            { $inc: { seq: 1 } },
-            { new: true, upsert: true }
-        );
-        this.paymentId = `PAY${String(counter.seq).padStart(8, '0')}`;
+        const { seq, code } = await Branch.nextSequence(this.branch, 'paymentId');
+        this.paymentId = code
+            ? `PAY-${code}-${String(seq).padStart(8, '0')}`
+            : `PAY${String(seq).padStart(8, '0')}`;
     }
     
     if (!this.receiptNumber) {
         const date = new Date();
         const year = date.getFullYear().toString().substr(-2);
         const month = String(date.getMonth() + 1).padStart(2, '0');
-        const Counter = mongoose.model('Counter');
-        const counter = await Counter.findByIdAndUpdate(
-            `receipt_${year}${month}`,
-            { $inc: { seq: 1 } },
-            { new: true, upsert: true }
-        );
-        this.receiptNumber = `RCPT${year}${month}${String(counter.seq).padStart(4, '0')}`;
+        const { seq, code } = await Branch.nextSequence(this.branch, `receipt_${year}${month}`);
+        this.receiptNumber = code
+            ? `RCPT-${code}-${year}${month}${String(seq).padStart(4, '0')}`
+            : `RCPT${year}${month}${String(seq).padStart(4, '0')}`;
     }
     
     next();
 });
 
-// Post-save middleware to update student and enrollment
+// Remember the original student/enrollment so a move can resync both sides
+paymentSchema.post('init', function() {
+    this.$locals.original = {
+        student: this.student,
+        enrollment: this.enrollment
+    };
+});
+
+// Only changes that affect fee totals trigger a resync
+paymentSchema.pre('save', function(next) {
+    this.$locals.feesChanged = this.isNew ||
+        this.isModified('status') ||
+        this.isModified('amount') ||
+        this.isModified('refundDetails') ||
+        this.isModified('student') ||
+        this.isModified('enrollment') ||
+        this.isModified('deletedAt');
+    next();
+});
+
+// Post-save middleware to recompute student and enrollment fee totals
+// Totals are rebuilt from the Payment collection rather than incremented, so
+// re-saving a payment (verify, refund, edits) never double-counts it.
 paymentSchema.post('save', async function() {
+    if (!this.$locals.feesChanged) return;
+    
     try {
-        const Student = mongoose.model('Student');
-        const Enrollment = mongoose.model('Enrollment');
+        const studentIds = new Set([this.student?.toString()]);
         
-        // Update student's payment plan
-        await Student.findByIdAndUpdate(this.student, {
-            $inc: { 'paymentPlan.paidAmount': this.amount },
-            $set: { 
-                'paymentPlan.pendingAmount': {
-                    $subtract: ['$paymentPlan.totalFees', { $add: ['$paymentPlan.paidAmount', this.amount] }]
-                }
-            }
-        });
+        const originalStudent = this.$locals.original?.student;
+        if (originalStudent) studentIds.add(originalStudent.toString());
         
-        // Update enrollment fees if enrollment exists
-        if (this.enrollment) {
-            await Enrollment.findByIdAndUpdate(this.enrollment, {
-                $inc: { 'fees.paid': this.amount },
-                $set: { 'fees.pending': { $subtract: ['$fees.total', { $add: ['$fees.paid', this.amount] }] } }
-            });
+        for (const studentId of studentIds) {
+            if (studentId) await syncStudentFees(studentId);
         }
     } catch (error) {
         console.error('Error updating related documents:', error);
@@ -162,11 +191,38 @@ paymentSchema.methods.getReceiptData = async function() {
     const Enrollment = mongoose.model('Enrollment');
     const User = mongoose.model('User');
     
-    const student = await Student.findById(this.student).select('studentId personalDetails.fullName');
+    const student = await Student.findById(this.student)
+        .select('studentId personalDetails.fullName personalDetails.phone personalDetails.email paymentPlan');
     const enrollment = this.enrollment ? await Enrollment.findById(this.enrollment)
         .populate('course', 'name courseCode') : null;
-    const receivedByUser = this.receivedBy ? await User.findById(this.receivedBy).select('fullName') : null;
-    const verifiedByUser = this.verifiedBy ? await User.findById(this.verifiedBy).select('fullName') : null;
+    const receivedByUser = this.receivedBy ? await User.findById(this.receivedBy).select('username profile.firstName profile.lastName') : null;
+    const verifiedByUser = this.verifiedBy ? await User.findById(this.verifiedBy).select('username profile.firstName profile.lastName') : null;
+    
+    // Installment details come from the enrollment plan, falling back to the student's schedule
+    let installment = null;
+    if (this.installmentNumber) {
+        const schedule = enrollment?.paymentPlan?.length
+            ? enrollment.paymentPlan
+            : student.paymentPlan?.paymentSchedule || [];
+        const entry = schedule.find(i => i.installmentNumber === this.installmentNumber);
+        
+        installment = {
+            number: this.installmentNumber,
+            total: schedule.length || null,
+            dueDate: entry?.dueDate,
+            amount: entry?.amount
+        };
+    }
+    
+    const feeSummary = enrollment ? {
+        total: enrollment.fees.total,
+        paid: enrollment.fees.paid,
+        pending: enrollment.fees.pending
+    } : student.paymentPlan ? {
+        total: student.paymentPlan.totalFees,
+        paid: student.paymentPlan.paidAmount,
+        pending: student.paymentPlan.pendingAmount
+    } : null;
     
     return {
         paymentId: this.paymentId,
@@ -174,22 +230,30 @@ paymentSchema.methods.getReceiptData = async function() {
         paymentDate: this.paymentDate,
         amount: this.amount,
         paymentMode: this.paymentMode,
+        paymentFor: this.paymentFor,
         status: this.status,
         student: {
             id: student.studentId,
-            name: student.personalDetails.fullName
+            name: student.personalDetails.fullName,
+            phone: student.personalDetails.phone,
+            email: student.personalDetails.email
         },
         enrollment: enrollment ? {
+            enrollmentId: enrollment.enrollmentId,
             course: enrollment.course.name,
             courseCode: enrollment.course.courseCode
         } : null,
+        installment,
+        feeSummary,
         receivedBy: receivedByUser ? receivedByUser.fullName : 'N/A',
         verifiedBy: verifiedByUser ? verifiedByUser.fullName : 'N/A',
-        transactionDetails: this.transactionDetails
+        transactionDetails: this.transactionDetails,
+        refundDetails: this.status === 'refunded' ? this.refundDetails : undefined
     };
 };
 
 // Indexes
+paymentSchema.index({ branch: 1 });
 paymentSchema.index({ paymentId: 1 }, { unique: true });
 paymentSchema.index({ receiptNumber: 1 }, { unique: true });
 paymentSchema.index({ student: 1 });
@@ -198,4 +262,10 @@ paymentSchema.index({ status: 1 });
 paymentSchema.index({ paymentDate: -1 });
 paymentSchema.index({ 'transactionDetails.transactionId': 1 });
 
+// Soft deletion (trash, restore and retention purge)
+paymentSchema.plugin(softDeletePlugin);
+
+// Audit trail of every create, update and delete
+paymentSchema.plugin(auditPlugin, { entity: 'Payment', label: 'paymentId' });
+
 module.exports = mongoose.model('Payment', paymentSchema);
\ No newline at end of file
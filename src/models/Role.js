@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { ROLES, PERMISSION_MODULE } = require('../utils/constants');
+const { auditPlugin } = require('../utils/auditTrail');
+
+// Permission template for a built-in role (isSystem) or an admin-defined custom role
+const roleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[a-z][a-z0-9_-]*$/, 'Role name may only contain lowercase letters, numbers, - and _']
+    },
+    displayName: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: String,
+    // Built-in role that decides route access (authorize checks) for users of this role
+    baseRole: {
+        type: String,
+        enum: Object.values(ROLES),
+        required: true
+    },
+    isSystem: {
+        type: Boolean,
+        default: false
+    },
+    permissions: [{
+        _id: false,
+        module: {
+            type: String,
+            enum: Object.values(PERMISSION_MODULE),
+            required: true
+        },
+        canView: { type: Boolean, default: false },
+        canCreate: { type: Boolean, default: false },
+        canEdit: { type: Boolean, default: false },
+        canDelete: { type: Boolean, default: false }
+    }],
+    meta: {
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        },
+        updatedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+roleSchema.index({ isSystem: 1, name: 1 });
+
+// Audit trail of every create, update and delete
+roleSchema.plugin(auditPlugin, { entity: 'Role', label: 'name' });
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const authConfig = require('../config/auth');
+const { auditPlugin } = require('../utils/auditTrail');
+
+const SETTINGS_ID = 'security';
+
+// Single document holding security policy that admins can change at runtime
+const securitySettingSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        default: SETTINGS_ID
+    },
+    mfaRequiredRoles: [{
+        type: String,
+        enum: ['admin', 'employee', 'counselor', 'trainer', 'student']
+    }],
+    meta: {
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        updatedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }
+});
+
+// Get the settings, falling back to the configured defaults
+securitySettingSchema.statics.getSettings = async function() {
+    const settings = await this.findById(SETTINGS_ID);
+    return settings || new this({ _id: SETTINGS_ID, mfaRequiredRoles: authConfig.mfa.requiredRoles });
+};
+
+// Check whether a role has to use two-factor authentication
+securitySettingSchema.statics.isMfaRequired = async function(role) {
+    const settings = await this.getSettings();
+    return settings.mfaRequiredRoles.includes(role);
+};
+
+// Audit trail of every create, update and delete
+securitySettingSchema.plugin(auditPlugin, { entity: 'SecuritySetting' });
+
+module.exports = mongoose.model('SecuritySetting', securitySettingSchema);
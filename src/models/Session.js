@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { SESSION_STATUS } = require('../utils/constants');
+const { auditPlugin } = require('../utils/auditTrail');
 
 const sessionSchema = new mongoose.Schema({
     sessionId: {
@@ -128,8 +129,8 @@ const sessionSchema = new mongoose.Schema({
     timestamps: true
 });
 
-// Generate session ID before save
-sessionSchema.pre('save', async function(next) {
+// Generate session ID before validation (sessionId is required, and validation runs before save hooks)
+sessionSchema.pre('validate', async function(next) {
     if (!this.sessionId) {
         const date = new Date(this.date);
         const dateStr = date.toISOString().split('T')[0].replace(/-/g, '');
@@ -245,4 +246,7 @@ sessionSchema.index({ date: 1 });
 sessionSchema.index({ status: 1 });
 sessionSchema.index({ 'meta.createdAt': -1 });
 
+// Audit trail of every create, update and delete
+sessionSchema.plugin(auditPlugin, { entity: 'Session', label: 'sessionId' });
+
 module.exports = mongoose.model('Session', sessionSchema);
\ No newline at end of file
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+require('./Branch');
+const { auditPlugin } = require('../utils/auditTrail');
+const { softDeletePlugin } = require('../utils/softDelete');
+const { buildDedupeKeys } = require('../utils/duplicateDetection');
 
 const studentSchema = new mongoose.Schema({
     studentId: {
@@ -61,6 +65,10 @@ const studentSchema = new mongoose.Schema({
             document: String
         }
     },
+    branch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch'
+    },
     admissionDetails: {
         admissionDate: {
             type: Date,
@@ -83,7 +91,6 @@ const studentSchema = new mongoose.Schema({
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Student'
         },
-        branch: String,
         remarks: String
     },
     academicBackground: {
@@ -164,8 +171,19 @@ const studentSchema = new mongoose.Schema({
             paidAmount: Number,
             paidDate: Date,
             receipt: String,
-            remarks: String
+            remarks: String,
+            overdueSince: Date,
+            lateFee: {
+                type: Number,
+                default: 0
+            },
+            lateFeeAppliedAt: Date
         }],
+        lateFees: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
         discount: {
             amount: Number,
             percentage: Number,
@@ -178,7 +196,7 @@ const studentSchema = new mongoose.Schema({
         scholarship: {
             amount: Number,
             percentage: Number,
-            type: String,
+            type: { type: String },
             reason: String
         }
     },
@@ -204,6 +222,11 @@ const studentSchema = new mongoose.Schema({
         remarks: String
     }],
     loginCredentials: {
+        // Portal account (User with role student) that logs in as this student
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
         username: {
             type: String,
             unique: true,
@@ -221,6 +244,13 @@ const studentSchema = new mongoose.Schema({
         enum: ['active', 'alumni', 'dropped', 'suspended', 'transferred', 'probation'],
         default: 'active'
     },
+    // Normalized phone, email and name for duplicate lookups (utils/duplicateDetection)
+    dedupeKeys: {
+        phone: String,
+        email: String,
+        name: String,
+        nameTokens: [String]
+    },
     meta: {
         createdBy: {
             type: mongoose.Schema.Types.ObjectId,
@@ -246,23 +276,36 @@ const studentSchema = new mongoose.Schema({
 // Generate student ID before save
 studentSchema.pre('save', async function(next) {
     if (!this.studentId) {
-        const Counter = mongoose.model('Counter');
-        const counter = await Counter.findByIdAndUpdate(
-            'studentId',
-            { $inc: { seq: 1 } },
-            { new: true, upsert: true }
-        );
-        this.studentId = `STU${String(counter.seq).padStart(6, '0')}`;
+        const Branch = mongoose.model('Branch');
+        const { seq, code } = await Branch.nextSequence(this.branch, 'studentId');
+        this.studentId = code
+            ? `STU-${code}-${String(seq).padStart(6, '0')}`
+            : `STU${String(seq).padStart(6, '0')}`;
     }
     
     // Calculate pending amount
     if (this.paymentPlan) {
-        this.paymentPlan.pendingAmount = this.paymentPlan.totalFees - this.paymentPlan.paidAmount;
+        this.paymentPlan.pendingAmount = Math.max(0, this.paymentPlan.totalFees +
+            (this.paymentPlan.lateFees || 0) - this.paymentPlan.paidAmount);
     }
     
     next();
 });
 
+// Keep the duplicate lookup keys in step with the contact details
+studentSchema.pre('save', function(next) {
+    const contactFields = ['personalDetails.phone', 'personalDetails.email', 'personalDetails.fullName'];
+    
+    if (this.isNew || this.isModified(contactFields)) {
+        this.dedupeKeys = buildDedupeKeys({
+            phone: this.personalDetails.phone,
+            email: this.personalDetails.email,
+            name: this.personalDetails.fullName
+        });
+    }
+    next();
+});
+
 // Virtual for age
 studentSchema.virtual('age').get(function() {
     if (!this.personalDetails.dateOfBirth) return null;
@@ -287,30 +330,17 @@ studentSchema.methods.addEnrollment = function(enrollmentData) {
     return this.save();
 };
 
-// Method to update payment
-studentSchema.methods.updatePayment = function(amount, installmentNumber = null) {
-    this.paymentPlan.paidAmount += amount;
-    this.paymentPlan.pendingAmount = this.paymentPlan.totalFees - this.paymentPlan.paidAmount;
-    
-    if (installmentNumber !== null && this.paymentPlan.paymentSchedule[installmentNumber]) {
-        const installment = this.paymentPlan.paymentSchedule[installmentNumber];
-        installment.status = 'paid';
-        installment.paidAmount = amount;
-        installment.paidDate = new Date();
-    }
-    
-    return this.save();
-};
-
 // Method to get fee summary
 studentSchema.methods.getFeeSummary = function() {
     const totalFees = this.paymentPlan.totalFees || 0;
+    const lateFees = this.paymentPlan.lateFees || 0;
     const paidAmount = this.paymentPlan.paidAmount || 0;
-    const pendingAmount = totalFees - paidAmount;
+    const pendingAmount = totalFees + lateFees - paidAmount;
     const paidPercentage = totalFees > 0 ? (paidAmount / totalFees) * 100 : 0;
     
     return {
         totalFees,
+        lateFees,
         paidAmount,
         pendingAmount,
         paidPercentage: paidPercentage.toFixed(2),
@@ -319,11 +349,33 @@ studentSchema.methods.getFeeSummary = function() {
 };
 
 // Indexes
+studentSchema.index({ branch: 1 });
 studentSchema.index({ studentId: 1 }, { unique: true });
 studentSchema.index({ 'personalDetails.phone': 1 }, { unique: true });
 studentSchema.index({ 'personalDetails.email': 1 }, { sparse: true });
 studentSchema.index({ 'enrollments.status': 1 });
 studentSchema.index({ status: 1 });
+studentSchema.index({ 'loginCredentials.user': 1 }, { sparse: true });
 studentSchema.index({ 'admissionDetails.admissionDate': -1 });
+studentSchema.index({ 'dedupeKeys.phone': 1 });
+studentSchema.index({ 'dedupeKeys.email': 1 });
+studentSchema.index({ 'dedupeKeys.nameTokens': 1 });
+
+// Soft deletion; a student's enrollments, payments and attendance go to the trash with it
+studentSchema.plugin(softDeletePlugin, {
+    cascade: [
+        { model: 'Enrollment', field: 'student' },
+        { model: 'Payment', field: 'student' },
+        { model: 'Attendance', field: 'student' }
+    ]
+});
+
+// Audit trail of every create, update and delete
+studentSchema.plugin(auditPlugin, {
+    entity: 'Student',
+    label: 'studentId',
+    ignore: ['loginCredentials.lastLogin', 'dedupeKeys'],
+    redact: ['loginCredentials.password']
+});
 
 module.exports = mongoose.model('Student', studentSchema);
\ No newline at end of file
@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto'); // Don't forget to add this import
+const { PERMISSION_MODULE } = require('../utils/constants');
+require('./Branch');
+const { auditPlugin } = require('../utils/auditTrail');
 
 const userSchema = new mongoose.Schema({
     username: {
@@ -31,6 +34,16 @@ const userSchema = new mongoose.Schema({
         enum: ['admin', 'employee', 'counselor', 'trainer', 'student'],
         default: 'employee'
     },
+    // Home branch; queries are limited to it (admins use activeBranch instead)
+    branch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch'
+    },
+    // Branch an admin has switched to; empty means all branches
+    activeBranch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch'
+    },
     profile: {
         firstName: String,
         lastName: String,
@@ -67,40 +80,102 @@ const userSchema = new mongoose.Schema({
             startTime: String,
             endTime: String,
             days: [String]
-        }
+        },
+        // Planned absences; counselors on leave get no automatic lead assignments
+        leavePeriods: [{
+            startDate: {
+                type: Date,
+                required: true
+            },
+            endDate: {
+                type: Date,
+                required: true
+            },
+            reason: String
+        }]
     },
+    // Custom role template; `role` then holds the built-in role it is based on
+    customRole: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Role'
+    },
+    // Effective permissions (role template plus overrides), kept in sync by utils/permissions
     permissions: [{
         module: {
             type: String,
-            enum: [
-                'dashboard', 
-                'leads', 
-                'students', 
-                'courses', 
-                'enrollments', // ADDED THIS
-                'payments', 
-                'attendance', 
-                'content', 
-                'users', 
-                'reports'
-            ]
+            enum: Object.values(PERMISSION_MODULE)
         },
         canView: { type: Boolean, default: false },
         canCreate: { type: Boolean, default: false },
         canEdit: { type: Boolean, default: false },
         canDelete: { type: Boolean, default: false }
     }],
+    // Per-user grants that differ from the role template (unset actions follow the role)
+    permissionOverrides: [{
+        _id: false,
+        module: {
+            type: String,
+            enum: Object.values(PERMISSION_MODULE),
+            required: true
+        },
+        canView: Boolean,
+        canCreate: Boolean,
+        canEdit: Boolean,
+        canDelete: Boolean
+    }],
     status: {
         type: String,
         enum: ['active', 'inactive', 'suspended'],
         default: 'active'
     },
+    mfa: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        // TOTP secrets are stored encrypted
+        secret: {
+            type: String,
+            select: false
+        },
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        backupCodes: {
+            type: [{
+                _id: false,
+                codeHash: String,
+                usedAt: Date
+            }],
+            select: false
+        },
+        // Last accepted time step, so a code cannot be replayed
+        lastUsedCounter: Number,
+        enabledAt: Date
+    },
+    lockout: {
+        failedAttempts: {
+            type: Number,
+            default: 0
+        },
+        lastFailedAt: Date,
+        lockedUntil: Date,
+        lockedAt: Date,
+        lockCount: {
+            type: Number,
+            default: 0
+        }
+    },
     isEmailVerified: {
         type: Boolean,
         default: false
     },
+    emailVerifiedAt: Date,
     lastLogin: Date,
     passwordChangedAt: Date,
+    // Tokens issued before this time are rejected (admin force-logout)
+    sessionsRevokedAt: Date,
     passwordResetToken: String,
     passwordResetExpires: Date,
     meta: {
@@ -159,13 +234,11 @@ userSchema.pre('save', async function(next) {
     }
     
     try {
-        const Counter = mongoose.model('Counter');
-        const counter = await Counter.findByIdAndUpdate(
-            'employeeId',
-            { $inc: { seq: 1 } },
-            { new: true, upsert: true }
-        );
-        this.employeeDetails.employeeId = `EMP${String(counter.seq).padStart(5, '0')}`;
+        const Branch = mongoose.model('Branch');
+        const { seq, code } = await Branch.nextSequence(this.branch, 'employeeId');
+        this.employeeDetails.employeeId = code
+            ? `EMP-${code}-${String(seq).padStart(5, '0')}`
+            : `EMP${String(seq).padStart(5, '0')}`;
         next();
     } catch (error) {
         next(error);
@@ -186,6 +259,19 @@ userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
     return false;
 };
 
+// Method to check if the user was force-logged-out after JWT was issued
+userSchema.methods.sessionsRevokedAfter = function(JWTTimestamp) {
+    if (this.sessionsRevokedAt) {
+        return JWTTimestamp < parseInt(this.sessionsRevokedAt.getTime() / 1000, 10);
+    }
+    return false;
+};
+
+// Method to check if the account is temporarily locked
+userSchema.methods.isLocked = function(now = new Date()) {
+    return !!(this.lockout?.lockedUntil && this.lockout.lockedUntil > now);
+};
+
 // Method to create password reset token
 userSchema.methods.createPasswordResetToken = function() {
     const resetToken = crypto.randomBytes(32).toString('hex');
@@ -205,6 +291,12 @@ userSchema.methods.getDashboardData = function() {
     delete user.passwordResetToken;
     delete user.passwordResetExpires;
     delete user.__v;
+    if (user.mfa) {
+        delete user.mfa.secret;
+        delete user.mfa.pendingSecret;
+        delete user.mfa.backupCodes;
+        delete user.mfa.lastUsedCounter;
+    }
     
     return {
         ...user,
@@ -217,6 +309,15 @@ userSchema.methods.getDashboardData = function() {
 // userSchema.index({ email: 1 });
 // userSchema.index({ username: 1 });
 // userSchema.index({ 'employeeDetails.employeeId': 1 });
+userSchema.index({ branch: 1 });
 userSchema.index({ status: 1 }); // This one is fine since status doesn't have inline index
 
+// Audit trail of every create, update and delete
+userSchema.plugin(auditPlugin, {
+    entity: 'User',
+    label: 'username',
+    ignore: ['lastLogin', 'mfa.lastUsedCounter', 'lockout.failedAttempts', 'lockout.lastFailedAt'],
+    redact: ['password', 'passwordResetToken', 'mfa.secret', 'mfa.pendingSecret', 'mfa.backupCodes']
+});
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One login session per device; the refresh token is rotated on every use
+const userSessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    device: {
+        name: String,
+        userAgent: String,
+        ip: String
+    },
+    rotations: {
+        type: Number,
+        default: 0
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: Date,
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'user', 'admin', 'token-reuse', 'password-change', 'account-status', 'session-limit']
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Virtual for session state
+userSessionSchema.virtual('isActive').get(function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Indexes
+userSessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+userSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserSession', userSessionSchema);
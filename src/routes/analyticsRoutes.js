@@ -1,5 +1,8 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
+const { query } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
 const { protect, authorize } = require('../middleware/authMiddleware');
 const {
     getDashboardStats,
@@ -16,6 +19,12 @@ const {
 // All routes are protected
 router.use(protect);
 
+// Every report can be limited to one branch (?branch=<id>; admins only, others get their own).
+// Checked as a single ObjectId so repeated or malformed values get a 400, not a cast error.
+router.use(validate([
+    query('branch').optional().custom(value => mongoose.isValidObjectId(value)).withMessage('Invalid branch ID')
+]));
+
 // Dashboard statistics
 router.get('/dashboard', getDashboardStats);
 
@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { LEAD_SOURCE, LEAD_ASSIGNMENT_STRATEGY } = require('../utils/constants');
+const {
+    getAssignmentRules,
+    getCounselorWorkload,
+    createAssignmentRule,
+    updateAssignmentRule,
+    deleteAssignmentRule
+} = require('../controllers/assignmentRuleController');
+
+const ruleValidation = [
+    body('priority').optional().isInt().withMessage('Priority must be a whole number'),
+    body('active').optional().isBoolean().withMessage('Active must be a boolean'),
+    body('strategy').optional().isIn(Object.values(LEAD_ASSIGNMENT_STRATEGY)).withMessage('Invalid assignment strategy'),
+    body('conditions.sources').optional().isArray().withMessage('Sources must be an array'),
+    body('conditions.sources.*').isIn(Object.values(LEAD_SOURCE)).withMessage('Invalid lead source'),
+    body('conditions.courses').optional().isArray().withMessage('Courses must be an array'),
+    body('conditions.courses.*').isMongoId().withMessage('Invalid course ID'),
+    body('conditions.branches').optional().isArray().withMessage('Branches must be an array'),
+    body('conditions.branches.*').isMongoId().withMessage('Invalid branch ID'),
+    body('counselors').optional().isArray().withMessage('Counselors must be an array'),
+    body('counselors.*').isMongoId().withMessage('Invalid counselor ID')
+];
+
+// All routes are admin only
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/counselors',
+    validate([
+        query('branch').optional().isMongoId().withMessage('Invalid branch ID')
+    ]),
+    getCounselorWorkload
+);
+
+router.route('/')
+    .get(getAssignmentRules)
+    .post(
+        validate([
+            body('name').notEmpty().withMessage('Rule name is required'),
+            ...ruleValidation
+        ]),
+        createAssignmentRule
+    );
+
+router.route('/:id')
+    .put(
+        validate([
+            param('id').isMongoId().withMessage('Invalid rule ID'),
+            body('name').optional().notEmpty().withMessage('Rule name cannot be empty'),
+            ...ruleValidation
+        ]),
+        updateAssignmentRule
+    )
+    .delete(
+        validate([
+            param('id').isMongoId().withMessage('Invalid rule ID')
+        ]),
+        deleteAssignmentRule
+    );
+
+module.exports = router;
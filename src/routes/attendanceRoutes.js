@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { body, param } = require('express-validator');
 const { validate } = require('../middleware/validationMiddleware');
-const { protect, authorize, hasPermission } = require('../middleware/authMiddleware');
+const { protect, authorize, hasPermission, ownStudentOnly } = require('../middleware/authMiddleware');
 const {
     getAttendance,
     getAttendanceById,
@@ -31,7 +31,8 @@ router.post('/report',
         body('startDate').isISO8601().withMessage('Valid start date is required'),
         body('endDate').isISO8601().withMessage('Valid end date is required'),
         body('batch').optional().isMongoId().withMessage('Invalid batch ID'),
-        body('student').optional().isMongoId().withMessage('Invalid student ID')
+        body('student').optional().isMongoId().withMessage('Invalid student ID'),
+        body('format').optional().isIn(['json', 'csv', 'xlsx']).withMessage('Format must be json, csv or xlsx')
     ]),
     generateAttendanceReport
 );
@@ -39,6 +40,7 @@ router.post('/report',
 // Get attendance for specific student
 router.get('/student/:studentId',
     hasPermission('attendance', 'canView'),
+    ownStudentOnly('studentId'),
     validate([
         param('studentId').isMongoId().withMessage('Invalid student ID')
     ]),
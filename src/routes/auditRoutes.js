@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const { param, query } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const {
+    getAuditLogs,
+    getRecordHistory
+} = require('../controllers/auditController');
+
+// All routes are admin only
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/',
+    validate([
+        query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+        query('entity').optional().isAlpha().withMessage('Invalid entity'),
+        query('action').optional().isIn(['create', 'update', 'delete']).withMessage('Invalid action'),
+        query('startDate').optional().isISO8601().withMessage('Valid start date is required'),
+        query('endDate').optional().isISO8601().withMessage('Valid end date is required'),
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    ]),
+    getAuditLogs
+);
+
+router.get('/:entity/:entityId',
+    validate([
+        param('entity').isAlpha().withMessage('Invalid entity'),
+        param('entityId').notEmpty().withMessage('Record ID is required')
+    ]),
+    getRecordHistory
+);
+
+module.exports = router;
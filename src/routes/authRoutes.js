@@ -1,8 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const { validate } = require('../middleware/validationMiddleware');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, protectMfaPending, authorize } = require('../middleware/authMiddleware');
 const {
     register,
     login,
@@ -11,8 +11,26 @@ const {
     changePassword,
     logout,
     forgotPassword,
-    resetPassword
+    resetPassword,
+    verifyEmail,
+    resendVerificationEmail,
+    refreshToken,
+    getSessions,
+    revokeSession,
+    revokeOtherSessions
 } = require('../controllers/authController');
+const {
+    getMfaStatus,
+    setupMfa,
+    enableMfa,
+    verifyMfaLogin,
+    disableMfa,
+    regenerateBackupCodes,
+    getMfaPolicy,
+    updateMfaPolicy
+} = require('../controllers/mfaController');
+
+const codeValidation = body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits');
 
 // Public routes
 router.post('/register',
@@ -46,6 +64,36 @@ router.put('/reset-password/:token',
     resetPassword
 );
 
+router.get('/verify-email/:token', verifyEmail);
+
+router.post('/verify-email/resend',
+    validate([
+        body('email').isEmail().withMessage('Please provide a valid email')
+    ]),
+    resendVerificationEmail
+);
+
+router.post('/refresh', refreshToken);
+
+// Second step of login (MFA token from the login response)
+router.post('/mfa/verify',
+    protectMfaPending('mfa'),
+    validate([
+        body('code').optional().matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+        body('backupCode').if(body('code').not().exists())
+            .notEmpty().withMessage('Code or backup code is required')
+    ]),
+    verifyMfaLogin
+);
+
+// Enrolment during login when the role requires 2FA
+router.post('/mfa/enroll', protectMfaPending('mfa-setup'), setupMfa);
+router.post('/mfa/enroll/confirm',
+    protectMfaPending('mfa-setup'),
+    validate([codeValidation]),
+    enableMfa
+);
+
 // Protected routes
 router.use(protect);
 
@@ -54,4 +102,40 @@ router.put('/profile', updateProfile);
 router.put('/change-password', changePassword);
 router.post('/logout', logout);
 
+// Two-factor authentication
+router.get('/mfa', getMfaStatus);
+router.post('/mfa/setup', setupMfa);
+router.post('/mfa/enable', validate([codeValidation]), enableMfa);
+router.post('/mfa/disable',
+    validate([
+        body('password').notEmpty().withMessage('Password is required'),
+        body('code').optional().matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+        body('backupCode').if(body('code').not().exists())
+            .notEmpty().withMessage('Code or backup code is required')
+    ]),
+    disableMfa
+);
+router.post('/mfa/backup-codes', validate([codeValidation]), regenerateBackupCodes);
+router.route('/mfa/policy')
+    .get(authorize('admin'), getMfaPolicy)
+    .put(
+        authorize('admin'),
+        validate([
+            body('requiredRoles').isArray().withMessage('Required roles must be an array'),
+            body('requiredRoles.*').isIn(['admin', 'employee', 'counselor', 'trainer', 'student'])
+                .withMessage('Invalid role')
+        ]),
+        updateMfaPolicy
+    );
+
+// Sessions and devices
+router.get('/sessions', getSessions);
+router.delete('/sessions', revokeOtherSessions);
+router.delete('/sessions/:id',
+    validate([
+        param('id').isMongoId().withMessage('Invalid session ID')
+    ]),
+    revokeSession
+);
+
 module.exports = router;
\ No newline at end of file
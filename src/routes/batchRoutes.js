@@ -96,7 +96,8 @@ router.route('/')
             body('name').notEmpty().withMessage('Batch name is required'),
             body('startDate').isISO8601().withMessage('Valid start date is required'),
             body('instructor').isMongoId().withMessage('Valid instructor ID is required'),
-            body('maxStudents').isInt({ min: 1 }).withMessage('Maximum students must be at least 1')
+            body('maxStudents').isInt({ min: 1 }).withMessage('Maximum students must be at least 1'),
+            body('branch').optional().isMongoId().withMessage('Invalid branch ID')
         ]),
         createBatch
     );
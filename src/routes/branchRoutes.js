@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const {
+    getBranches,
+    getBranchById,
+    createBranch,
+    updateBranch,
+    deleteBranch,
+    switchBranch
+} = require('../controllers/branchController');
+
+// All routes are protected
+router.use(protect);
+
+router.put('/active',
+    authorize('admin'),
+    validate([
+        body('branch').optional({ values: 'null' }).isMongoId().withMessage('Invalid branch ID')
+    ]),
+    switchBranch
+);
+
+router.route('/')
+    .get(
+        validate([
+            query('status').optional().isIn(['active', 'inactive']).withMessage('Invalid status')
+        ]),
+        getBranches
+    )
+    .post(
+        authorize('admin'),
+        validate([
+            body('name').notEmpty().withMessage('Branch name is required'),
+            body('code').matches(/^[a-z0-9]{2,6}$/i).withMessage('Branch code must be 2-6 letters or digits'),
+            body('email').optional().isEmail().withMessage('Valid email is required'),
+            body('manager').optional().isMongoId().withMessage('Invalid manager ID'),
+            body('status').optional().isIn(['active', 'inactive']).withMessage('Invalid status')
+        ]),
+        createBranch
+    );
+
+router.route('/:id')
+    .get(
+        validate([
+            param('id').isMongoId().withMessage('Invalid branch ID')
+        ]),
+        getBranchById
+    )
+    .put(
+        authorize('admin'),
+        validate([
+            param('id').isMongoId().withMessage('Invalid branch ID'),
+            body('name').optional().notEmpty().withMessage('Branch name cannot be empty'),
+            body('email').optional().isEmail().withMessage('Valid email is required'),
+            body('manager').optional().isMongoId().withMessage('Invalid manager ID'),
+            body('status').optional().isIn(['active', 'inactive']).withMessage('Invalid status')
+        ]),
+        updateBranch
+    )
+    .delete(
+        authorize('admin'),
+        validate([
+            param('id').isMongoId().withMessage('Invalid branch ID')
+        ]),
+        deleteBranch
+    );
+
+module.exports = router;
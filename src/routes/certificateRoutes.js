@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { param, query } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
+const { verifyCertificate } = require('../controllers/certificateController');
+
+// Public route - used by employers to check a certificate is genuine
+router.get('/verify/:certificateId',
+    validate([
+        param('certificateId').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Invalid certificate ID'),
+        query('code').optional().isAlphanumeric().isLength({ max: 20 }).withMessage('Invalid verification code')
+    ]),
+    verifyCertificate
+);
+
+module.exports = router;
@@ -3,13 +3,15 @@ const router = express.Router();
 const multer = require('multer');
 const { body, param } = require('express-validator');
 const { validate } = require('../middleware/validationMiddleware');
-const { protect, authorize, hasPermission } = require('../middleware/authMiddleware');
+const { protect, authorize, hasPermission, ownStudentOnly } = require('../middleware/authMiddleware');
 const {
     getContent,
     getContentById,
     createContent,
     updateContent,
     deleteContent,
+    getContentTrash,
+    restoreContent,
     uploadFile,
     shareContent,
     getCourseContent,
@@ -70,6 +72,23 @@ router.post('/upload',
     uploadFile
 );
 
+// Trashed content
+router.get('/trash',
+    authorize('admin', 'trainer'),
+    hasPermission('content', 'canDelete'),
+    getContentTrash
+);
+
+// Restore content from trash
+router.put('/:id/restore',
+    authorize('admin', 'trainer'),
+    hasPermission('content', 'canDelete'),
+    validate([
+        param('id').isMongoId().withMessage('Invalid content ID')
+    ]),
+    restoreContent
+);
+
 // Download content
 router.get('/:id/download',
     hasPermission('content', 'canView'),
@@ -103,6 +122,7 @@ router.get('/course/:courseId',
 // Get content accessible to specific student
 router.get('/student/:studentId',
     hasPermission('content', 'canView'),
+    ownStudentOnly('studentId'),
     validate([
         param('studentId').isMongoId().withMessage('Invalid student ID')
     ]),
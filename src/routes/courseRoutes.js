@@ -98,7 +98,9 @@ router.route('/')
             body('description').notEmpty().withMessage('Course description is required'),
             body('duration.value').isInt({ min: 1 }).withMessage('Duration value must be at least 1'),
             body('duration.unit').isIn(['hours', 'days', 'weeks', 'months']).withMessage('Invalid duration unit'),
-            body('fees.regular').isNumeric().withMessage('Regular fee must be a number')
+            body('fees.regular').isNumeric().withMessage('Regular fee must be a number'),
+            body('branches').optional().isArray().withMessage('Branches must be an array'),
+            body('branches.*').isMongoId().withMessage('Invalid branch ID')
         ]),
         createCourse
     );
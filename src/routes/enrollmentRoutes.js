@@ -1,14 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const { validate } = require('../middleware/validationMiddleware');
 const { protect, authorize, hasPermission } = require('../middleware/authMiddleware');
 const {
     getEnrollments,
+    exportEnrollments,
     getEnrollmentById,
     createEnrollment,
     updateEnrollment,
     deleteEnrollment,
+    getEnrollmentTrash,
+    restoreEnrollment,
     getStudentEnrollments,
     getCourseEnrollments,
     updateProgress,
@@ -16,6 +19,8 @@ const {
     submitAssignment,
     gradeAssignment,
     generateCertificate,
+    downloadCertificate,
+    generateInstallments,
     getEnrollmentStats
 } = require('../controllers/enrollmentController');
 
@@ -28,6 +33,33 @@ router.get('/stats',
     getEnrollmentStats
 );
 
+// Export enrollments as CSV/XLSX
+router.get('/export',
+    hasPermission('students', 'canView'),
+    validate([
+        query('format').optional().isIn(['csv', 'xlsx']).withMessage('Format must be csv or xlsx'),
+        query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc')
+    ]),
+    exportEnrollments
+);
+
+// Trashed enrollments (admin only)
+router.get('/trash',
+    authorize('admin'),
+    hasPermission('students', 'canDelete'),
+    getEnrollmentTrash
+);
+
+// Restore enrollment from trash (admin only)
+router.put('/:id/restore',
+    authorize('admin'),
+    hasPermission('students', 'canDelete'),
+    validate([
+        param('id').isMongoId().withMessage('Invalid enrollment ID')
+    ]),
+    restoreEnrollment
+);
+
 // Get enrollments for specific student
 router.get('/student/:studentId',
     hasPermission('students', 'canView'),
@@ -101,6 +133,33 @@ router.post('/:id/certificate',
     generateCertificate
 );
 
+// Download certificate PDF
+router.get('/:id/certificate/download',
+    hasPermission('students', 'canView'),
+    validate([
+        param('id').isMongoId().withMessage('Invalid enrollment ID')
+    ]),
+    downloadCertificate
+);
+
+// Generate installment plan for enrollment
+router.post('/:id/installments',
+    hasPermission('payments', 'canCreate'),
+    validate([
+        param('id').isMongoId().withMessage('Invalid enrollment ID'),
+        body('numberOfInstallments').isInt({ min: 1, max: 36 }).withMessage('Number of installments must be between 1 and 36'),
+        body('startDate').isISO8601().withMessage('Valid start date is required'),
+        body('intervalMonths').optional().isInt({ min: 1, max: 12 }).withMessage('Interval must be between 1 and 12 months'),
+        body('discount.amount').optional().isFloat({ min: 0 }).withMessage('Discount amount must be positive'),
+        body('discount.percentage').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount percentage must be between 0 and 100'),
+        body('scholarship.amount').optional().isFloat({ min: 0 }).withMessage('Scholarship amount must be positive'),
+        body('scholarship.percentage').optional().isFloat({ min: 0, max: 100 }).withMessage('Scholarship percentage must be between 0 and 100'),
+        body('regenerate').optional().isBoolean().withMessage('Regenerate must be a boolean').toBoolean(true),
+        body('dryRun').optional().isBoolean().withMessage('Dry run must be a boolean').toBoolean(true)
+    ]),
+    generateInstallments
+);
+
 // CRUD routes
 router.route('/')
     .get(hasPermission('students', 'canView'), getEnrollments)
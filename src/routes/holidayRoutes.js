@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const {
+    getHolidays,
+    createHoliday,
+    updateHoliday,
+    deleteHoliday
+} = require('../controllers/holidayController');
+
+// All routes are protected
+router.use(protect);
+
+// CRUD routes
+router.route('/')
+    .get(getHolidays)
+    .post(
+        authorize('admin'),
+        validate([
+            body('name').notEmpty().withMessage('Holiday name is required'),
+            body('date').isISO8601().withMessage('Valid date is required'),
+            body('type').optional().isIn(['public', 'institute', 'other']).withMessage('Invalid holiday type'),
+            body('recurring').optional().isBoolean().withMessage('Recurring must be a boolean')
+        ]),
+        createHoliday
+    );
+
+router.route('/:id')
+    .put(
+        authorize('admin'),
+        validate([
+            param('id').isMongoId().withMessage('Invalid holiday ID'),
+            body('date').optional().isISO8601().withMessage('Valid date is required')
+        ]),
+        updateHoliday
+    )
+    .delete(
+        authorize('admin'),
+        validate([
+            param('id').isMongoId().withMessage('Invalid holiday ID')
+        ]),
+        deleteHoliday
+    );
+
+module.exports = router;
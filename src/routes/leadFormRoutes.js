@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { LEAD_SOURCE } = require('../utils/constants');
+const {
+    getLeadForms,
+    createLeadForm,
+    updateLeadForm,
+    regenerateLeadFormKey,
+    getLeadFormSubmissions,
+    deleteLeadForm
+} = require('../controllers/leadFormController');
+
+const formValidation = [
+    body('active').optional().isBoolean().withMessage('Active must be a boolean'),
+    body('source').optional().isIn(Object.values(LEAD_SOURCE)).withMessage('Invalid lead source'),
+    body('branch').optional({ nullable: true }).isMongoId().withMessage('Invalid branch ID'),
+    body('course').optional({ nullable: true }).isMongoId().withMessage('Invalid course ID'),
+    body('allowedOrigins').optional().isArray().withMessage('Allowed origins must be an array'),
+    body('allowedOrigins.*')
+        .isURL({ require_protocol: true, require_tld: false })
+        .withMessage('Allowed origins must be full origins, e.g. https://example.com'),
+    body('requireCaptcha').optional().isBoolean().withMessage('Require captcha must be a boolean')
+];
+
+// All routes are admin only
+router.use(protect);
+router.use(authorize('admin'));
+
+router.route('/')
+    .get(getLeadForms)
+    .post(
+        validate([
+            body('name').notEmpty().withMessage('Form name is required'),
+            ...formValidation
+        ]),
+        createLeadForm
+    );
+
+router.route('/:id')
+    .put(
+        validate([
+            param('id').isMongoId().withMessage('Invalid form ID'),
+            body('name').optional().notEmpty().withMessage('Form name cannot be empty'),
+            ...formValidation
+        ]),
+        updateLeadForm
+    )
+    .delete(
+        validate([
+            param('id').isMongoId().withMessage('Invalid form ID')
+        ]),
+        deleteLeadForm
+    );
+
+router.put('/:id/key',
+    validate([
+        param('id').isMongoId().withMessage('Invalid form ID')
+    ]),
+    regenerateLeadFormKey
+);
+
+router.get('/:id/submissions',
+    validate([
+        param('id').isMongoId().withMessage('Invalid form ID'),
+        query('outcome').optional().isString().trim()
+    ]),
+    getLeadFormSubmissions
+);
+
+module.exports = router;
@@ -1,13 +1,23 @@
 const express = require('express');
 const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
 const { protect, authorize, hasPermission } = require('../middleware/authMiddleware');
 const {
     getLeads,
+    exportLeads,
     getLeadById,
     createLead,
     updateLead,
     deleteLead,
+    reassignLead,
+    getLeadTrash,
+    restoreLead,
+    getLeadDuplicates,
+    mergeLead,
     addCommunication,
+    updateCommunication,
+    getMyFollowUps,
     convertToStudent,
     getLeadStats
 } = require('../controllers/leadController');
@@ -17,20 +27,92 @@ router.use(protect);
 
 // Routes with specific permissions
 router.route('/')
-    .get(hasPermission('leads', 'canView'), getLeads)
+    .get(
+        hasPermission('leads', 'canView'),
+        validate([
+            query('minScore').optional().isInt({ min: 0, max: 100 }).withMessage('Minimum score must be between 0 and 100'),
+            query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc')
+        ]),
+        getLeads
+    )
     .post(hasPermission('leads', 'canCreate'), createLead);
 
 router.route('/stats')
     .get(hasPermission('leads', 'canView'), getLeadStats);
 
+router.route('/export')
+    .get(
+        hasPermission('leads', 'canView'),
+        validate([
+            query('format').optional().isIn(['csv', 'xlsx']).withMessage('Format must be csv or xlsx'),
+            query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc')
+        ]),
+        exportLeads
+    );
+
+router.route('/my-follow-ups')
+    .get(
+        hasPermission('leads', 'canView'),
+        validate([
+            query('date').optional().isISO8601().withMessage('Date must be a valid date')
+        ]),
+        getMyFollowUps
+    );
+
+router.route('/trash')
+    .get(hasPermission('leads', 'canDelete'), getLeadTrash);
+
 router.route('/:id')
     .get(hasPermission('leads', 'canView'), getLeadById)
     .put(hasPermission('leads', 'canEdit'), updateLead)
     .delete(hasPermission('leads', 'canDelete'), deleteLead);
 
+router.route('/:id/assign')
+    .put(
+        authorize('admin', 'employee'),
+        hasPermission('leads', 'canEdit'),
+        validate([
+            param('id').isMongoId().withMessage('Invalid lead ID'),
+            body('assignedTo').optional().isMongoId().withMessage('Invalid user ID')
+        ]),
+        reassignLead
+    );
+
+router.route('/:id/restore')
+    .put(hasPermission('leads', 'canDelete'), restoreLead);
+
+router.route('/:id/duplicates')
+    .get(hasPermission('leads', 'canView'), getLeadDuplicates);
+
+router.route('/:id/merge')
+    .post(
+        authorize('admin', 'employee'),
+        hasPermission('leads', 'canEdit'),
+        validate([
+            param('id').isMongoId().withMessage('Invalid lead ID'),
+            body('duplicateIds').isArray({ min: 1 }).withMessage('At least one duplicate lead is required'),
+            body('duplicateIds.*').isMongoId().withMessage('Invalid duplicate lead ID'),
+            body('reason').optional().isString().trim()
+        ]),
+        mergeLead
+    );
+
 router.route('/:id/communications')
     .post(hasPermission('leads', 'canEdit'), addCommunication);
 
+router.route('/:id/communications/:communicationId')
+    .put(
+        hasPermission('leads', 'canEdit'),
+        validate([
+            param('id').isMongoId().withMessage('Invalid lead ID'),
+            param('communicationId').isMongoId().withMessage('Invalid communication ID'),
+            body('status').optional().isIn(['scheduled', 'completed', 'missed', 'cancelled']).withMessage('Invalid communication status'),
+            body('scheduledAt').optional().isISO8601().withMessage('Scheduled time must be a valid date'),
+            body('completedAt').optional().isISO8601().withMessage('Completed time must be a valid date')
+        ]),
+        updateCommunication
+    );
+
 router.route('/:id/convert')
     .post(hasPermission('leads', 'canEdit'), convertToStudent);
 
@@ -1,14 +1,20 @@
 const express = require('express');
 const router = express.Router();
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const { validate } = require('../middleware/validationMiddleware');
-const { protect, authorize, hasPermission } = require('../middleware/authMiddleware');
+const { protect, authorize, hasPermission, ownStudentOnly } = require('../middleware/authMiddleware');
 const {
     getPayments,
+    exportPayments,
+    getOverdueLedger,
+    runOverdueCheck,
+    reconcileFees,
     getPaymentById,
     createPayment,
     updatePayment,
     deletePayment,
+    getPaymentTrash,
+    restorePayment,
     verifyPayment,
     generateReceipt,
     getPaymentStats,
@@ -25,9 +31,55 @@ router.get('/stats',
     getPaymentStats
 );
 
+// Export payments as CSV/XLSX
+router.get('/export',
+    hasPermission('payments', 'canView'),
+    validate([
+        query('format').optional().isIn(['csv', 'xlsx']).withMessage('Format must be csv or xlsx'),
+        query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc')
+    ]),
+    exportPayments
+);
+
+// Overdue installment ledger
+router.get('/overdue',
+    hasPermission('payments', 'canView'),
+    validate([
+        query('course').optional().isMongoId().withMessage('Invalid course ID'),
+        query('batch').optional().isMongoId().withMessage('Invalid batch ID'),
+        query('student').optional().isMongoId().withMessage('Invalid student ID'),
+        query('minDaysOverdue').optional().isInt({ min: 0 }).withMessage('Minimum days overdue must be a positive number')
+    ]),
+    getOverdueLedger
+);
+
+// Run the overdue installment check now (admin only)
+router.post('/overdue/run',
+    authorize('admin'),
+    runOverdueCheck
+);
+
+// Reconcile fee totals with recorded payments (admin only)
+router.post('/reconcile',
+    authorize('admin'),
+    validate([
+        body('student').optional().isMongoId().withMessage('Invalid student ID'),
+        body('apply').optional().isBoolean().withMessage('Apply must be a boolean').toBoolean(true)
+    ]),
+    reconcileFees
+);
+
+// Trashed payments (admin only)
+router.get('/trash',
+    authorize('admin'),
+    hasPermission('payments', 'canDelete'),
+    getPaymentTrash
+);
+
 // Get payments for specific student
 router.get('/student/:studentId',
     hasPermission('payments', 'canView'),
+    ownStudentOnly('studentId'),
     validate([
         param('studentId').isMongoId().withMessage('Invalid student ID')
     ]),
@@ -38,11 +90,22 @@ router.get('/student/:studentId',
 router.get('/:id/receipt',
     hasPermission('payments', 'canView'),
     validate([
-        param('id').isMongoId().withMessage('Invalid payment ID')
+        param('id').isMongoId().withMessage('Invalid payment ID'),
+        query('format').optional().isIn(['pdf', 'json']).withMessage('Format must be pdf or json')
     ]),
     generateReceipt
 );
 
+// Restore payment from trash (admin only)
+router.put('/:id/restore',
+    authorize('admin'),
+    hasPermission('payments', 'canDelete'),
+    validate([
+        param('id').isMongoId().withMessage('Invalid payment ID')
+    ]),
+    restorePayment
+);
+
 // Verify payment (admin/employee only)
 router.put('/:id/verify',
     authorize('admin', 'employee'),
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
+const { submitLead } = require('../controllers/publicLeadController');
+
+const utmFields = ['source', 'medium', 'campaign', 'term', 'content'];
+
+// Public route - website and campaign forms, identified by their form key
+router.post('/leads',
+    validate([
+        body('formKey').optional().isString().isLength({ max: 100 }).withMessage('Invalid form key'),
+        body('fullName')
+            .isString().trim()
+            .isLength({ min: 2, max: 100 }).withMessage('Full name must be between 2 and 100 characters'),
+        body('phone')
+            .isString().trim()
+            .matches(/^\+?[0-9][0-9\s()-]{8,18}[0-9]$/).withMessage('Please provide a valid phone number'),
+        body('email').optional({ checkFalsy: true }).trim().toLowerCase().isEmail().withMessage('Please provide a valid email'),
+        body('course').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid course'),
+        body('message').optional().isString().trim().isLength({ max: 1000 }).withMessage('Message cannot exceed 1000 characters'),
+        body('captchaToken').optional().isString().isLength({ max: 4096 }).withMessage('Invalid captcha token'),
+        ...utmFields.map(field => body(`utm_${field}`).optional().isString().trim().isLength({ max: 200 })
+            .withMessage(`utm_${field} cannot exceed 200 characters`)),
+        ...utmFields.map(field => query(`utm_${field}`).optional().isString().trim().isLength({ max: 200 })
+            .withMessage(`utm_${field} cannot exceed 200 characters`))
+    ]),
+    submitLead
+);
+
+module.exports = router;
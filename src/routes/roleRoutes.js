@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { ROLES, PERMISSION_MODULE } = require('../utils/constants');
+const {
+    getRoles,
+    getPermissionModules,
+    getRoleById,
+    createRole,
+    updateRole,
+    deleteRole,
+    resyncRole
+} = require('../controllers/roleController');
+
+const permissionValidation = [
+    body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+    body('permissions.*.module').isIn(Object.values(PERMISSION_MODULE)).withMessage('Invalid permission module'),
+    body(['permissions.*.canView', 'permissions.*.canCreate', 'permissions.*.canEdit', 'permissions.*.canDelete'])
+        .optional().isBoolean().withMessage('Permission actions must be booleans')
+];
+
+// All routes are admin only
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/modules', getPermissionModules);
+
+router.route('/')
+    .get(getRoles)
+    .post(
+        validate([
+            body('name').matches(/^[a-z][a-z0-9_-]*$/i)
+                .withMessage('Role name may only contain letters, numbers, - and _'),
+            body('displayName').notEmpty().withMessage('Display name is required'),
+            body('baseRole').isIn(Object.values(ROLES)).withMessage('Invalid base role'),
+            ...permissionValidation
+        ]),
+        createRole
+    );
+
+router.post('/:id/resync',
+    validate([
+        param('id').isMongoId().withMessage('Invalid role ID')
+    ]),
+    resyncRole
+);
+
+router.route('/:id')
+    .get(
+        validate([
+            param('id').isMongoId().withMessage('Invalid role ID')
+        ]),
+        getRoleById
+    )
+    .put(
+        validate([
+            param('id').isMongoId().withMessage('Invalid role ID'),
+            body('displayName').optional().notEmpty().withMessage('Display name cannot be empty'),
+            body('baseRole').optional().isIn(Object.values(ROLES)).withMessage('Invalid base role'),
+            ...permissionValidation
+        ]),
+        updateRole
+    )
+    .delete(
+        validate([
+            param('id').isMongoId().withMessage('Invalid role ID')
+        ]),
+        deleteRole
+    );
+
+module.exports = router;
@@ -0,0 +1,221 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const multer = require('multer');
+const { body, param, query } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
+const { protect, authorize, hasPermission } = require('../middleware/authMiddleware');
+const {
+    getSessions,
+    getSessionById,
+    createSession,
+    updateSession,
+    deleteSession,
+    completeSession,
+    addSessionResource,
+    removeSessionResource,
+    addSessionAssignment,
+    uploadRecording,
+    refreshAttendanceSummary,
+    generateSessions,
+    getAvailability
+} = require('../controllers/sessionController');
+
+// Configure multer for session resources and recordings
+const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        const dir = './uploads/sessions';
+        fs.mkdirSync(dir, { recursive: true });
+        cb(null, dir);
+    },
+    filename: (req, file, cb) => {
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        cb(null, file.fieldname + '-' + uniqueSuffix + '-' + file.originalname);
+    }
+});
+
+const upload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 500 * 1024 * 1024 // 500MB limit (recordings)
+    },
+    fileFilter: (req, file, cb) => {
+        const allowedTypes = [
+            'application/pdf',
+            'application/msword',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'application/vnd.ms-powerpoint',
+            'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+            'text/plain',
+            'image/jpeg',
+            'image/png',
+            'video/mp4',
+            'video/webm',
+            'audio/mpeg',
+            'application/zip'
+        ];
+
+        if (allowedTypes.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type'), false);
+        }
+    }
+});
+
+// All routes are protected
+router.use(protect);
+
+// Free slots for a trainer or classroom
+router.get('/availability',
+    hasPermission('courses', 'canView'),
+    validate([
+        query('instructor').optional().isMongoId().withMessage('Invalid instructor ID'),
+        query('classroom').optional().isString(),
+        query('startDate').isISO8601().withMessage('Valid start date is required'),
+        query('endDate').isISO8601().withMessage('Valid end date is required'),
+        query('minDuration').optional().isInt({ min: 15 }).withMessage('Minimum duration must be at least 15 minutes')
+    ]),
+    getAvailability
+);
+
+// Generate sessions from batch schedule
+router.post('/generate',
+    authorize('admin', 'trainer'),
+    hasPermission('courses', 'canEdit'),
+    validate([
+        body('batch').isMongoId().withMessage('Valid batch ID is required'),
+        body('from').optional().isISO8601().withMessage('Invalid from date'),
+        body('to').optional().isISO8601().withMessage('Invalid to date'),
+        body('skipDates').optional().isArray().withMessage('Skip dates must be an array'),
+        body('skipDates.*').isISO8601().withMessage('Invalid skip date'),
+        body('regenerate').optional().isBoolean().withMessage('Regenerate must be a boolean').toBoolean(true),
+        body('dryRun').optional().isBoolean().withMessage('Dry run must be a boolean').toBoolean(true)
+    ]),
+    generateSessions
+);
+
+// Mark session as completed
+router.put('/:id/complete',
+    authorize('admin', 'trainer'),
+    hasPermission('attendance', 'canEdit'),
+    validate([
+        param('id').isMongoId().withMessage('Invalid session ID')
+    ]),
+    completeSession
+);
+
+// Refresh attendance summary
+router.put('/:id/attendance-summary',
+    authorize('admin', 'trainer'),
+    hasPermission('attendance', 'canEdit'),
+    validate([
+        param('id').isMongoId().withMessage('Invalid session ID')
+    ]),
+    refreshAttendanceSummary
+);
+
+// Add resource (file upload or link)
+router.post('/:id/resources',
+    authorize('admin', 'trainer'),
+    hasPermission('content', 'canCreate'),
+    upload.single('file'),
+    validate([
+        param('id').isMongoId().withMessage('Invalid session ID'),
+        body('type').optional().isIn(['slide', 'video', 'document', 'link', 'code', 'other'])
+            .withMessage('Invalid resource type'),
+        body('url').optional().isString()
+    ]),
+    addSessionResource
+);
+
+// Remove resource
+router.delete('/:id/resources/:resourceId',
+    authorize('admin', 'trainer'),
+    hasPermission('content', 'canEdit'),
+    validate([
+        param('id').isMongoId().withMessage('Invalid session ID'),
+        param('resourceId').isMongoId().withMessage('Invalid resource ID')
+    ]),
+    removeSessionResource
+);
+
+// Add assignment
+router.post('/:id/assignments',
+    authorize('admin', 'trainer'),
+    hasPermission('content', 'canCreate'),
+    validate([
+        param('id').isMongoId().withMessage('Invalid session ID'),
+        body('title').notEmpty().withMessage('Assignment title is required'),
+        body('dueDate').optional().isISO8601().withMessage('Valid due date is required'),
+        body('maxMarks').optional().isNumeric().withMessage('Max marks must be a number')
+    ]),
+    addSessionAssignment
+);
+
+// Upload recording (file upload or link)
+router.post('/:id/recording',
+    authorize('admin', 'trainer'),
+    hasPermission('content', 'canCreate'),
+    upload.single('recording'),
+    validate([
+        param('id').isMongoId().withMessage('Invalid session ID'),
+        body('duration').optional().isInt({ min: 0 }).withMessage('Duration must be in minutes')
+    ]),
+    uploadRecording
+);
+
+// CRUD routes
+router.route('/')
+    .get(
+        hasPermission('courses', 'canView'),
+        validate([
+            query('batch').optional().isMongoId().withMessage('Invalid batch ID'),
+            query('instructor').optional().isMongoId().withMessage('Invalid instructor ID'),
+            query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+            query('endDate').optional().isISO8601().withMessage('Invalid end date')
+        ]),
+        getSessions
+    )
+    .post(
+        authorize('admin', 'trainer'),
+        hasPermission('courses', 'canEdit'),
+        validate([
+            body('batch').isMongoId().withMessage('Valid batch ID is required'),
+            body('topic').notEmpty().withMessage('Session topic is required'),
+            body('date').isISO8601().withMessage('Valid date is required'),
+            body('startTime').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Start time must be HH:mm'),
+            body('endTime').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('End time must be HH:mm'),
+            body('instructor').optional().isMongoId().withMessage('Invalid instructor ID')
+        ]),
+        createSession
+    );
+
+router.route('/:id')
+    .get(
+        hasPermission('courses', 'canView'),
+        validate([
+            param('id').isMongoId().withMessage('Invalid session ID')
+        ]),
+        getSessionById
+    )
+    .put(
+        authorize('admin', 'trainer'),
+        hasPermission('courses', 'canEdit'),
+        validate([
+            param('id').isMongoId().withMessage('Invalid session ID'),
+            body('startTime').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Start time must be HH:mm'),
+            body('endTime').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('End time must be HH:mm')
+        ]),
+        updateSession
+    )
+    .delete(
+        authorize('admin'),
+        hasPermission('courses', 'canDelete'),
+        validate([
+            param('id').isMongoId().withMessage('Invalid session ID')
+        ]),
+        deleteSession
+    );
+
+module.exports = router;
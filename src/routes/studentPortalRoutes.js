@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const { param, query } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const {
+    getMyProfile,
+    getMyEnrollments,
+    getMyFeeSummary,
+    getMyInstallments,
+    getMyReceipts,
+    downloadMyReceipt,
+    getMyAttendance,
+    getMyContent
+} = require('../controllers/studentPortalController');
+
+// Self-service routes for student accounts
+router.use(protect);
+router.use(authorize('student'));
+
+router.get('/', getMyProfile);
+
+router.get('/enrollments', getMyEnrollments);
+
+router.get('/fees', getMyFeeSummary);
+
+router.get('/installments',
+    validate([
+        query('status').optional().isIn(['pending', 'paid', 'overdue', 'waived', 'partial'])
+            .withMessage('Invalid installment status')
+    ]),
+    getMyInstallments
+);
+
+router.get('/receipts',
+    validate([
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    ]),
+    getMyReceipts
+);
+
+router.get('/receipts/:paymentId',
+    validate([
+        param('paymentId').isMongoId().withMessage('Invalid payment ID')
+    ]),
+    downloadMyReceipt
+);
+
+router.get('/attendance',
+    validate([
+        query('batch').optional().isMongoId().withMessage('Invalid batch ID'),
+        query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+        query('endDate').optional().isISO8601().withMessage('Invalid end date')
+    ]),
+    getMyAttendance
+);
+
+router.get('/content',
+    validate([
+        query('course').optional().isMongoId().withMessage('Invalid course ID'),
+        query('type').optional().isIn(['document', 'video', 'link', 'assignment', 'quiz', 'resource'])
+            .withMessage('Invalid content type')
+    ]),
+    getMyContent
+);
+
+module.exports = router;
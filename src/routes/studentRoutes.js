@@ -1,20 +1,51 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize, hasPermission } = require('../middleware/authMiddleware');
+const multer = require('multer');
+const { body, query } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
+const { protect, authorize, hasPermission, ownStudentOnly } = require('../middleware/authMiddleware');
 const {
     getStudents,
     getStudentById,
     createStudent,
     updateStudent,
     deleteStudent,
+    getStudentTrash,
+    restoreStudent,
+    getStudentDuplicates,
     getStudentStats,
     enrollStudent,
     updatePayment,
     getFeeSummary,
     markAttendance,
-    uploadDocument
+    uploadDocument,
+    importStudents,
+    exportStudents,
+    linkPortalAccount,
+    unlinkPortalAccount
 } = require('../controllers/studentController');
 
+// Spreadsheets for bulk import are parsed in memory
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB limit
+    },
+    fileFilter: (req, file, cb) => {
+        const allowedTypes = [
+            'text/csv',
+            'application/vnd.ms-excel',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        ];
+        
+        if (allowedTypes.includes(file.mimetype) || /\.(csv|xlsx)$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only XLSX and CSV files are allowed'), false);
+        }
+    }
+});
+
 // All routes are protected
 router.use(protect);
 
@@ -26,11 +57,33 @@ router.route('/')
 router.route('/stats')
     .get(hasPermission('students', 'canView'), getStudentStats);
 
+router.route('/export')
+    .get(
+        hasPermission('students', 'canView'),
+        validate([
+            query('format').optional().isIn(['csv', 'xlsx']).withMessage('Format must be csv or xlsx'),
+            query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc')
+        ]),
+        exportStudents
+    );
+
+router.route('/import')
+    .post(hasPermission('students', 'canCreate'), importUpload.single('file'), importStudents);
+
+router.route('/trash')
+    .get(hasPermission('students', 'canDelete'), getStudentTrash);
+
 router.route('/:id')
-    .get(hasPermission('students', 'canView'), getStudentById)
+    .get(hasPermission('students', 'canView'), ownStudentOnly('id'), getStudentById)
     .put(hasPermission('students', 'canEdit'), updateStudent)
     .delete(hasPermission('students', 'canDelete'), deleteStudent);
 
+router.route('/:id/restore')
+    .put(hasPermission('students', 'canDelete'), restoreStudent);
+
+router.route('/:id/duplicates')
+    .get(hasPermission('students', 'canView'), getStudentDuplicates);
+
 router.route('/:id/enroll')
     .post(hasPermission('students', 'canEdit'), enrollStudent);
 
@@ -38,7 +91,7 @@ router.route('/:id/payment')
     .post(hasPermission('payments', 'canCreate'), updatePayment);
 
 router.route('/:id/fee-summary')
-    .get(hasPermission('students', 'canView'), getFeeSummary);
+    .get(hasPermission('students', 'canView'), ownStudentOnly('id'), getFeeSummary);
 
 router.route('/:id/attendance')
     .post(hasPermission('attendance', 'canCreate'), markAttendance);
@@ -46,4 +99,19 @@ router.route('/:id/attendance')
 router.route('/:id/documents')
     .post(hasPermission('students', 'canEdit'), uploadDocument);
 
+router.route('/:id/portal-account')
+    .post(
+        authorize('admin'),
+        validate([
+            body('userId').optional().isMongoId().withMessage('Invalid user ID'),
+            body('username').optional().isLength({ min: 3, max: 30 })
+                .withMessage('Username must be between 3 and 30 characters'),
+            body('email').optional().isEmail().withMessage('Invalid email'),
+            body('password').if(body('userId').not().exists())
+                .isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+        ]),
+        linkPortalAccount
+    )
+    .delete(authorize('admin'), unlinkPortalAccount);
+
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const { validate } = require('../middleware/validationMiddleware');
+const { PERMISSION_MODULE } = require('../utils/constants');
 const { protect, authorize, hasPermission } = require('../middleware/authMiddleware');
 const {
     getUsers,
@@ -10,12 +11,18 @@ const {
     updateUser,
     deleteUser,
     updateUserPermissions,
+    resetUserPermissions,
     updateUserStatus,
     getMyProfile,
     updateMyProfile,
     getUserStats,
     changeUserRole,
-    resetUserPassword
+    resetUserPassword,
+    getUserSessions,
+    forceLogoutUser,
+    resetUserMfa,
+    unlockUser,
+    getLoginAttempts
 } = require('../controllers/userController');
 
 // All routes are protected
@@ -31,6 +38,26 @@ router.get('/stats',
     getUserStats
 );
 
+// Login attempt history (admin only)
+router.get('/login-attempts',
+    authorize('admin'),
+    validate([
+        query('user').optional().isMongoId().withMessage('Invalid user ID'),
+        query('type').optional().isIn([
+            'login',
+            'mfa',
+            'password-reset-request',
+            'password-reset',
+            'email-verification-request',
+            'email-verification'
+        ]).withMessage('Invalid attempt type'),
+        query('success').optional().isIn(['true', 'false']).withMessage('success must be true or false'),
+        query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+        query('endDate').optional().isISO8601().withMessage('Invalid end date')
+    ]),
+    getLoginAttempts
+);
+
 // Reset user password (admin only)
 router.put('/:id/reset-password',
     authorize('admin'),
@@ -41,13 +68,48 @@ router.put('/:id/reset-password',
     resetUserPassword
 );
 
+// List a user's active sessions (admin only)
+router.get('/:id/sessions',
+    authorize('admin'),
+    validate([
+        param('id').isMongoId().withMessage('Invalid user ID')
+    ]),
+    getUserSessions
+);
+
+// Log a user out of every device (admin only)
+router.post('/:id/force-logout',
+    authorize('admin'),
+    validate([
+        param('id').isMongoId().withMessage('Invalid user ID')
+    ]),
+    forceLogoutUser
+);
+
+// Unlock an account locked by failed logins (admin only)
+router.post('/:id/unlock',
+    authorize('admin'),
+    validate([
+        param('id').isMongoId().withMessage('Invalid user ID')
+    ]),
+    unlockUser
+);
+
+// Reset a user's two-factor authentication (admin only)
+router.delete('/:id/mfa',
+    authorize('admin'),
+    validate([
+        param('id').isMongoId().withMessage('Invalid user ID')
+    ]),
+    resetUserMfa
+);
+
 // Change user role (admin only)
 router.put('/:id/role',
     authorize('admin'),
     validate([
         param('id').isMongoId().withMessage('Invalid user ID'),
-        body('role').isIn(['admin', 'employee', 'counselor', 'trainer', 'student'])
-            .withMessage('Invalid role')
+        body('role').notEmpty().withMessage('Role is required')
     ]),
     changeUserRole
 );
@@ -57,11 +119,26 @@ router.put('/:id/permissions',
     authorize('admin'),
     validate([
         param('id').isMongoId().withMessage('Invalid user ID'),
-        body('permissions').isArray().withMessage('Permissions must be an array')
+        body('permissions').if(body('overrides').not().exists())
+            .isArray().withMessage('Permissions must be an array'),
+        body('overrides').optional().isArray().withMessage('Overrides must be an array'),
+        body(['permissions.*.module', 'overrides.*.module'])
+            .isIn(Object.values(PERMISSION_MODULE)).withMessage('Invalid permission module'),
+        body(['overrides.*.canView', 'overrides.*.canCreate', 'overrides.*.canEdit', 'overrides.*.canDelete'])
+            .optional().isBoolean().withMessage('Override actions must be booleans')
     ]),
     updateUserPermissions
 );
 
+// Reset user permissions to the role template (admin only)
+router.delete('/:id/permissions',
+    authorize('admin'),
+    validate([
+        param('id').isMongoId().withMessage('Invalid user ID')
+    ]),
+    resetUserPermissions
+);
+
 // Update user status (admin only)
 router.put('/:id/status',
     authorize('admin'),
@@ -87,8 +164,9 @@ router.route('/')
             body('username').notEmpty().withMessage('Username is required'),
             body('email').isEmail().withMessage('Valid email is required'),
             body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-            body('role').isIn(['admin', 'employee', 'counselor', 'trainer', 'student'])
-                .withMessage('Invalid role')
+            body('role').notEmpty().withMessage('Role is required'),
+            body('branch').optional().isMongoId().withMessage('Invalid branch ID'),
+            body('isEmailVerified').optional().isBoolean().withMessage('isEmailVerified must be a boolean')
         ]),
         createUser
     );
@@ -106,7 +184,13 @@ router.route('/:id')
         authorize('admin'),
         hasPermission('users', 'canEdit'),
         validate([
-            param('id').isMongoId().withMessage('Invalid user ID')
+            param('id').isMongoId().withMessage('Invalid user ID'),
+            body('email').optional().isEmail().withMessage('Valid email is required'),
+            body('branch').optional({ values: 'null' }).isMongoId().withMessage('Invalid branch ID'),
+            body('isEmailVerified').optional().isBoolean().withMessage('isEmailVerified must be a boolean'),
+            body('employeeDetails.leavePeriods').optional().isArray().withMessage('Leave periods must be an array'),
+            body(['employeeDetails.leavePeriods.*.startDate', 'employeeDetails.leavePeriods.*.endDate'])
+                .isISO8601().withMessage('Leave periods need valid start and end dates')
         ]),
         updateUser
     )
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Lead = require('../models/Lead');
+const Student = require('../models/Student');
+const { buildDedupeKeys } = require('../utils/duplicateDetection');
+
+// Load environment variables
+dotenv.config();
+
+// Fills in the duplicate lookup keys of leads and students saved before they existed.
+// Records in the trash are included. Safe to run more than once.
+const backfillDedupeKeys = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+
+        console.log('🔎 Building duplicate lookup keys...');
+
+        let leads = 0;
+        const leadCursor = Lead.find().withDeleted().select('phone email fullName').lean().cursor();
+        for (let lead = await leadCursor.next(); lead; lead = await leadCursor.next()) {
+            await Lead.updateOne(
+                { _id: lead._id },
+                { $set: { dedupeKeys: buildDedupeKeys({ phone: lead.phone, email: lead.email, name: lead.fullName }) } }
+            ).withDeleted();
+            leads++;
+        }
+        console.log(`✅ ${leads} lead(s) updated`);
+
+        let students = 0;
+        const studentCursor = Student.find().withDeleted().select('personalDetails').lean().cursor();
+        for (let student = await studentCursor.next(); student; student = await studentCursor.next()) {
+            const { phone, email, fullName } = student.personalDetails || {};
+            await Student.updateOne(
+                { _id: student._id },
+                { $set: { dedupeKeys: buildDedupeKeys({ phone, email, name: fullName }) } }
+            ).withDeleted();
+            students++;
+        }
+        console.log(`✅ ${students} student(s) updated`);
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error building duplicate keys:', error);
+        process.exit(1);
+    }
+};
+
+backfillDedupeKeys();
@@ -4,7 +4,7 @@ const dotenv = require('dotenv');
 const User = require('../models/User');
 const Course = require('../models/Course');
 const Counter = require('../models/Counter');
-const { getPermissionsByRole } = require('../utils/permissions');
+const { getPermissionsByRole, seedSystemRoles } = require('../utils/permissions');
 
 // Load environment variables
 dotenv.config();
@@ -40,6 +40,11 @@ const initDatabase = async () => {
         
         console.log('✅ Counters initialized');
         
+        // Initialize role templates
+        console.log('🔐 Setting up roles...');
+        await seedSystemRoles();
+        console.log('✅ Roles initialized');
+        
         // Create Default Admin User
         console.log('👨‍💼 Creating default admin user...');
         
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Branch = require('../models/Branch');
+const Student = require('../models/Student');
+
+// Load environment variables
+dotenv.config();
+
+// Escape a value for use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Branch code from a name, made unique against the existing codes
+const makeBranchCode = async (name) => {
+    const base = (name.toUpperCase().replace(/[^A-Z0-9]/g, '') || 'BR').slice(0, 4).padEnd(2, '0');
+    let code = base;
+    
+    for (let suffix = 1; await Branch.exists({ code }); suffix++) {
+        code = `${base}${suffix}`.slice(-6);
+    }
+    
+    return code;
+};
+
+// Turns the free-text Student.admissionDetails.branch into Branch documents:
+// - creates one branch per distinct name (matched case-insensitively)
+// - links the students to it and removes the old text field
+// Safe to run more than once.
+const migrateBranches = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        
+        console.log('🏢 Migrating student branches...');
+        
+        // The text field is no longer in the schema, so read it from the collection
+        const names = (await Student.collection.distinct('admissionDetails.branch'))
+            .filter(name => typeof name === 'string' && name.trim());
+        
+        let created = 0;
+        let linked = 0;
+        
+        for (const name of names) {
+            const trimmed = name.trim();
+            let branch = await Branch.findOne({ name: new RegExp(`^${escapeRegex(trimmed)}$`, 'i') });
+            
+            if (!branch) {
+                branch = await Branch.create({ name: trimmed, code: await makeBranchCode(trimmed) });
+                created++;
+                console.log(`✅ Created branch ${branch.name} (${branch.code})`);
+            }
+            
+            const result = await Student.collection.updateMany(
+                { 'admissionDetails.branch': name },
+                { $set: { branch: branch._id }, $unset: { 'admissionDetails.branch': '' } }
+            );
+            linked += result.modifiedCount;
+        }
+        
+        // Empty values left over
+        await Student.collection.updateMany(
+            { 'admissionDetails.branch': { $exists: true } },
+            { $unset: { 'admissionDetails.branch': '' } }
+        );
+        
+        console.log(`✅ ${created} branch(es) created, ${linked} student(s) linked`);
+        
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error migrating branches:', error);
+        process.exit(1);
+    }
+};
+
+migrateBranches();
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+
+// Load environment variables
+dotenv.config();
+
+// Marks accounts that predate email verification as verified, so password reset
+// keeps working for them (see emailVerification.requiredForSensitiveEmails):
+// - only active users that are not verified yet
+// - only users created before the cutoff, given as an ISO date (defaults to now)
+// Run it once when deploying email verification, e.g.
+//   node src/scripts/migrateEmailVerification.js 2024-06-01
+const migrateEmailVerification = async () => {
+    try {
+        const cutoff = process.argv[2] ? new Date(process.argv[2]) : new Date();
+
+        if (isNaN(cutoff.getTime())) {
+            throw new Error(`Invalid cutoff date "${process.argv[2]}"`);
+        }
+
+        await mongoose.connect(process.env.MONGODB_URI);
+
+        console.log(`📧 Marking users created before ${cutoff.toISOString()} as verified...`);
+
+        const result = await User.updateMany(
+            {
+                status: 'active',
+                isEmailVerified: { $ne: true },
+                createdAt: { $lt: cutoff }
+            },
+            { $set: { isEmailVerified: true, emailVerifiedAt: new Date() } }
+        );
+
+        console.log(`✅ ${result.modifiedCount} user(s) marked as verified`);
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error migrating email verification:', error);
+        process.exit(1);
+    }
+};
+
+migrateEmailVerification();
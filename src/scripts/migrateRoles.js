@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const {
+    seedSystemRoles,
+    getRoleTemplate,
+    diffPermissions,
+    resolvePermissions
+} = require('../utils/permissions');
+
+// Load environment variables
+dotenv.config();
+
+// Moves existing users onto the Role collection:
+// - creates the built-in roles from the code templates if they are missing
+// - keeps any hand-edited permissions as per-user overrides
+// - re-syncs every user's stored permissions from role template + overrides
+// Safe to run more than once; run it again after restoring a role backup.
+const migrateRoles = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+
+        console.log('🔐 Migrating roles and permissions...');
+
+        const created = await seedSystemRoles();
+        console.log(`✅ ${created} built-in role(s) created`);
+
+        const cursor = User.find().select('role customRole permissions permissionOverrides').cursor();
+        let migrated = 0;
+        let withOverrides = 0;
+
+        for (let user = await cursor.next(); user; user = await cursor.next()) {
+            // Permissions that differ from the role template were set by hand
+            if (user.role !== 'admin' && !user.permissionOverrides?.length && user.permissions?.length) {
+                user.permissionOverrides = diffPermissions(await getRoleTemplate(user), user.permissions);
+            }
+
+            const permissions = await resolvePermissions(user);
+
+            await User.updateOne(
+                { _id: user._id },
+                { $set: { permissions, permissionOverrides: user.permissionOverrides || [] } }
+            );
+
+            migrated++;
+            if (user.permissionOverrides?.length) withOverrides++;
+        }
+
+        console.log(`✅ ${migrated} user(s) re-synced, ${withOverrides} with personal overrides`);
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error migrating roles:', error);
+        process.exit(1);
+    }
+};
+
+migrateRoles();
@@ -7,6 +7,8 @@ const rateLimit = require('express-rate-limit');
 const cookieParser = require('cookie-parser');
 const connectDB = require('./config/database');
 const errorHandler = require('./middleware/errorMiddleware');
+const { auditRequest } = require('./middleware/auditMiddleware');
+const { startJobs } = require('./jobs');
 
 // Load environment variables
 dotenv.config();
@@ -14,15 +16,25 @@ dotenv.config();
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const userRoutes = require('./routes/userRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const branchRoutes = require('./routes/branchRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const assignmentRuleRoutes = require('./routes/assignmentRuleRoutes');
+const leadFormRoutes = require('./routes/leadFormRoutes');
+const publicRoutes = require('./routes/publicRoutes');
 const leadRoutes = require('./routes/leadRoutes');
 const studentRoutes = require('./routes/studentRoutes');
 const courseRoutes = require('./routes/courseRoutes');
 const enrollmentRoutes = require('./routes/enrollmentRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
 const batchRoutes = require('./routes/batchRoutes');
+const sessionRoutes = require('./routes/sessionRoutes');
+const holidayRoutes = require('./routes/holidayRoutes');
 const attendanceRoutes = require('./routes/attendanceRoutes');
 const contentRoutes = require('./routes/contentRoutes');
 const analyticsRoutes = require('./routes/analyticsRoutes');
+const certificateRoutes = require('./routes/certificateRoutes');
+const studentPortalRoutes = require('./routes/studentPortalRoutes');
 
 // Connect to database
 connectDB();
@@ -39,10 +51,10 @@ const limiter = rateLimit({
 
 // Security middleware
 app.use(helmet());
-app.use(cors({
-    origin: process.env.CLIENT_URL || 'http://localhost:3000',
-    credentials: true
-}));
+// Public lead forms are embedded on other sites; each form checks its own allowed origins
+app.use(cors((req, callback) => callback(null, req.path.startsWith('/api/public/')
+    ? { origin: true }
+    : { origin: process.env.CLIENT_URL || 'http://localhost:3000', credentials: true })));
 app.use(morgan('dev'));
 
 // Body parser
@@ -50,6 +62,9 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 
+// Audit trail context (actor, IP and route for changes made by the request)
+app.use(auditRequest);
+
 // Apply rate limiting to API routes
 app.use('/api', limiter);
 
@@ -59,15 +74,25 @@ app.use('/uploads', express.static('uploads'));
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/branches', branchRoutes);
 app.use('/api/leads', leadRoutes);
+app.use('/api/assignment-rules', assignmentRuleRoutes);
+app.use('/api/lead-forms', leadFormRoutes);
 app.use('/api/students', studentRoutes);
 app.use('/api/courses', courseRoutes);
 app.use('/api/enrollments', enrollmentRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/batches', batchRoutes);
+app.use('/api/sessions', sessionRoutes);
+app.use('/api/holidays', holidayRoutes);
 app.use('/api/attendance', attendanceRoutes);
 app.use('/api/content', contentRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/certificates', certificateRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/me/student', studentPortalRoutes);
+app.use('/api/public', publicRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -87,15 +112,25 @@ app.get('/', (req, res) => {
         endpoints: {
             auth: '/api/auth',
             users: '/api/users',
+            roles: '/api/roles',
+            branches: '/api/branches',
             leads: '/api/leads',
+            assignmentRules: '/api/assignment-rules',
+            leadForms: '/api/lead-forms',
             students: '/api/students',
             courses: '/api/courses',
             enrollments: '/api/enrollments',
             payments: '/api/payments',
             batches: '/api/batches',
+            sessions: '/api/sessions',
+            holidays: '/api/holidays',
             attendance: '/api/attendance',
             content: '/api/content',
-            analytics: '/api/analytics'
+            analytics: '/api/analytics',
+            certificates: '/api/certificates',
+            audit: '/api/audit',
+            studentPortal: '/api/me/student',
+            public: '/api/public'
         }
     });
 });
@@ -115,6 +150,11 @@ app.use(errorHandler);
 const PORT = process.env.PORT || 5000;
 const server = app.listen(PORT, () => {
     console.log(`✅ Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
+    
+    // Background jobs (overdue installments, ...)
+    if (process.env.NODE_ENV !== 'test') {
+        startJobs();
+    }
 });
 
 // Handle unhandled promise rejections
@@ -0,0 +1,267 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const AuditLog = require('../models/AuditLog');
+
+// Request (or job) the current code runs for; set by auditMiddleware and the job runner
+const auditContext = new AsyncLocalStorage();
+
+// Bookkeeping fields that never make an audit entry on their own
+const IGNORED_FIELDS = ['__v', 'createdAt', 'updatedAt', 'meta.updatedAt', 'meta.updatedBy'];
+
+const REDACTED = '[redacted]';
+
+const isPlainObject = (value) => {
+    return Object.prototype.toString.call(value) === '[object Object]' && !value._bsontype;
+};
+
+// Arrays of subdocuments are compared element by element, keyed by _id
+const isSubdocArray = (value) => {
+    return Array.isArray(value) && value.every(item => isPlainObject(item) && item._id);
+};
+
+// Missing values and empty arrays count as the same thing
+const normalize = (value) => (Array.isArray(value) && !value.length ? null : value ?? null);
+
+const sameValue = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+const matchesPath = (paths, field) => paths.some(path => field === path || field.startsWith(`${path}.`));
+
+/**
+ * Field-level differences between two plain snapshots
+ * Nested objects are walked so only the changed leaves are listed; subdocument
+ * arrays use the element _id in the path (e.g. progress.assignments.<id>.score).
+ * @param {Object} before - Snapshot before the change ({} for a create)
+ * @param {Object} after - Snapshot after the change ({} for a delete)
+ * @param {Object} [options] - { ignore, redact } field paths
+ * @returns {Array} [{ field, before, after }]
+ */
+const diffSnapshots = (before, after, { ignore = [], redact = [] } = {}) => {
+    const changes = [];
+    const ignored = [...IGNORED_FIELDS, ...ignore];
+
+    const walk = (a, b, prefix) => {
+        if (prefix && matchesPath(ignored, prefix)) return;
+
+        if ((isPlainObject(a) || a == null) && (isPlainObject(b) || b == null) && (isPlainObject(a) || isPlainObject(b))) {
+            const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+            keys.forEach(key => walk(a?.[key], b?.[key], prefix ? `${prefix}.${key}` : key));
+            return;
+        }
+
+        if ((isSubdocArray(a) || a == null) && (isSubdocArray(b) || b == null) && (a?.length || b?.length)) {
+            const byId = (items = []) => new Map(items.map(item => [item._id.toString(), item]));
+            const left = byId(a || []);
+            const right = byId(b || []);
+            const ids = new Set([...left.keys(), ...right.keys()]);
+            ids.forEach(id => walk(left.get(id), right.get(id), `${prefix}.${id}`));
+            return;
+        }
+
+        if (sameValue(a, b)) return;
+
+        const hidden = matchesPath(redact, prefix);
+        changes.push({
+            field: prefix,
+            before: hidden && a != null ? REDACTED : a,
+            after: hidden && b != null ? REDACTED : b
+        });
+    };
+
+    walk(before || {}, after || {}, '');
+    return changes;
+};
+
+// Plain copy of a document for diffing (references as IDs, not populated docs)
+const snapshot = (doc) => doc.toObject({ depopulate: true, virtuals: false, transform: false });
+
+// Who/where details of the current request or job
+const describeContext = (context = {}) => {
+    const req = context.req;
+
+    if (!req) {
+        return { route: context.source };
+    }
+
+    return {
+        actor: req.user?._id,
+        actorRole: req.user?.role,
+        ip: req.ip,
+        userAgent: req.get?.('user-agent'),
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : req.baseUrl || req.path,
+        reason: req.body?.reason || req.get?.('x-audit-reason')
+    };
+};
+
+/**
+ * Write an audit entry; failures are logged and never break the request
+ * @param {Object} entry - { action, entity, entityId, entityLabel, changes, event, reason }
+ * @param {Object} [context] - auditContext store (defaults to the current one)
+ * @returns {Promise<Object|null>} Saved entry
+ */
+const recordAudit = async (entry, context = auditContext.getStore()) => {
+    try {
+        const details = describeContext(context);
+
+        return await AuditLog.create({
+            ...details,
+            ...entry,
+            event: entry.event || `${entry.entity.toLowerCase()}.${entry.action}`,
+            reason: entry.reason || details.reason
+        });
+    } catch (error) {
+        console.error('Audit log error:', error);
+        return null;
+    }
+};
+
+/**
+ * Label the next audit entry of a document with a business event and reason
+ * @param {Object} doc - Mongoose document about to be saved or deleted
+ * @param {string} event - Event name, e.g. payment.refund
+ * @param {string} [reason] - Why the change was made
+ */
+const annotateAudit = (doc, event, reason) => {
+    doc.$locals.audit = { event, reason };
+};
+
+/**
+ * Schema plugin that records every create, update and delete of a model
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - { entity, label, ignore, redact }
+ */
+const auditPlugin = (schema, { entity, label, ignore = [], redact = [] }) => {
+    const diffOptions = { ignore, redact };
+
+    const labelOf = (doc) => (label ? String(doc.get(label) ?? '') || undefined : undefined);
+
+    const record = (doc, action, changes, annotation = {}, context) => recordAudit({
+        action,
+        entity,
+        entityId: doc._id.toString(),
+        entityLabel: labelOf(doc),
+        changes,
+        event: annotation.event,
+        reason: annotation.reason
+    }, context);
+
+    // Keep the loaded state so saves can be diffed against it
+    schema.post('init', function() {
+        this.$locals.auditBefore = snapshot(this);
+    });
+
+    // Capture the request before any database work so the context is not lost
+    schema.pre('save', function(next) {
+        this.$locals.auditWasNew = this.isNew;
+        this.$locals.auditContext = auditContext.getStore();
+        next();
+    });
+
+    schema.post('save', function(doc) {
+        const after = snapshot(doc);
+        const action = doc.$locals.auditWasNew ? 'create' : 'update';
+        const changes = diffSnapshots(action === 'create' ? {} : doc.$locals.auditBefore, after, diffOptions);
+        const annotation = doc.$locals.audit || {};
+
+        doc.$locals.auditBefore = after;
+        doc.$locals.audit = undefined;
+
+        if (!changes.length) return;
+
+        record(doc, action, changes, annotation, doc.$locals.auditContext);
+    });
+
+    schema.pre('deleteOne', { document: true, query: false }, function(next) {
+        this.$locals.auditContext = auditContext.getStore();
+        next();
+    });
+
+    schema.post('deleteOne', { document: true, query: false }, function(doc) {
+        const changes = diffSnapshots(doc.$locals.auditBefore || snapshot(doc), {}, diffOptions);
+
+        record(doc, 'delete', changes, doc.$locals.audit, doc.$locals.auditContext);
+    });
+
+    // Query writes (updateOne, findByIdAndUpdate, deleteMany...) skip the document
+    // hooks above; code that changes audited records that way uses these instead.
+
+    /**
+     * Update the first matching document with a query and audit the change
+     * @param {Object} filter - Mongo filter
+     * @param {Object} update - Mongo update
+     * @param {Object} [annotation] - { event, reason } of the audit entry
+     * @returns {Promise<Object|null>} Updated document, or null when nothing matched
+     */
+    schema.statics.auditedUpdateOne = async function(filter, update, annotation) {
+        const context = auditContext.getStore();
+        const before = await this.findOne(filter);
+        if (!before) return null;
+
+        // Keep the filter so positional updates ($) still find their array element
+        const doc = await this.findOneAndUpdate({ ...filter, _id: before._id }, update, { new: true });
+        if (!doc) return null;
+
+        const changes = diffSnapshots(snapshot(before), snapshot(doc), diffOptions);
+        if (changes.length) await record(doc, 'update', changes, annotation, context);
+
+        return doc;
+    };
+
+    /**
+     * Update every matching document with a query and audit each one that changed
+     * @param {Object} filter - Mongo filter
+     * @param {Object} update - Mongo update
+     * @param {Object} [annotation] - { event, reason } of the audit entries
+     * @returns {Promise<number>} Number of documents updated
+     */
+    schema.statics.auditedUpdateMany = async function(filter, update, annotation) {
+        const context = auditContext.getStore();
+        const docs = await this.find(filter);
+        if (!docs.length) return 0;
+
+        const ids = docs.map(doc => doc._id);
+        const result = await this.updateMany({ ...filter, _id: { $in: ids } }, update);
+
+        // Read back trashed documents too, in case the update moved them to the trash
+        const updated = await this.find({ _id: { $in: ids } }).setOptions({ withDeleted: true });
+        const byId = new Map(updated.map(doc => [doc._id.toString(), doc]));
+
+        for (const before of docs) {
+            const doc = byId.get(before._id.toString());
+            if (!doc) continue;
+
+            const changes = diffSnapshots(snapshot(before), snapshot(doc), diffOptions);
+            if (changes.length) await record(doc, 'update', changes, annotation, context);
+        }
+
+        return result.modifiedCount;
+    };
+
+    /**
+     * Delete every matching document with a query and audit each one
+     * Like deleteMany, trashed documents are included.
+     * @param {Object} filter - Mongo filter
+     * @param {Object} [annotation] - { event, reason } of the audit entries
+     * @returns {Promise<number>} Number of documents deleted
+     */
+    schema.statics.auditedDeleteMany = async function(filter, annotation) {
+        const context = auditContext.getStore();
+        const docs = await this.find(filter).setOptions({ withDeleted: true });
+        if (!docs.length) return 0;
+
+        const result = await this.deleteMany({ _id: { $in: docs.map(doc => doc._id) } });
+
+        for (const doc of docs) {
+            await record(doc, 'delete', diffSnapshots(snapshot(doc), {}, diffOptions), annotation, context);
+        }
+
+        return result.deletedCount;
+    };
+};
+
+module.exports = {
+    auditContext,
+    diffSnapshots,
+    recordAudit,
+    annotateAudit,
+    auditPlugin
+};
@@ -7,6 +7,26 @@ module.exports = {
         STUDENT: 'student'
     },
     
+    PERMISSION_MODULE: {
+        DASHBOARD: 'dashboard',
+        LEADS: 'leads',
+        STUDENTS: 'students',
+        COURSES: 'courses',
+        ENROLLMENTS: 'enrollments',
+        PAYMENTS: 'payments',
+        ATTENDANCE: 'attendance',
+        CONTENT: 'content',
+        USERS: 'users',
+        REPORTS: 'reports'
+    },
+    
+    PERMISSION_ACTION: {
+        VIEW: 'canView',
+        CREATE: 'canCreate',
+        EDIT: 'canEdit',
+        DELETE: 'canDelete'
+    },
+    
     LEAD_STATUS: {
         NEW: 'new',
         CONTACTED: 'contacted',
@@ -26,6 +46,11 @@ module.exports = {
         OTHER: 'other'
     },
     
+    LEAD_ASSIGNMENT_STRATEGY: {
+        ROUND_ROBIN: 'round_robin',
+        LOWEST_WORKLOAD: 'lowest_workload'
+    },
+    
     STUDENT_STATUS: {
         ACTIVE: 'active',
         ALUMNI: 'alumni',
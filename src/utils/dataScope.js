@@ -0,0 +1,190 @@
+const Batch = require('../models/Batch');
+const Enrollment = require('../models/Enrollment');
+const Student = require('../models/Student');
+const mongoose = require('mongoose');
+const { ROLES } = require('./constants');
+
+// Roles that see every record their module permissions allow
+const UNSCOPED_ROLES = [ROLES.ADMIN, ROLES.EMPLOYEE];
+
+// Filter that matches nothing
+const NO_RECORDS = { _id: { $in: [] } };
+
+/**
+ * Students in the batches a trainer teaches or assists
+ * @param {ObjectId} userId - Trainer user ID
+ * @returns {Promise<Array>} Student IDs
+ */
+const getTrainerStudentIds = async (userId) => {
+    const batchFilter = { $or: [{ instructor: userId }, { assistantInstructors: userId }] };
+    const batchIds = await Batch.distinct('_id', batchFilter);
+
+    if (!batchIds.length) return [];
+
+    const [rosterIds, enrolledIds] = await Promise.all([
+        Batch.distinct('students.student', { _id: { $in: batchIds } }),
+        Enrollment.distinct('student', { batch: { $in: batchIds } })
+    ]);
+
+    const unique = new Map([...rosterIds, ...enrolledIds].filter(Boolean).map(id => [id.toString(), id]));
+    return [...unique.values()];
+};
+
+/**
+ * Combine scopes so a record must match all of them
+ * @param {...Object|null} scopes - Filters; null entries are ignored
+ * @returns {Object|null} Mongo filter, or null when unrestricted
+ */
+const combineScopes = (...scopes) => {
+    const active = scopes.filter(Boolean);
+    if (!active.length) return null;
+    return active.length === 1 ? active[0] : { $and: active };
+};
+
+/**
+ * Branch a user's queries are limited to
+ * Admins work in the branch they switched to, or across all branches when none is set;
+ * everyone else stays in their home branch. Users without a branch are not limited.
+ * @param {Object} user - Request user
+ * @returns {ObjectId|null} Branch ID
+ */
+const getActiveBranch = (user) => {
+    return (user.role === ROLES.ADMIN ? user.activeBranch : user.branch) || null;
+};
+
+/**
+ * Records in the user's active branch (batches, users, enrollments, ...)
+ * @param {Object} user - Request user
+ * @returns {Object|null} Mongo filter, or null when unrestricted
+ */
+const getBranchScope = (user) => {
+    const branch = getActiveBranch(user);
+    return branch ? { branch } : null;
+};
+
+/**
+ * Courses offered in the user's active branch
+ * @param {Object} user - Request user
+ * @returns {Object|null} Mongo filter, or null when unrestricted
+ */
+const getCourseScope = (user) => {
+    const branch = getActiveBranch(user);
+    return branch ? { $or: [{ branches: branch }, { branches: { $size: 0 } }] } : null;
+};
+
+/**
+ * Branch filter for analytics
+ * Admins may ask for any branch; other users only get their own.
+ * @param {Object} user - Request user
+ * @param {string} [requested] - Branch ID from the query string
+ * @returns {Object} { branch } to spread into $match stages, or {} for all branches
+ */
+const getBranchMatch = (user, requested) => {
+    const branch = user.role === ROLES.ADMIN && requested ? requested : getActiveBranch(user);
+    return branch ? { branch: new mongoose.Types.ObjectId(String(branch)) } : {};
+};
+
+/**
+ * Branch for a record being created
+ * Admins may pick one (defaulting to the branch they switched to); others create in their own.
+ * @param {Object} user - Request user
+ * @param {string} [requested] - Branch ID from the request body
+ * @returns {ObjectId|string|undefined} Branch ID
+ */
+const resolveRecordBranch = (user, requested) => {
+    return (user.role === ROLES.ADMIN ? requested || user.activeBranch : user.branch) || undefined;
+};
+
+/**
+ * Lead records a user may see
+ * Counselors see leads assigned to them; trainers and students see none.
+ * Uses ObjectIds so the filter also works in aggregation $match stages.
+ * @param {Object} user - Request user
+ * @returns {Object|null} Mongo filter, or null when unrestricted
+ */
+const getLeadScope = (user) => {
+    if (UNSCOPED_ROLES.includes(user.role)) return getBranchScope(user);
+    if (user.role === ROLES.COUNSELOR) return combineScopes({ assignedTo: user._id }, getBranchScope(user));
+    return NO_RECORDS;
+};
+
+// Students a user may see by ownership alone (no branch limit)
+const getOwnedStudentScope = async (user) => {
+    if (UNSCOPED_ROLES.includes(user.role)) return null;
+
+    switch (user.role) {
+        case ROLES.COUNSELOR:
+            return { 'admissionDetails.admissionCounselor': user._id };
+        case ROLES.TRAINER:
+            return { _id: { $in: await getTrainerStudentIds(user._id) } };
+        case ROLES.STUDENT:
+            return { _id: { $in: user.studentIds || [] } };
+        default:
+            return NO_RECORDS;
+    }
+};
+
+/**
+ * Student records a user may see
+ * Counselors see students they admitted, trainers students in their batches,
+ * student accounts their own linked records; all within the active branch.
+ * @param {Object} user - Request user
+ * @returns {Promise<Object|null>} Mongo filter, or null when unrestricted
+ */
+const getStudentScope = async (user) => {
+    return combineScopes(await getOwnedStudentScope(user), getBranchScope(user));
+};
+
+/**
+ * Payment records a user may see (payments of the students in their scope)
+ * Also fits other records keyed by `student` and `branch` (enrollments).
+ * @param {Object} user - Request user
+ * @returns {Promise<Object|null>} Mongo filter, or null when unrestricted
+ */
+const getPaymentScope = async (user) => {
+    const owned = await getOwnedStudentScope(user);
+    const ownedPayments = owned && {
+        student: { $in: owned._id?.$in || await Student.distinct('_id', owned) }
+    };
+
+    return combineScopes(ownedPayments, getBranchScope(user));
+};
+
+/**
+ * Combine a query with a scope
+ * @param {Object} query - Query built from request filters
+ * @param {Object|null} scope - Output of a get*Scope helper
+ * @returns {Object} Scoped query
+ */
+const applyScope = (query, scope) => {
+    if (!scope) return query;
+    if (!query || !Object.keys(query).length) return scope;
+    return { $and: [query, scope] };
+};
+
+/**
+ * Whether one record falls inside a scope
+ * @param {Object} Model - Mongoose model
+ * @param {string} id - Record ID
+ * @param {Object|null} scope - Output of a get*Scope helper
+ * @returns {Promise<boolean>} True when the user may access the record
+ */
+const isInScope = async (Model, id, scope) => {
+    if (!scope) return true;
+    return !!(await Model.exists(applyScope({ _id: id }, scope)));
+};
+
+module.exports = {
+    getTrainerStudentIds,
+    combineScopes,
+    getActiveBranch,
+    getBranchScope,
+    getCourseScope,
+    getBranchMatch,
+    resolveRecordBranch,
+    getLeadScope,
+    getStudentScope,
+    getPaymentScope,
+    applyScope,
+    isInScope
+};
@@ -0,0 +1,182 @@
+// Confidence points per matching key; names count in proportion to how alike they are
+const MATCH_POINTS = { phone: 60, email: 50, name: 30 };
+
+// Names at least this similar (0-1) count as a match
+const NAME_MATCH_THRESHOLD = 0.85;
+
+// Providers that ignore dots in the local part of an address
+const DOTLESS_EMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+/**
+ * Phone number reduced to its national part: digits only, last 10 digits
+ * so +91 98765 43210, 098765-43210 and 9876543210 all compare equal.
+ * @param {string} phone - Phone as entered
+ * @returns {string|undefined} Normalized phone
+ */
+const normalizePhone = (phone) => {
+    const digits = String(phone || '').replace(/\D/g, '');
+    if (!digits) return undefined;
+    return digits.length > 10 ? digits.slice(-10) : digits;
+};
+
+/**
+ * Email with case, +tags and (for Gmail) dots removed from the local part
+ * @param {string} email - Email as entered
+ * @returns {string|undefined} Normalized email
+ */
+const normalizeEmail = (email) => {
+    const value = String(email || '').trim().toLowerCase();
+    const [local, domain] = value.split('@');
+    if (!local || !domain) return undefined;
+
+    let name = local.split('+')[0];
+    if (DOTLESS_EMAIL_DOMAINS.includes(domain)) name = name.replace(/\./g, '');
+
+    return `${name}@${domain === 'googlemail.com' ? 'gmail.com' : domain}`;
+};
+
+/**
+ * Name words in lower case without punctuation, sorted so word order does not matter
+ * @param {string} name - Name as entered
+ * @returns {Array} Name tokens
+ */
+const nameTokens = (name) => {
+    return String(name || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .sort();
+};
+
+/**
+ * Keys stored on leads and students for duplicate lookups
+ * @param {Object} details - { phone, email, name }
+ * @returns {Object} { phone, email, name, nameTokens }
+ */
+const buildDedupeKeys = ({ phone, email, name }) => {
+    const tokens = nameTokens(name);
+
+    return {
+        phone: normalizePhone(phone),
+        email: normalizeEmail(email),
+        name: tokens.join(' ') || undefined,
+        nameTokens: tokens
+    };
+};
+
+// Edit distance between two strings
+const levenshtein = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+};
+
+/**
+ * How alike two normalized names are
+ * @param {string} a - Normalized name
+ * @param {string} b - Normalized name
+ * @returns {number} 0 (different) to 1 (same)
+ */
+const nameSimilarity = (a, b) => {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+/**
+ * Existing records that look like the same person
+ * Candidates share the normalized phone, email or all name words; each is rated
+ * on what matched. Name-only candidates must pass NAME_MATCH_THRESHOLD.
+ * @param {Object} Model - Lead or Student model (with dedupeKeys)
+ * @param {Object} details - { phone, email, name } of the new or existing record
+ * @param {Object} [options] - Options
+ * @param {Array} [options.exclude] - Record IDs to leave out (the record itself)
+ * @param {Object|null} [options.scope] - Limit to records the user may see
+ * @param {string} [options.select] - Fields returned for each match
+ * @param {number} [options.limit] - Maximum matches
+ * @returns {Promise<Array>} [{ record, matchedOn, confidence }], most likely first
+ */
+const findDuplicates = async (Model, details, { exclude = [], scope = null, select = '', limit = 10 } = {}) => {
+    const keys = buildDedupeKeys(details);
+    const candidates = [];
+
+    if (keys.phone) candidates.push({ 'dedupeKeys.phone': keys.phone });
+    if (keys.email) candidates.push({ 'dedupeKeys.email': keys.email });
+    if (keys.nameTokens.length) candidates.push({ 'dedupeKeys.nameTokens': { $all: keys.nameTokens } });
+
+    if (!candidates.length) return [];
+
+    // Required here: the models load this file for buildDedupeKeys
+    const { applyScope } = require('./dataScope');
+
+    const query = { $or: candidates };
+    if (exclude.length) query._id = { $nin: exclude };
+
+    const finder = Model.find(applyScope(query, scope)).limit(50).lean();
+    if (select) finder.select(`${select} dedupeKeys`);
+
+    const records = await finder;
+
+    return records
+        .map(({ dedupeKeys = {}, ...record }) => {
+            const matchedOn = [];
+            let confidence = 0;
+
+            if (keys.phone && dedupeKeys.phone === keys.phone) {
+                matchedOn.push('phone');
+                confidence += MATCH_POINTS.phone;
+            }
+
+            if (keys.email && dedupeKeys.email === keys.email) {
+                matchedOn.push('email');
+                confidence += MATCH_POINTS.email;
+            }
+
+            const similarity = nameSimilarity(keys.name, dedupeKeys.name);
+            if (similarity >= NAME_MATCH_THRESHOLD) {
+                matchedOn.push('name');
+                confidence += Math.round(MATCH_POINTS.name * similarity);
+            }
+
+            return { record, matchedOn, confidence: Math.min(100, confidence) };
+        })
+        .filter(match => match.matchedOn.length)
+        .sort((a, b) => b.confidence - a.confidence)
+        .slice(0, limit);
+};
+
+/**
+ * Whether any record has the same normalized phone, whoever may see it
+ * Lets callers block a likely duplicate without returning records outside the user's scope.
+ * @param {Object} Model - Lead or Student model (with dedupeKeys)
+ * @param {string} phone - Phone as entered
+ * @returns {Promise<boolean>} True when the phone is already on file
+ */
+const hasPhoneDuplicate = async (Model, phone) => {
+    const key = normalizePhone(phone);
+    return !!key && !!await Model.exists({ 'dedupeKeys.phone': key });
+};
+
+module.exports = {
+    normalizePhone,
+    normalizeEmail,
+    buildDedupeKeys,
+    nameSimilarity,
+    findDuplicates,
+    hasPhoneDuplicate
+};
@@ -2,6 +2,7 @@ const nodemailer = require('nodemailer');
 const path = require('path');
 const fs = require('fs').promises;
 const handlebars = require('handlebars');
+const { escapeHtml } = require('./helpers');
 
 class EmailService {
     constructor() {
@@ -88,12 +89,14 @@ class EmailService {
             welcome: this.compileDefaultTemplate('welcome'),
             'password-reset': this.compileDefaultTemplate('password-reset'),
             'password-changed': this.compileDefaultTemplate('password-changed'),
+            'email-verification': this.compileDefaultTemplate('email-verification'),
             'student-admission': this.compileDefaultTemplate('student-admission'),
             'payment-receipt': this.compileDefaultTemplate('payment-receipt'),
             'assignment-notification': this.compileDefaultTemplate('assignment-notification'),
             'attendance-notification': this.compileDefaultTemplate('attendance-notification'),
             'certificate-issue': this.compileDefaultTemplate('certificate-issue'),
             'lead-followup': this.compileDefaultTemplate('lead-followup'),
+            'lead-escalation': this.compileDefaultTemplate('lead-escalation'),
             'bulk': this.compileDefaultTemplate('bulk')
         };
     }
@@ -103,12 +106,14 @@ class EmailService {
             welcome: (data) => this.getDefaultTemplate('Welcome to ' + data.appName, data),
             'password-reset': (data) => this.getDefaultTemplate('Password Reset Request', data),
             'password-changed': (data) => this.getDefaultTemplate('Password Changed Successfully', data),
+            'email-verification': (data) => this.getDefaultTemplate('Verify Your Email Address', data),
             'student-admission': (data) => this.getDefaultTemplate('Welcome to Our Institute', data),
             'payment-receipt': (data) => this.getDefaultTemplate('Payment Receipt', data),
             'assignment-notification': (data) => this.getDefaultTemplate('New Assignment Notification', data),
             'attendance-notification': (data) => this.getDefaultTemplate('Attendance Marked', data),
             'certificate-issue': (data) => this.getDefaultTemplate('Course Completion Certificate', data),
             'lead-followup': (data) => this.getDefaultTemplate('Lead Follow-up Reminder', data),
+            'lead-escalation': (data) => this.getDefaultTemplate('Lead Escalation', data),
             'bulk': (data) => this.getDefaultTemplate(data.subject || 'Notification', data)
         };
         
@@ -307,6 +312,23 @@ class EmailService {
         return this.sendEmail(user.email, subject, 'password-changed', data);
     }
 
+    async sendEmailVerificationEmail(user, verificationToken, expiresIn = '24 hours') {
+        const verifyUrl = `${process.env.CLIENT_URL}/verify-email/${verificationToken}`;
+        const subject = 'Verify Your Email Address';
+        const data = {
+            name: user.profile?.firstName || user.username,
+            content: `
+                <p>Please confirm that <strong>${user.email}</strong> is your email address.</p>
+                <p>Click the button below to verify it:</p>
+            `,
+            actionUrl: verifyUrl,
+            actionText: 'Verify Email',
+            importantNote: `This link expires in ${expiresIn}. If you didn't create an account, ignore this email.`
+        };
+
+        return this.sendEmail(user.email, subject, 'email-verification', data);
+    }
+
     // 🎓 STUDENT-RELATED EMAILS
     async sendStudentAdmissionEmail(student, enrollment = null) {
         const subject = 'Student Admission Confirmation';
@@ -399,10 +421,10 @@ class EmailService {
             content: `
                 <p>Follow-up reminder for lead:</p>
                 <div class="info-box">
-                    <p><strong>Lead:</strong> ${lead.fullName}</p>
-                    <p><strong>Phone:</strong> ${lead.phone}</p>
-                    <p><strong>Scheduled:</strong> ${followUpDetails.date}</p>
-                    <p><strong>Notes:</strong> ${followUpDetails.notes}</p>
+                    <p><strong>Lead:</strong> ${escapeHtml(lead.fullName)}</p>
+                    <p><strong>Phone:</strong> ${escapeHtml(lead.phone)}</p>
+                    <p><strong>Scheduled:</strong> ${escapeHtml(followUpDetails.date)}</p>
+                    <p><strong>Notes:</strong> ${escapeHtml(followUpDetails.notes)}</p>
                 </div>
             `,
             actionUrl: `${process.env.CLIENT_URL}/leads/${lead._id}`,
@@ -413,6 +435,30 @@ class EmailService {
         return this.sendEmail(user.email, subject, 'lead-followup', data);
     }
 
+    async sendLeadEscalationEmail(lead, manager, counselor, idleDays) {
+        const subject = `Lead needs attention: ${lead.fullName}`;
+        const counselorName = counselor.profile?.firstName
+            ? `${counselor.profile.firstName} ${counselor.profile.lastName || ''}`.trim()
+            : counselor.username;
+        const data = {
+            name: manager.profile?.firstName || manager.username,
+            content: `
+                <p>A lead assigned to your team has not been touched for ${idleDays} days:</p>
+                <div class="info-box">
+                    <p><strong>Lead:</strong> ${escapeHtml(lead.fullName)} (${escapeHtml(lead.leadId)})</p>
+                    <p><strong>Phone:</strong> ${escapeHtml(lead.phone)}</p>
+                    <p><strong>Status:</strong> ${escapeHtml(lead.status)}</p>
+                    <p><strong>Counselor:</strong> ${escapeHtml(counselorName)}</p>
+                </div>
+            `,
+            actionUrl: `${process.env.CLIENT_URL}/leads/${lead._id}`,
+            actionText: 'View Lead',
+            importantNote: 'Please follow up with the counselor or reassign the lead.'
+        };
+
+        return this.sendEmail(manager.email, subject, 'lead-escalation', data);
+    }
+
     async sendLeadConvertedEmail(lead, student) {
         const subject = `Lead Converted: ${lead.fullName}`;
         const data = {
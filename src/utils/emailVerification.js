@@ -0,0 +1,93 @@
+const jwt = require('jsonwebtoken');
+const authConfig = require('../config/auth');
+const { parseDuration } = require('./sessionService');
+
+const TOKEN_PURPOSE = 'email-verify';
+
+/**
+ * Sign an email verification token
+ * The address is part of the token, so changing the email invalidates older links.
+ * @param {Object} user - User
+ * @returns {string} JWT
+ */
+const generateVerificationToken = (user) => {
+    return jwt.sign(
+        { id: user._id, email: user.email, purpose: TOKEN_PURPOSE },
+        process.env.JWT_SECRET,
+        { expiresIn: authConfig.emailVerification.tokenExpire }
+    );
+};
+
+/**
+ * Decode an email verification token
+ * @param {string} token - Token from the verification link
+ * @returns {Object|null} { id, email } or null when invalid or expired
+ */
+const decodeVerificationToken = (token) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (decoded.purpose !== TOKEN_PURPOSE || !decoded.id || !decoded.email) return null;
+        return { id: decoded.id, email: decoded.email };
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Token lifetime as text for the email, e.g. "24 hours"
+ * @returns {string} Lifetime
+ */
+const describeTokenExpiry = () => {
+    const minutes = Math.round(parseDuration(authConfig.emailVerification.tokenExpire) / 60000);
+    if (minutes >= 2880 && minutes % 1440 === 0) return `${minutes / 1440} days`;
+    if (minutes % 60 === 0) return `${minutes / 60} hour(s)`;
+    return `${minutes} minute(s)`;
+};
+
+/**
+ * Email a verification link to the user
+ * The email service is loaded on first use so importing this module has no SMTP side effects.
+ * @param {Object} user - User
+ * @returns {Promise<Object>} Email service result
+ */
+const sendVerificationEmail = async (user) => {
+    const emailService = require('./emailService');
+    return emailService.sendEmailVerificationEmail(user, generateVerificationToken(user), describeTokenExpiry());
+};
+
+/**
+ * Whether the verification policy stops this user from logging in
+ * @param {Object} user - User
+ * @returns {boolean} True when login must wait for verification
+ */
+const isVerificationRequiredForLogin = (user) => {
+    return authConfig.emailVerification.requiredForLogin && !user.isEmailVerified;
+};
+
+/**
+ * Whether password reset links and similar emails may go to this user's address
+ * @param {Object} user - User
+ * @returns {boolean} True when sensitive emails are allowed
+ */
+const canReceiveSensitiveEmails = (user) => {
+    return !authConfig.emailVerification.requiredForSensitiveEmails || !!user.isEmailVerified;
+};
+
+/**
+ * Set the verification state after an account is created or its email changes
+ * @param {Object} user - User document (saved by the caller)
+ * @param {boolean} verified - Whether the address is already trusted (e.g. set by an admin)
+ */
+const setEmailVerified = (user, verified) => {
+    user.isEmailVerified = !!verified;
+    user.emailVerifiedAt = verified ? new Date() : undefined;
+};
+
+module.exports = {
+    generateVerificationToken,
+    decodeVerificationToken,
+    sendVerificationEmail,
+    isVerificationRequiredForLogin,
+    canReceiveSensitiveEmails,
+    setEmailVerified
+};
@@ -0,0 +1,108 @@
+const { toDateKey } = require('./scheduleHelpers');
+
+// Column definitions for list exports
+// value() receives a lean document with the export's populated references.
+// Columns marked default: false are only included when requested explicitly.
+
+const dateValue = (date) => (date ? toDateKey(date) : null);
+
+const userName = (user) => {
+    if (!user) return null;
+    const name = [user.profile?.firstName, user.profile?.lastName].filter(Boolean).join(' ');
+    return name || user.username;
+};
+
+const STUDENT_EXPORT_COLUMNS = [
+    { key: 'studentId', header: 'Student ID', value: s => s.studentId },
+    { key: 'fullName', header: 'Full Name', value: s => s.personalDetails?.fullName, width: 28 },
+    { key: 'email', header: 'Email', value: s => s.personalDetails?.email, width: 28 },
+    { key: 'phone', header: 'Phone', value: s => s.personalDetails?.phone },
+    { key: 'gender', header: 'Gender', value: s => s.personalDetails?.gender },
+    { key: 'dateOfBirth', header: 'Date of Birth', value: s => dateValue(s.personalDetails?.dateOfBirth) },
+    { key: 'city', header: 'City', value: s => s.personalDetails?.address?.city },
+    { key: 'state', header: 'State', value: s => s.personalDetails?.address?.state, default: false },
+    { key: 'guardianName', header: 'Guardian Name', value: s => s.personalDetails?.guardianDetails?.name, default: false },
+    { key: 'guardianPhone', header: 'Guardian Phone', value: s => s.personalDetails?.guardianDetails?.phone, default: false },
+    { key: 'admissionDate', header: 'Admission Date', value: s => dateValue(s.admissionDetails?.admissionDate) },
+    { key: 'admissionType', header: 'Admission Type', value: s => s.admissionDetails?.admissionType },
+    { key: 'counselor', header: 'Counselor', value: s => userName(s.admissionDetails?.admissionCounselor) },
+    { key: 'qualification', header: 'Qualification', value: s => s.academicBackground?.qualification, default: false },
+    { key: 'totalFees', header: 'Total Fees', value: s => s.paymentPlan?.totalFees },
+    { key: 'paidAmount', header: 'Paid Amount', value: s => s.paymentPlan?.paidAmount },
+    { key: 'pendingAmount', header: 'Pending Amount', value: s => s.paymentPlan?.pendingAmount },
+    { key: 'status', header: 'Status', value: s => s.status },
+    { key: 'createdAt', header: 'Created At', value: s => dateValue(s.meta?.createdAt), default: false }
+];
+
+const LEAD_EXPORT_COLUMNS = [
+    { key: 'leadId', header: 'Lead ID', value: l => l.leadId },
+    { key: 'fullName', header: 'Full Name', value: l => l.fullName, width: 28 },
+    { key: 'email', header: 'Email', value: l => l.email, width: 28 },
+    { key: 'phone', header: 'Phone', value: l => l.phone },
+    { key: 'source', header: 'Source', value: l => l.source },
+    { key: 'utmSource', header: 'UTM Source', value: l => l.utm?.source, default: false },
+    { key: 'utmMedium', header: 'UTM Medium', value: l => l.utm?.medium, default: false },
+    { key: 'utmCampaign', header: 'UTM Campaign', value: l => l.utm?.campaign, default: false },
+    { key: 'utmContent', header: 'UTM Content', value: l => l.utm?.content, default: false },
+    { key: 'status', header: 'Status', value: l => l.status },
+    { key: 'primaryCourse', header: 'Primary Course', value: l => l.primaryCourse?.name, width: 28 },
+    {
+        key: 'interestedCourses',
+        header: 'Interested Courses',
+        value: l => (l.interestedCourses || []).map(course => course?.name).filter(Boolean).join('; '),
+        default: false
+    },
+    { key: 'assignedTo', header: 'Assigned To', value: l => userName(l.assignedTo) },
+    { key: 'score', header: 'Score', value: l => l.score },
+    { key: 'budget', header: 'Budget', value: l => l.budget, default: false },
+    { key: 'expectedJoining', header: 'Expected Joining', value: l => dateValue(l.expectedJoining), default: false },
+    { key: 'qualification', header: 'Qualification', value: l => l.education?.qualification, default: false },
+    { key: 'communications', header: 'Communications', value: l => (l.communications || []).length, default: false },
+    { key: 'notes', header: 'Notes', value: l => l.notes, default: false, width: 40 },
+    { key: 'createdAt', header: 'Created At', value: l => dateValue(l.meta?.createdAt) }
+];
+
+const PAYMENT_EXPORT_COLUMNS = [
+    { key: 'paymentId', header: 'Payment ID', value: p => p.paymentId },
+    { key: 'receiptNumber', header: 'Receipt Number', value: p => p.receiptNumber },
+    { key: 'paymentDate', header: 'Payment Date', value: p => dateValue(p.paymentDate) },
+    { key: 'studentId', header: 'Student ID', value: p => p.student?.studentId },
+    { key: 'studentName', header: 'Student Name', value: p => p.student?.personalDetails?.fullName, width: 28 },
+    { key: 'enrollmentId', header: 'Enrollment ID', value: p => p.enrollment?.enrollmentId, default: false },
+    { key: 'amount', header: 'Amount', value: p => p.amount },
+    { key: 'paymentMode', header: 'Payment Mode', value: p => p.paymentMode },
+    { key: 'paymentFor', header: 'Payment For', value: p => p.paymentFor },
+    { key: 'installmentNumber', header: 'Installment', value: p => p.installmentNumber, default: false },
+    { key: 'status', header: 'Status', value: p => p.status },
+    { key: 'transactionId', header: 'Transaction ID', value: p => p.transactionDetails?.transactionId },
+    { key: 'chequeNumber', header: 'Cheque Number', value: p => p.transactionDetails?.chequeNumber, default: false },
+    { key: 'bankName', header: 'Bank', value: p => p.transactionDetails?.bankName, default: false },
+    { key: 'receivedBy', header: 'Received By', value: p => userName(p.receivedBy) },
+    { key: 'refundAmount', header: 'Refund Amount', value: p => p.refundDetails?.amount, default: false }
+];
+
+const ENROLLMENT_EXPORT_COLUMNS = [
+    { key: 'enrollmentId', header: 'Enrollment ID', value: e => e.enrollmentId },
+    { key: 'studentId', header: 'Student ID', value: e => e.student?.studentId },
+    { key: 'studentName', header: 'Student Name', value: e => e.student?.personalDetails?.fullName, width: 28 },
+    { key: 'phone', header: 'Phone', value: e => e.student?.personalDetails?.phone, default: false },
+    { key: 'course', header: 'Course', value: e => e.course?.name, width: 28 },
+    { key: 'courseCode', header: 'Course Code', value: e => e.course?.courseCode, default: false },
+    { key: 'batch', header: 'Batch', value: e => e.batch?.batchId },
+    { key: 'enrollmentDate', header: 'Enrollment Date', value: e => dateValue(e.enrollmentDate) },
+    { key: 'enrollmentType', header: 'Enrollment Type', value: e => e.enrollmentType, default: false },
+    { key: 'status', header: 'Status', value: e => e.status },
+    { key: 'totalFees', header: 'Total Fees', value: e => e.fees?.total },
+    { key: 'paidFees', header: 'Paid Fees', value: e => e.fees?.paid },
+    { key: 'pendingFees', header: 'Pending Fees', value: e => e.fees?.pending },
+    { key: 'progress', header: 'Progress %', value: e => e.progress?.percentage },
+    { key: 'grade', header: 'Grade', value: e => e.grades?.grade, default: false },
+    { key: 'certificateId', header: 'Certificate ID', value: e => e.certificate?.certificateId, default: false }
+];
+
+module.exports = {
+    STUDENT_EXPORT_COLUMNS,
+    LEAD_EXPORT_COLUMNS,
+    PAYMENT_EXPORT_COLUMNS,
+    ENROLLMENT_EXPORT_COLUMNS
+};
@@ -149,15 +149,96 @@ const sanitizeObject = (obj, fields = ['password', 'token', 'refreshToken']) =>
     return sanitized;
 };
 
+/**
+ * Convert an amount to words using the Indian numbering system
+ * @param {number} amount - Amount in rupees (paise are rounded to two places)
+ * @returns {string} Amount in words, e.g. "Rupees Twelve Thousand Five Hundred Only"
+ */
+const amountToWords = (amount) => {
+    const ones = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine',
+        'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen',
+        'Eighteen', 'Nineteen'];
+    const tens = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+    
+    const twoDigits = (n) => {
+        if (n < 20) return ones[n];
+        return `${tens[Math.floor(n / 10)]}${n % 10 ? ' ' + ones[n % 10] : ''}`;
+    };
+    
+    const threeDigits = (n) => {
+        const hundred = Math.floor(n / 100);
+        const rest = n % 100;
+        return [hundred ? `${ones[hundred]} Hundred` : '', rest ? twoDigits(rest) : '']
+            .filter(Boolean)
+            .join(' ');
+    };
+    
+    const toWords = (n) => {
+        if (n === 0) return 'Zero';
+        
+        const parts = [];
+        const crore = Math.floor(n / 10000000);
+        const lakh = Math.floor((n % 10000000) / 100000);
+        const thousand = Math.floor((n % 100000) / 1000);
+        const rest = n % 1000;
+        
+        if (crore) parts.push(`${toWords(crore)} Crore`);
+        if (lakh) parts.push(`${twoDigits(lakh)} Lakh`);
+        if (thousand) parts.push(`${twoDigits(thousand)} Thousand`);
+        if (rest) parts.push(threeDigits(rest));
+        
+        return parts.join(' ');
+    };
+    
+    const value = Math.round(Math.abs(Number(amount) || 0) * 100);
+    const rupees = Math.floor(value / 100);
+    const paise = value % 100;
+    
+    let words = `Rupees ${toWords(rupees)}`;
+    if (paise) {
+        words += ` and ${twoDigits(paise)} Paise`;
+    }
+    
+    return `${words} Only`;
+};
+
+/**
+ * Escape a value for use inside HTML (e.g. user-entered text in emails)
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Generate a short, deterministic verification code for a certificate
+ * @param {string} certificateId - Certificate ID
+ * @returns {string} 10-character uppercase code
+ */
+const generateVerificationCode = (certificateId) => {
+    const secret = process.env.CERTIFICATE_SECRET || process.env.JWT_SECRET || 'certificate-secret';
+    return crypto.createHmac('sha256', secret)
+        .update(String(certificateId))
+        .digest('hex')
+        .slice(0, 10)
+        .toUpperCase();
+};
+
 module.exports = {
     generateRandomString,
     formatDate,
     formatCurrency,
+    amountToWords,
     calculateAge,
     calculatePercentage,
     hashPassword,
     isValidEmail,
     isValidPhone,
     paginate,
-    sanitizeObject
+    sanitizeObject,
+    escapeHtml,
+    generateVerificationCode
 };
\ No newline at end of file
@@ -0,0 +1,123 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Resolve a discount or scholarship to an amount
+ * An explicit amount wins over a percentage.
+ * @param {Object} [reduction] - { amount, percentage }
+ * @param {number} base - Amount the percentage applies to
+ * @returns {number} Reduction amount
+ */
+const resolveReduction = (reduction, base) => {
+    if (!reduction) return 0;
+    if (reduction.amount) return roundAmount(Math.min(Number(reduction.amount), base));
+    if (reduction.percentage) return roundAmount(base * Number(reduction.percentage) / 100);
+    return 0;
+};
+
+/**
+ * Work out the fee payable after discount and scholarship
+ * Both percentages apply to the base fee.
+ * @param {Object} options - Fee options
+ * @param {number} options.base - Course fee before reductions
+ * @param {Object} [options.discount] - { amount, percentage }
+ * @param {Object} [options.scholarship] - { amount, percentage }
+ * @returns {Object} { base, discountAmount, scholarshipAmount, net }
+ */
+const calculateNetFee = ({ base, discount, scholarship }) => {
+    const discountAmount = resolveReduction(discount, base);
+    const scholarshipAmount = resolveReduction(scholarship, base);
+
+    return {
+        base,
+        discountAmount,
+        scholarshipAmount,
+        net: roundAmount(Math.max(0, base - discountAmount - scholarshipAmount))
+    };
+};
+
+/**
+ * Add calendar months to a date, clamping to the end of shorter months
+ * @param {Date} date - Start date
+ * @param {number} months - Months to add
+ * @returns {Date} New date (UTC midnight)
+ */
+const addMonths = (date, months) => {
+    const start = new Date(date);
+    const year = start.getUTCFullYear();
+    const month = start.getUTCMonth() + months;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+    return new Date(Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay)));
+};
+
+/**
+ * Split a total into equal installments
+ * Rounding differences are added to the last installment.
+ * @param {Object} options - Schedule options
+ * @param {number} options.total - Amount to split
+ * @param {number} options.numberOfInstallments - Number of installments
+ * @param {Date} options.startDate - Due date of the first installment
+ * @param {number} [options.intervalMonths] - Months between due dates
+ * @returns {Array} Installments { installmentNumber, dueDate, amount, status }
+ */
+const buildInstallmentSchedule = ({ total, numberOfInstallments, startDate, intervalMonths = 1 }) => {
+    const count = Math.max(1, parseInt(numberOfInstallments));
+    const regular = Math.floor((total / count) * 100) / 100;
+
+    return Array.from({ length: count }, (_, index) => ({
+        installmentNumber: index + 1,
+        dueDate: addMonths(startDate, index * intervalMonths),
+        amount: index === count - 1 ? roundAmount(total - regular * (count - 1)) : regular,
+        status: 'pending',
+        paidAmount: 0,
+        lateFee: 0
+    }));
+};
+
+/**
+ * Amount still owed on an installment, excluding late fees
+ * @param {Object} installment - Installment
+ * @returns {number} Outstanding amount
+ */
+const getOutstandingAmount = (installment) => {
+    return roundAmount(Math.max(0, (installment.amount || 0) - (installment.paidAmount || 0)));
+};
+
+/**
+ * Whole days an installment is past its due date
+ * @param {Object} installment - Installment
+ * @param {Date} [now] - Reference time
+ * @returns {number} Days overdue (0 when not yet due)
+ */
+const getDaysOverdue = (installment, now = new Date()) => {
+    if (!installment.dueDate) return 0;
+    return Math.max(0, Math.floor((now - new Date(installment.dueDate)) / DAY_MS));
+};
+
+/**
+ * Late fee for an overdue installment under the given policy
+ * @param {Object} installment - Installment
+ * @param {Object} policy - { type, value, maxAmount }
+ * @returns {number} Late fee
+ */
+const calculateLateFee = (installment, policy) => {
+    if (!policy || !policy.value) return 0;
+
+    let fee = policy.type === 'percentage'
+        ? (installment.amount || 0) * policy.value / 100
+        : policy.value;
+
+    if (policy.maxAmount) fee = Math.min(fee, policy.maxAmount);
+    return roundAmount(fee);
+};
+
+module.exports = {
+    calculateNetFee,
+    addMonths,
+    buildInstallmentSchedule,
+    getOutstandingAmount,
+    getDaysOverdue,
+    calculateLateFee
+};
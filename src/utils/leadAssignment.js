@@ -0,0 +1,187 @@
+const Lead = require('../models/Lead');
+const User = require('../models/User');
+const Counter = require('../models/Counter');
+const AssignmentRule = require('../models/AssignmentRule');
+const leadsConfig = require('../config/leads');
+const { ROLES, LEAD_STATUS, LEAD_ASSIGNMENT_STRATEGY } = require('./constants');
+
+// Leads that still need a counselor's attention count towards their workload
+const OPEN_LEAD_STATUSES = [
+    LEAD_STATUS.NEW,
+    LEAD_STATUS.CONTACTED,
+    LEAD_STATUS.FOLLOW_UP,
+    LEAD_STATUS.QUALIFIED
+];
+
+const includesId = (ids = [], id) => ids.some(item => item.toString() === id.toString());
+
+/**
+ * Whether an assignment rule applies to a lead
+ * @param {Object} rule - Assignment rule
+ * @param {Object} lead - Lead (document or plain object)
+ * @returns {boolean} True when every condition matches (empty conditions match anything)
+ */
+const ruleMatches = (rule, lead) => {
+    const { sources = [], courses = [], branches = [] } = rule.conditions || {};
+    const leadCourses = [...(lead.interestedCourses || []), lead.primaryCourse].filter(Boolean);
+
+    return (!sources.length || sources.includes(lead.source)) &&
+        (!courses.length || leadCourses.some(course => includesId(courses, course._id || course))) &&
+        (!branches.length || (!!lead.branch && includesId(branches, lead.branch._id || lead.branch)));
+};
+
+/**
+ * First active rule (by priority) that applies to a lead
+ * @param {Object} lead - Lead
+ * @returns {Promise<Object|null>} Assignment rule
+ */
+const findAssignmentRule = async (lead) => {
+    const rules = await AssignmentRule.find({ active: true }).sort({ priority: 1, createdAt: 1 }).lean();
+    return rules.find(rule => ruleMatches(rule, lead)) || null;
+};
+
+/**
+ * Counselors who can take new leads right now
+ * Active counselors that are not on leave and work in the lead's branch (or in no particular branch).
+ * @param {Object} [options] - Options
+ * @param {ObjectId} [options.branch] - Lead's branch
+ * @param {Array} [options.counselors] - Limit to these users (a rule's pool)
+ * @param {Date} [options.now] - Reference time
+ * @returns {Promise<Array>} Counselors, in a stable order
+ */
+const getAvailableCounselors = async ({ branch, counselors = [], now = new Date() } = {}) => {
+    const query = {
+        role: ROLES.COUNSELOR,
+        status: 'active',
+        'employeeDetails.leavePeriods': {
+            $not: { $elemMatch: { startDate: { $lte: now }, endDate: { $gte: now } } }
+        }
+    };
+
+    if (counselors.length) query._id = { $in: counselors };
+    if (branch) query.branch = { $in: [branch, null] };
+
+    return User.find(query)
+        .select('username email profile.firstName profile.lastName branch')
+        .sort({ _id: 1 })
+        .lean();
+};
+
+/**
+ * Open leads per counselor
+ * @param {Array} userIds - Counselor IDs
+ * @returns {Promise<Map>} Count by user ID string
+ */
+const getOpenWorkload = async (userIds) => {
+    const counts = await Lead.aggregate([
+        { $match: { assignedTo: { $in: userIds }, status: { $in: OPEN_LEAD_STATUSES } } },
+        { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(item => [item._id.toString(), item.count]));
+};
+
+/**
+ * Pick the next counselor with a strategy
+ * Round-robin keeps its position in a counter per rule, so it survives restarts.
+ * @param {string} strategy - round_robin or lowest_workload
+ * @param {Array} candidates - Available counselors
+ * @param {string} counterKey - Counter used for the round-robin position
+ * @returns {Promise<Object>} Chosen counselor
+ */
+const pickCounselor = async (strategy, candidates, counterKey) => {
+    if (strategy === LEAD_ASSIGNMENT_STRATEGY.LOWEST_WORKLOAD) {
+        const workload = await getOpenWorkload(candidates.map(counselor => counselor._id));
+        const countOf = (counselor) => workload.get(counselor._id.toString()) || 0;
+
+        // Ties go to the first counselor in the list
+        return candidates.reduce((best, counselor) => (countOf(counselor) < countOf(best) ? counselor : best));
+    }
+
+    const counter = await Counter.findByIdAndUpdate(
+        counterKey,
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+
+    return candidates[(counter.seq - 1) % candidates.length];
+};
+
+/**
+ * Give a lead to a counselor and record the change in its history (saved by the caller)
+ * @param {Object} lead - Lead document
+ * @param {ObjectId} counselorId - New counselor
+ * @param {Object} [details] - { method, rule, reason, assignedBy }
+ */
+const assignLead = (lead, counselorId, { method = 'manual', rule, reason, assignedBy } = {}) => {
+    const previous = lead.assignedTo?._id || lead.assignedTo;
+
+    lead.assignedTo = counselorId;
+    lead.assignmentHistory.push({
+        from: previous,
+        to: counselorId,
+        method,
+        rule,
+        reason,
+        assignedBy,
+        assignedAt: new Date()
+    });
+};
+
+/**
+ * Assign a lead with the matching rule, or the default strategy when none matches
+ * @param {Object} lead - Lead document (saved by the caller)
+ * @param {Object} [options] - Options
+ * @param {ObjectId} [options.assignedBy] - User who triggered the assignment
+ * @param {string} [options.reason] - Reason kept in the history
+ * @param {Array} [options.exclude] - Counselors to skip (e.g. the current one on reassignment)
+ * @returns {Promise<Object|null>} Chosen counselor, or null when nobody is available
+ */
+const autoAssignLead = async (lead, { assignedBy, reason, exclude = [] } = {}) => {
+    const rule = await findAssignmentRule(lead);
+
+    if (!rule && !leadsConfig.assignment.enabled) return null;
+
+    const strategy = rule ? rule.strategy : leadsConfig.assignment.defaultStrategy;
+    const candidates = (await getAvailableCounselors({
+        branch: lead.branch?._id || lead.branch,
+        counselors: rule?.counselors
+    })).filter(counselor => !includesId(exclude, counselor._id));
+
+    if (!candidates.length) return null;
+
+    const counselor = await pickCounselor(strategy, candidates, `leadAssignment_${rule ? rule._id : 'default'}`);
+
+    assignLead(lead, counselor._id, {
+        method: strategy,
+        rule: rule?._id,
+        reason: reason || (rule ? `Rule: ${rule.name}` : 'Default assignment'),
+        assignedBy
+    });
+
+    return counselor;
+};
+
+/**
+ * Check that a user can be given leads by hand
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} User, or null when missing, inactive or suspended
+ */
+const findAssignableUser = async (userId) => {
+    return User.findOne({
+        _id: userId,
+        status: 'active',
+        role: { $in: [ROLES.COUNSELOR, ROLES.EMPLOYEE, ROLES.ADMIN] }
+    }).select('username email profile.firstName profile.lastName').lean();
+};
+
+module.exports = {
+    OPEN_LEAD_STATUSES,
+    ruleMatches,
+    findAssignmentRule,
+    getAvailableCounselors,
+    getOpenWorkload,
+    assignLead,
+    autoAssignLead,
+    findAssignableUser
+};
@@ -0,0 +1,136 @@
+const LeadSubmission = require('../models/LeadSubmission');
+const leadsConfig = require('../config/leads');
+
+const MINUTE_MS = 60 * 1000;
+
+// Verification endpoints of the supported captcha providers
+const CAPTCHA_VERIFY_URLS = {
+    recaptcha: 'https://www.google.com/recaptcha/api/siteverify',
+    hcaptcha: 'https://api.hcaptcha.com/siteverify',
+    turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify'
+};
+
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+/**
+ * Whether the form asks for a captcha token
+ * @param {Object} form - Lead form
+ * @returns {boolean} True when a provider is configured and the form requires it
+ */
+const isCaptchaRequired = (form) => {
+    return !!leadsConfig.capture.captcha.provider && form.requireCaptcha !== false;
+};
+
+/**
+ * Check a captcha token with the configured provider
+ * Provider errors and timeouts count as a failed check, so an outage cannot be used to skip it.
+ * @param {string} token - Token produced by the captcha widget
+ * @param {string} ip - Visitor IP
+ * @returns {Promise<boolean>} True when the provider accepts the token
+ */
+const verifyCaptcha = async (token, ip) => {
+    const { provider, secret, minScore, timeoutMs } = leadsConfig.capture.captcha;
+    const url = CAPTCHA_VERIFY_URLS[provider];
+
+    if (!url || !secret) {
+        console.error(`Captcha provider "${provider}" is unknown or has no secret`);
+        return false;
+    }
+
+    if (!token) return false;
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({ secret, response: token, remoteip: ip || '' }),
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+        const result = await response.json();
+
+        // reCAPTCHA v3 also rates how human the visitor looks
+        if (typeof result.score === 'number' && result.score < minScore) return false;
+
+        return result.success === true;
+    } catch (error) {
+        console.error('Captcha verification error:', error);
+        return false;
+    }
+};
+
+/**
+ * Whether the request comes from a site the form may be posted from
+ * @param {Object} form - Lead form
+ * @param {string} [origin] - Origin header
+ * @returns {boolean} True when the form has no origin list or the origin is on it
+ */
+const isOriginAllowed = (form, origin) => {
+    if (!form.allowedOrigins?.length) return true;
+    if (!origin) return false;
+
+    const trimSlash = (value) => value.toLowerCase().replace(/\/$/, '');
+    return form.allowedOrigins.some(allowed => trimSlash(allowed) === trimSlash(origin));
+};
+
+/**
+ * UTM parameters of a submission
+ * Read from utm_* fields of the body, falling back to the query string of the form's action URL.
+ * @param {Object} req - Express request
+ * @returns {Object|undefined} { source, medium, campaign, term, content }, or undefined when none were sent
+ */
+const extractUtm = (req) => {
+    const utm = {};
+
+    UTM_FIELDS.forEach(field => {
+        const value = req.body[`utm_${field}`] ?? req.query[`utm_${field}`];
+        if (typeof value === 'string' && value.trim()) {
+            utm[field] = value.trim();
+        }
+    });
+
+    return Object.keys(utm).length ? utm : undefined;
+};
+
+/**
+ * Record a public form submission
+ * Failures to write are logged, never thrown, so they cannot lose a lead.
+ * @param {Object} req - Express request
+ * @param {Object} submission - { form, outcome, lead }
+ * @returns {Promise}
+ */
+const recordSubmission = async (req, { form, outcome, lead }) => {
+    try {
+        await LeadSubmission.create({
+            form: form?._id,
+            outcome,
+            lead: lead?._id || lead,
+            ip: req.ip,
+            userAgent: req.get('user-agent'),
+            origin: req.get('origin')
+        });
+    } catch (error) {
+        console.error('Record lead submission error:', error);
+    }
+};
+
+/**
+ * Count recent submissions from the request's IP (throttled ones do not count)
+ * @param {Object} req - Express request
+ * @returns {Promise<number>} Submission count within the configured window
+ */
+const countRecentSubmissions = (req) => {
+    return LeadSubmission.countDocuments({
+        ip: req.ip,
+        outcome: { $ne: 'ip-throttled' },
+        createdAt: { $gte: new Date(Date.now() - leadsConfig.capture.windowMinutes * MINUTE_MS) }
+    });
+};
+
+module.exports = {
+    isCaptchaRequired,
+    verifyCaptcha,
+    isOriginAllowed,
+    extractUtm,
+    recordSubmission,
+    countRecentSubmissions
+};
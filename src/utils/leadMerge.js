@@ -0,0 +1,76 @@
+const { annotateAudit } = require('./auditTrail');
+
+// Profile fields copied from a duplicate when the surviving lead has no value
+const FILL_FIELDS = ['email', 'primaryCourse', 'budget', 'expectedJoining', 'branch'];
+const FILL_GROUPS = ['education', 'experience'];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const hasValues = (group) => !!group && Object.values(group).some(value => !isBlank(value));
+
+/**
+ * Merge duplicate leads into a surviving lead
+ * Communications and interested courses are combined, notes are appended with
+ * the duplicate's contact details, and empty profile fields are filled in. The
+ * duplicates go to the trash pointing at the survivor (and can no longer be
+ * restored); every change is audited as lead.merge.
+ * @param {Object} survivor - Lead document that is kept
+ * @param {Array} duplicates - Lead documents merged into it
+ * @param {Object} options - { userId, reason }
+ * @returns {Promise<Object>} Saved survivor
+ */
+const mergeLeads = async (survivor, duplicates, { userId, reason }) => {
+    const courseIds = new Set((survivor.interestedCourses || []).map(id => id.toString()));
+    const notes = survivor.notes ? [survivor.notes] : [];
+
+    duplicates.forEach(duplicate => {
+        duplicate.communications.forEach(communication => {
+            survivor.communications.push(communication.toObject());
+        });
+
+        (duplicate.interestedCourses || []).forEach(courseId => {
+            if (!courseIds.has(courseId.toString())) {
+                courseIds.add(courseId.toString());
+                survivor.interestedCourses.push(courseId);
+            }
+        });
+
+        FILL_FIELDS.forEach(field => {
+            if (isBlank(survivor[field]) && !isBlank(duplicate[field])) {
+                survivor[field] = duplicate[field];
+            }
+        });
+
+        FILL_GROUPS.forEach(group => {
+            if (!hasValues(survivor[group]?.toObject?.()) && hasValues(duplicate[group]?.toObject?.())) {
+                survivor[group] = duplicate[group].toObject();
+            }
+        });
+
+        const contact = [duplicate.phone, duplicate.email].filter(Boolean).join(', ');
+        notes.push(`[Merged from ${duplicate.leadId} (${contact})]${duplicate.notes ? ` ${duplicate.notes}` : ''}`);
+
+        survivor.mergedFrom.push(duplicate._id);
+    });
+
+    // Oldest first, as if they had always been one lead
+    survivor.communications.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    survivor.notes = notes.join('\n\n');
+    survivor.meta.updatedBy = userId;
+    survivor.meta.updatedAt = new Date();
+
+    annotateAudit(survivor, 'lead.merge', reason);
+    await survivor.save();
+
+    for (const duplicate of duplicates) {
+        duplicate.mergedInto = survivor._id;
+        annotateAudit(duplicate, 'lead.merge', reason || `Merged into ${survivor.leadId}`);
+        await duplicate.softDelete(userId);
+    }
+
+    return survivor;
+};
+
+module.exports = {
+    mergeLeads
+};
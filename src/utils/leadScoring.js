@@ -0,0 +1,111 @@
+const leadsConfig = require('../config/leads');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Points of the first tier that passes the test
+const tierPoints = (tiers = [], test) => tiers.find(test)?.points || 0;
+
+const daysBetween = (from, to) => Math.floor((new Date(to) - new Date(from)) / DAY_MS);
+
+/**
+ * Score a lead from its profile and communication history
+ * @param {Object} lead - Lead (document or plain object)
+ * @param {Object} [options] - Options
+ * @param {Object} [options.rules] - Scoring rules (defaults to config/leads)
+ * @param {Date} [options.now] - Reference time
+ * @returns {Object} { score, breakdown: [{ factor, points, detail }] }
+ */
+const calculateLeadScore = (lead, { rules = leadsConfig.scoring, now = new Date() } = {}) => {
+    if (rules.closedStatuses.includes(lead.status)) {
+        return { score: 0, breakdown: [{ factor: 'status', points: 0, detail: `Lead is ${lead.status}` }] };
+    }
+
+    const breakdown = [];
+    const add = (factor, points, detail) => {
+        if (points) breakdown.push({ factor, points, detail });
+    };
+
+    add('source', rules.source[lead.source] || 0, lead.source);
+
+    if (lead.budget) {
+        add('budget', tierPoints(rules.budget, tier => lead.budget >= tier.min), `Budget ${lead.budget}`);
+    }
+
+    if (lead.expectedJoining) {
+        const days = daysBetween(now, lead.expectedJoining);
+        if (days >= 0) {
+            add('expectedJoining', tierPoints(rules.expectedJoining, tier => days <= tier.withinDays),
+                `Joining in ${days} day(s)`);
+        }
+    }
+
+    if (lead.education?.qualification) {
+        add('qualification', rules.education.qualification, lead.education.qualification);
+    }
+
+    if (lead.education?.percentage) {
+        const { percentage } = lead.education;
+        add('academics', tierPoints(rules.education.percentage, tier => percentage >= tier.min), `${percentage}%`);
+    }
+
+    if (lead.experience?.years) {
+        const { years } = lead.experience;
+        add('experience', tierPoints(rules.experience, tier => years >= tier.minYears), `${years} year(s)`);
+    }
+
+    // Communication outcomes
+    const communications = lead.communications || [];
+    const countOf = (status) => communications.filter(c => c.status === status).length;
+    const completed = countOf('completed');
+    const missed = countOf('missed');
+    const cancelled = countOf('cancelled');
+
+    add('engagement', Math.min(completed * rules.communications.completed, rules.communications.maxEngagement),
+        `${completed} completed communication(s)`);
+    add('missed', missed * rules.communications.missed, `${missed} missed communication(s)`);
+    add('cancelled', cancelled * rules.communications.cancelled, `${cancelled} cancelled communication(s)`);
+
+    // Recency of the last completed communication, or of the lead itself when nobody has been in touch
+    const lastContact = communications
+        .filter(c => c.status === 'completed')
+        .map(c => new Date(c.completedAt || c.createdAt))
+        .sort((a, b) => b - a)[0];
+    const quietSince = lastContact || lead.meta?.createdAt || lead.createdAt;
+
+    if (lastContact) {
+        const days = daysBetween(lastContact, now);
+        add('recency', tierPoints(rules.recency.tiers, tier => days <= tier.withinDays), `Last contact ${days} day(s) ago`);
+    }
+
+    if (quietSince && daysBetween(quietSince, now) > rules.recency.staleAfterDays) {
+        add('stale', rules.recency.stalePoints, `No contact for ${daysBetween(quietSince, now)} day(s)`);
+    }
+
+    const total = breakdown.reduce((sum, item) => sum + item.points, 0);
+
+    return {
+        score: Math.max(0, Math.min(rules.maxScore, total)),
+        breakdown
+    };
+};
+
+/**
+ * Store a fresh score on a lead document (saved by the caller)
+ * @param {Object} lead - Lead document
+ * @param {Date} [now] - Reference time
+ * @returns {number} New score
+ */
+const applyLeadScore = (lead, now = new Date()) => {
+    const { score, breakdown } = calculateLeadScore(lead, { now });
+
+    lead.score = score;
+    lead.scoreBreakdown = breakdown;
+    lead.scoredAt = now;
+
+    return score;
+};
+
+module.exports = {
+    calculateLeadScore,
+    applyLeadScore
+};
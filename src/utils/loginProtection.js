@@ -0,0 +1,186 @@
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const authConfig = require('../config/auth');
+const { escapeHtml } = require('./helpers');
+
+const MINUTE_MS = 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Record a login, 2FA or password reset attempt
+ * Failures to write are logged, never thrown, so they cannot block a login.
+ * @param {Object} req - Express request
+ * @param {Object} attempt - { type, identifier, user, success, reason }
+ * @returns {Promise}
+ */
+const recordAttempt = async (req, { type, identifier, user, success = false, reason }) => {
+    try {
+        await LoginAttempt.create({
+            type,
+            identifier,
+            user: user?._id || user,
+            ip: req.ip,
+            userAgent: req.get('user-agent'),
+            success,
+            reason
+        });
+    } catch (error) {
+        console.error('Record login attempt error:', error);
+    }
+};
+
+/**
+ * Count recent attempts matching a filter
+ * @param {Object} filter - LoginAttempt filter (e.g. { ip, type })
+ * @param {number} windowMinutes - Look-back window
+ * @returns {Promise<number>} Attempt count
+ */
+const countRecentAttempts = (filter, windowMinutes) => {
+    return LoginAttempt.countDocuments({
+        ...filter,
+        createdAt: { $gte: new Date(Date.now() - windowMinutes * MINUTE_MS) }
+    });
+};
+
+/**
+ * Count recent failed attempts from the request's IP
+ * @param {Object} req - Express request
+ * @param {Array} types - Attempt types to count
+ * @param {number} windowMinutes - Look-back window
+ * @returns {Promise<number>} Failure count
+ */
+const countIpFailures = (req, types, windowMinutes) => {
+    return countRecentAttempts({ ip: req.ip, type: { $in: types }, success: false }, windowMinutes);
+};
+
+/**
+ * Delay before answering after repeated failures
+ * The first failure is free, then the delay doubles up to the configured maximum.
+ * @param {number} failures - Recent failures
+ * @returns {number} Delay in milliseconds
+ */
+const getProgressiveDelay = (failures) => {
+    const { delayBaseMs, delayMaxMs } = authConfig.lockout;
+    if (failures < 2 || delayBaseMs <= 0) return 0;
+    return Math.min(delayBaseMs * 2 ** (failures - 2), delayMaxMs);
+};
+
+/**
+ * Minutes until a locked account opens again
+ * @param {Object} user - User
+ * @returns {number} Whole minutes, at least 1
+ */
+const getLockMinutesRemaining = (user) => {
+    return Math.max(1, Math.ceil((new Date(user.lockout.lockedUntil) - Date.now()) / MINUTE_MS));
+};
+
+/**
+ * Alert administrators that an account was locked
+ * The email service is loaded on first use so importing this module has no SMTP side effects.
+ * @param {Object} user - Locked user
+ * @param {Object} req - Request that triggered the lock
+ */
+const notifyLockout = (user, req) => {
+    const emailService = require('./emailService');
+    const { maxAttempts, lockMinutes } = authConfig.lockout;
+
+    emailService.sendSystemAlert(
+        'Account locked after failed logins',
+        `The account <strong>${escapeHtml(user.username)}</strong> (${escapeHtml(user.email)}) ` +
+        `was locked for ${lockMinutes} minutes after ${maxAttempts} failed sign-in attempts. ` +
+        `Last attempt from IP ${escapeHtml(req.ip)} (${escapeHtml(req.get('user-agent') || 'unknown client')}).`,
+        'error'
+    ).catch(error => console.error('Lockout alert error:', error));
+};
+
+/**
+ * Count a failed password or 2FA code against the account
+ * Failures older than the window are forgotten; reaching the limit locks the account.
+ * @param {Object} user - User
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { locked, lockedUntil, remainingAttempts }
+ */
+const registerFailedLogin = async (user, req) => {
+    const { maxAttempts, windowMinutes, lockMinutes } = authConfig.lockout;
+    const now = new Date();
+    const windowStart = new Date(now - windowMinutes * MINUTE_MS);
+
+    const lastFailedAt = user.lockout?.lastFailedAt;
+    const update = !lastFailedAt || lastFailedAt < windowStart
+        ? { $set: { 'lockout.failedAttempts': 1, 'lockout.lastFailedAt': now } }
+        : { $inc: { 'lockout.failedAttempts': 1 }, $set: { 'lockout.lastFailedAt': now } };
+
+    const updated = await User.findByIdAndUpdate(user._id, update, { new: true });
+    const failedAttempts = updated.lockout.failedAttempts;
+
+    if (maxAttempts <= 0 || failedAttempts < maxAttempts) {
+        return { locked: false, remainingAttempts: maxAttempts > 0 ? maxAttempts - failedAttempts : null };
+    }
+
+    // Only the request that crosses the limit locks the account and sends the alert
+    const lockedUntil = new Date(now.getTime() + lockMinutes * MINUTE_MS);
+    const locked = await User.findOneAndUpdate(
+        { _id: user._id, 'lockout.failedAttempts': { $gte: maxAttempts } },
+        {
+            $set: {
+                'lockout.failedAttempts': 0,
+                'lockout.lockedUntil': lockedUntil,
+                'lockout.lockedAt': now
+            },
+            $inc: { 'lockout.lockCount': 1 }
+        },
+        { new: true }
+    );
+
+    if (locked) notifyLockout(locked, req);
+
+    return { locked: true, lockedUntil: locked?.lockout.lockedUntil || lockedUntil, remainingAttempts: 0 };
+};
+
+/**
+ * Clear the failure count after a successful login
+ * @param {Object} user - User document (saved by the caller)
+ */
+const resetFailedLogins = (user) => {
+    if (!user.lockout) user.lockout = {};
+    user.lockout.failedAttempts = 0;
+    user.lockout.lastFailedAt = undefined;
+};
+
+/**
+ * Lift a lockout (admin unlock or completed password reset)
+ * @param {Object} user - User document (saved by the caller)
+ */
+const unlockAccount = (user) => {
+    resetFailedLogins(user);
+    user.lockout.lockedUntil = undefined;
+};
+
+/**
+ * Throttle response for too many attempts
+ * @param {Object} res - Express response
+ * @param {string} message - Error message
+ * @param {number} retryAfterMinutes - Minutes until the client may retry
+ * @returns {Object} Response
+ */
+const sendThrottled = (res, message, retryAfterMinutes) => {
+    res.setHeader('Retry-After', String(Math.ceil(retryAfterMinutes * 60)));
+    return res.status(429).json({
+        success: false,
+        message
+    });
+};
+
+module.exports = {
+    sleep,
+    recordAttempt,
+    countRecentAttempts,
+    countIpFailures,
+    getProgressiveDelay,
+    getLockMinutesRemaining,
+    registerFailedLogin,
+    resetFailedLogins,
+    unlockAccount,
+    sendThrottled
+};
@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const idString = (id) => (id && id._id ? id._id : id)?.toString();
+
+/**
+ * Amount of a payment that counts towards fees
+ * Completed payments count in full, refunded payments count net of the refund
+ * and every other status (pending, failed, cancelled) counts as nothing.
+ * @param {Object} payment - Payment
+ * @returns {number} Effective amount
+ */
+const getEffectiveAmount = (payment) => {
+    if (payment.status === 'completed') return payment.amount || 0;
+    if (payment.status === 'refunded') {
+        return roundAmount(Math.max(0, (payment.amount || 0) - (payment.refundDetails?.amount || payment.amount || 0)));
+    }
+    return 0;
+};
+
+/**
+ * Apply payments to installments in installment order
+ * Pure function: nothing is mutated, the new installment state is returned.
+ * @param {Array} schedule - Installments { installmentNumber, amount, status, ... }
+ * @param {Array} payments - Payments sorted oldest first
+ * @returns {Object} { installments, allocations, unallocated }
+ */
+const allocatePayments = (schedule, payments) => {
+    const state = [...schedule]
+        .sort((a, b) => (a.installmentNumber || 0) - (b.installmentNumber || 0))
+        .map(installment => ({
+            installmentNumber: installment.installmentNumber,
+            previousStatus: installment.status,
+            remaining: installment.status === 'waived' ? 0 : (installment.amount || 0),
+            paidAmount: 0,
+            paidDate: null,
+            waived: installment.status === 'waived',
+            amount: installment.amount || 0
+        }));
+
+    const allocations = {};
+    let unallocated = 0;
+
+    payments.forEach(payment => {
+        let left = getEffectiveAmount(payment);
+        const paymentId = idString(payment._id);
+        allocations[paymentId] = [];
+
+        state.forEach(entry => {
+            if (left <= 0 || entry.remaining <= 0) return;
+
+            const applied = roundAmount(Math.min(left, entry.remaining));
+            entry.remaining = roundAmount(entry.remaining - applied);
+            entry.paidAmount = roundAmount(entry.paidAmount + applied);
+            left = roundAmount(left - applied);
+            if (entry.remaining <= 0) entry.paidDate = payment.paymentDate;
+
+            allocations[paymentId].push({ installmentNumber: entry.installmentNumber, amount: applied });
+        });
+
+        unallocated = roundAmount(unallocated + left);
+    });
+
+    const installments = state.map(entry => {
+        let status;
+        if (entry.waived) status = 'waived';
+        else if (entry.amount > 0 && entry.remaining <= 0) status = 'paid';
+        else if (entry.paidAmount > 0) status = 'partial';
+        // Overdue stays overdue until paid, the overdue job flags the rest
+        else status = entry.previousStatus === 'overdue' ? 'overdue' : 'pending';
+
+        return {
+            installmentNumber: entry.installmentNumber,
+            paidAmount: entry.paidAmount,
+            paidDate: entry.paidDate,
+            status
+        };
+    });
+
+    return { installments, allocations, unallocated };
+};
+
+/**
+ * Copy allocation results onto installment subdocuments
+ * @param {Array} schedule - Installment subdocuments (mutated)
+ * @param {Array} installments - Output of allocatePayments().installments
+ * @returns {number} Number of installments that changed
+ */
+const applyInstallmentState = (schedule, installments) => {
+    let changed = 0;
+
+    installments.forEach(result => {
+        const installment = schedule.find(i => i.installmentNumber === result.installmentNumber);
+        if (!installment) return;
+
+        const paidDate = result.paidDate || undefined;
+        const sameDate = String(installment.paidDate || '') === String(paidDate || '');
+        if ((installment.paidAmount || 0) === result.paidAmount &&
+            installment.status === result.status && sameDate) return;
+
+        installment.paidAmount = result.paidAmount;
+        installment.paidDate = paidDate;
+        installment.status = result.status;
+        changed++;
+    });
+
+    return changed;
+};
+
+/**
+ * Recompute a student's fee totals and installment allocations from the Payment collection
+ * Student.paymentPlan.paidAmount is the sum of all effective payments; each
+ * Enrollment.fees.paid is the sum of the payments recorded against it. Payments
+ * with an enrollment fill that enrollment's installments, the rest fill the
+ * student's own payment schedule.
+ * @param {string} studentId - Student ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.apply] - Save the recomputed values (default true)
+ * @returns {Promise<Object|null>} Drift report, or null when the student does not exist
+ */
+const syncStudentFees = async (studentId, { apply = true } = {}) => {
+    const Payment = mongoose.model('Payment');
+    const Student = mongoose.model('Student');
+    const Enrollment = mongoose.model('Enrollment');
+
+    const [student, enrollments, payments] = await Promise.all([
+        Student.findById(studentId),
+        Enrollment.find({ student: studentId }),
+        Payment.find({ student: studentId })
+            .select('student enrollment amount status refundDetails paymentDate allocations createdAt')
+            .sort({ paymentDate: 1, createdAt: 1 })
+            .lean()
+    ]);
+
+    if (!student) return null;
+
+    const report = {
+        student: {
+            _id: student._id,
+            studentId: student.studentId,
+            name: student.personalDetails?.fullName
+        },
+        paidAmount: { stored: student.paymentPlan?.paidAmount || 0, expected: 0 },
+        enrollments: [],
+        installmentsChanged: 0,
+        unallocated: 0,
+        hasDrift: false
+    };
+
+    const paymentAllocations = {};
+    const studentLevelPayments = [];
+    const paymentsByEnrollment = {};
+
+    payments.forEach(payment => {
+        report.paidAmount.expected = roundAmount(report.paidAmount.expected + getEffectiveAmount(payment));
+
+        const enrollmentId = idString(payment.enrollment);
+        const enrollment = enrollmentId && enrollments.find(e => idString(e._id) === enrollmentId);
+        if (enrollment) {
+            (paymentsByEnrollment[enrollmentId] = paymentsByEnrollment[enrollmentId] || []).push(payment);
+        } else {
+            studentLevelPayments.push(payment);
+        }
+    });
+
+    // Enrollment totals and installments
+    const changedEnrollments = [];
+    enrollments.forEach(enrollment => {
+        const enrollmentPayments = paymentsByEnrollment[idString(enrollment._id)] || [];
+        const expectedPaid = roundAmount(enrollmentPayments
+            .reduce((sum, payment) => sum + getEffectiveAmount(payment), 0));
+        const result = allocatePayments(enrollment.paymentPlan || [], enrollmentPayments);
+        Object.assign(paymentAllocations, result.allocations);
+
+        const changed = applyInstallmentState(enrollment.paymentPlan || [], result.installments);
+        const storedPaid = enrollment.fees?.paid || 0;
+
+        if (storedPaid !== expectedPaid || changed) {
+            report.enrollments.push({
+                _id: enrollment._id,
+                enrollmentId: enrollment.enrollmentId,
+                paid: { stored: storedPaid, expected: expectedPaid },
+                installmentsChanged: changed
+            });
+            report.installmentsChanged += changed;
+
+            enrollment.fees.paid = expectedPaid;
+            changedEnrollments.push(enrollment);
+        }
+    });
+
+    // Student-level schedule
+    const studentResult = allocatePayments(student.paymentPlan?.paymentSchedule || [], studentLevelPayments);
+    Object.assign(paymentAllocations, studentResult.allocations);
+    report.unallocated = studentResult.unallocated;
+
+    const studentChanged = student.paymentPlan
+        ? applyInstallmentState(student.paymentPlan.paymentSchedule || [], studentResult.installments)
+        : 0;
+    report.installmentsChanged += studentChanged;
+
+    const studentDrift = report.paidAmount.stored !== report.paidAmount.expected || studentChanged > 0;
+    report.hasDrift = studentDrift || report.enrollments.length > 0;
+
+    // Per-payment allocation records
+    const paymentUpdates = payments
+        .map(payment => ({
+            payment,
+            allocations: paymentAllocations[idString(payment._id)] || []
+        }))
+        .filter(({ payment, allocations }) => JSON.stringify((payment.allocations || [])
+            .map(a => ({ installmentNumber: a.installmentNumber, amount: a.amount }))) !== JSON.stringify(allocations));
+
+    if (apply) {
+        for (const enrollment of changedEnrollments) {
+            await enrollment.save();
+        }
+
+        if (studentDrift && student.paymentPlan) {
+            student.paymentPlan.paidAmount = report.paidAmount.expected;
+            await student.save();
+        }
+
+        if (paymentUpdates.length) {
+            await Payment.bulkWrite(paymentUpdates.map(({ payment, allocations }) => ({
+                updateOne: {
+                    filter: { _id: payment._id },
+                    update: { $set: { allocations } }
+                }
+            })));
+        }
+    }
+
+    return report;
+};
+
+module.exports = {
+    getEffectiveAmount,
+    allocatePayments,
+    applyInstallmentState,
+    syncStudentFees
+};
@@ -0,0 +1,334 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const institute = require('../config/institute');
+const { formatDate, amountToWords } = require('./helpers');
+
+const COLORS = {
+    primary: '#1f3a68',
+    muted: '#666666',
+    border: '#cccccc'
+};
+
+/**
+ * Format an amount for PDF output
+ * The built-in PDF fonts have no rupee glyph, so "Rs." is used instead
+ * @param {number} amount - Amount to format
+ * @returns {string} Formatted amount
+ */
+const formatAmount = (amount) => {
+    return `Rs. ${Number(amount || 0).toLocaleString('en-IN', {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    })}`;
+};
+
+/**
+ * Humanise an enum value ("bank_transfer" -> "Bank Transfer")
+ * @param {string} value - Value to humanise
+ * @returns {string} Label
+ */
+const toLabel = (value) => {
+    if (!value) return 'N/A';
+    return String(value)
+        .split('_')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+};
+
+/**
+ * Draw the institute letterhead at the top of the current page
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} letterhead - Institute details (defaults to config/institute)
+ */
+const drawLetterhead = (doc, letterhead = institute) => {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    let textLeft = left;
+
+    if (letterhead.logoPath && fs.existsSync(letterhead.logoPath)) {
+        doc.image(letterhead.logoPath, left, doc.y, { fit: [60, 60] });
+        textLeft = left + 70;
+    }
+
+    const top = doc.y;
+    doc.fillColor(COLORS.primary).font('Helvetica-Bold').fontSize(18)
+        .text(letterhead.name, textLeft, top, { width: width - (textLeft - left) });
+
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9);
+    if (letterhead.tagline) doc.text(letterhead.tagline, textLeft);
+    doc.text(letterhead.address, textLeft);
+    doc.text(
+        [letterhead.phone, letterhead.email, letterhead.website].filter(Boolean).join('  |  '),
+        textLeft
+    );
+    if (letterhead.taxId) doc.text(`Tax ID: ${letterhead.taxId}`, textLeft);
+
+    doc.moveDown(0.5);
+    const lineY = Math.max(doc.y, top + 60);
+    doc.moveTo(left, lineY).lineTo(left + width, lineY)
+        .strokeColor(COLORS.primary).lineWidth(1.5).stroke();
+    doc.x = left;
+    doc.y = lineY + 15;
+    doc.fillColor('black');
+};
+
+/**
+ * Draw a two-column label/value table
+ * @param {PDFDocument} doc - PDF document
+ * @param {string} title - Section title
+ * @param {Array} rows - [label, value] pairs; rows with empty values are skipped
+ */
+const drawSection = (doc, title, rows) => {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const labelWidth = 160;
+
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.primary).text(title, left);
+    doc.moveDown(0.3);
+
+    rows
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .forEach(([label, value]) => {
+            const y = doc.y;
+            doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted)
+                .text(label, left, y, { width: labelWidth });
+            doc.fillColor('black')
+                .text(String(value), left + labelWidth, y, { width: width - labelWidth });
+            doc.y = Math.max(doc.y, y + 14);
+        });
+
+    doc.moveDown(0.8);
+};
+
+/**
+ * Build a payment receipt PDF
+ * The caller is responsible for piping the document and calling doc.end()
+ * @param {Object} receipt - Output of Payment#getReceiptData()
+ * @param {Object} [letterhead] - Institute details (defaults to config/institute)
+ * @returns {PDFDocument} PDF document
+ */
+const createReceiptPdf = (receipt, letterhead = institute) => {
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: {
+            Title: `Receipt ${receipt.receiptNumber}`,
+            Author: letterhead.name
+        }
+    });
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    drawLetterhead(doc, letterhead);
+
+    // Title
+    doc.font('Helvetica-Bold').fontSize(16).fillColor('black')
+        .text('PAYMENT RECEIPT', left, doc.y, { width, align: 'center' });
+    doc.moveDown(0.3);
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted)
+        .text(`Receipt No: ${receipt.receiptNumber}    Date: ${formatDate(receipt.paymentDate)}`,
+            { width, align: 'center' });
+    doc.moveDown(1.2);
+
+    if (receipt.status !== 'completed') {
+        doc.font('Helvetica-Bold').fontSize(11).fillColor('#b00020')
+            .text(`Status: ${toLabel(receipt.status)}`, left, doc.y, { width, align: 'center' });
+        doc.moveDown(1);
+    }
+
+    drawSection(doc, 'Received From', [
+        ['Student Name', receipt.student.name],
+        ['Student ID', receipt.student.id],
+        ['Phone', receipt.student.phone],
+        ['Email', receipt.student.email],
+        ['Course', receipt.enrollment
+            ? `${receipt.enrollment.course} (${receipt.enrollment.courseCode})`
+            : null],
+        ['Enrollment ID', receipt.enrollment?.enrollmentId]
+    ]);
+
+    // Amount box
+    const boxY = doc.y;
+    doc.rect(left, boxY, width, 58).strokeColor(COLORS.border).lineWidth(1).stroke();
+    doc.font('Helvetica-Bold').fontSize(14).fillColor('black')
+        .text(`Amount Received: ${formatAmount(receipt.amount)}`, left + 12, boxY + 10, { width: width - 24 });
+    doc.font('Helvetica-Oblique').fontSize(10).fillColor(COLORS.muted)
+        .text(amountToWords(receipt.amount), left + 12, boxY + 32, { width: width - 24 });
+    doc.x = left;
+    doc.y = boxY + 72;
+
+    drawSection(doc, 'Payment Details', [
+        ['Payment ID', receipt.paymentId],
+        ['Payment For', toLabel(receipt.paymentFor)],
+        ['Payment Mode', toLabel(receipt.paymentMode)],
+        ['Transaction ID', receipt.transactionDetails?.transactionId],
+        ['Bank', receipt.transactionDetails?.bankName],
+        ['Cheque Number', receipt.transactionDetails?.chequeNumber],
+        ['Card', receipt.transactionDetails?.cardLastFour
+            ? `**** **** **** ${receipt.transactionDetails.cardLastFour}`
+            : null],
+        ['UPI ID', receipt.transactionDetails?.upiId],
+        ['Bank Reference', receipt.transactionDetails?.bankReference],
+        ['Remarks', receipt.transactionDetails?.remarks]
+    ]);
+
+    if (receipt.installment) {
+        drawSection(doc, 'Installment', [
+            ['Installment', receipt.installment.total
+                ? `${receipt.installment.number} of ${receipt.installment.total}`
+                : receipt.installment.number],
+            ['Due Date', receipt.installment.dueDate ? formatDate(receipt.installment.dueDate) : null],
+            ['Installment Amount', receipt.installment.amount !== undefined
+                ? formatAmount(receipt.installment.amount)
+                : null]
+        ]);
+    }
+
+    if (receipt.feeSummary) {
+        drawSection(doc, 'Fee Summary', [
+            ['Total Fees', formatAmount(receipt.feeSummary.total)],
+            ['Total Paid', formatAmount(receipt.feeSummary.paid)],
+            ['Balance Due', formatAmount(receipt.feeSummary.pending)]
+        ]);
+    }
+
+    if (receipt.refundDetails?.amount) {
+        drawSection(doc, 'Refund', [
+            ['Refunded Amount', formatAmount(receipt.refundDetails.amount)],
+            ['Refund Date', receipt.refundDetails.refundDate ? formatDate(receipt.refundDetails.refundDate) : null],
+            ['Reason', receipt.refundDetails.reason]
+        ]);
+    }
+
+    // Signatures
+    doc.moveDown(2);
+    const signY = doc.y;
+    doc.font('Helvetica').fontSize(10).fillColor('black')
+        .text(`Received by: ${receipt.receivedBy}`, left, signY)
+        .text(`Verified by: ${receipt.verifiedBy}`, left, signY + 14);
+    doc.text(letterhead.signatory, left, signY + 14, { width, align: 'right' });
+    doc.moveTo(left + width - 150, signY + 10).lineTo(left + width, signY + 10)
+        .strokeColor(COLORS.border).stroke();
+
+    // Footer
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+        .text('This is a computer generated receipt.',
+            left, doc.page.height - doc.page.margins.bottom - 20, { width, align: 'center' });
+
+    return doc;
+};
+
+/**
+ * Build a course completion certificate PDF (A4 landscape)
+ * The caller is responsible for piping the document and calling doc.end()
+ * @param {Object} certificate - Certificate details
+ * @param {string} certificate.certificateId - Certificate ID
+ * @param {string} certificate.verificationCode - Verification code
+ * @param {string} certificate.verificationUrl - Public verification URL
+ * @param {string} certificate.studentName - Student full name
+ * @param {string} certificate.studentId - Student ID
+ * @param {string} certificate.courseName - Course name
+ * @param {string} [certificate.courseDuration] - Course duration label
+ * @param {string} [certificate.grade] - Final grade
+ * @param {Date} certificate.issuedDate - Issue date
+ * @param {Buffer} [certificate.qrImage] - PNG QR code pointing at the verification URL
+ * @param {Object} [letterhead] - Institute details (defaults to config/institute)
+ * @returns {PDFDocument} PDF document
+ */
+const createCertificatePdf = (certificate, letterhead = institute) => {
+    const doc = new PDFDocument({
+        size: 'A4',
+        layout: 'landscape',
+        margin: 40,
+        info: {
+            Title: `Certificate ${certificate.certificateId}`,
+            Author: letterhead.name
+        }
+    });
+
+    const { width: pageWidth, height: pageHeight } = doc.page;
+    const left = doc.page.margins.left;
+    const width = pageWidth - doc.page.margins.left - doc.page.margins.right;
+
+    // Borders
+    doc.rect(20, 20, pageWidth - 40, pageHeight - 40).lineWidth(3).strokeColor(COLORS.primary).stroke();
+    doc.rect(28, 28, pageWidth - 56, pageHeight - 56).lineWidth(0.75).strokeColor(COLORS.primary).stroke();
+
+    if (letterhead.logoPath && fs.existsSync(letterhead.logoPath)) {
+        doc.image(letterhead.logoPath, pageWidth / 2 - 30, 50, { fit: [60, 60] });
+        doc.y = 115;
+    } else {
+        doc.y = 60;
+    }
+
+    doc.font('Helvetica-Bold').fontSize(20).fillColor(COLORS.primary)
+        .text(letterhead.name, left, doc.y, { width, align: 'center' });
+    if (letterhead.tagline) {
+        doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted)
+            .text(letterhead.tagline, { width, align: 'center' });
+    }
+
+    doc.moveDown(1.2);
+    doc.font('Helvetica-Bold').fontSize(30).fillColor('black')
+        .text('CERTIFICATE OF COMPLETION', left, doc.y, { width, align: 'center', characterSpacing: 2 });
+
+    doc.moveDown(1);
+    doc.font('Helvetica').fontSize(13).fillColor(COLORS.muted)
+        .text('This is to certify that', { width, align: 'center' });
+
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(26).fillColor(COLORS.primary)
+        .text(certificate.studentName, { width, align: 'center' });
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted)
+        .text(`Student ID: ${certificate.studentId}`, { width, align: 'center' });
+
+    doc.moveDown(0.8);
+    doc.font('Helvetica').fontSize(13).fillColor(COLORS.muted)
+        .text('has successfully completed the course', { width, align: 'center' });
+
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('black')
+        .text(certificate.courseName, { width, align: 'center' });
+
+    const details = [
+        certificate.courseDuration ? `Duration: ${certificate.courseDuration}` : null,
+        certificate.grade ? `Grade: ${certificate.grade}` : null,
+        `Issued on ${formatDate(certificate.issuedDate)}`
+    ].filter(Boolean).join('     |     ');
+
+    doc.moveDown(0.6);
+    doc.font('Helvetica').fontSize(12).fillColor('black')
+        .text(details, { width, align: 'center' });
+
+    // Footer: verification block on the left, signature on the right
+    const footerY = pageHeight - 150;
+    let verifyLeft = left + 20;
+
+    if (certificate.qrImage) {
+        doc.image(certificate.qrImage, verifyLeft, footerY, { fit: [90, 90] });
+        verifyLeft += 100;
+    }
+
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+        .text(`Certificate ID: ${certificate.certificateId}`, verifyLeft, footerY + 20, { width: 300 })
+        .text(`Verification Code: ${certificate.verificationCode}`, verifyLeft, doc.y, { width: 300 })
+        .text(`Verify at: ${certificate.verificationUrl}`, verifyLeft, doc.y, { width: 300 });
+
+    const signLeft = left + width - 200;
+    doc.moveTo(signLeft, footerY + 55).lineTo(signLeft + 180, footerY + 55)
+        .lineWidth(0.75).strokeColor(COLORS.border).stroke();
+    doc.font('Helvetica').fontSize(11).fillColor('black')
+        .text(letterhead.signatory, signLeft, footerY + 62, { width: 180, align: 'center' });
+
+    return doc;
+};
+
+module.exports = {
+    formatAmount,
+    toLabel,
+    drawLetterhead,
+    drawSection,
+    createReceiptPdf,
+    createCertificatePdf
+};
@@ -1,3 +1,15 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { ROLES, PERMISSION_MODULE, PERMISSION_ACTION } = require('./constants');
+
+const MODULES = Object.values(PERMISSION_MODULE);
+const ACTIONS = Object.values(PERMISSION_ACTION);
+
+// Role templates are cached briefly; role changes in this process clear the cache at once
+const ROLE_CACHE_MS = 60 * 1000;
+const roleCache = new Map();
+
+// Built-in templates, used to seed the Role collection and when a role has no document
 const defaultPermissions = [
     { module: 'dashboard', canView: true, canCreate: false, canEdit: false, canDelete: false },
     { module: 'leads', canView: true, canCreate: true, canEdit: true, canDelete: false },
@@ -49,7 +61,200 @@ const getPermissionsByRole = (role) => {
     return defaultPermissions;
 };
 
+/**
+ * Full grant list with every module, dropping unknown modules
+ * @param {Array} permissions - Grants ({ module, canView, ... })
+ * @returns {Array} One grant per module
+ */
+const normalizePermissions = (permissions = []) => {
+    return MODULES.map(module => {
+        const grant = permissions.find(p => p.module === module) || {};
+        return ACTIONS.reduce((result, action) => ({ ...result, [action]: !!grant[action] }), { module });
+    });
+};
+
+/**
+ * Apply per-user overrides to a role template
+ * @param {Array} template - Role grants
+ * @param {Array} overrides - Overrides; actions left unset follow the template
+ * @returns {Array} Effective grants
+ */
+const mergePermissions = (template = [], overrides = []) => {
+    return normalizePermissions(template).map(grant => {
+        const override = overrides.find(o => o.module === grant.module);
+        if (!override) return grant;
+
+        return ACTIONS.reduce((result, action) => ({
+            ...result,
+            [action]: typeof override[action] === 'boolean' ? override[action] : grant[action]
+        }), { module: grant.module });
+    });
+};
+
+/**
+ * Overrides needed to turn a role template into the given grants
+ * @param {Array} template - Role grants
+ * @param {Array} permissions - Wanted grants
+ * @returns {Array} Overrides (only differing actions)
+ */
+const diffPermissions = (template = [], permissions = []) => {
+    const base = normalizePermissions(template);
+
+    return normalizePermissions(permissions)
+        .map(grant => {
+            const baseGrant = base.find(b => b.module === grant.module);
+            const changed = ACTIONS.filter(action => grant[action] !== baseGrant[action]);
+            return changed.reduce((result, action) => ({ ...result, [action]: grant[action] }), { module: grant.module });
+        })
+        .filter(override => Object.keys(override).length > 1);
+};
+
+const clearRoleCache = () => roleCache.clear();
+
+/**
+ * Permission template for a user's role
+ * Custom roles that were removed fall back to the built-in base role.
+ * @param {Object} user - User ({ role, customRole })
+ * @returns {Promise<Array>} Role grants
+ */
+const getRoleTemplate = async (user) => {
+    const customRoleId = user.customRole?._id || user.customRole;
+    const key = customRoleId ? `custom:${customRoleId}` : `system:${user.role}`;
+
+    const cached = roleCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.permissions;
+
+    let role = customRoleId ? await Role.findById(customRoleId).lean() : null;
+    if (!role) role = await Role.findOne({ name: user.role, isSystem: true }).lean();
+
+    const permissions = role ? role.permissions : getPermissionsByRole(user.role);
+    roleCache.set(key, { permissions, expiresAt: Date.now() + ROLE_CACHE_MS });
+
+    return permissions;
+};
+
+/**
+ * Effective permissions for a user: role template plus the user's overrides
+ * This is the only place access rights are worked out; hasPermission and the
+ * stored User.permissions both come from here.
+ * @param {Object} user - User ({ role, customRole, permissionOverrides })
+ * @returns {Promise<Array>} Effective grants
+ */
+const resolvePermissions = async (user) => {
+    if (user.role === ROLES.ADMIN) {
+        return MODULES.map(module => ACTIONS.reduce((result, action) => ({ ...result, [action]: true }), { module }));
+    }
+
+    return mergePermissions(await getRoleTemplate(user), user.permissionOverrides || []);
+};
+
+/**
+ * Check one action in a resolved grant list
+ * @param {Array} permissions - Output of resolvePermissions()
+ * @param {string} module - Module name
+ * @param {string} action - canView, canCreate, canEdit or canDelete
+ * @returns {boolean} True when allowed
+ */
+const can = (permissions, module, action) => {
+    return !!permissions.find(p => p.module === module)?.[action];
+};
+
+/**
+ * Refresh the stored permissions of a user document (saved by the caller)
+ * @param {Object} user - User document
+ * @returns {Promise<Array>} Effective grants
+ */
+const syncUserPermissions = async (user) => {
+    user.permissions = await resolvePermissions(user);
+    return user.permissions;
+};
+
+/**
+ * Re-sync the stored permissions of every user of a role after its template changed
+ * @param {Object} role - Role document
+ * @returns {Promise<number>} Number of users updated
+ */
+const resyncRoleUsers = async (role) => {
+    clearRoleCache();
+
+    const filter = role.isSystem
+        ? { role: role.name, customRole: null }
+        : { customRole: role._id };
+
+    const cursor = User.find(filter).select('role customRole permissionOverrides').cursor();
+    let updated = 0;
+
+    for (let user = await cursor.next(); user; user = await cursor.next()) {
+        // Users of a custom role follow its base role for route access
+        if (!role.isSystem) user.role = role.baseRole;
+
+        await User.auditedUpdateOne(
+            { _id: user._id },
+            { $set: { role: user.role, permissions: await resolvePermissions(user) } },
+            { event: 'user.role-resync', reason: `Role ${role.name} changed` }
+        );
+        updated++;
+    }
+
+    return updated;
+};
+
+/**
+ * Create the built-in roles that do not have a document yet
+ * @returns {Promise<number>} Number of roles created
+ */
+const seedSystemRoles = async () => {
+    let created = 0;
+
+    for (const name of Object.values(ROLES)) {
+        const result = await Role.updateOne(
+            { name },
+            {
+                $setOnInsert: {
+                    name,
+                    displayName: name.charAt(0).toUpperCase() + name.slice(1),
+                    baseRole: name,
+                    isSystem: true,
+                    permissions: normalizePermissions(getPermissionsByRole(name))
+                }
+            },
+            { upsert: true }
+        );
+        created += result.upsertedCount;
+    }
+
+    clearRoleCache();
+    return created;
+};
+
+/**
+ * Look up a role name that can be assigned to a user
+ * @param {string} name - Built-in or custom role name
+ * @returns {Promise<Object|null>} { role, customRole } for the user, or null if unknown
+ */
+const findAssignableRole = async (name) => {
+    const roleName = String(name || '').toLowerCase().trim();
+    const role = await Role.findOne({ name: roleName }).select('name baseRole isSystem').lean();
+
+    if (role) {
+        return { role: role.baseRole, customRole: role.isSystem ? undefined : role._id, name: role.name };
+    }
+
+    return Object.values(ROLES).includes(roleName) ? { role: roleName, customRole: undefined, name: roleName } : null;
+};
+
 module.exports = {
     defaultPermissions,
-    getPermissionsByRole
-};
\ No newline at end of file
+    getPermissionsByRole,
+    normalizePermissions,
+    mergePermissions,
+    diffPermissions,
+    clearRoleCache,
+    getRoleTemplate,
+    resolvePermissions,
+    can,
+    syncUserPermissions,
+    resyncRoleUsers,
+    seedSystemRoles,
+    findAssignableRole
+};
@@ -0,0 +1,381 @@
+const mongoose = require('mongoose');
+const {
+    parseTime,
+    formatTime,
+    resolveScheduleTimes,
+    expandWeeklySchedule,
+    toDateKey
+} = require('./scheduleHelpers');
+
+// Batches without an end date are checked this far ahead
+const OPEN_ENDED_HORIZON_DAYS = 180;
+
+const idString = (id) => (id && id._id ? id._id : id)?.toString();
+
+/**
+ * Expand a batch-style weekly schedule into concrete slots
+ * @param {Object} schedule - { days, time, duration }
+ * @param {Date} startDate - Batch start date
+ * @param {Date} [endDate] - Batch end date
+ * @param {Date} [from] - Clamp start
+ * @param {Date} [to] - Clamp end
+ * @returns {Array} Slots { dateKey, start, end } (minutes since midnight)
+ */
+const expandBatchSlots = (schedule, startDate, endDate, from, to) => {
+    if (!schedule?.days?.length || !startDate) return [];
+
+    const times = resolveScheduleTimes(schedule.time, schedule.duration);
+    if (!times) return [];
+
+    let rangeStart = new Date(startDate);
+    let rangeEnd = endDate
+        ? new Date(endDate)
+        : new Date(rangeStart.getTime() + OPEN_ENDED_HORIZON_DAYS * 24 * 60 * 60 * 1000);
+
+    if (from && from > rangeStart) rangeStart = new Date(from);
+    if (to && to < rangeEnd) rangeEnd = new Date(to);
+    if (rangeEnd < rangeStart) return [];
+
+    const start = parseTime(times.startTime);
+    const end = parseTime(times.endTime);
+
+    return expandWeeklySchedule({ days: schedule.days, from: rangeStart, to: rangeEnd })
+        .map(date => ({ dateKey: toDateKey(date), start, end }));
+};
+
+/**
+ * Load every booked slot for the given instructors/classroom in a date range
+ * Batches that already have Session documents in the range are represented by
+ * those sessions rather than by their weekly schedule.
+ * @param {Object} options - Lookup options
+ * @param {Array} [options.instructors] - User IDs
+ * @param {string} [options.classroom] - Classroom name
+ * @param {Date} options.from - Range start
+ * @param {Date} options.to - Range end
+ * @param {string} [options.excludeBatch] - Ignore everything belonging to this batch
+ * @param {string} [options.excludeBatchSchedule] - Ignore only this batch's weekly schedule
+ * @param {string} [options.excludeSession] - Ignore this session
+ * @returns {Promise<Array>} Booked slots
+ */
+const getBookedSlots = async ({
+    instructors = [],
+    classroom,
+    from,
+    to,
+    excludeBatch,
+    excludeBatchSchedule,
+    excludeSession
+}) => {
+    const Batch = mongoose.model('Batch');
+    const Session = mongoose.model('Session');
+
+    const instructorIds = instructors.filter(Boolean).map(idString);
+    if (!instructorIds.length && !classroom) return [];
+
+    const classroomRegex = classroom
+        ? new RegExp(`^${classroom.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i')
+        : null;
+
+    const resourceMatch = (instructorField, assistantField, classroomField) => {
+        const conditions = [];
+        if (instructorIds.length) {
+            conditions.push({ [instructorField]: { $in: instructorIds } });
+            if (assistantField) conditions.push({ [assistantField]: { $in: instructorIds } });
+        }
+        if (classroomRegex) conditions.push({ [classroomField]: classroomRegex });
+        return conditions;
+    };
+
+    const dayStart = new Date(`${toDateKey(from)}T00:00:00.000Z`);
+    const dayEnd = new Date(`${toDateKey(to)}T23:59:59.999Z`);
+
+    const sessionQuery = {
+        date: { $gte: dayStart, $lte: dayEnd },
+        status: { $ne: 'cancelled' },
+        $or: resourceMatch('instructor', 'assistantInstructors', 'classroom')
+    };
+    if (excludeBatch) sessionQuery.batch = { $ne: excludeBatch };
+    if (excludeSession) sessionQuery._id = { $ne: excludeSession };
+
+    const batchQuery = {
+        status: { $in: ['upcoming', 'ongoing'] },
+        startDate: { $lte: dayEnd },
+        $and: [
+            { $or: [{ endDate: { $gte: dayStart } }, { endDate: null }] },
+            { $or: [
+                ...resourceMatch('instructor', 'assistantInstructors', 'schedule.classroom'),
+                ...(instructorIds.length ? [{ 'sessions.instructor': { $in: instructorIds } }] : [])
+            ] }
+        ]
+    };
+    if (excludeBatch) batchQuery._id = { $ne: excludeBatch };
+
+    const [sessions, batches] = await Promise.all([
+        Session.find(sessionQuery)
+            .select('sessionId batch date startTime endTime instructor assistantInstructors classroom topic')
+            .lean(),
+        Batch.find(batchQuery)
+            .select('batchId name startDate endDate schedule instructor assistantInstructors sessions')
+            .lean()
+    ]);
+
+    const slots = [];
+    const batchesWithSessions = new Set(sessions.map(s => idString(s.batch)));
+
+    sessions.forEach(session => {
+        const start = parseTime(session.startTime);
+        const end = parseTime(session.endTime);
+        if (start === null || end === null) return;
+
+        slots.push({
+            dateKey: toDateKey(session.date),
+            start,
+            end,
+            instructors: [session.instructor, ...(session.assistantInstructors || [])].map(idString),
+            classroom: session.classroom,
+            source: {
+                type: 'session',
+                id: session._id,
+                code: session.sessionId,
+                name: session.topic
+            }
+        });
+    });
+
+    batches.forEach(batch => {
+        const batchInstructors = [batch.instructor, ...(batch.assistantInstructors || [])].map(idString);
+        const source = {
+            type: 'batch',
+            id: batch._id,
+            code: batch.batchId,
+            name: batch.name
+        };
+
+        const representedBySessions = batchesWithSessions.has(idString(batch._id));
+        const scheduleExcluded = excludeBatchSchedule && idString(batch._id) === idString(excludeBatchSchedule);
+
+        if (!representedBySessions && !scheduleExcluded) {
+            expandBatchSlots(batch.schedule, batch.startDate, batch.endDate, dayStart, dayEnd)
+                .forEach(slot => slots.push({
+                    ...slot,
+                    instructors: batchInstructors,
+                    classroom: batch.schedule?.classroom,
+                    source
+                }));
+        }
+
+        // Legacy sessions embedded in the batch document
+        (batch.sessions || []).forEach(session => {
+            if (!session.date || session.status === 'cancelled') return;
+            if (session.date < dayStart || session.date > dayEnd) return;
+
+            const start = parseTime(session.startTime);
+            const end = parseTime(session.endTime);
+            if (start === null || end === null) return;
+
+            slots.push({
+                dateKey: toDateKey(session.date),
+                start,
+                end,
+                instructors: [idString(session.instructor || batch.instructor)],
+                classroom: batch.schedule?.classroom,
+                source: { ...source, type: 'batch_session', sessionId: session._id }
+            });
+        });
+    });
+
+    return slots;
+};
+
+/**
+ * Check candidate slots against existing bookings
+ * @param {Object} candidate - Candidate booking
+ * @param {Array} candidate.slots - Slots { dateKey, start, end }
+ * @param {Array} [candidate.instructors] - User IDs that would be booked
+ * @param {string} [candidate.classroom] - Classroom that would be booked
+ * @param {Object} [exclusions] - excludeBatch / excludeBatchSchedule / excludeSession
+ * @returns {Promise<Array>} Conflicts
+ */
+const findConflicts = async ({ slots, instructors = [], classroom }, exclusions = {}) => {
+    if (!slots.length) return [];
+
+    const instructorIds = instructors.filter(Boolean).map(idString);
+    const dateKeys = slots.map(s => s.dateKey).sort();
+
+    const booked = await getBookedSlots({
+        instructors: instructorIds,
+        classroom,
+        from: new Date(dateKeys[0]),
+        to: new Date(dateKeys[dateKeys.length - 1]),
+        ...exclusions
+    });
+
+    const bookedByDate = {};
+    booked.forEach(slot => {
+        (bookedByDate[slot.dateKey] = bookedByDate[slot.dateKey] || []).push(slot);
+    });
+
+    const conflicts = [];
+
+    slots.forEach(slot => {
+        (bookedByDate[slot.dateKey] || []).forEach(existing => {
+            if (!(slot.start < existing.end && existing.start < slot.end)) return;
+
+            const overlapping = {
+                date: slot.dateKey,
+                startTime: formatTime(Math.max(slot.start, existing.start)),
+                endTime: formatTime(Math.min(slot.end, existing.end)),
+                conflictingWith: existing.source
+            };
+
+            instructorIds
+                .filter(id => existing.instructors.includes(id))
+                .forEach(id => conflicts.push({ ...overlapping, resourceType: 'instructor', resource: id }));
+
+            if (classroom && existing.classroom &&
+                existing.classroom.trim().toLowerCase() === classroom.trim().toLowerCase()) {
+                conflicts.push({ ...overlapping, resourceType: 'classroom', resource: existing.classroom });
+            }
+        });
+    });
+
+    return conflicts;
+};
+
+/**
+ * Check a batch's weekly schedule for conflicts
+ * @param {Object} batch - Batch data (schedule, startDate, endDate, instructor, assistantInstructors)
+ * @returns {Promise<Array>} Conflicts
+ */
+const findBatchConflicts = (batch) => {
+    return findConflicts({
+        slots: expandBatchSlots(batch.schedule, batch.startDate, batch.endDate),
+        instructors: [batch.instructor, ...(batch.assistantInstructors || [])],
+        classroom: batch.schedule?.classroom
+    }, { excludeBatch: batch._id });
+};
+
+/**
+ * Check a single dated session for conflicts
+ * @param {Object} session - { date, startTime, endTime, instructor, assistantInstructors, classroom }
+ * @param {Object} [exclusions] - excludeBatch / excludeBatchSchedule / excludeSession
+ * @returns {Promise<Array>} Conflicts
+ */
+const findSessionConflicts = (session, exclusions = {}) => {
+    const start = parseTime(session.startTime);
+    const end = parseTime(session.endTime);
+    if (!session.date || start === null || end === null) return Promise.resolve([]);
+
+    return findConflicts({
+        slots: [{ dateKey: toDateKey(session.date), start, end }],
+        instructors: [session.instructor, ...(session.assistantInstructors || [])],
+        classroom: session.classroom
+    }, exclusions);
+};
+
+/**
+ * Check sessions about to be generated from a batch's timetable
+ * The batch's own sessions and timetable are not conflicts: they are what is being generated.
+ * @param {Object} batch - Batch (instructor, assistantInstructors, schedule.classroom)
+ * @param {Array} dates - Dates of the new sessions
+ * @param {Object} times - { startTime, endTime }
+ * @returns {Promise<Array>} Conflicts
+ */
+const findGeneratedSessionConflicts = (batch, dates, times) => {
+    const start = parseTime(times.startTime);
+    const end = parseTime(times.endTime);
+
+    return findConflicts({
+        slots: dates.map(date => ({ dateKey: toDateKey(date), start, end })),
+        instructors: [batch.instructor, ...(batch.assistantInstructors || [])],
+        classroom: batch.schedule?.classroom
+    }, { excludeBatch: batch._id });
+};
+
+/**
+ * List free time slots for an instructor or classroom
+ * @param {Object} options - Availability options
+ * @param {string} [options.instructor] - User ID
+ * @param {string} [options.classroom] - Classroom name
+ * @param {Date} options.from - Range start
+ * @param {Date} options.to - Range end
+ * @param {string} [options.dayStart] - Working day start ("HH:mm")
+ * @param {string} [options.dayEnd] - Working day end ("HH:mm")
+ * @param {number} [options.minDuration] - Minimum free slot length in minutes
+ * @returns {Promise<Array>} Days with free and busy slots
+ */
+const findFreeSlots = async ({
+    instructor,
+    classroom,
+    from,
+    to,
+    dayStart = '08:00',
+    dayEnd = '20:00',
+    minDuration = 60
+}) => {
+    const open = parseTime(dayStart);
+    const close = parseTime(dayEnd);
+
+    const booked = await getBookedSlots({
+        instructors: instructor ? [instructor] : [],
+        classroom,
+        from,
+        to
+    });
+
+    const relevant = booked.filter(slot =>
+        (instructor && slot.instructors.includes(idString(instructor))) ||
+        (classroom && slot.classroom &&
+            slot.classroom.trim().toLowerCase() === classroom.trim().toLowerCase())
+    );
+
+    const days = [];
+    const allDates = expandWeeklySchedule({
+        days: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+        from,
+        to
+    });
+
+    allDates.forEach(date => {
+        const dateKey = toDateKey(date);
+        const busy = relevant
+            .filter(slot => slot.dateKey === dateKey && slot.end > open && slot.start < close)
+            .sort((a, b) => a.start - b.start);
+
+        const free = [];
+        let cursor = open;
+
+        busy.forEach(slot => {
+            if (slot.start - cursor >= minDuration) {
+                free.push({ startTime: formatTime(cursor), endTime: formatTime(slot.start) });
+            }
+            cursor = Math.max(cursor, slot.end);
+        });
+
+        if (close - cursor >= minDuration) {
+            free.push({ startTime: formatTime(cursor), endTime: formatTime(close) });
+        }
+
+        days.push({
+            date: dateKey,
+            free,
+            busy: busy.map(slot => ({
+                startTime: formatTime(slot.start),
+                endTime: formatTime(slot.end),
+                source: slot.source
+            }))
+        });
+    });
+
+    return days;
+};
+
+module.exports = {
+    expandBatchSlots,
+    getBookedSlots,
+    findConflicts,
+    findBatchConflicts,
+    findSessionConflicts,
+    findGeneratedSessionConflicts,
+    findFreeSlots
+};
@@ -0,0 +1,144 @@
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Parse a clock time into minutes since midnight
+ * Accepts "14:30", "2:30 PM", "2 PM" and similar
+ * @param {string} value - Time string
+ * @returns {number|null} Minutes since midnight, or null if unparseable
+ */
+const parseTime = (value) => {
+    if (!value || typeof value !== 'string') return null;
+
+    const match = value.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+    if (!match) return null;
+
+    let hours = parseInt(match[1]);
+    const minutes = match[2] ? parseInt(match[2]) : 0;
+    const meridiem = match[3] ? match[3].toLowerCase() : null;
+
+    if (minutes > 59) return null;
+
+    if (meridiem) {
+        if (hours < 1 || hours > 12) return null;
+        if (meridiem === 'pm' && hours !== 12) hours += 12;
+        if (meridiem === 'am' && hours === 12) hours = 0;
+    } else if (hours > 23) {
+        return null;
+    }
+
+    return hours * 60 + minutes;
+};
+
+/**
+ * Format minutes since midnight as a 24-hour "HH:mm" string
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} Formatted time
+ */
+const formatTime = (minutes) => {
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+};
+
+/**
+ * Parse a free-text duration into minutes
+ * Accepts "2 hours", "90 minutes", "1.5 hrs", "2h 30m" and similar
+ * @param {string} value - Duration string
+ * @returns {number|null} Duration in minutes, or null if unparseable
+ */
+const parseDuration = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') return value;
+
+    const regex = /(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|m)\b/gi;
+    let total = 0;
+    let matched = false;
+    let match;
+
+    while ((match = regex.exec(value)) !== null) {
+        matched = true;
+        const amount = parseFloat(match[1]);
+        total += match[2].toLowerCase().startsWith('h') ? amount * 60 : amount;
+    }
+
+    if (!matched && /^\d+$/.test(String(value).trim())) {
+        return parseInt(value);
+    }
+
+    return matched ? Math.round(total) : null;
+};
+
+/**
+ * Resolve a batch schedule's time and duration into start/end times
+ * Supports ranges such as "10:00 AM - 2:00 PM" or a start time plus duration
+ * @param {string} time - Schedule time string
+ * @param {string} duration - Schedule duration string
+ * @returns {Object|null} { startTime, endTime } in "HH:mm", or null if unparseable
+ */
+const resolveScheduleTimes = (time, duration) => {
+    if (!time) return null;
+
+    const [startPart, endPart] = time.split(/\s*(?:-|–|to)\s*/i);
+    const start = parseTime(startPart);
+    if (start === null) return null;
+
+    let end = endPart ? parseTime(endPart) : null;
+
+    if (end === null) {
+        const minutes = parseDuration(duration);
+        if (!minutes) return null;
+        end = start + minutes;
+    }
+
+    if (end <= start || end > 24 * 60) return null;
+
+    return {
+        startTime: formatTime(start),
+        endTime: formatTime(end)
+    };
+};
+
+/**
+ * Get a UTC date key (YYYY-MM-DD) for a date
+ * @param {Date|string} date - Date to convert
+ * @returns {string} Date key
+ */
+const toDateKey = (date) => {
+    return new Date(date).toISOString().split('T')[0];
+};
+
+/**
+ * Expand a weekly schedule into concrete dates
+ * @param {Object} options - Expansion options
+ * @param {Array} options.days - Weekday names (e.g. ['monday', 'wednesday'])
+ * @param {Date} options.from - First date (inclusive)
+ * @param {Date} options.to - Last date (inclusive)
+ * @param {Function} [options.isSkipped] - Returns true for dates to skip
+ * @returns {Array<Date>} Dates at UTC midnight
+ */
+const expandWeeklySchedule = ({ days, from, to, isSkipped = () => false }) => {
+    const wanted = new Set((days || []).map(d => d.toLowerCase()));
+    const dates = [];
+
+    const cursor = new Date(`${toDateKey(from)}T00:00:00.000Z`);
+    const last = new Date(`${toDateKey(to)}T00:00:00.000Z`);
+
+    while (cursor <= last) {
+        if (wanted.has(DAY_NAMES[cursor.getUTCDay()]) && !isSkipped(cursor)) {
+            dates.push(new Date(cursor));
+        }
+        cursor.setUTCDate(cursor.getUTCDate() + 1);
+    }
+
+    return dates;
+};
+
+module.exports = {
+    DAY_NAMES,
+    parseTime,
+    formatTime,
+    parseDuration,
+    resolveScheduleTimes,
+    toDateKey,
+    expandWeeklySchedule
+};
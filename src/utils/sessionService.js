@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const UserSession = require('../models/UserSession');
+const authConfig = require('../config/auth');
+
+const DURATION_UNITS = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Convert a duration such as '15m', '12h' or '30d' to milliseconds
+ * Plain numbers are read as seconds, like jsonwebtoken's expiresIn.
+ * @param {string|number} value - Duration
+ * @returns {number} Milliseconds
+ */
+const parseDuration = (value) => {
+    const match = String(value).trim().match(/^(\d+)\s*([smhd]?)$/i);
+    if (!match) throw new Error(`Invalid duration: ${value}`);
+    return Number(match[1]) * DURATION_UNITS[(match[2] || 's').toLowerCase()];
+};
+
+/**
+ * Hash a refresh token secret for storage
+ * @param {string} secret - Token secret
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Short device label from a user agent, e.g. "Chrome on Windows"
+ * @param {string} userAgent - User agent header
+ * @returns {string} Device name
+ */
+const describeDevice = (userAgent = '') => {
+    const browsers = [
+        ['Edge', /Edg\//],
+        ['Opera', /OPR\//],
+        ['Chrome', /Chrome\//],
+        ['Firefox', /Firefox\//],
+        ['Safari', /Safari\//],
+        ['Postman', /PostmanRuntime/],
+        ['curl', /curl\//]
+    ];
+    const systems = [
+        ['Android', /Android/],
+        ['iOS', /iPhone|iPad/],
+        ['Windows', /Windows/],
+        ['macOS', /Mac OS X/],
+        ['Linux', /Linux/]
+    ];
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+    const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !system) return 'Unknown device';
+    return [browser?.[0] || 'Browser', system && `on ${system[0]}`].filter(Boolean).join(' ');
+};
+
+/**
+ * Sign a short-lived access token for a session
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {string} JWT
+ */
+const generateAccessToken = (userId, sessionId) => {
+    return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: authConfig.accessTokenExpire
+    });
+};
+
+/**
+ * Sign the short-lived token that links the password and 2FA steps of login
+ * @param {string} userId - User ID
+ * @param {string} purpose - 'mfa' (enter a code) or 'mfa-setup' (enrol first)
+ * @returns {string} JWT
+ */
+const generateMfaToken = (userId, purpose) => {
+    return jwt.sign({ id: userId, purpose }, process.env.JWT_SECRET, {
+        expiresIn: authConfig.mfa.tokenExpire
+    });
+};
+
+const buildTokens = (session, secret) => ({
+    accessToken: generateAccessToken(session.user, session._id),
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: Math.floor(parseDuration(authConfig.accessTokenExpire) / 1000),
+    refreshExpiresAt: session.expiresAt
+});
+
+/**
+ * Revoke active sessions
+ * @param {Object} filter - Session filter (e.g. { user })
+ * @param {Object} options - { reason, revokedBy }
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeSessions = async (filter, { reason, revokedBy } = {}) => {
+    const result = await UserSession.updateMany(
+        { ...filter, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Start a new session for a user
+ * Once the user has more sessions than allowed, the least recently used are revoked.
+ * @param {Object} user - User
+ * @param {Object} req - Express request (device details)
+ * @returns {Promise<Object>} { session, accessToken, refreshToken, expiresIn, refreshExpiresAt }
+ */
+const createSession = async (user, req) => {
+    const secret = crypto.randomBytes(40).toString('hex');
+    const userAgent = req.get('user-agent') || '';
+
+    const session = await UserSession.create({
+        user: user._id,
+        refreshTokenHash: hashToken(secret),
+        device: {
+            name: describeDevice(userAgent),
+            userAgent,
+            ip: req.ip
+        },
+        expiresAt: new Date(Date.now() + parseDuration(authConfig.refreshTokenExpire))
+    });
+
+    if (authConfig.maxSessionsPerUser > 0) {
+        const stale = await UserSession.find({
+            user: user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        })
+            .sort({ lastUsedAt: -1 })
+            .skip(authConfig.maxSessionsPerUser)
+            .select('_id');
+
+        if (stale.length) {
+            await revokeSessions({ _id: { $in: stale.map(s => s._id) } }, { reason: 'session-limit' });
+        }
+    }
+
+    return { session, ...buildTokens(session, secret) };
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * A refresh token that was already rotated means it was copied, so the whole
+ * session is revoked and both holders have to log in again.
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request (device details)
+ * @returns {Promise<Object>} { session, ...tokens } or { error } ('invalid', 'expired', 'revoked', 'reused')
+ */
+const rotateSession = async (refreshToken, req) => {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret || !/^[0-9a-f]{24}$/i.test(sessionId)) return { error: 'invalid' };
+
+    const nextSecret = crypto.randomBytes(40).toString('hex');
+    const now = new Date();
+
+    const session = await UserSession.findOneAndUpdate(
+        {
+            _id: sessionId,
+            refreshTokenHash: hashToken(secret),
+            revokedAt: null,
+            expiresAt: { $gt: now }
+        },
+        {
+            $set: {
+                refreshTokenHash: hashToken(nextSecret),
+                lastUsedAt: now,
+                'device.ip': req.ip
+            },
+            $inc: { rotations: 1 }
+        },
+        { new: true }
+    );
+
+    if (session) return { session, ...buildTokens(session, nextSecret) };
+
+    const existing = await UserSession.findById(sessionId);
+    if (!existing) return { error: 'invalid' };
+    if (existing.revokedAt) return { error: 'revoked', session: existing };
+    if (existing.expiresAt <= now) return { error: 'expired', session: existing };
+
+    await revokeSessions({ _id: existing._id }, { reason: 'token-reuse' });
+    return { error: 'reused', session: existing };
+};
+
+/**
+ * Set the access token cookie
+ * @param {Object} res - Express response
+ * @param {string} accessToken - Access token
+ */
+const setAccessCookie = (res, accessToken) => {
+    res.cookie('token', accessToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: parseDuration(authConfig.accessTokenExpire)
+    });
+};
+
+/**
+ * Set the access and refresh token cookies
+ * @param {Object} res - Express response
+ * @param {Object} tokens - { accessToken, refreshToken }
+ */
+const setAuthCookies = (res, { accessToken, refreshToken }) => {
+    setAccessCookie(res, accessToken);
+    res.cookie('refreshToken', refreshToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        path: '/api/auth',
+        maxAge: parseDuration(authConfig.refreshTokenExpire)
+    });
+};
+
+/**
+ * Clear the access and refresh token cookies
+ * @param {Object} res - Express response
+ */
+const clearAuthCookies = (res) => {
+    res.clearCookie('token');
+    res.clearCookie('refreshToken', { path: '/api/auth' });
+};
+
+/**
+ * Shape a session for API responses
+ * @param {Object} session - UserSession
+ * @param {string} [currentSessionId] - Session of the request
+ * @returns {Object} Session summary
+ */
+const formatSession = (session, currentSessionId) => ({
+    id: session._id,
+    device: session.device?.name,
+    userAgent: session.device?.userAgent,
+    ip: session.device?.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: !!currentSessionId && session._id.toString() === currentSessionId.toString()
+});
+
+module.exports = {
+    parseDuration,
+    describeDevice,
+    generateAccessToken,
+    generateMfaToken,
+    createSession,
+    rotateSession,
+    revokeSessions,
+    setAccessCookie,
+    setAuthCookies,
+    clearAuthCookies,
+    formatSession
+};
@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const trashConfig = require('../config/trash');
+const { annotateAudit } = require('./auditTrail');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Query middleware that hides trashed records
+const QUERY_HOOKS = [
+    'find',
+    'findOne',
+    'countDocuments',
+    'distinct',
+    'findOneAndUpdate',
+    'updateOne',
+    'updateMany'
+];
+
+/**
+ * Whether a filter already says which deletion state it wants
+ * Looks through $and/$or so scoped queries (applyScope) are recognised too.
+ * @param {Object} filter - Mongo filter
+ * @returns {boolean} True when deletedAt is part of the filter
+ */
+const filtersDeleted = (filter = {}) => {
+    if (Object.prototype.hasOwnProperty.call(filter, 'deletedAt')) return true;
+    return [...(filter.$and || []), ...(filter.$or || [])].some(filtersDeleted);
+};
+
+// Set only by softDelete/restore; update handlers never copy them from a request body
+const SOFT_DELETE_FIELDS = ['deletedAt', 'deletedBy', 'deletedWith'];
+
+// Filter for records in the trash (deleted directly, not along with a parent)
+const TRASH_FILTER = { deletedAt: { $ne: null }, deletedWith: null };
+
+/**
+ * When a trashed record is due to be purged
+ * @param {Date} deletedAt - Time the record was trashed
+ * @returns {Date|null} Purge date, or null when the trash is kept forever
+ */
+const getPurgeDate = (deletedAt) => {
+    if (!deletedAt || trashConfig.retentionDays <= 0) return null;
+    return new Date(new Date(deletedAt).getTime() + trashConfig.retentionDays * DAY_MS);
+};
+
+/**
+ * Schema plugin for soft deletion
+ * Trashed records get deletedAt/deletedBy and are left out of every query unless
+ * the filter mentions deletedAt or the query uses .withDeleted(). Dependents listed
+ * in `cascade` are trashed, restored and purged together with the record.
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} [options] - { cascade: [{ model, field }] }
+ */
+const softDeletePlugin = (schema, { cascade = [] } = {}) => {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            default: null
+        },
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        // Parent record this one was trashed with (e.g. a student's payments)
+        deletedWith: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null
+        }
+    });
+
+    schema.index({ deletedAt: 1, deletedWith: 1 });
+
+    // Include trashed records: Model.find(filter).withDeleted()
+    schema.query.withDeleted = function() {
+        return this.setOptions({ withDeleted: true });
+    };
+
+    schema.pre(QUERY_HOOKS, function(next) {
+        if (!this.getOptions().withDeleted && !filtersDeleted(this.getFilter())) {
+            this.where({ deletedAt: null });
+        }
+        next();
+    });
+
+    schema.pre('aggregate', function(next) {
+        const [first] = this.pipeline();
+        if (!this.options.withDeleted && !(first?.$match && filtersDeleted(first.$match))) {
+            this.pipeline().unshift({ $match: { deletedAt: null } });
+        }
+        next();
+    });
+
+    const dependents = () => cascade.map(({ model, field }) => ({ Model: mongoose.model(model), field }));
+
+    // Dependents are changed with queries, so go through the audit trail when the model keeps one
+    const updateDependents = (Model, filter, update, annotation) => (Model.auditedUpdateMany
+        ? Model.auditedUpdateMany(filter, update, annotation)
+        : Model.updateMany(filter, update));
+
+    const deleteDependents = async (Model, filter, annotation) => (Model.auditedDeleteMany
+        ? Model.auditedDeleteMany(filter, annotation)
+        : (await Model.deleteMany(filter)).deletedCount);
+
+    const cascadeEvent = (doc, action) => `${doc.constructor.modelName.toLowerCase()}.${action}`;
+
+    /**
+     * Move the record (and its dependents) to the trash
+     * @param {ObjectId} userId - User deleting the record
+     * @returns {Promise<Object>} Saved document
+     */
+    schema.methods.softDelete = async function(userId) {
+        const deletedAt = new Date();
+
+        for (const { Model, field } of dependents()) {
+            await updateDependents(
+                Model,
+                { [field]: this._id, deletedAt: null },
+                { $set: { deletedAt, deletedBy: userId, deletedWith: this._id } },
+                { event: cascadeEvent(this, 'trash') }
+            );
+        }
+
+        this.deletedAt = deletedAt;
+        this.deletedBy = userId;
+        this.deletedWith = null;
+
+        // Callers may have labelled the change already (e.g. lead.merge)
+        if (!this.$locals.audit) {
+            annotateAudit(this, `${this.constructor.modelName.toLowerCase()}.trash`);
+        }
+        return this.save();
+    };
+
+    /**
+     * Bring the record (and the dependents trashed with it) back from the trash
+     * @returns {Promise<Object>} Saved document
+     */
+    schema.methods.restore = async function() {
+        for (const { Model } of dependents()) {
+            await updateDependents(
+                Model,
+                { deletedWith: this._id, deletedAt: { $ne: null } },
+                { $set: { deletedAt: null, deletedWith: null }, $unset: { deletedBy: 1 } },
+                { event: cascadeEvent(this, 'restore') }
+            );
+        }
+
+        this.deletedAt = null;
+        this.deletedBy = undefined;
+
+        annotateAudit(this, `${this.constructor.modelName.toLowerCase()}.restore`);
+        return this.save();
+    };
+
+    /**
+     * Delete a trashed record and all of its dependents for good
+     * @returns {Promise<number>} Number of dependent records removed
+     */
+    schema.methods.purge = async function() {
+        let removed = 0;
+
+        for (const { Model, field } of dependents()) {
+            removed += await deleteDependents(Model, { [field]: this._id }, { event: cascadeEvent(this, 'purge') });
+        }
+
+        annotateAudit(this, `${this.constructor.modelName.toLowerCase()}.purge`);
+        await this.deleteOne();
+        return removed;
+    };
+};
+
+module.exports = {
+    SOFT_DELETE_FIELDS,
+    TRASH_FILTER,
+    filtersDeleted,
+    getPurgeDate,
+    softDeletePlugin
+};
@@ -0,0 +1,322 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const { toDateKey } = require('./scheduleHelpers');
+
+const STATUS_CODES = {
+    present: 'P',
+    absent: 'A',
+    late: 'L',
+    leave: 'LV'
+};
+
+const idString = (id) => (id && id._id ? id._id : id)?.toString();
+
+/**
+ * Escape a single value for CSV output
+ * @param {*} value - Value to escape
+ * @returns {string} CSV-safe value
+ */
+const escapeCsvValue = (value) => {
+    if (value === undefined || value === null) return '';
+    if (value instanceof Date) value = value.toISOString();
+
+    let text = String(value);
+    // Prevent spreadsheet formula injection
+    if (text.length > 1 && /^[=+\-@]/.test(text) && isNaN(Number(text))) text = `'${text}`;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build one CSV line
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line including the trailing newline
+ */
+const toCsvRow = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+/**
+ * Turn attendance records into a student x date matrix
+ * Rows are keyed by student and batch, columns by session (or date when no session)
+ * @param {Array} records - Attendance records with student, batch and session populated
+ * @returns {Object} { columns, rows }
+ */
+const buildAttendanceMatrix = (records) => {
+    const sorted = [...records].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    const columnMap = new Map();
+    const rowMap = new Map();
+
+    sorted.forEach(record => {
+        const dateKey = toDateKey(record.date);
+        const columnKey = record.session ? idString(record.session) : dateKey;
+
+        if (!columnMap.has(columnKey)) {
+            columnMap.set(columnKey, {
+                key: columnKey,
+                date: dateKey,
+                topic: record.session?.topic
+            });
+        }
+
+        const rowKey = `${idString(record.student)}|${idString(record.batch) || ''}`;
+        if (!rowMap.has(rowKey)) {
+            rowMap.set(rowKey, {
+                studentId: record.student?.studentId,
+                studentName: record.student?.personalDetails?.fullName,
+                batch: record.batch?.batchId || record.batch?.name,
+                cells: {},
+                summary: {
+                    total: 0,
+                    present: 0,
+                    absent: 0,
+                    late: 0,
+                    leave: 0
+                }
+            });
+        }
+
+        const row = rowMap.get(rowKey);
+        row.cells[columnKey] = record.status;
+        row.summary.total++;
+        if (row.summary[record.status] !== undefined) row.summary[record.status]++;
+    });
+
+    // Label columns by date, numbering several sessions held on the same day
+    const columns = [...columnMap.values()];
+    const perDate = {};
+    columns.forEach(column => {
+        perDate[column.date] = (perDate[column.date] || 0) + 1;
+    });
+    const seen = {};
+    columns.forEach(column => {
+        seen[column.date] = (seen[column.date] || 0) + 1;
+        column.label = perDate[column.date] > 1 ? `${column.date} (${seen[column.date]})` : column.date;
+    });
+
+    const rows = [...rowMap.values()]
+        .sort((a, b) => String(a.studentName || '').localeCompare(String(b.studentName || '')));
+
+    rows.forEach(row => {
+        const { summary } = row;
+        summary.attendancePercentage = summary.total > 0
+            ? Math.round(((summary.present + summary.late) / summary.total) * 100)
+            : 0;
+    });
+
+    return { columns, rows };
+};
+
+/**
+ * Flatten an attendance matrix into header and value arrays
+ * @param {Object} matrix - Output of buildAttendanceMatrix()
+ * @returns {Object} { header, rows }
+ */
+const getAttendanceMatrixRows = (matrix) => {
+    const header = [
+        'Student ID',
+        'Student Name',
+        'Batch',
+        ...matrix.columns.map(column => column.label),
+        'Present',
+        'Absent',
+        'Late',
+        'Leave',
+        'Total',
+        'Attendance %'
+    ];
+
+    const rows = matrix.rows.map(row => [
+        row.studentId,
+        row.studentName,
+        row.batch,
+        ...matrix.columns.map(column => STATUS_CODES[row.cells[column.key]] || '-'),
+        row.summary.present,
+        row.summary.absent,
+        row.summary.late,
+        row.summary.leave,
+        row.summary.total,
+        row.summary.attendancePercentage
+    ]);
+
+    return { header, rows };
+};
+
+/**
+ * Write an attendance matrix as CSV
+ * @param {Stream} stream - Writable stream (e.g. the response)
+ * @param {Object} report - { title, details, matrix }
+ */
+const writeAttendanceCsv = (stream, report) => {
+    const { header, rows } = getAttendanceMatrixRows(report.matrix);
+
+    // BOM so Excel opens the file as UTF-8
+    stream.write('\ufeff');
+    stream.write(toCsvRow([report.title]));
+    (report.details || []).forEach(([label, value]) => stream.write(toCsvRow([label, value])));
+    stream.write(toCsvRow([]));
+    stream.write(toCsvRow(header));
+    rows.forEach(row => stream.write(toCsvRow(row)));
+    stream.end();
+};
+
+/**
+ * Write an attendance matrix as an XLSX workbook
+ * @param {Stream} stream - Writable stream (e.g. the response)
+ * @param {Object} report - { title, details, matrix }
+ * @returns {Promise} Resolves once the workbook has been written
+ */
+const writeAttendanceXlsx = async (stream, report) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+    const sheet = workbook.addWorksheet('Attendance', {
+        views: [{ state: 'frozen', xSplit: 3, ySplit: (report.details || []).length + 3 }]
+    });
+
+    const { header, rows } = getAttendanceMatrixRows(report.matrix);
+    const dateCount = report.matrix.columns.length;
+
+    sheet.columns = header.map((label, index) => ({
+        width: index === 1 ? 28 : index < 3 ? 14 : index < 3 + dateCount ? 12 : 11
+    }));
+
+    const titleRow = sheet.addRow([report.title]);
+    titleRow.font = { bold: true, size: 14 };
+    titleRow.commit();
+
+    (report.details || []).forEach(([label, value]) => {
+        const row = sheet.addRow([label, value]);
+        row.getCell(1).font = { bold: true };
+        row.commit();
+    });
+    sheet.addRow([]).commit();
+
+    const headerRow = sheet.addRow(header);
+    headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    headerRow.eachCell(cell => {
+        cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1F3A68' } };
+        cell.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
+    });
+    headerRow.commit();
+
+    rows.forEach(values => {
+        const row = sheet.addRow(values);
+        for (let i = 4; i <= 3 + dateCount; i++) {
+            const cell = row.getCell(i);
+            cell.alignment = { horizontal: 'center' };
+            if (cell.value === 'A') cell.font = { color: { argb: 'FFB00020' } };
+        }
+        row.commit();
+    });
+
+    sheet.addRow([]).commit();
+    sheet.addRow(['Legend', 'P = Present, A = Absent, L = Late, LV = Leave, - = Not marked']).commit();
+
+    sheet.commit();
+    await workbook.commit();
+};
+
+/**
+ * Pick export columns from a comma-separated list
+ * @param {Array} definitions - Available columns { key, header, value, default }
+ * @param {string} [requested] - Comma-separated column keys (defaults to the default columns)
+ * @returns {Object} { columns, invalid }
+ */
+const resolveExportColumns = (definitions, requested) => {
+    if (!requested) {
+        return { columns: definitions.filter(column => column.default !== false), invalid: [] };
+    }
+
+    const keys = String(requested).split(',').map(key => key.trim()).filter(Boolean);
+    const invalid = keys.filter(key => !definitions.some(column => column.key === key));
+    const columns = keys
+        .filter((key, index) => keys.indexOf(key) === index)
+        .map(key => definitions.find(column => column.key === key))
+        .filter(Boolean);
+
+    return { columns, invalid };
+};
+
+/**
+ * Stream documents from a query cursor to the response as CSV or XLSX
+ * Rows are written one at a time so large exports never sit in memory.
+ * @param {Object} options - Export options
+ * @param {Object} options.res - Express response
+ * @param {Object} options.cursor - Mongoose query cursor
+ * @param {Array} options.columns - Columns { key, header, value(doc) }
+ * @param {string} options.format - 'csv' or 'xlsx'
+ * @param {string} options.fileName - File name without extension
+ * @param {string} [options.sheetName] - Worksheet name for XLSX
+ * @returns {Promise<number>} Number of rows written
+ */
+const streamExport = async ({ res, cursor, columns, format, fileName, sheetName = 'Export' }) => {
+    let aborted = false;
+    res.on('close', () => {
+        if (!res.writableFinished) aborted = true;
+    });
+
+    const fullName = `${fileName}_${Date.now()}.${format}`;
+    const rowValues = doc => columns.map(column => {
+        const value = column.value(doc);
+        return value === undefined ? null : value;
+    });
+    let count = 0;
+
+    try {
+        if (format === 'xlsx') {
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.setHeader('Content-Disposition', `attachment; filename=${fullName}`);
+
+            const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+            const sheet = workbook.addWorksheet(sheetName, {
+                views: [{ state: 'frozen', ySplit: 1 }]
+            });
+            sheet.columns = columns.map(column => ({
+                header: column.header,
+                key: column.key,
+                width: column.width || 18
+            }));
+            sheet.getRow(1).font = { bold: true };
+
+            for await (const doc of cursor) {
+                if (aborted) break;
+                sheet.addRow(rowValues(doc)).commit();
+                count++;
+            }
+
+            sheet.commit();
+            await workbook.commit();
+        } else {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename=${fullName}`);
+
+            // BOM so Excel opens the file as UTF-8
+            res.write('\ufeff');
+            res.write(toCsvRow(columns.map(column => column.header)));
+
+            for await (const doc of cursor) {
+                if (aborted) break;
+                if (!res.write(toCsvRow(rowValues(doc)))) {
+                    await Promise.race([once(res, 'drain'), once(res, 'close')]);
+                }
+                count++;
+            }
+
+            res.end();
+        }
+    } finally {
+        await cursor.close();
+    }
+
+    return count;
+};
+
+module.exports = {
+    STATUS_CODES,
+    escapeCsvValue,
+    toCsvRow,
+    buildAttendanceMatrix,
+    getAttendanceMatrixRows,
+    writeAttendanceCsv,
+    writeAttendanceXlsx,
+    resolveExportColumns,
+    streamExport
+};
@@ -0,0 +1,293 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const Joi = require('joi');
+const { studentValidators, validate } = require('./validators');
+
+// Maximum number of data rows accepted in one upload
+const MAX_IMPORT_ROWS = 1000;
+
+// Spreadsheet header (lowercase, letters and digits only) -> field path
+const IMPORT_COLUMNS = {
+    fullname: 'personalDetails.fullName',
+    name: 'personalDetails.fullName',
+    studentname: 'personalDetails.fullName',
+    email: 'personalDetails.email',
+    phone: 'personalDetails.phone',
+    mobile: 'personalDetails.phone',
+    alternatephone: 'personalDetails.alternatePhone',
+    dateofbirth: 'personalDetails.dateOfBirth',
+    dob: 'personalDetails.dateOfBirth',
+    gender: 'personalDetails.gender',
+    street: 'personalDetails.address.street',
+    address: 'personalDetails.address.street',
+    city: 'personalDetails.address.city',
+    state: 'personalDetails.address.state',
+    pincode: 'personalDetails.address.pincode',
+    zipcode: 'personalDetails.address.pincode',
+    country: 'personalDetails.address.country',
+    fathername: 'personalDetails.fatherName',
+    mothername: 'personalDetails.motherName',
+    aadhaar: 'personalDetails.aadhaarNumber',
+    aadhaarnumber: 'personalDetails.aadhaarNumber',
+    pan: 'personalDetails.panNumber',
+    pannumber: 'personalDetails.panNumber',
+    qualification: 'academicDetails.qualification',
+    yearofpassing: 'academicDetails.yearOfPassing',
+    percentage: 'academicDetails.percentage',
+    institution: 'academicDetails.institution',
+    institute: 'academicDetails.institution',
+    marksheetnumber: 'academicDetails.marksheetNumber',
+    admissiondate: 'admissionDetails.admissionDate',
+    admissiontype: 'admissionDetails.admissionType',
+    batch: 'admissionDetails.batch',
+    remarks: 'admissionDetails.remarks',
+    totalfees: 'paymentPlan.totalFees',
+    paidamount: 'paymentPlan.paidAmount',
+    discountamount: 'paymentPlan.discount.amount',
+    discountpercentage: 'paymentPlan.discount.percentage',
+    discountreason: 'paymentPlan.discount.reason',
+    scholarshipamount: 'paymentPlan.scholarship.amount',
+    scholarshippercentage: 'paymentPlan.scholarship.percentage',
+    scholarshiptype: 'paymentPlan.scholarship.type',
+    scholarshipreason: 'paymentPlan.scholarship.reason'
+};
+
+const DATE_FIELDS = ['personalDetails.dateOfBirth', 'admissionDetails.admissionDate'];
+const PHONE_FIELDS = ['personalDetails.phone', 'personalDetails.alternatePhone'];
+
+// The Joi student schema has no payment fields, so they are validated here
+const paymentPlanSchema = Joi.object({
+    totalFees: Joi.number().min(0).required(),
+    paidAmount: Joi.number().min(0).max(Joi.ref('totalFees')).default(0)
+        .messages({ 'number.max': 'Paid amount cannot exceed total fees' }),
+    discount: Joi.object({
+        amount: Joi.number().min(0),
+        percentage: Joi.number().min(0).max(100),
+        reason: Joi.string().max(200)
+    }),
+    scholarship: Joi.object({
+        amount: Joi.number().min(0),
+        percentage: Joi.number().min(0).max(100),
+        type: Joi.string().max(50),
+        reason: Joi.string().max(200)
+    })
+}).required();
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const setPath = (target, path, value) => {
+    const keys = path.split('.');
+    let current = target;
+    keys.slice(0, -1).forEach(key => {
+        current[key] = current[key] || {};
+        current = current[key];
+    });
+    current[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Convert an ExcelJS cell value to a plain string
+ * @param {*} value - Cell value
+ * @returns {string|null} Text, or null for empty cells
+ */
+const cellToString = (value) => {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString().split('T')[0];
+    if (typeof value === 'object') {
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if (value.text !== undefined) return cellToString(value.text);
+        if (value.result !== undefined) return cellToString(value.result);
+        return null;
+    }
+
+    const text = String(value).trim();
+    return text === '' ? null : text;
+};
+
+/**
+ * Normalise a date written as YYYY-MM-DD, DD-MM-YYYY or DD/MM/YYYY to YYYY-MM-DD
+ * @param {string} value - Date text
+ * @returns {string} Normalised date (unchanged when unrecognised)
+ */
+const normalizeDate = (value) => {
+    const match = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    if (!match) return value;
+    return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+};
+
+/**
+ * Normalise a phone number to 10 digits (drops spaces, dashes and a +91 prefix)
+ * @param {string} value - Phone text
+ * @returns {string} Normalised phone
+ */
+const normalizePhone = (value) => {
+    const digits = value.replace(/\D/g, '');
+    if (digits.length === 12 && digits.startsWith('91')) return digits.slice(2);
+    if (digits.length === 11 && digits.startsWith('0')) return digits.slice(1);
+    return digits;
+};
+
+/**
+ * Read the first worksheet of an uploaded XLSX or CSV file
+ * @param {Object} file - Multer file (memory storage)
+ * @returns {Promise<Object>} { headers, unknownHeaders, rows } where rows are { rowNumber, values }
+ */
+const readSpreadsheetRows = async (file) => {
+    const workbook = new ExcelJS.Workbook();
+    const isCsv = /\.csv$/i.test(file.originalname) || file.mimetype === 'text/csv';
+    let worksheet;
+
+    if (isCsv) {
+        // Keep raw strings so phone numbers, pincodes and IDs are not turned into numbers
+        worksheet = await workbook.csv.read(Readable.from(file.buffer), {
+            map: datum => (datum === '' ? null : datum)
+        });
+    } else {
+        await workbook.xlsx.load(file.buffer);
+        worksheet = workbook.worksheets[0];
+    }
+
+    if (!worksheet || worksheet.rowCount === 0) {
+        return { headers: [], unknownHeaders: [], rows: [] };
+    }
+
+    const headerRow = worksheet.getRow(1);
+    const columns = [];
+    const headers = [];
+    const unknownHeaders = [];
+
+    headerRow.eachCell((cell, colNumber) => {
+        const header = cellToString(cell.value);
+        if (!header) return;
+        headers.push(header);
+
+        const path = IMPORT_COLUMNS[normalizeHeader(header)];
+        if (path) {
+            columns.push({ colNumber, path });
+        } else {
+            unknownHeaders.push(header);
+        }
+    });
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+
+        const values = {};
+        columns.forEach(({ colNumber, path }) => {
+            let value = cellToString(row.getCell(colNumber).value);
+            if (value === null || values[path] !== undefined) return;
+
+            if (DATE_FIELDS.includes(path)) value = normalizeDate(value);
+            if (PHONE_FIELDS.includes(path)) value = normalizePhone(value);
+            if (path === 'personalDetails.email') value = value.toLowerCase();
+            if (path === 'personalDetails.gender') value = value.toLowerCase();
+            if (path === 'personalDetails.panNumber') value = value.toUpperCase();
+
+            values[path] = value;
+        });
+
+        if (Object.keys(values).length) rows.push({ rowNumber, values });
+    });
+
+    return { headers, unknownHeaders, rows };
+};
+
+/**
+ * Validate one spreadsheet row
+ * @param {Object} values - Flat { path: value } map from readSpreadsheetRows()
+ * @returns {Object} { isValid, errors, value } where value is { student, paymentPlan }
+ */
+const validateImportRow = (values) => {
+    const payload = {};
+    Object.entries(values).forEach(([path, value]) => setPath(payload, path, value));
+
+    const { paymentPlan = {}, ...studentPayload } = payload;
+
+    const studentResult = validate(studentPayload, studentValidators.createStudent);
+    const paymentResult = validate(paymentPlan, paymentPlanSchema);
+
+    const errors = [
+        ...(studentResult.errors || []),
+        ...(paymentResult.errors || []).map(error => ({ ...error, field: `paymentPlan.${error.field}` }))
+    ]
+        .map(({ field, message }) => ({ field, message }))
+        .filter((error, index, all) => all.findIndex(other =>
+            other.field === error.field && other.message === error.message
+        ) === index);
+
+    return {
+        isValid: errors.length === 0,
+        errors,
+        value: errors.length ? null : { student: studentResult.value, paymentPlan: paymentResult.value }
+    };
+};
+
+/**
+ * Map a validated row onto the Student model
+ * Fields the model has no place for are kept in the admission remarks.
+ * @param {Object} value - Validated row from validateImportRow()
+ * @returns {Object} Student data
+ */
+const toStudentData = ({ student, paymentPlan }) => {
+    const personal = student.personalDetails;
+    const academic = student.academicDetails;
+    const admission = student.admissionDetails;
+
+    const identification = personal.aadhaarNumber
+        ? { type: 'aadhaar', number: personal.aadhaarNumber }
+        : personal.panNumber ? { type: 'pan', number: personal.panNumber } : undefined;
+
+    const remarks = [
+        admission.remarks,
+        admission.batch && `Batch: ${admission.batch}`,
+        !['regular', 'direct'].includes(admission.admissionType) && `Admission type: ${admission.admissionType}`,
+        personal.motherName && `Mother's name: ${personal.motherName}`,
+        personal.alternatePhone && `Alternate phone: ${personal.alternatePhone}`,
+        personal.aadhaarNumber && personal.panNumber && `PAN: ${personal.panNumber}`
+    ].filter(Boolean).join('; ');
+
+    return {
+        personalDetails: {
+            fullName: personal.fullName,
+            email: personal.email,
+            phone: personal.phone,
+            dateOfBirth: personal.dateOfBirth,
+            gender: personal.gender,
+            address: {
+                street: personal.address.street,
+                city: personal.address.city,
+                state: personal.address.state,
+                zipCode: personal.address.pincode,
+                country: personal.address.country
+            },
+            guardianDetails: {
+                name: personal.fatherName,
+                relation: 'father'
+            },
+            identification
+        },
+        academicBackground: academic ? {
+            qualification: academic.qualification,
+            yearOfPassing: academic.yearOfPassing,
+            percentage: academic.percentage,
+            institute: academic.institution,
+            marksheet: academic.marksheetNumber
+        } : undefined,
+        admissionDetails: {
+            admissionDate: admission.admissionDate,
+            // The import template's admission types are not known to the model
+            admissionType: 'direct',
+            remarks: remarks || undefined
+        },
+        paymentPlan
+    };
+};
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    IMPORT_COLUMNS,
+    readSpreadsheetRows,
+    validateImportRow,
+    toStudentData
+};
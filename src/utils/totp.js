@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Time source for code generation; replace clock.now in tests for a fixed time
+const clock = {
+    now: () => Date.now()
+};
+
+/**
+ * Encode a buffer as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 text
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+    return output;
+};
+
+/**
+ * Decode base32 text (case, spaces and padding are ignored)
+ * @param {string} text - Base32 text
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (text) => {
+    const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random TOTP secret
+ * @param {number} [bytes] - Secret length in bytes (20 = 160 bits)
+ * @returns {string} Base32 secret
+ */
+const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+/**
+ * HOTP code for a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Counter value
+ * @param {number} [digits] - Code length
+ * @returns {string} Zero-padded code
+ */
+const generateHotp = (secret, counter, digits = 6) => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+
+    return String(code).padStart(digits, '0');
+};
+
+/**
+ * Time step counter for a point in time
+ * @param {number} [now] - Time in milliseconds
+ * @param {number} [step] - Step length in seconds
+ * @returns {number} Counter
+ */
+const getCounter = (now = clock.now(), step = 30) => Math.floor(now / 1000 / step);
+
+/**
+ * TOTP code for a point in time (RFC 6238)
+ * @param {string} secret - Base32 secret
+ * @param {Object} [options] - { now, step, digits }
+ * @returns {string} Code
+ */
+const generateTotp = (secret, { now = clock.now(), step = 30, digits = 6 } = {}) => {
+    return generateHotp(secret, getCounter(now, step), digits);
+};
+
+/**
+ * Check a TOTP code, allowing for clock drift
+ * Codes at or before lastCounter are rejected so a code cannot be used twice.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - { now, step, digits, window, lastCounter }
+ * @returns {number|null} Matched counter, or null when the code is invalid
+ */
+const verifyTotp = (secret, code, { now = clock.now(), step = 30, digits = 6, window = 1, lastCounter = -1 } = {}) => {
+    const token = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${digits}}$`).test(token)) return null;
+
+    const current = getCounter(now, step);
+    for (let offset = -window; offset <= window; offset++) {
+        const counter = current + offset;
+        if (counter <= lastCounter) continue;
+
+        const expected = generateHotp(secret, counter, digits);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) return counter;
+    }
+
+    return null;
+};
+
+/**
+ * otpauth:// URI for authenticator apps
+ * @param {Object} options - { secret, account, issuer, digits, step }
+ * @returns {string} Provisioning URI
+ */
+const buildProvisioningUri = ({ secret, account, issuer, digits = 6, step = 30 }) => {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(digits),
+        period: String(step)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Generate one-time backup codes
+ * @param {number} [count] - Number of codes
+ * @returns {Array} Codes formatted as XXXXX-XXXXX
+ */
+const generateBackupCodes = (count = 10) => {
+    return Array.from({ length: count }, () => {
+        const code = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+};
+
+/**
+ * Hash a backup code for storage (dashes and case are ignored)
+ * @param {string} code - Backup code
+ * @returns {string} SHA-256 hex digest
+ */
+const hashBackupCode = (code) => {
+    return crypto.createHash('sha256')
+        .update(String(code).toUpperCase().replace(/[^A-Z0-9]/g, ''))
+        .digest('hex');
+};
+
+const getEncryptionKey = () => {
+    const secret = process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET || 'mfa-secret';
+    return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM)
+ * @param {string} secret - Base32 secret
+ * @returns {string} iv:tag:ciphertext in hex
+ */
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} value - Output of encryptSecret()
+ * @returns {string} Base32 secret
+ */
+const decryptSecret = (value) => {
+    const [iv, tag, encrypted] = String(value).split(':').map(part => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+    clock,
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateHotp,
+    getCounter,
+    generateTotp,
+    verifyTotp,
+    buildProvisioningUri,
+    generateBackupCodes,
+    hashBackupCode,
+    encryptSecret,
+    decryptSecret
+};